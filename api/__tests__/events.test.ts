@@ -0,0 +1,114 @@
+/**
+ * Pack-declared live events (events.ts): the built-in event types,
+ * validateEventData() against each field type, and answerPrompt().
+ */
+
+export {};
+
+const {
+  BUILT_IN_EVENT_TYPES,
+  isBuiltInEvent,
+  validateEventData,
+  answerPrompt,
+} = require('@boardgamebuddy/game-pack-api');
+const { loadBuiltInEventTypes } = require('../../lib/validate');
+
+const THROWN_IN = {
+  id: 'thrownIn',
+  label: 'Schmeißen',
+  fields: [
+    { id: 'playerIndex', type: 'player' },
+    { id: 'nines', type: 'number', integer: true, min: 5, max: 8, optional: true },
+  ],
+};
+
+const EVERY_FIELD = {
+  id: 'everything',
+  label: 'Alles',
+  fields: [
+    { id: 'count', type: 'number', min: 0, max: 10 },
+    { id: 'doubled', type: 'toggle' },
+    { id: 'suit', type: 'choice', options: ['red', 'blue'] },
+    { id: 'player', type: 'player' },
+    { id: 'card', type: 'card', kinds: ['tree'] },
+    { id: 'note', type: 'text' },
+  ],
+};
+
+const OPTIONS = { playerCount: 4 };
+
+describe('built-in events', () => {
+  it('tells the built-in event types from custom ones', () => {
+    expect(isBuiltInEvent('correctBid')).toBe(true);
+    expect(isBuiltInEvent('thrownIn')).toBe(false);
+  });
+
+  it('lists the same types validate rejects as custom event ids', () => {
+    expect(loadBuiltInEventTypes()).toEqual([...BUILT_IN_EVENT_TYPES]);
+  });
+});
+
+describe('validateEventData', () => {
+  it('accepts complete data and leaves out optional fields', () => {
+    expect(validateEventData(THROWN_IN, { playerIndex: 2 }, OPTIONS)).toEqual([]);
+    expect(validateEventData(THROWN_IN, { playerIndex: 0, nines: 5 }, OPTIONS)).toEqual([]);
+    expect(validateEventData({ id: 'bare', label: 'Bare' }, {}, OPTIONS)).toEqual([]);
+  });
+
+  it('reports missing fields, values that do not fit and undeclared fields', () => {
+    expect(validateEventData(THROWN_IN, {}, OPTIONS)).toEqual([{ field: 'playerIndex', message: 'is missing' }]);
+    expect(validateEventData(THROWN_IN, { playerIndex: 4, reason: 'nines' }, OPTIONS)).toEqual([
+      { field: 'playerIndex', message: 'expected a player index' },
+      { field: 'reason', message: 'is not a declared field' },
+    ]);
+  });
+
+  it('checks numbers for whole values and their range', () => {
+    const nines = (n) => validateEventData(THROWN_IN, { playerIndex: 0, nines: n }, OPTIONS);
+    expect(nines('5')).toEqual([{ field: 'nines', message: 'expected a number' }]);
+    expect(nines(NaN)).toEqual([{ field: 'nines', message: 'expected a number' }]);
+    expect(nines(5.5)).toEqual([{ field: 'nines', message: 'expected a whole number' }]);
+    expect(nines(4)).toEqual([{ field: 'nines', message: 'must be at least 5' }]);
+    expect(nines(9)).toEqual([{ field: 'nines', message: 'must be at most 8' }]);
+  });
+
+  it('checks every field type', () => {
+    const valid = { count: 3, doubled: false, suit: 'red', player: 3, card: 'tree:07', note: '' };
+    expect(validateEventData(EVERY_FIELD, valid, OPTIONS)).toEqual([]);
+    expect(validateEventData(EVERY_FIELD, { count: 11, doubled: 'yes', suit: 'green', player: -1, card: 'cave:01', note: 3 }, OPTIONS)).toEqual([
+      { field: 'count', message: 'must be at most 10' },
+      { field: 'doubled', message: 'expected true or false' },
+      { field: 'suit', message: 'unknown option "green"' },
+      { field: 'player', message: 'expected a player index' },
+      { field: 'card', message: 'unknown card "cave:01"' },
+      { field: 'note', message: 'expected a text' },
+    ]);
+  });
+
+  it('accepts only the pack\'s card ids when it is given them', () => {
+    const options = { ...OPTIONS, cardIds: ['tree:01'] };
+    const card = (id) => validateEventData(EVERY_FIELD, { count: 0, doubled: true, suit: 'blue', player: 0, card: id, note: 'x' }, options);
+    expect(card('tree:01')).toEqual([]);
+    expect(card('tree:02')).toEqual([{ field: 'card', message: 'unknown card "tree:02"' }]);
+    expect(card('')).toEqual([{ field: 'card', message: 'expected a card id' }]);
+  });
+});
+
+describe('answerPrompt', () => {
+  it('fires the prompt\'s event with the answer in the asked field', () => {
+    const prompt = {
+      type: 'promptChoice',
+      prompt: 'Wer schmeißt?',
+      options: [{ value: 0, label: 'Alice' }, { value: 1, label: 'Bob' }],
+      event: { type: 'thrownIn', data: { nines: 5 } },
+      field: 'playerIndex',
+    };
+    expect(answerPrompt(prompt, 1)).toEqual({ type: 'thrownIn', data: { nines: 5, playerIndex: 1 } });
+    expect(prompt.event.data).toEqual({ nines: 5 });
+  });
+
+  it('replaces a value the event already had', () => {
+    const prompt = { type: 'promptNumber', prompt: 'Wie viele Neunen?', event: { type: 'thrownIn', data: { nines: 4 } }, field: 'nines' };
+    expect(answerPrompt(prompt, 6)).toEqual({ type: 'thrownIn', data: { nines: 6 } });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Additional inputs: the values a form starts with and the checks of what
+ * the user entered, against hand-written declarations of every input type.
+ */
+
+export {};
+
+const { defaultInputValue, inputDefaults, validateInputs } = require('@boardgamebuddy/game-pack-api');
+
+const players = ['Alice', 'Bob'];
+
+/** A per-player count, like Mischwald's cave cards. */
+const stepper = { id: 'caveCards', label: 'Cave cards', type: 'stepper', perPlayer: true, min: 0 };
+
+const declared = [
+  { id: 'winter', label: 'Winter card drawn', type: 'toggle', perPlayer: false },
+  { id: 'variant', label: 'Variant', type: 'choice', perPlayer: false,
+    options: [{ value: 'base', label: 'Base' }, { value: 'alpine', label: 'Alpine' }] },
+  { id: 'expansions', label: 'Expansions', type: 'choice', perPlayer: false, multiple: true,
+    options: [{ value: 'alpine', label: 'Alpine' }, { value: 'edge', label: 'Woodland Edge' }] },
+  { id: 'endedBy', label: 'Took the last card', type: 'player', perPlayer: false },
+  { id: 'bonus', label: 'Bonus', type: 'number', perPlayer: true, min: 0, max: 10, step: 0.5 },
+  { id: 'discarded', label: 'Discarded', type: 'card', perPlayer: true, multiple: true, kinds: ['tree'] },
+];
+
+describe('defaultInputValue', () => {
+  it('starts numbers at their default, else their minimum, else 0', () => {
+    expect(defaultInputValue({ ...stepper, default: 2 })).toBe(2);
+    expect(defaultInputValue({ ...stepper, min: 1 })).toBe(1);
+    expect(defaultInputValue({ id: 'n', label: 'N', type: 'number', perPlayer: false })).toBe(0);
+  });
+
+  it('starts a single choice at its first option and multiple picks empty', () => {
+    expect(defaultInputValue(declared[1])).toBe('base');
+    expect(defaultInputValue({ ...declared[1], default: 'alpine' })).toBe('alpine');
+    expect(defaultInputValue(declared[2])).toEqual([]);
+    expect(defaultInputValue({ ...declared[3], multiple: true })).toEqual([]);
+  });
+});
+
+describe('inputDefaults', () => {
+  it('starts every player with the default of a perPlayer input', () => {
+    expect(inputDefaults([stepper], players)).toEqual({ caveCards: { Alice: 0, Bob: 0 } });
+  });
+
+  it('starts each type with its default', () => {
+    expect(inputDefaults(declared, ['Alice'])).toEqual({
+      winter: false,
+      variant: 'base',
+      expansions: [],
+      endedBy: '',
+      bonus: { Alice: 0 },
+      discarded: { Alice: [] },
+    });
+  });
+
+  it('gives each player a list of their own', () => {
+    const values = inputDefaults(declared, players);
+    values.discarded.Alice.push('tree:oak');
+    expect(values.discarded.Bob).toEqual([]);
+  });
+});
+
+describe('validateInputs', () => {
+  it('accepts counts per player and no values at all', () => {
+    expect(validateInputs([stepper], { caveCards: { Alice: 3, Bob: 0 } }, { players })).toEqual([]);
+    expect(validateInputs([stepper], undefined, { players })).toEqual([]);
+  });
+
+  it('rejects negative or fractional counts, unknown players and undeclared inputs', () => {
+    expect(validateInputs([stepper], { caveCards: { Alice: -1, Bob: 1.5, Carol: 2 }, moss: 1 }, { players })).toEqual([
+      { id: 'caveCards', player: 'Alice', message: 'must be at least 0' },
+      { id: 'caveCards', player: 'Bob', message: 'must be a multiple of 1' },
+      { id: 'caveCards', player: 'Carol', message: 'is not a player of this game' },
+      { id: 'moss', message: 'is not a declared input' },
+    ]);
+  });
+
+  it('expects a value per player for perPlayer inputs and a single value otherwise', () => {
+    expect(validateInputs([stepper], { caveCards: 2 }, { players })).toEqual([
+      { id: 'caveCards', message: 'expected a value per player' },
+    ]);
+    expect(validateInputs(declared, { winter: { Alice: true } }, { players })).toEqual([
+      { id: 'winter', message: 'expected a single value' },
+    ]);
+  });
+
+  it('accepts values that fit their declarations', () => {
+    const values = {
+      winter: true,
+      variant: 'alpine',
+      expansions: ['alpine', 'edge'],
+      endedBy: 'Bob',
+      bonus: { Alice: 2.5 },
+      discarded: { Bob: ['tree:oak', 'tree:birch'] },
+    };
+    expect(validateInputs(declared, values, { players, cardIds: ['tree:oak', 'tree:birch', 'horizontal:wolf-oak'] })).toEqual([]);
+  });
+
+  it('rejects values that do not', () => {
+    const values = {
+      winter: 'yes',
+      variant: ['base'],
+      expansions: ['alpine', 'alpine'],
+      endedBy: 'Carol',
+      bonus: { Alice: 11, Bob: 0.2 },
+      discarded: { Alice: ['horizontal:wolf-oak'], Bob: ['tree:maple'] },
+    };
+    expect(validateInputs(declared, values, { players, cardIds: ['tree:oak', 'horizontal:wolf-oak'] })).toEqual([
+      { id: 'winter', message: 'expected true or false' },
+      { id: 'variant', message: 'expected one option' },
+      { id: 'expansions', message: 'lists the same value twice' },
+      { id: 'endedBy', message: 'unknown player "Carol"' },
+      { id: 'bonus', player: 'Alice', message: 'must be at most 10' },
+      { id: 'bonus', player: 'Bob', message: 'must be a multiple of 0.5' },
+      { id: 'discarded', player: 'Alice', message: 'unknown card "horizontal:wolf-oak"' },
+      { id: 'discarded', player: 'Bob', message: 'unknown card "tree:maple"' },
+    ]);
+  });
+
+  it('accepts any card of the picker kinds without the pack labels', () => {
+    expect(validateInputs(declared, { discarded: { Alice: ['tree:maple'] } }, { players })).toEqual([]);
+    expect(validateInputs(declared, { discarded: { Alice: 'tree:maple' } }, { players })).toEqual([
+      { id: 'discarded', player: 'Alice', message: 'expected a list of cards' },
+    ]);
+  });
+});
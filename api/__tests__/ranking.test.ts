@@ -0,0 +1,73 @@
+/**
+ * Final ranking (ranking.ts): compareByKeys() and rankPlayers() with its
+ * shared places, tie-breakers and explanations.
+ */
+
+export {};
+
+const { compareByKeys, rankPlayers } = require('@boardgamebuddy/game-pack-api');
+
+const t = (key, fallback) => fallback ?? key;
+
+const player = (name, totalScore, extra = {}) => ({ name, totalScore, cardDetails: [], ...extra });
+
+describe('compareByKeys', () => {
+  it('compares by the next key only when the previous ones are level', () => {
+    const compare = compareByKeys([
+      { label: { key: 'a' }, value: e => e.a },
+      { label: { key: 'b' }, value: e => e.b, lowerWins: true },
+    ]);
+    const sorted = [{ a: 1, b: 1 }, { a: 2, b: 5 }, { a: 2, b: 3 }].sort(compare);
+    expect(sorted).toEqual([{ a: 2, b: 3 }, { a: 2, b: 5 }, { a: 1, b: 1 }]);
+    expect(compare({ a: 1, b: 1 }, { a: 1, b: 1 })).toBe(0);
+  });
+});
+
+describe('rankPlayers', () => {
+  it('shares a place when every key is level and skips the next', () => {
+    const ranking = rankPlayers([player('Alice', 7), player('Bob', 9), player('Carol', 9)], { t });
+    expect(ranking.map(r => [r.name, r.place])).toEqual([['Bob', 1], ['Carol', 1], ['Alice', 3]]);
+    expect(ranking[0]).not.toHaveProperty('tieBreak');
+    expect(ranking[0]).toMatchObject({
+      explanation: 'Platz 1, geteilt: Gleichstand mit 9 Punkten',
+      explanationKey: 'ranking.shared',
+      explanationParams: { place: 1, count: 9 },
+    });
+    expect(ranking[2].explanation).toBe('Platz 3 mit 7 Punkten');
+  });
+
+  it('breaks a tie by the first tie-breaker that sets a player apart', () => {
+    const tieBreakers = [
+      { label: { key: 'ranking.cards', fallback: 'Karten' }, value: p => p.cards },
+      { label: { key: 'ranking.coins', fallback: 'Münzen' }, value: p => p.coins, lowerWins: true },
+    ];
+    const players = [
+      player('Alice', 5, { cards: 3, coins: 4 }),
+      player('Bob', 5, { cards: 3, coins: 2 }),
+      player('Carol', 5, { cards: 2, coins: 0 }),
+      player('Dave', 8, { cards: 0, coins: 0 }),
+    ];
+    const ranking = rankPlayers(players, { t, tieBreakers });
+    expect(ranking.map(r => [r.name, r.place, r.tieBreak])).toEqual([['Dave', 1, undefined], ['Bob', 2, 3], ['Alice', 3, 3], ['Carol', 4, 2]]);
+    expect(ranking[0].explanation).toBe('Platz 1 mit 8 Punkten');
+    // Carol's cards set Bob apart from her, and his coins from Alice; the first one explains his place
+    expect(ranking[1].explanation).toBe('Platz 2: Gleichstand mit 5 Punkten, entschieden durch Karten (3)');
+    expect(ranking[3].explanation).toBe('Platz 4: Gleichstand mit 5 Punkten, entschieden durch Karten (2)');
+
+    const pair = rankPlayers(players.slice(0, 2), { t, tieBreakers });
+    expect(pair.map(r => [r.name, r.tieBreak])).toEqual([['Bob', 2], ['Alice', 4]]);
+    expect(pair[0].explanation).toBe('Platz 1: Gleichstand mit 5 Punkten, entschieden durch Münzen (2)');
+  });
+
+  it('words its explanations with the pack\'s ranking texts', () => {
+    const texts = { 'ranking.score': 'Place {place} with {count} points' };
+    const ranking = rankPlayers([player('Alice', 4)], { t: (key, fallback) => texts[key] ?? fallback });
+    expect(ranking).toEqual([{
+      name: 'Alice',
+      place: 1,
+      explanation: 'Place 1 with 4 points',
+      explanationKey: 'ranking.score',
+      explanationParams: { place: 1, count: 4 },
+    }]);
+  });
+});
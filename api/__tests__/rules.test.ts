@@ -0,0 +1,114 @@
+/**
+ * The declarative rule engine (rules.ts): how each scoring kind and modifier
+ * turns a tableau into points and an explanation.
+ */
+
+export {};
+
+const { scoreTableau, scoreCard, matchesFilter } = require('@boardgamebuddy/game-pack-api');
+
+const t = (key, fallback) => fallback ?? key;
+
+describe('scoreTableau', () => {
+  it('scores per matching tag and explains it', () => {
+    const tableau = [
+      { id: 'gnat', tags: ['Insect'], rule: { scoring: 'perMatch', points: 1, count: { tags: ['Bat'] } } },
+      { id: 'barbastelle_bat', tags: ['Bat'] },
+      { id: 'bechsteins_bat', tags: ['Bat'] },
+    ];
+    const [gnat, bat] = scoreTableau(tableau, { t });
+    expect(gnat).toMatchObject({ points: 2, matches: 2, reason: '1 pro Bat × 2' });
+    expect(gnat.text).toEqual({ key: 'rules.per_match', params: [1, 'Bat', 2] });
+    expect(gnat.cards).toEqual([tableau[1], tableau[2]]);
+    expect(bat).toBeNull();
+  });
+
+  it('applies min and unique to a fixed rule', () => {
+    const rule = { scoring: 'fixed', points: 5, min: 3, count: { tags: ['Bat'] }, unique: true };
+    const bats = ['barbastelle_bat', 'barbastelle_bat', 'bechsteins_bat'].map(id => ({ id, tags: ['Bat'], rule }));
+    const [result] = scoreTableau(bats, { t });
+    expect(result.points).toBe(0);
+    expect(result.reason).toBe('Bedingung nicht erfüllt: 2 × Bat (verschiedene), mind. 3');
+  });
+
+  it('looks up table points and clamps beyond the table', () => {
+    const rule = { scoring: 'table', table: [1, 3, 6], count: { name: ['linden'] } };
+    const lindens = Array.from({ length: 4 }, () => ({ id: 'linden', rule }));
+    expect(scoreTableau(lindens, { t }).map(r => r.points)).toEqual([6, 6, 6, 6]);
+  });
+
+  it('scores most only for the player with the most matches', () => {
+    const rule = { scoring: 'fixed', points: 10, count: { type: 'tree' }, most: true };
+    const alice = [{ id: 'woodpecker', rule }, { id: 'oak', type: 'tree' }, { id: 'beech', type: 'tree' }];
+    const bob = [{ id: 'woodpecker', rule }, { id: 'birch', type: 'tree' }];
+    const tableaux = [alice, bob];
+    expect(scoreTableau(alice, { t, tableaux })[0].points).toBe(10);
+    const [lost] = scoreTableau(bob, { t, tableaux });
+    expect(lost).toMatchObject({ points: 0, matches: 0, reason: 'Bedingung nicht erfüllt: nicht die meisten tree', cards: [] });
+  });
+
+  it('counts only the cards of the rule\'s scope and names the scope', () => {
+    const rule = { scoring: 'perMatch', points: 2, scope: 'sameTree' };
+    const tree1 = [{ id: 'squirrel', rule }, { id: 'oak' }, { id: 'wolf' }];
+    const tree2 = [{ id: 'birch' }];
+    const texts = { 'rules.scope_sameTree': 'im selben Baum' };
+    const [result] = scoreTableau([...tree1, ...tree2], {
+      t: (key, fallback) => texts[key] ?? fallback,
+      scopes: { sameTree: card => (tree1.includes(card) ? tree1 : tree2) },
+    });
+    expect(result.points).toBe(6);
+    expect(result.reason).toBe('2 pro Karten (im selben Baum) × 3');
+  });
+
+  it('scores a when rule only if the pack condition holds', () => {
+    const rule = { scoring: 'fixed', points: 5, when: 'fullTree' };
+    const card = { id: 'beech', rule };
+    expect(scoreTableau([card], { t, conditions: { fullTree: () => true } })[0].points).toBe(5);
+    expect(scoreTableau([card], { t, conditions: { fullTree: () => false } })[0].points).toBe(0);
+  });
+
+  it('scores one card per complete set of the rule\'s tags', () => {
+    const rule = { scoring: 'perSet', points: 4, count: { tags: ['Bat', 'Bird'] } };
+    const tableau = [{ id: 'cave', rule }, { id: 'bat', tags: ['Bat'] }, { id: 'owl', tags: ['Bird'] }, { id: 'bat', tags: ['Bat'] }];
+    expect(scoreTableau(tableau, { t })[0]).toMatchObject({ points: 4, matches: 1, reason: '4 pro Set (Bat/Bird) × 1' });
+  });
+
+  it('counts symbols and scores nothing without the required ones', () => {
+    const rule = { scoring: 'perMatch', points: 1, count: { symbol: 'stone' }, requires: { hints: 1 } };
+    const tableau = [{ id: 'quarry', rule, symbols: { stone: 2 } }, { id: 'rock', symbols: { stone: 1 } }];
+    expect(scoreTableau(tableau, { t })[0].points).toBe(0);
+    const withHint = [...tableau, { id: 'map', symbols: { hints: 1 } }];
+    expect(scoreTableau(withHint, { t })[0]).toMatchObject({ points: 3, matches: 3 });
+  });
+});
+
+describe('scoreCard', () => {
+  it('scores a single card against the tableau, and null without a rule', () => {
+    const card = { id: 'fox', rule: { scoring: 'perMatch', points: 2, count: { name: ['hare'] } } };
+    const tableau = [card, { id: 'hare' }, { id: 'hare' }];
+    expect(scoreCard(card, tableau, { t })).toMatchObject({ points: 4, matches: 2, cards: [tableau[1], tableau[2]] });
+    expect(scoreCard(tableau[1], tableau, { t })).toBeNull();
+  });
+});
+
+describe('matchesFilter', () => {
+  const self = { id: 'owl', symbols: { night: 1 } };
+
+  it('needs every given criterion and any of the names or tags', () => {
+    const card = { id: 'oak', tags: ['Deciduous'], type: 'tree' };
+    expect(matchesFilter(card, { name: ['birch', 'oak'], type: 'tree' }, self)).toBe(true);
+    expect(matchesFilter(card, { tags: ['Conifer'], type: 'tree' }, self)).toBe(false);
+    expect(matchesFilter(card, {}, self)).toBe(true);
+  });
+
+  it('matches jokers of the filter\'s type unless jokers are excluded', () => {
+    const joker = { id: 'sapling', joker: 'tree' };
+    expect(matchesFilter(joker, { type: 'tree', name: ['oak'] }, self)).toBe(true);
+    expect(matchesFilter(joker, { type: 'tree' }, self, false)).toBe(false);
+  });
+
+  it('with sameSymbol only matches cards sharing a symbol with the scoring card', () => {
+    expect(matchesFilter({ id: 'bat', symbols: { night: 2 } }, { sameSymbol: true }, self)).toBe(true);
+    expect(matchesFilter({ id: 'lark', symbols: { day: 1 } }, { sameSymbol: true }, self)).toBe(false);
+  });
+});
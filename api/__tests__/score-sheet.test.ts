@@ -0,0 +1,113 @@
+/**
+ * Score sheets: recording finished games and the statistics and exports of
+ * an evening, from hand-written GameStates.
+ */
+
+export {};
+
+const {
+  createScoreSheet,
+  addSheetGame,
+  sheetStats,
+  exportScoreSheet,
+  parseScoreSheet,
+} = require('@boardgamebuddy/game-pack-api');
+
+/** A finished game with the given scores and, optionally, the pack's places. */
+function state(scores, places = null) {
+  const players = Object.entries(scores).map(([name, totalScore]) => ({ name, totalScore, cardDetails: [] }));
+  if (!places) return { players };
+  return { players, ranking: Object.entries(places).map(([name, place]) => ({ name, place })) };
+}
+
+const boxes = [{ cardId: 'region:03', similarity: 0.95, x1: 0.1, y1: 0.1, x2: 0.3, y2: 0.4, cx: 0.2, cy: 0.25, w: 0.2, h: 0.3, confidence: 0.95, angle: 0, keypoints: null }];
+
+/** Three games: a ranked one, one placed by score alone and a draw. */
+function evening() {
+  let sheet = createScoreSheet('faraway');
+  sheet = addSheetGame(sheet, state({ Alice: 4, Bob: 5 }, { Bob: 1, Alice: 2 }), { boxes }, '2026-10-02T19:00:00.000Z');
+  sheet = addSheetGame(sheet, state({ Alice: 5, Bob: 2 }), { boxes }, '2026-10-02T20:00:00.000Z');
+  return addSheetGame(sheet, state({ Alice: 4, Carol: 4 }), { boxes }, '2026-10-09T19:00:00.000Z');
+}
+
+describe('addSheetGame', () => {
+  it('records each game without changing the previous sheet', () => {
+    const empty = createScoreSheet('faraway');
+    const sheet = addSheetGame(empty, state({ Alice: 4, Bob: 5 }, { Bob: 1, Alice: 2 }), { boxes }, '2026-10-02T19:00:00.000Z');
+    expect(empty.games).toEqual([]);
+    expect(sheet).toMatchObject({ version: 1, game: 'faraway' });
+    expect(sheet.games).toHaveLength(1);
+    expect(sheet.games[0]).toMatchObject({
+      playedAt: '2026-10-02T19:00:00.000Z',
+      players: [{ name: 'Alice', totalScore: 4 }, { name: 'Bob', totalScore: 5 }],
+      ranking: [{ name: 'Bob', place: 1 }, { name: 'Alice', place: 2 }],
+    });
+    expect(sheet.games[0].boxes.map(b => b.cardId)).toEqual(['region:03']);
+  });
+
+  it('copies the game, so later changes to the table or the inputs do not reach the sheet', () => {
+    const additionalInputs = { caveCards: { Alice: 1 } };
+    const table = [...boxes];
+    const sheet = addSheetGame(createScoreSheet('mischwald'), state({ Alice: 1 }), { boxes: table, additionalInputs });
+    additionalInputs.caveCards.Alice = 3;
+    table.push(boxes[0]);
+    expect(sheet.games[0].additionalInputs).toEqual({ caveCards: { Alice: 1 } });
+    expect(sheet.games[0].boxes).toHaveLength(1);
+    expect(sheet.games[0].ranking).toBeUndefined();
+  });
+});
+
+describe('sheetStats', () => {
+  it('computes totals, best and average scores, wins and running totals', () => {
+    expect(sheetStats(evening()).players).toEqual([
+      { name: 'Alice', games: 3, total: 13, best: 5, average: 13 / 3, wins: 2, running: [4, 9, 13] },
+      { name: 'Bob', games: 2, total: 7, best: 5, average: 3.5, wins: 1, running: [5, 7, 7] },
+      { name: 'Carol', games: 1, total: 4, best: 4, average: 4, wins: 1, running: [0, 0, 4] },
+    ]);
+  });
+
+  it('keeps head-to-head records of the players who met', () => {
+    expect(sheetStats(evening()).headToHead).toEqual([
+      { player: 'Alice', opponent: 'Bob', wins: 1, losses: 1, draws: 0 },
+      { player: 'Alice', opponent: 'Carol', wins: 0, losses: 0, draws: 1 },
+    ]);
+  });
+
+  it('takes the places from the pack ranking when a tie was broken', () => {
+    const sheet = addSheetGame(createScoreSheet('faraway'), state({ Alice: 3, Bob: 3 }, { Alice: 1, Bob: 2 }), { boxes });
+    expect(sheetStats(sheet).players.map(p => [p.name, p.wins])).toEqual([['Alice', 1], ['Bob', 0]]);
+  });
+});
+
+describe('exportScoreSheet', () => {
+  it('exports one CSV row per player and game', () => {
+    expect(exportScoreSheet(evening(), 'csv').split('\r\n')).toEqual([
+      'game,playedAt,player,score,place,total',
+      '1,2026-10-02T19:00:00.000Z,Alice,4,2,4',
+      '1,2026-10-02T19:00:00.000Z,Bob,5,1,5',
+      '2,2026-10-02T20:00:00.000Z,Alice,5,1,9',
+      '2,2026-10-02T20:00:00.000Z,Bob,2,2,7',
+      '3,2026-10-09T19:00:00.000Z,Alice,4,1,13',
+      '3,2026-10-09T19:00:00.000Z,Carol,4,1,4',
+      '',
+    ]);
+  });
+
+  it('quotes CSV fields with commas or quotes', () => {
+    const sheet = addSheetGame(createScoreSheet('faraway'), state({ 'Smith, Jo': 4, 'Al "Ace"': 5 }), { boxes }, 'now');
+    expect(exportScoreSheet(sheet, 'csv')).toContain('1,now,"Smith, Jo",4,2,4\r\n1,now,"Al ""Ace""",5,1,5');
+  });
+});
+
+describe('parseScoreSheet', () => {
+  it('reads back a JSON export', () => {
+    const sheet = evening();
+    expect(parseScoreSheet(exportScoreSheet(sheet, 'json'))).toEqual(sheet);
+  });
+
+  it('refuses other versions and sheets without games', () => {
+    const sheet = evening();
+    expect(() => parseScoreSheet(JSON.stringify({ ...sheet, version: 2 }))).toThrow('Unsupported score sheet version 2');
+    expect(() => parseScoreSheet('{}')).toThrow('no "games" array');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Translator and text helpers of scorer-utils, against the fixture texts.json.
+ */
+
+export {};
+
+const {
+  createTranslator,
+  localeChain,
+  pluralCategory,
+  fillPlaceholders,
+  renderText,
+  localisedDetail,
+} = require('@boardgamebuddy/game-pack-api');
+
+const textsPath = require('path').join(__dirname, 'fixtures', 'texts.json');
+
+describe('localeChain', () => {
+  it('drops one subtag at a time and ends with the fallback', () => {
+    expect(localeChain('de-AT')).toEqual(['de-AT', 'de', 'en']);
+    expect(localeChain('zh_Hant_TW', 'de')).toEqual(['zh-Hant-TW', 'zh-Hant', 'zh', 'de']);
+    expect(localeChain('en')).toEqual(['en']);
+  });
+});
+
+describe('pluralCategory', () => {
+  it('uses the language plural rules', () => {
+    expect(pluralCategory('en', 1)).toBe('one');
+    expect(pluralCategory('en', 0)).toBe('other');
+    expect(pluralCategory('pl', 3)).toBe('few');
+  });
+
+  it('falls back to English rules for an unknown locale', () => {
+    expect(pluralCategory('not a locale!', 1)).toBe('one');
+    expect(pluralCategory('not a locale!', 2)).toBe('other');
+  });
+});
+
+describe('fillPlaceholders', () => {
+  it('fills named placeholders in any order', () => {
+    expect(fillPlaceholders('{player} gewinnt Stich {trick}.', { trick: 3, player: 'Anna' })).toBe('Anna gewinnt Stich 3.');
+    expect(fillPlaceholders('Trick {trick}: {player}', { player: 'Anna', trick: 3 })).toBe('Trick 3: Anna');
+  });
+
+  it('fills positional placeholders, signing %+d', () => {
+    expect(fillPlaceholders('%s: %+d, %+d', ['Anna', 2, -1])).toBe('Anna: +2, -1');
+  });
+
+  it('keeps placeholders without a value', () => {
+    expect(fillPlaceholders('{player}: {score}', { player: 'Anna' })).toBe('Anna: {score}');
+    expect(fillPlaceholders('%s und %s', ['Anna'])).toBe('Anna und %s');
+  });
+});
+
+describe('createTranslator', () => {
+  it('defaults to German', () => {
+    const t = createTranslator(textsPath);
+    expect(t.locale).toBe('de');
+    expect(t('scoring.no_task')).toBe('keine Aufgabe');
+  });
+
+  it('falls back along the locale chain, then to the fallback and the key', () => {
+    expect(createTranslator(textsPath, 'de-AT')('scoring.no_task')).toBe('keine Aufgabe');
+    expect(createTranslator(textsPath, 'fr-CA')('scoring.no_task')).toBe('no task');
+    const t = createTranslator(textsPath, 'en');
+    expect(t('scoring.unknown', 'Fallback')).toBe('Fallback');
+    expect(t('scoring.unknown')).toBe('scoring.unknown');
+  });
+
+  it('chooses the plural category by count', () => {
+    const t = createTranslator(textsPath);
+    expect(t('scoring.points', { count: 1 })).toBe('1 Punkt');
+    expect(t('scoring.points', { count: 8 })).toBe('8 Punkte');
+    expect(createTranslator(textsPath, 'en')('scoring.points', { count: 0 })).toBe('0 points');
+  });
+
+  it('returns the fallback when texts.json cannot be loaded', () => {
+    const t = createTranslator(require('path').join(__dirname, 'fixtures', 'missing.json'));
+    expect(t('scoring.no_task', 'keine Aufgabe')).toBe('keine Aufgabe');
+  });
+});
+
+describe('Translator.withLocale', () => {
+  it('returns a translator of the same texts in another language', () => {
+    const de = createTranslator(textsPath);
+    const en = de.withLocale('en');
+    expect(en.locale).toBe('en');
+    expect(en('scoring.no_task')).toBe('no task');
+    expect(de('scoring.no_task')).toBe('keine Aufgabe');
+  });
+
+  it('returns the same translator for no locale or its own', () => {
+    const de = createTranslator(textsPath);
+    expect(de.withLocale(undefined)).toBe(de);
+    expect(de.withLocale('de')).toBe(de);
+  });
+
+  it('lets translators in different languages run side by side', () => {
+    const de = createTranslator(textsPath, 'de');
+    const en = createTranslator(textsPath, 'en');
+    expect(de('scoring.points', { count: 2 })).toBe('2 Punkte');
+    expect(en('scoring.points', { count: 2 })).toBe('2 points');
+    expect(de('scoring.points', { count: 1 })).toBe('1 Punkt');
+  });
+});
+
+describe('renderText', () => {
+  it('renders nested texts and chooses plurals by the parameters', () => {
+    const t = createTranslator(textsPath, 'en');
+    expect(renderText(t, { key: 'scoring.card_title', params: [{ key: 'scoring.points', params: { count: 1 } }] })).toBe('Card 1 point');
+  });
+
+  it('renders with a plain lookup function', () => {
+    const lookup = (key: string, fallback?: string) => (key === 'greeting' ? 'Hallo {name}' : fallback ?? key);
+    expect(renderText(lookup, { key: 'greeting', params: { name: 'Anna' } })).toBe('Hallo Anna');
+    expect(renderText(lookup, { key: 'other', fallback: '%s!', params: ['Anna'] })).toBe('Anna!');
+  });
+});
+
+describe('localisedDetail', () => {
+  it('returns the rendered reason and title with their keys and parameters', () => {
+    const t = createTranslator(textsPath, 'en');
+    expect(localisedDetail(t, { key: 'scoring.points', params: { count: 3 } }, { key: 'scoring.card_title', params: ['7'] })).toEqual({
+      reason: '3 points',
+      reasonKey: 'scoring.points',
+      params: { count: 3 },
+      title: 'Card 7',
+      titleKey: 'scoring.card_title',
+      titleParams: ['7'],
+    });
+  });
+
+  it('leaves out the title when there is none', () => {
+    expect(localisedDetail(createTranslator(textsPath), { key: 'scoring.no_task' })).toEqual({
+      reason: 'keine Aufgabe',
+      reasonKey: 'scoring.no_task',
+      params: [],
+    });
+  });
+});
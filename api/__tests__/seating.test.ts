@@ -0,0 +1,161 @@
+/**
+ * Seating: assigning cards on the table to players, by layout or by a
+ * seat calibration (seating.ts, and seatOfBox/attributeTrickCards of
+ * trick-utils.ts).
+ */
+
+export {};
+
+const {
+  assignSeats,
+  groupByPlayer,
+  calibrateSeats,
+  calibrateSeating,
+  seatOfBox,
+  attributeTrickCards,
+} = require('@boardgamebuddy/game-pack-api');
+
+/** A detected box centred at (cx, cy). */
+function at(cardId, cx, cy) {
+  return {
+    cardId,
+    similarity: 0.95,
+    x1: cx - 0.05,
+    y1: cy - 0.07,
+    x2: cx + 0.05,
+    y2: cy + 0.07,
+    cx,
+    cy,
+    w: 0.1,
+    h: 0.14,
+    confidence: 0.95,
+    angle: 0,
+    keypoints: null,
+  };
+}
+
+const ids = (groups) => groups.map(g => g.map(b => b.cardId).sort());
+
+/** Seat angles of four players: bottom, right, top and left of the image. */
+const FOUR_SEATS = [0, Math.PI / 2, Math.PI, 3 * Math.PI / 2];
+
+describe('groupByPlayer', () => {
+  it('gives every box to a single player', () => {
+    const boxes = [at('a:1', 0.1, 0.1), at('b:1', 0.9, 0.9)];
+    expect(groupByPlayer(boxes, 1)).toEqual([boxes]);
+  });
+
+  it('seats two players along the same side of the table', () => {
+    const seating = { type: 'twoSided', axis: 'horizontal', seatsPerSide: [2, 0] };
+    const boxes = [at('a:1', 0.15, 0.8), at('b:1', 0.7, 0.85), at('a:2', 0.3, 0.85), at('b:2', 0.85, 0.8)];
+    expect(ids(groupByPlayer(boxes, 2, seating))).toEqual([['a:1', 'a:2'], ['b:1', 'b:2']]);
+  });
+
+  it('numbers two-sided seats along the near side, then back along the far side', () => {
+    const seating = { type: 'twoSided', axis: 'vertical' };
+    const boxes = [at('a:1', 0.8, 0.8), at('b:1', 0.8, 0.2), at('c:1', 0.2, 0.2), at('d:1', 0.2, 0.8)];
+    expect(ids(groupByPlayer(boxes, 4, seating))).toEqual([['a:1'], ['b:1'], ['c:1'], ['d:1']]);
+  });
+
+  it('keeps a spread-out tableau together with calibrated zones', () => {
+    // Alice's cards reach round the table; the angular gaps split them
+    const alice = [at('a:1', 0.1, 0.85), at('a:2', 0.9, 0.85), at('a:3', 0.93, 0.55)];
+    const bob = [at('b:1', 0.45, 0.1), at('b:2', 0.55, 0.1)];
+    expect(ids(groupByPlayer([...alice, ...bob], 2))).toEqual([['a:1'], ['a:2', 'a:3', 'b:1', 'b:2']]);
+
+    const seating = calibrateSeating([at('x:1', 0.5, 0.85), at('x:2', 0.5, 0.15)], 2);
+    expect(ids(groupByPlayer([...alice, ...bob], 2, seating))).toEqual([ids([alice])[0], ids([bob])[0]]);
+  });
+
+  it('ignores a layout for another number of players', () => {
+    const boxes = [at('a:1', 0.5, 0.9), at('b:1', 0.5, 0.1)];
+    const seating = { type: 'zones', seats: [{ anchor: [0.5, 0.1] }, { anchor: [0.5, 0.9] }, { anchor: [0.1, 0.5] }] };
+    expect(ids(groupByPlayer(boxes, 2, seating))).toEqual(ids(groupByPlayer(boxes, 2)));
+  });
+});
+
+describe('assignSeats', () => {
+  it('reports how ambiguous each seat is', () => {
+    const seating = {
+      type: 'zones',
+      seats: [
+        { anchor: [0.5, 0.9], polygon: [[0, 0.6], [1, 0.6], [1, 1], [0, 1]] },
+        { anchor: [0.5, 0.1] },
+      ],
+    };
+    const [inZone, nearAnchor, between] = assignSeats(
+      [at('a:1', 0.1, 0.7), at('b:1', 0.5, 0.15), at('c:1', 0.5, 0.49)], 2, seating);
+    expect(inZone).toMatchObject({ seat: 0, ambiguity: 0 });
+    expect(nearAnchor.seat).toBe(1);
+    expect(nearAnchor.ambiguity).toBeCloseTo(0.05 / 0.75);
+    expect(between.seat).toBe(1);
+    expect(between.ambiguity).toBeGreaterThan(0.95);
+  });
+
+  it('ignores a layout for another number of players', () => {
+    const boxes = [at('a:1', 0.5, 0.9), at('b:1', 0.5, 0.1)];
+    const seating = { type: 'zones', seats: [{ anchor: [0.5, 0.1] }, { anchor: [0.5, 0.9] }, { anchor: [0.1, 0.5] }] };
+    expect(assignSeats(boxes, 2, seating).map(a => a.seat)).toEqual([0, 1]);
+  });
+});
+
+describe('calibrateSeats', () => {
+  it('measures the angle of every seat, from the bottom', () => {
+    const seats = calibrateSeats([at('a:1', 0.5, 0.1), at('b:1', 0.5, 0.9)], 2);
+    expect(seats).toHaveLength(2);
+    expect(seats[0]).toBeCloseTo(0);
+    expect(seats[1]).toBeCloseTo(Math.PI);
+  });
+
+  it('needs a card for every player', () => {
+    expect(calibrateSeats([at('a:1', 0.5, 0.9)], 2)).toBeNull();
+    expect(calibrateSeats([at('a:1', 0.5, 0.9)], 1)).toBeNull();
+  });
+});
+
+describe('calibrateSeating', () => {
+  it('anchors each seat where its player put a card', () => {
+    expect(calibrateSeating([at('x:1', 0.5, 0.85), at('x:2', 0.5, 0.15)], 2))
+      .toEqual({ type: 'zones', seats: [{ anchor: [0.5, 0.85] }, { anchor: [0.5, 0.15] }] });
+  });
+
+  it('needs a card for every player', () => {
+    expect(calibrateSeating([at('x:1', 0.5, 0.85)], 2)).toBeNull();
+  });
+});
+
+describe('seatOfBox', () => {
+  it('returns the seat a card lies in front of', () => {
+    expect(seatOfBox(at('a:1', 0.5, 0.9), FOUR_SEATS)).toBe(0);
+    expect(seatOfBox(at('a:1', 0.85, 0.45), FOUR_SEATS)).toBe(1);
+    expect(seatOfBox(at('a:1', 0.2, 0.5), FOUR_SEATS)).toBe(3);
+  });
+
+  it('returns null near the centre, between two seats and without seats', () => {
+    expect(seatOfBox(at('a:1', 0.52, 0.51), FOUR_SEATS)).toBeNull();
+    expect(seatOfBox(at('a:1', 0.8, 0.8), FOUR_SEATS)).toBeNull();
+    expect(seatOfBox(at('a:1', 0.5, 0.9), [])).toBeNull();
+  });
+});
+
+describe('attributeTrickCards', () => {
+  it('credits cards to the seat they lie in front of, in play order from the leader', () => {
+    const trick = attributeTrickCards([], [at('top', 0.5, 0.1), at('right', 0.9, 0.5)], 1, 4, FOUR_SEATS);
+    expect(trick).toEqual([[1, 'right'], [2, 'top']]);
+  });
+
+  it('falls back to arrival order without a calibration', () => {
+    const trick = attributeTrickCards([[2, 'x']], [at('a', 0.5, 0.9), at('b', 0.5, 0.1)], 2, 4, null);
+    expect(trick).toEqual([[2, 'x'], [3, 'a'], [0, 'b']]);
+  });
+
+  it('gives a card whose seat already played, or lies between seats, the next free seat', () => {
+    const trick = attributeTrickCards([[0, 'x']], [at('again', 0.5, 0.9), at('corner', 0.8, 0.8)], 0, 4, FOUR_SEATS);
+    expect(trick).toEqual([[0, 'x'], [1, 'again'], [2, 'corner']]);
+  });
+
+  it('ignores a calibration for another number of players and cards beyond one per player', () => {
+    const trick = attributeTrickCards([], [at('a', 0.5, 0.1), at('b', 0.5, 0.9), at('c', 0.9, 0.5)], 0, 2, FOUR_SEATS);
+    expect(trick).toEqual([[0, 'a'], [1, 'b']]);
+  });
+});
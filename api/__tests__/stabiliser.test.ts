@@ -0,0 +1,111 @@
+/**
+ * DetectionStabiliser: per-frame gating and deduplication, the debounce of
+ * new cards, holding cards through missed frames, track ids and the
+ * `cardCopies` cap.
+ */
+
+export {};
+
+const { DetectionStabiliser, filterDetections, DEFAULT_STABILISER_OPTIONS } = require('@boardgamebuddy/game-pack-api');
+
+/** A detected box centred at (cx, cy), read with the given similarity. */
+function at(cardId, cx, cy, similarity = 0.8) {
+  return {
+    cardId,
+    similarity,
+    x1: cx - 0.05,
+    y1: cy - 0.07,
+    x2: cx + 0.05,
+    y2: cy + 0.07,
+    cx,
+    cy,
+    w: 0.1,
+    h: 0.14,
+    confidence: 0.95,
+    angle: 0,
+    keypoints: null,
+  };
+}
+
+const ids = (boxes) => boxes.map(b => b.cardId);
+
+describe('filterDetections', () => {
+  it('drops boxes below the similarity or confidence threshold', () => {
+    const weak = { ...at('a:1', 0.2, 0.2), confidence: 0.3 };
+    expect(ids(filterDetections([at('a:1', 0.5, 0.5, 0.6), weak, at('b:1', 0.8, 0.8)], DEFAULT_STABILISER_OPTIONS))).toEqual(['b:1']);
+    expect(ids(filterDetections([at('a:1', 0.5, 0.5, 0.6)], DEFAULT_STABILISER_OPTIONS, 0.5))).toEqual(['a:1']);
+  });
+
+  it('keeps the best of overlapping boxes and at most cardCopies copies of a card', () => {
+    const boxes = [at('a:1', 0.5, 0.5, 0.8), at('a:1', 0.51, 0.5, 0.9), at('a:1', 0.1, 0.1, 0.85)];
+    expect(filterDetections(boxes, DEFAULT_STABILISER_OPTIONS)).toEqual([boxes[1], boxes[2]]);
+    expect(filterDetections(boxes, { ...DEFAULT_STABILISER_OPTIONS, cardCopies: 1 })).toEqual([boxes[1]]);
+  });
+});
+
+describe('DetectionStabiliser', () => {
+  it('reports a new card after minFrames frames, or at once when it is read with instantSimilarity', () => {
+    const stabiliser = new DetectionStabiliser();
+    expect(ids(stabiliser.update([at('a:1', 0.5, 0.5), at('b:1', 0.2, 0.2, 0.95)]))).toEqual(['b:1']);
+    expect(ids(stabiliser.update([at('a:1', 0.5, 0.5), at('b:1', 0.2, 0.2, 0.95)]))).toEqual(['a:1', 'b:1']);
+  });
+
+  it('does not report a card seen in fewer than minFrames consecutive frames', () => {
+    const stabiliser = new DetectionStabiliser({ minFrames: 3 });
+    stabiliser.update([at('a:1', 0.5, 0.5)]);
+    stabiliser.update([]);
+    stabiliser.update([at('a:1', 0.5, 0.5)]);
+    expect(stabiliser.update([at('a:1', 0.5, 0.5)])).toEqual([]);
+    expect(ids(stabiliser.update([at('a:1', 0.5, 0.5)]))).toEqual(['a:1']);
+  });
+
+  it('keeps the trackId of a card while it lies on the table, even as it moves a little', () => {
+    const stabiliser = new DetectionStabiliser({ minFrames: 1 });
+    const [a, b] = stabiliser.update([at('a:1', 0.5, 0.5), at('a:1', 0.2, 0.2)]);
+    expect(a.trackId).not.toBe(b.trackId);
+    // Reported in the order the cards first appeared, whatever the order of the frame
+    const [movedA, movedB] = stabiliser.update([at('a:1', 0.23, 0.2), at('a:1', 0.55, 0.5)]);
+    expect(movedA).toMatchObject({ trackId: a.trackId, cx: 0.55 });
+    expect(movedB).toMatchObject({ trackId: b.trackId, cx: 0.23 });
+  });
+
+  it('holds a card at its last position for maxMissedFrames frames, then drops it', () => {
+    const stabiliser = new DetectionStabiliser({ minFrames: 1, maxMissedFrames: 2 });
+    const [first] = stabiliser.update([at('a:1', 0.5, 0.5)]);
+    expect(stabiliser.update([])).toEqual([first]);
+    expect(stabiliser.update([])).toEqual([first]);
+    expect(stabiliser.update([])).toEqual([]);
+
+    const [again] = stabiliser.update([at('a:1', 0.5, 0.5)]);
+    expect(again.trackId).not.toBe(first.trackId);
+  });
+
+  it('starts no track for a card whose copies are all tracked', () => {
+    const stabiliser = new DetectionStabiliser({ minFrames: 1, maxMissedFrames: 2, cardCopies: 1 });
+    const [held] = stabiliser.update([at('a:1', 0.2, 0.2)]);
+    // Moved too far to continue the track: the held track is the only copy
+    expect(stabiliser.update([at('a:1', 0.8, 0.8)])).toEqual([held]);
+    expect(stabiliser.update([at('a:1', 0.8, 0.8)])).toEqual([held]);
+    const [moved] = stabiliser.update([at('a:1', 0.8, 0.8)]);
+    expect(moved).toMatchObject({ cx: 0.8 });
+    expect(moved.trackId).not.toBe(held.trackId);
+  });
+
+  it('tracks up to cardCopies copies of a card at once', () => {
+    const stabiliser = new DetectionStabiliser({ minFrames: 1, cardCopies: 2 });
+    const [held] = stabiliser.update([at('a:1', 0.2, 0.2)]);
+    // The held copy and one new one; a third starts no track
+    const boxes = stabiliser.update([at('a:1', 0.5, 0.5), at('a:1', 0.8, 0.8, 0.75)]);
+    expect(boxes.map(b => b.cx)).toEqual([0.2, 0.5]);
+    expect(boxes[0].trackId).toBe(held.trackId);
+  });
+
+  it('forgets every card on reset and one card on forget', () => {
+    const stabiliser = new DetectionStabiliser({ minFrames: 1 });
+    stabiliser.update([at('a:1', 0.5, 0.5), at('b:1', 0.2, 0.2)]);
+    stabiliser.forget('a:1');
+    expect(ids(stabiliser.update([]))).toEqual(['b:1']);
+    stabiliser.reset();
+    expect(stabiliser.update([])).toEqual([]);
+  });
+});
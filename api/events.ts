@@ -0,0 +1,105 @@
+/**
+ * Pack-declared live events and the prompts that complete them.
+ *
+ * A pack lists its own LiveEvents in game.json (`liveTracking.events`, see
+ * CustomEventDeclaration). validateEventData() checks the data of such an
+ * event against its fields; a pack that is missing a field asks for it with
+ * a promptChoice or promptNumber action, and the host turns the user's answer
+ * back into the event with answerPrompt().
+ */
+
+import type { BuiltInEventType, CustomEventDeclaration, EventField, FlutterAction, LiveEvent } from './types';
+
+/** Every BuiltInEventType; a custom event must not reuse one. */
+export const BUILT_IN_EVENT_TYPES: readonly BuiltInEventType[] = [
+  'gameStarted',
+  'bidPlaced',
+  'announcementMade',
+  'gameTypeAnnounced',
+  'roundEnded',
+  'undoLastTrick',
+  'reassignTrickCard',
+  'correctBid',
+  'replaceCard',
+];
+
+export function isBuiltInEvent(type: string): type is BuiltInEventType {
+  return (BUILT_IN_EVENT_TYPES as readonly string[]).includes(type);
+}
+
+/** A field validateEventData() rejected. */
+export interface EventFieldError {
+  /** EventField.id */
+  field: string;
+  message: string;
+}
+
+/** What validateEventData() checks fields against, besides the declaration. */
+export interface EventCheckOptions {
+  playerCount: number;
+  /** The pack's labels.txt; card fields accept any card id without it. */
+  cardIds?: string[];
+}
+
+/** Why a field value does not fit its field, or null when it does. */
+function checkField(field: EventField, value: unknown, options: EventCheckOptions): string | null {
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'expected a number';
+      if (field.integer && !Number.isInteger(value)) return 'expected a whole number';
+      if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+      return null;
+    case 'toggle':
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    case 'choice':
+      if (typeof value !== 'string') return 'expected one option';
+      return field.options.includes(value) ? null : `unknown option "${value}"`;
+    case 'player':
+      return Number.isInteger(value) && (value as number) >= 0 && (value as number) < options.playerCount
+        ? null
+        : 'expected a player index';
+    case 'card':
+      if (typeof value !== 'string' || !value) return 'expected a card id';
+      if (options.cardIds && !options.cardIds.includes(value)) return `unknown card "${value}"`;
+      return !field.kinds || field.kinds.includes(value.split(':')[0]) ? null : `unknown card "${value}"`;
+    case 'text':
+      return typeof value === 'string' ? null : 'expected a text';
+  }
+}
+
+/**
+ * Checks the data of a custom event against its declaration: every field
+ * that is not `optional` is present, and every value fits its field.
+ *
+ * @returns Every rejected field; empty when the data is complete and valid.
+ */
+export function validateEventData(
+  declaration: CustomEventDeclaration,
+  data: Record<string, unknown>,
+  options: EventCheckOptions,
+): EventFieldError[] {
+  const errors: EventFieldError[] = [];
+  const fields = declaration.fields ?? [];
+  for (const field of fields) {
+    const value = data[field.id];
+    if (value === undefined) {
+      if (!field.optional) errors.push({ field: field.id, message: 'is missing' });
+      continue;
+    }
+    const message = checkField(field, value, options);
+    if (message) errors.push({ field: field.id, message });
+  }
+  for (const id of Object.keys(data)) {
+    if (!fields.some(f => f.id === id)) errors.push({ field: id, message: 'is not a declared field' });
+  }
+  return errors;
+}
+
+/** The event a host fires when the user answers a promptChoice or promptNumber with `value`. */
+export function answerPrompt(
+  prompt: Extract<FlutterAction, { type: 'promptChoice' | 'promptNumber' }>,
+  value: string | number | boolean,
+): LiveEvent {
+  return { type: prompt.event.type, data: { ...prompt.event.data, [prompt.field]: value } };
+}
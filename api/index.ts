@@ -1,17 +1,51 @@
 export type {
   AdditionalInput,
+  StepperInput,
+  NumberInput,
+  ToggleInput,
+  ChoiceInput,
+  PlayerPickerInput,
+  CardPickerInput,
+  InputValue,
+  InputValues,
   DetectedCard,
   DetectedBox,
   PlayerInput,
   ScorerContext,
+  SeatPoint,
+  SeatingLayout,
+  CircleSeating,
+  TwoSidedSeating,
+  ZoneSeating,
+  SeatZone,
   CardScoreDetail,
+  LocalisedText,
+  TextParam,
+  TextParams,
   PlayerScoreResult,
+  PlayerRanking,
   LiveEvent,
+  BuiltInEventType,
+  CustomEventDeclaration,
+  EventField,
+  NumberField,
+  ToggleField,
+  ChoiceField,
+  PlayerField,
+  CardField,
+  TextField,
+  PromptOption,
   FlutterAction,
   LiveHudItem,
   LiveGameState,
   GameState,
   GamePack,
+  GameOptions,
+  GameSnapshot,
+  RecordedStep,
+  SessionRecording,
+  SheetGame,
+  ScoreSheet,
 } from './types';
 
 export type { BoxLike } from './spatial-utils';
@@ -23,4 +57,44 @@ export {
   parseCardId,
 } from './spatial-utils';
 
-export { groupByPlayer, createTranslator } from './scorer-utils';
+export type { Translator, TextValues } from './scorer-utils';
+export {
+  boxAngle,
+  circDist,
+  createTranslator,
+  localeChain,
+  pluralCategory,
+  fillPlaceholders,
+  PLURAL_CATEGORIES,
+  renderText,
+  localisedDetail,
+} from './scorer-utils';
+
+export type { SeatAssignment } from './seating';
+export { DEFAULT_SEATING, assignSeats, groupByPlayer, calibrateSeats, calibrateSeating } from './seating';
+
+export type { CardFilter, RuleScoring, ScoreRule, RuleCard, RuleOptions, RuleResult } from './rules';
+export { scoreTableau, scoreCard, matchesFilter } from './rules';
+
+export type { RankingKey, RankingOptions } from './ranking';
+export { compareByKeys, rankPlayers } from './ranking';
+
+export type { PlayedTrick, RuleViolation } from './trick-utils';
+export { seatTrickCards, reseatTricks, moveTrickCard, findTrickWithCard, seatOfBox, attributeTrickCards, findRevokes, findDuplicateCards } from './trick-utils';
+
+export type { InputError, InputCheckOptions } from './inputs';
+export { defaultInputValue, inputDefaults, validateInputs } from './inputs';
+
+export type { EventFieldError, EventCheckOptions } from './events';
+export { BUILT_IN_EVENT_TYPES, isBuiltInEvent, validateEventData, answerPrompt } from './events';
+
+export { RECORDING_VERSION, replayRecording } from './replay';
+
+export type { SheetPlayerStats, HeadToHead, SheetStats } from './score-sheet';
+export { SCORE_SHEET_VERSION, createScoreSheet, addSheetGame, sheetStats, exportScoreSheet, parseScoreSheet } from './score-sheet';
+
+export type { StabiliserOptions, StableBox } from './stabiliser';
+export { DEFAULT_STABILISER_OPTIONS, DetectionStabiliser, stabiliserOptions, filterDetections, boxIou } from './stabiliser';
+
+export type { SnapshotMigrations } from './snapshot';
+export { migrateSnapshot, isGameSnapshot } from './snapshot';
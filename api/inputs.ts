@@ -0,0 +1,144 @@
+/**
+ * Additional inputs: values a pack needs from the user besides the cards,
+ * e.g. Mischwald's cave cards or who ended the game.
+ *
+ * A pack exports its AdditionalInput declarations as `inputs`. The host
+ * starts its form with inputDefaults(), checks what the user entered with
+ * validateInputs() and sends the values as ScorerContext.additionalInputs.
+ */
+
+import type { AdditionalInput, InputValue, InputValues } from './types';
+
+/** A value validateInputs() rejected. */
+export interface InputError {
+  /** AdditionalInput.id */
+  id: string;
+  /** The player whose value it is, for perPlayer inputs. */
+  player?: string;
+  message: string;
+}
+
+/** What validateInputs() checks values against, besides the declarations. */
+export interface InputCheckOptions {
+  players: string[];
+  /** The pack's labels.txt; card pickers accept any card id without it. */
+  cardIds?: string[];
+}
+
+/**
+ * The value an input starts with: its `default`, else `min` (or 0) for
+ * numbers, `false` for a toggle, the first option of a single choice, and
+ * nothing picked otherwise.
+ */
+export function defaultInputValue(input: AdditionalInput): InputValue {
+  switch (input.type) {
+    case 'stepper':
+    case 'number':
+      return input.default ?? input.min ?? 0;
+    case 'toggle':
+      return input.default ?? false;
+    case 'choice':
+      return input.default ?? (input.multiple ? [] : input.options[0]?.value ?? '');
+    case 'player':
+      return input.multiple ? [] : '';
+    case 'card':
+      return input.default ?? (input.multiple ? [] : '');
+  }
+}
+
+/** The values of every input before the user changed any, for the given players. */
+export function inputDefaults(inputs: AdditionalInput[], players: string[]): InputValues {
+  const values: InputValues = {};
+  for (const input of inputs) {
+    const value = defaultInputValue(input);
+    values[input.id] = input.perPlayer
+      ? Object.fromEntries(players.map(p => [p, Array.isArray(value) ? [...value] : value]))
+      : value;
+  }
+  return values;
+}
+
+function isPerPlayerValue(value: InputValue | Record<string, InputValue>): value is Record<string, InputValue> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isMultipleOf(value: number, step: number, from: number): boolean {
+  const n = (value - from) / step;
+  return Math.abs(n - Math.round(n)) < 1e-9;
+}
+
+/** Why a single value does not fit its input, or null when it does. */
+function checkValue(input: AdditionalInput, value: InputValue, options: InputCheckOptions): string | null {
+  // Choices, players and cards: one id, or a list of ids with `multiple`
+  const multiple = 'multiple' in input && input.multiple === true;
+  const picks = (allowed: (v: string) => boolean, what: string): string | null => {
+    const list: unknown = multiple ? value : [value];
+    if (!Array.isArray(list) || !list.every((v): v is string => typeof v === 'string')) {
+      return multiple ? `expected a list of ${what}s` : `expected one ${what}`;
+    }
+    if (new Set(list).size !== list.length) return 'lists the same value twice';
+    const unknown = list.find(v => v !== '' && !allowed(v));
+    return unknown !== undefined ? `unknown ${what} "${unknown}"` : null;
+  };
+
+  switch (input.type) {
+    case 'stepper':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'expected a number';
+      if (input.min !== undefined && value < input.min) return `must be at least ${input.min}`;
+      if (input.max !== undefined && value > input.max) return `must be at most ${input.max}`;
+      const step = input.type === 'stepper' ? 1 : input.step;
+      if (step !== undefined && !isMultipleOf(value, step, input.min ?? 0)) return `must be a multiple of ${step}`;
+      return null;
+    }
+    case 'toggle':
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    case 'choice':
+      return picks(v => input.options.some(o => o.value === v), 'option');
+    case 'player':
+      return picks(v => options.players.includes(v), 'player');
+    case 'card':
+      return picks(v => {
+        if (options.cardIds && !options.cardIds.includes(v)) return false;
+        return !input.kinds || input.kinds.includes(v.split(':')[0]);
+      }, 'card');
+  }
+}
+
+/**
+ * Checks user-entered values against the pack's input declarations.
+ * Inputs without a value are fine (they take their default); values of
+ * undeclared inputs or unknown players are not.
+ *
+ * @returns Every rejected value; empty when all values are valid.
+ */
+export function validateInputs(
+  inputs: AdditionalInput[],
+  values: InputValues | undefined,
+  options: InputCheckOptions,
+): InputError[] {
+  const errors: InputError[] = [];
+  for (const [id, value] of Object.entries(values ?? {})) {
+    const input = inputs.find(i => i.id === id);
+    if (!input) {
+      errors.push({ id, message: 'is not a declared input' });
+      continue;
+    }
+    if (!input.perPlayer) {
+      const message = isPerPlayerValue(value) ? 'expected a single value' : checkValue(input, value, options);
+      if (message) errors.push({ id, message });
+      continue;
+    }
+    if (!isPerPlayerValue(value)) {
+      errors.push({ id, message: 'expected a value per player' });
+      continue;
+    }
+    for (const [player, playerValue] of Object.entries(value)) {
+      const message = options.players.includes(player)
+        ? checkValue(input, playerValue, options)
+        : 'is not a player of this game';
+      if (message) errors.push({ id, player, message });
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,92 @@
+/**
+ * Final ranking: the players' places by score, ties broken by the game's
+ * tie-breakers, with an explanation of every place.
+ *
+ * Explanations are LocalisedTexts of the `ranking.*` keys of the pack's
+ * texts.json, rendered with the pack's translator; the German defaults
+ * below apply for missing keys.
+ */
+
+import type { LocalisedText, PlayerRanking, PlayerScoreResult } from './types';
+import { renderText } from './scorer-utils';
+import type { TextValues } from './scorer-utils';
+
+/** One criterion of an ordering; see compareByKeys(). */
+export interface RankingKey<T> {
+  /** Names the criterion in explanations, e.g. `{ key: 'ranking.region_sum' }`. */
+  label: LocalisedText;
+  value: (entry: T) => number;
+  /** The lower value ranks first (default: the higher). */
+  lowerWins?: boolean;
+}
+
+/**
+ * A comparator ordering entries by the first key, entries equal on it by
+ * the second key, and so on. Entries equal on every key compare as 0.
+ */
+export function compareByKeys<T>(keys: RankingKey<T>[]): (a: T, b: T) => number {
+  return (a, b) => {
+    for (const key of keys) {
+      const d = key.value(b) - key.value(a);
+      if (d !== 0) return key.lowerWins ? -d : d;
+    }
+    return 0;
+  };
+}
+
+export interface RankingOptions {
+  /** Translator the explanations are rendered with. */
+  t: (key: string, fallback?: string, values?: TextValues) => string;
+  /** The game's tie-breakers for players with the same score, in order. */
+  tieBreakers?: RankingKey<PlayerScoreResult>[];
+}
+
+const DEFAULT_TEXTS: Record<string, string> = {
+  'ranking.score': 'Platz {place} mit {count} Punkten',
+  'ranking.tie_broken': 'Platz {place}: Gleichstand mit {count} Punkten, entschieden durch {tieBreaker} ({value})',
+  'ranking.shared': 'Platz {place}, geteilt: Gleichstand mit {count} Punkten',
+};
+
+function text(key: string, params: Record<string, string | number | LocalisedText>): LocalisedText {
+  return { key, params, fallback: DEFAULT_TEXTS[key] };
+}
+
+/**
+ * Ranks players by `totalScore`, breaking ties with `tieBreakers`. Players
+ * level on score and every tie-breaker share a place, and the next place
+ * is skipped (1, 1, 3).
+ *
+ * @returns One PlayerRanking per player, best first; players sharing a place
+ *          keep the order of `players`.
+ */
+export function rankPlayers(players: PlayerScoreResult[], options: RankingOptions): PlayerRanking[] {
+  const tieBreakers = options.tieBreakers ?? [];
+  const score: RankingKey<PlayerScoreResult> = { label: { key: 'ranking.score' }, value: p => p.totalScore };
+  const compare = compareByKeys([score, ...tieBreakers]);
+  const sorted = [...players].sort(compare);
+
+  return sorted.map(player => {
+    const place = 1 + sorted.filter(other => compare(other, player) < 0).length;
+    // The first tie-breaker that sets the player apart from someone level with them so far
+    let level = sorted.filter(other => other !== player && other.totalScore === player.totalScore);
+    const params = { place, count: player.totalScore };
+    for (const key of tieBreakers) {
+      if (level.length === 0) break;
+      const value = key.value(player);
+      if (level.some(other => key.value(other) !== value)) {
+        const explanation = text('ranking.tie_broken', { ...params, tieBreaker: key.label, value });
+        return { name: player.name, place, tieBreak: value, ...rendered(options.t, explanation) };
+      }
+      level = level.filter(other => key.value(other) === value);
+    }
+    const explanation = text(level.length > 0 ? 'ranking.shared' : 'ranking.score', params);
+    return { name: player.name, place, ...rendered(options.t, explanation) };
+  });
+}
+
+function rendered(
+  t: RankingOptions['t'],
+  explanation: LocalisedText,
+): Pick<PlayerRanking, 'explanation' | 'explanationKey' | 'explanationParams'> {
+  return { explanation: renderText(t, explanation), explanationKey: explanation.key, explanationParams: explanation.params };
+}
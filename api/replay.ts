@@ -0,0 +1,32 @@
+/**
+ * Replay of recorded sessions (see SessionRecording).
+ * Feeds the recorded frames and events into a game instance in order.
+ */
+
+import type { GamePack, GameState, ScorerContext, SessionRecording } from './types';
+
+/** SessionRecording format version written by the Playground. */
+export const RECORDING_VERSION = 1;
+
+/**
+ * Replays a recording against a game instance.
+ * @returns The GameState emitted by each step, in step order.
+ * @throws If the recording has an unsupported version, or contains events
+ *         but the game has no processEvent().
+ */
+export function replayRecording(game: GamePack, recording: SessionRecording): GameState[] {
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${recording.version} (expected ${RECORDING_VERSION})`);
+  }
+  const context: ScorerContext = {
+    players: recording.players,
+    similarityThreshold: recording.similarityThreshold ?? 0.7,
+  };
+  return recording.steps.map((step, i) => {
+    if ('event' in step) {
+      if (!game.processEvent) throw new Error(`Step ${i}: game has no processEvent() for "${step.event.type}"`);
+      return game.processEvent(step.event);
+    }
+    return game.processCards(step.cards, context);
+  });
+}
@@ -0,0 +1,369 @@
+/**
+ * Declarative card scoring rules for tableau games.
+ *
+ * A pack describes how each card scores as a ScoreRule (usually straight
+ * from its cards.json) and hands the engine one RuleCard per card on the
+ * table; scoreTableau() evaluates every card's rule and explains the result.
+ *
+ * A rule counts the cards within its `scope` that match its `count` filter
+ * (all of them without a filter; with `count.symbol` the symbols on them),
+ * and turns that count into points:
+ * - `fixed`    — `points` once; with a `count` filter only if at least `min` (default 1) cards match;
+ * - `perMatch` — `points` per match;
+ * - `perSet`   — `points` per complete set of one card of every tag in `count.tags`;
+ * - `table`    — `table[n - 1]` for n matches (the first entry for n ≤ 1, the last one beyond the table).
+ *
+ * Modifiers:
+ * - `min`      — fewer matches than this score nothing;
+ * - `unique`   — count distinct card names (jokers excluded); a `table` rule
+ *                splits its matches into sets of distinct names and scores the set of its card;
+ * - `most`     — matches only count for the player(s) with the most matching cards in their tableau;
+ * - `requires` — minimum symbols within the scope, e.g. `{ stone: 2 }`;
+ * - `when`     — a named condition provided by the pack.
+ *
+ * Scopes: `tableau` (all of the player's cards) is the default; a pack adds
+ * its own spatial scopes, e.g. `sameTree` in Mischwald or `revealed` in Faraway.
+ *
+ * Explanations are LocalisedTexts of the `rules.*` keys of the pack's
+ * texts.json, rendered with the pack's translator; the German defaults
+ * below apply for missing keys.
+ */
+
+import type { LocalisedText, TextParam } from './types';
+import { renderText } from './scorer-utils';
+import type { TextValues } from './scorer-utils';
+
+/** Which cards a rule counts. All given criteria must hold. */
+export interface CardFilter {
+  /** Card names (RuleCard.id); any of them. */
+  name?: string[];
+  /** Tags; any of them. */
+  tags?: string[];
+  /** Card type; jokers of this type match as well. */
+  type?: string;
+  /** Count this symbol on the matching cards instead of the cards. */
+  symbol?: string;
+  /** Only cards that share a symbol with the scoring card. */
+  sameSymbol?: boolean;
+}
+
+export type RuleScoring = 'fixed' | 'perMatch' | 'perSet' | 'table';
+
+/** How a card scores. */
+export interface ScoreRule {
+  scoring: RuleScoring;
+  /** Points of a `fixed` rule; points per match or set of a `perMatch` or `perSet` rule. */
+  points?: number;
+  /** Points of a `table` rule by number of matches. */
+  table?: number[];
+  /** What the rule counts; a `fixed` rule without one always scores. */
+  count?: CardFilter;
+  /** The cards the rule looks at (default `tableau`). */
+  scope?: string;
+  min?: number;
+  unique?: boolean;
+  most?: boolean;
+  requires?: Record<string, number>;
+  when?: string;
+}
+
+/** A card as the rule engine sees it. */
+export interface RuleCard {
+  /** Card name, matched by `name` filters. */
+  id: string;
+  tags?: string[];
+  type?: string;
+  /** The card also counts as a card of this type (but not for `unique` and `most`). */
+  joker?: string;
+  /** Symbol counts, e.g. `{ stone: 1, hints: 2 }`. */
+  symbols?: Record<string, number>;
+  /** The card's scoring rule; cards without one are not scored. */
+  rule?: ScoreRule | null;
+}
+
+export interface RuleOptions<C extends RuleCard> {
+  /** The pack's translator (see createTranslator). */
+  t: (key: string, fallback?: string, values?: TextValues) => string;
+  /** Display name of a card name, tag, type or symbol in explanations (default: as is). */
+  label?: (value: string) => TextParam;
+  /** Pack scopes: the cards a rule with that `scope` looks at. */
+  scopes?: Record<string, (card: C) => C[]>;
+  /** Pack conditions for `when`. */
+  conditions?: Record<string, (card: C) => boolean>;
+  /** Every player's tableau, for `most`; by default the tableau is compared with itself. */
+  tableaux?: C[][];
+}
+
+export interface RuleResult<C extends RuleCard = RuleCard> {
+  points: number;
+  /** Matches the points were computed from (0 when a condition failed). */
+  matches: number;
+  /** The explanation, rendered with the pack's translator. */
+  reason: string;
+  /** The explanation as texts.json keys and parameters. */
+  text: LocalisedText;
+  /** The cards the matches were counted from. */
+  cards: C[];
+}
+
+/** State shared by the rules of one tableau: the sets of `unique` tables. */
+interface Evaluation<C> {
+  sets: Map<C, Set<string>>;
+}
+
+function sharesSymbol(a: RuleCard, b: RuleCard): boolean {
+  return Object.keys(b.symbols ?? {}).some(symbol => (a.symbols?.[symbol] ?? 0) > 0);
+}
+
+/**
+ * Whether `card` passes `filter` as seen from the scoring card `self`.
+ * Jokers of the filter's type match unless `jokers` is false.
+ */
+export function matchesFilter(card: RuleCard, filter: CardFilter, self: RuleCard, jokers = true): boolean {
+  if (jokers && filter.type !== undefined && card.joker === filter.type) return true;
+  if (filter.name && !filter.name.includes(card.id)) return false;
+  if (filter.tags && !filter.tags.some(tag => card.tags?.includes(tag))) return false;
+  if (filter.type !== undefined && card.type !== filter.type) return false;
+  if (filter.sameSymbol && !sharesSymbol(card, self)) return false;
+  return true;
+}
+
+/** Counts `matching` cards, their symbol or their distinct names. */
+function tally(matching: RuleCard[], filter: CardFilter, unique: boolean): number {
+  if (filter.symbol !== undefined) {
+    const symbol = filter.symbol;
+    return matching.reduce((sum, card) => sum + (card.symbols?.[symbol] ?? 0), 0);
+  }
+  if (unique) return new Set(matching.filter(card => !card.joker).map(card => card.id)).size;
+  return matching.length;
+}
+
+/** Complete sets of one card of every tag. */
+function countSets(pool: RuleCard[], tags: string[]): number {
+  if (tags.length === 0) return 0;
+  return Math.min(...tags.map(tag => pool.filter(card => card.tags?.includes(tag)).length));
+}
+
+/**
+ * Splits the matches of a `unique` table into sets of distinct names, once
+ * for all cards involved, and returns the size of `self`'s set.
+ */
+function uniqueSetSize<C extends RuleCard>(self: C, matching: C[], evaluation: Evaluation<C>): number {
+  if (!evaluation.sets.has(self)) {
+    const sets: Set<string>[] = [new Set()];
+    evaluation.sets.set(self, sets[0]);
+    for (const card of matching) {
+      let set = sets.find(s => !s.has(card.id));
+      if (!set) {
+        set = new Set();
+        sets.push(set);
+      }
+      evaluation.sets.set(card, set);
+      set.add(card.id);
+    }
+  }
+  return evaluation.sets.get(self)!.size;
+}
+
+/** Whether the player of `tableau` has the most cards matching a `most` rule of `self`. */
+function hasMost<C extends RuleCard>(self: C, rule: ScoreRule, tableau: C[], options: RuleOptions<C>): boolean {
+  const filter = rule.count ?? {};
+  const countIn = (cards: C[]) =>
+    tally(cards.filter(card => matchesFilter(card, filter, self, false)), filter, rule.unique === true);
+  const own = countIn(tableau);
+  const max = Math.max(own, ...(options.tableaux ?? []).map(countIn));
+  return max > 0 && own === max;
+}
+
+function tableEntry(table: number[], matches: number): number {
+  if (table.length === 0) return 0;
+  return table[Math.max(0, Math.min(table.length - 1, matches - 1))];
+}
+
+// ---------------------------------------------------------------------------
+// Explanations
+// ---------------------------------------------------------------------------
+
+/** Texts of the `rules.*` keys a pack's texts.json does not have. */
+const DEFAULT_TEXTS: Record<string, string> = {
+  'rules.alternatives': '%s oder %s',
+  'rules.list': '%s, %s',
+  'rules.set_list': '%s/%s',
+  'rules.detail': '%s (%s)',
+  'rules.cards': 'Karten',
+  'rules.unique': 'verschiedene',
+  'rules.same_symbol': 'gleiches Symbol',
+  'rules.most': 'meiste',
+  'rules.condition_not_met': 'Bedingung nicht erfüllt',
+  'rules.not_met': 'Bedingung nicht erfüllt: %s',
+  'rules.not_most': 'nicht die meisten %s',
+  'rules.min': '%d × %s, mind. %d',
+  'rules.fixed': 'feste %d Punkte',
+  'rules.matches': '%d × %s',
+  'rules.per_match': '%d pro %s × %d',
+  'rules.per_set': '%d pro Set (%s) × %d',
+  'rules.table': 'Tabelle: %d × %s',
+};
+
+/** Gives every text without a fallback its default, so a pack's texts.json may omit `rules.*` keys. */
+function withDefaults(text: LocalisedText): LocalisedText {
+  const params = Array.isArray(text.params)
+    ? text.params.map(param => (typeof param === 'object' ? withDefaults(param) : param))
+    : text.params;
+  return { ...text, params, fallback: text.fallback ?? DEFAULT_TEXTS[text.key] };
+}
+
+function text(key: string, ...params: TextParam[]): LocalisedText {
+  return params.length > 0 ? { key, params } : { key };
+}
+
+/** Joins texts pairwise with a two-placeholder key, e.g. "A oder B oder C". */
+function joinTexts(key: string, parts: TextParam[]): TextParam {
+  return parts.reduce((joined, part) => text(key, joined, part));
+}
+
+/** What a rule counts, e.g. "Bat", and the same with its qualifiers, e.g. "Bat (verschiedene, im selben Baum)". */
+function describeTarget<C extends RuleCard>(rule: ScoreRule, options: RuleOptions<C>): { target: TextParam; qualified: TextParam } {
+  const label = options.label ?? ((value: string): TextParam => value);
+  const filter = rule.count ?? {};
+  let values = filter.symbol !== undefined ? [filter.symbol] : [...(filter.name ?? []), ...(filter.tags ?? [])];
+  if (values.length === 0 && filter.type !== undefined) values = [filter.type];
+  const target = values.length > 0 ? joinTexts('rules.alternatives', values.map(label)) : text('rules.cards');
+
+  const qualifiers: TextParam[] = [];
+  if (rule.unique) qualifiers.push(text('rules.unique'));
+  if (filter.sameSymbol) qualifiers.push(text('rules.same_symbol'));
+  // Packs name only the scopes worth mentioning
+  if (rule.scope && rule.scope !== 'tableau' && options.t(`rules.scope_${rule.scope}`, '')) {
+    qualifiers.push(text(`rules.scope_${rule.scope}`));
+  }
+  if (rule.most) qualifiers.push(text('rules.most'));
+  return {
+    target,
+    qualified: qualifiers.length > 0 ? text('rules.detail', target, joinTexts('rules.list', qualifiers)) : target,
+  };
+}
+
+function notMet(detail?: TextParam): LocalisedText {
+  return detail !== undefined ? text('rules.not_met', detail) : text('rules.condition_not_met');
+}
+
+function whenText(when: string): LocalisedText {
+  return { key: `rules.when_${when}`, fallback: when };
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function scoreRule<C extends RuleCard>(
+  card: C,
+  rule: ScoreRule,
+  tableau: C[],
+  options: RuleOptions<C>,
+  evaluation: Evaluation<C>,
+): RuleResult<C> {
+  const result = (points: number, matches: number, explanation: LocalisedText, cards: C[]): RuleResult<C> => ({
+    points,
+    matches,
+    reason: renderText(options.t, withDefaults(explanation)),
+    text: explanation,
+    cards,
+  });
+  const scope = rule.scope ?? 'tableau';
+  const pool = scope === 'tableau' ? tableau : (options.scopes?.[scope]?.(card) ?? []);
+
+  for (const [symbol, min] of Object.entries(rule.requires ?? {})) {
+    const have = pool.reduce((sum, c) => sum + (c.symbols?.[symbol] ?? 0), 0);
+    if (have < min) return result(0, 0, notMet(), []);
+  }
+  if (rule.when !== undefined && !(options.conditions?.[rule.when]?.(card) ?? false)) {
+    return result(0, 0, notMet(whenText(rule.when)), []);
+  }
+
+  if (rule.scoring === 'fixed' && !rule.count) {
+    const points = rule.points ?? 0;
+    const fixed = text('rules.fixed', points);
+    return result(points, 0, rule.when !== undefined ? text('rules.detail', fixed, whenText(rule.when)) : fixed, []);
+  }
+
+  const { target, qualified } = describeTarget(rule, options);
+  const filter = rule.count ?? {};
+  let matches = 0;
+  let counted: C[] = [];
+  let most = true;
+  if (rule.most && !hasMost(card, rule, tableau, options)) {
+    most = false;
+  } else if (rule.scoring === 'perSet') {
+    const tags = filter.tags ?? [];
+    matches = countSets(pool, tags);
+    counted = pool.filter(c => tags.some(tag => c.tags?.includes(tag)));
+  } else {
+    const matching = pool.filter(c => matchesFilter(c, filter, card));
+    const symbol = filter.symbol;
+    if (rule.unique && rule.scoring === 'table' && symbol === undefined) {
+      matches = uniqueSetSize(card, matching, evaluation);
+      counted = matching.filter(c => evaluation.sets.get(c) === evaluation.sets.get(card));
+    } else {
+      matches = tally(matching, filter, rule.unique === true);
+      counted = symbol !== undefined ? matching.filter(c => (c.symbols?.[symbol] ?? 0) > 0) : matching;
+    }
+  }
+
+  const minimum = rule.min ?? (rule.scoring === 'fixed' ? 1 : 0);
+  const notMost = text('rules.not_most', target);
+  if (matches < minimum) {
+    return result(0, 0, notMet(most ? text('rules.min', matches, qualified, minimum) : notMost), []);
+  }
+
+  const scored = applyScoring(rule, matches, qualified, options);
+  // Without the most matches, a table still scores its first entry
+  return most ? result(scored.points, matches, scored.text, counted) : result(scored.points, matches, notMet(notMost), []);
+}
+
+function applyScoring<C extends RuleCard>(
+  rule: ScoreRule,
+  matches: number,
+  target: TextParam,
+  options: RuleOptions<C>,
+): { points: number; text: LocalisedText } {
+  switch (rule.scoring) {
+    case 'fixed': {
+      const points = rule.points ?? 0;
+      return { points, text: text('rules.detail', text('rules.fixed', points), text('rules.matches', matches, target)) };
+    }
+    case 'perMatch': {
+      const per = rule.points ?? 0;
+      return { points: per * matches, text: text('rules.per_match', per, target, matches) };
+    }
+    case 'perSet': {
+      const per = rule.points ?? 0;
+      const label = options.label ?? ((value: string): TextParam => value);
+      const tags = (rule.count?.tags ?? []).map(label);
+      const set = tags.length > 0 ? joinTexts('rules.set_list', tags) : '';
+      return { points: per * matches, text: text('rules.per_set', per, set, matches) };
+    }
+    case 'table':
+      return { points: tableEntry(rule.table ?? [], matches), text: text('rules.table', matches, target) };
+  }
+}
+
+/**
+ * Scores every card of a tableau by its rule, in tableau order.
+ *
+ * @param tableau  The player's cards; their order decides how `unique`
+ *                 tables are split into sets.
+ * @returns Per card its result, or null for cards without a rule.
+ */
+export function scoreTableau<C extends RuleCard>(tableau: C[], options: RuleOptions<C>): (RuleResult<C> | null)[] {
+  const evaluation: Evaluation<C> = { sets: new Map() };
+  return tableau.map(card => card.rule ? scoreRule(card, card.rule, tableau, options, evaluation) : null);
+}
+
+/**
+ * Scores a single card by its rule.
+ * @returns The result, or null when the card has no rule.
+ */
+export function scoreCard<C extends RuleCard>(card: C, tableau: C[], options: RuleOptions<C>): RuleResult<C> | null {
+  return card.rule ? scoreRule(card, card.rule, tableau, options, { sets: new Map() }) : null;
+}
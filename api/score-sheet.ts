@@ -0,0 +1,160 @@
+/**
+ * Score sheets: photo-mode games collected over an evening or a league.
+ *
+ * A photo pack scores one table per processCards() call and keeps nothing.
+ * The host adds each finished game to a ScoreSheet with addSheetGame(),
+ * reads running totals, best and average scores and head-to-head records
+ * with sheetStats(), and saves the sheet with exportScoreSheet().
+ */
+
+import type { DetectedBox, GameState, InputValues, ScoreSheet, SheetGame } from './types';
+
+/** ScoreSheet format version written by exportScoreSheet(). */
+export const SCORE_SHEET_VERSION = 1;
+
+/** A player's results over every game of a sheet they played in. */
+export interface SheetPlayerStats {
+  name: string;
+  /** Games the player took part in. */
+  games: number;
+  total: number;
+  best: number;
+  average: number;
+  /** Games the player finished first in, shared first places included. */
+  wins: number;
+  /** The player's total after each game of the sheet, one entry per game. */
+  running: number[];
+}
+
+/** How two players fared in the games they both played. */
+export interface HeadToHead {
+  player: string;
+  opponent: string;
+  /** Games in which `player` placed ahead of `opponent`. */
+  wins: number;
+  losses: number;
+  draws: number;
+}
+
+export interface SheetStats {
+  /** Best total first; players with the same total in order of first appearance. */
+  players: SheetPlayerStats[];
+  /** One record per pair of players who met, `player` being the one who appeared first. */
+  headToHead: HeadToHead[];
+}
+
+/** An empty sheet for the pack with id `game`. */
+export function createScoreSheet(game: string): ScoreSheet {
+  return { version: SCORE_SHEET_VERSION, game, games: [] };
+}
+
+/**
+ * Adds a finished game: the GameState processCards() returned and the
+ * snapshot it scored. The game is copied, so later changes to the table or
+ * the inputs do not reach the sheet.
+ *
+ * @returns A new sheet; `sheet` is left unchanged.
+ */
+export function addSheetGame(
+  sheet: ScoreSheet,
+  state: GameState,
+  snapshot: { boxes: DetectedBox[]; additionalInputs?: InputValues },
+  playedAt: string = new Date().toISOString(),
+): ScoreSheet {
+  const game: SheetGame = { playedAt, boxes: snapshot.boxes, players: state.players };
+  if (snapshot.additionalInputs) game.additionalInputs = snapshot.additionalInputs;
+  if (state.ranking) game.ranking = state.ranking;
+  return { ...sheet, games: [...sheet.games, JSON.parse(JSON.stringify(game))] };
+}
+
+/** Each player's place in a game: the pack's ranking, else by score alone. */
+function gamePlaces(game: SheetGame): Map<string, number> {
+  if (game.ranking) return new Map(game.ranking.map(r => [r.name, r.place]));
+  return new Map(game.players.map(p => [p.name, 1 + game.players.filter(o => o.totalScore > p.totalScore).length]));
+}
+
+/** Totals, best and average scores, wins and head-to-head records of every player on the sheet. */
+export function sheetStats(sheet: ScoreSheet): SheetStats {
+  const names = [...new Set(sheet.games.flatMap(g => g.players.map(p => p.name)))];
+  const scores = new Map(names.map(name => [name, [] as number[]]));
+  const running = new Map(names.map(name => [name, [] as number[]]));
+  const wins = new Map(names.map(name => [name, 0]));
+  const pairs = new Map<string, HeadToHead>();
+
+  for (const game of sheet.games) {
+    const places = gamePlaces(game);
+    for (const p of game.players) scores.get(p.name)!.push(p.totalScore);
+    for (const name of names) {
+      running.get(name)!.push(scores.get(name)!.reduce((sum, s) => sum + s, 0));
+      if (places.get(name) === 1) wins.set(name, wins.get(name)! + 1);
+    }
+    for (const [i, player] of names.entries()) {
+      for (const opponent of names.slice(i + 1)) {
+        const mine = places.get(player);
+        const theirs = places.get(opponent);
+        if (mine === undefined || theirs === undefined) continue;
+        const key = JSON.stringify([player, opponent]);
+        const record = pairs.get(key) ?? { player, opponent, wins: 0, losses: 0, draws: 0 };
+        if (mine < theirs) record.wins++;
+        else if (mine > theirs) record.losses++;
+        else record.draws++;
+        pairs.set(key, record);
+      }
+    }
+  }
+
+  const players = names.map((name): SheetPlayerStats => {
+    const list = scores.get(name)!;
+    const total = list.reduce((sum, s) => sum + s, 0);
+    return {
+      name,
+      games: list.length,
+      total,
+      best: Math.max(...list),
+      average: total / list.length,
+      wins: wins.get(name)!,
+      running: running.get(name)!,
+    };
+  });
+  players.sort((a, b) => b.total - a.total);
+  return { players, headToHead: [...pairs.values()] };
+}
+
+function csvField(value: string | number): string {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The sheet as JSON (the whole ScoreSheet, readable by parseScoreSheet())
+ * or as CSV for a spreadsheet: one row per player and game with the score,
+ * the place and the player's running total.
+ */
+export function exportScoreSheet(sheet: ScoreSheet, format: 'json' | 'csv'): string {
+  if (format === 'json') return JSON.stringify(sheet, null, 2) + '\n';
+  const { players } = sheetStats(sheet);
+  const rows: (string | number)[][] = [['game', 'playedAt', 'player', 'score', 'place', 'total']];
+  sheet.games.forEach((game, i) => {
+    const places = gamePlaces(game);
+    for (const p of game.players) {
+      const total = players.find(s => s.name === p.name)!.running[i];
+      rows.push([i + 1, game.playedAt, p.name, p.totalScore, places.get(p.name) ?? '', total]);
+    }
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Reads a sheet saved by exportScoreSheet(sheet, 'json').
+ * @throws If the text is not a ScoreSheet or has an unsupported version.
+ */
+export function parseScoreSheet(json: string): ScoreSheet {
+  const sheet = JSON.parse(json);
+  if (typeof sheet !== 'object' || sheet === null || !Array.isArray(sheet.games)) {
+    throw new Error('Not a score sheet: no "games" array');
+  }
+  if (sheet.version !== SCORE_SHEET_VERSION) {
+    throw new Error(`Unsupported score sheet version ${sheet.version} (expected ${SCORE_SHEET_VERSION})`);
+  }
+  return sheet;
+}
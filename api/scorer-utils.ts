@@ -2,160 +2,226 @@
  * Shared scorer utilities for game packs.
  */
 
-import type { DetectedBox } from './types';
+import type { CardScoreDetail, DetectedBox, LocalisedText, TextParam } from './types';
 
 /**
- * Groups a flat box list into per-player arrays using angular position from
- * the image center (0.5, 0.5).  Angle 0 = bottom (6 o'clock), increasing
- * clockwise.  The returned groups are ordered starting from the bottom-most
- * cluster, proceeding clockwise.
- *
- * With a single player all boxes go to player 0.
+ * Angle of a box's centre around the image center (0.5, 0.5), in radians
+ * from 0 to 2π: 0 = bottom (6 o'clock), increasing clockwise.
  */
-export function groupByPlayer(boxes: DetectedBox[], playerCount: number): DetectedBox[][] {
-  if (playerCount <= 1) return [boxes];
-  if (boxes.length === 0) return Array.from({ length: playerCount }, () => []);
-
-  // Compute angle from image center for each box.
-  const angles: number[] = boxes.map(box => {
-    const dx = box.cx - 0.5;
-    const dy = box.cy - 0.5;
-    let a = Math.atan2(dx, dy); // 0 = bottom, CW positive
-    if (a < 0) a += 2 * Math.PI;
-    return a;
-  });
-
-  // Sort indices by angle.
-  const sorted = boxes.map((_, i) => i).sort((a, b) => angles[a] - angles[b]);
+export function boxAngle(box: { cx: number; cy: number }): number {
+  let a = Math.atan2(box.cx - 0.5, box.cy - 0.5);
+  if (a < 0) a += 2 * Math.PI;
+  return a;
+}
 
-  if (sorted.length <= playerCount) {
-    const groups: DetectedBox[][] = Array.from({ length: playerCount }, () => []);
-    for (let p = 0; p < sorted.length; p++) groups[p].push(boxes[sorted[p]]);
-    return groups;
+/** Circular mean of angles in radians, from 0 to 2π. */
+export function meanAngle(angles: number[]): number {
+  let sinSum = 0, cosSum = 0;
+  for (const a of angles) {
+    sinSum += Math.sin(a);
+    cosSum += Math.cos(a);
   }
+  let c = Math.atan2(sinSum, cosSum);
+  if (c < 0) c += 2 * Math.PI;
+  return c;
+}
 
-  // Compute circular gaps between consecutive sorted boxes.
-  const gapSizes: number[] = [];
-  for (let i = 0; i < sorted.length; i++) {
-    const next = (i + 1) % sorted.length;
-    let gap = angles[sorted[next]] - angles[sorted[i]];
-    if (gap <= 0) gap += 2 * Math.PI;
-    gapSizes.push(gap);
-  }
+/** Distance between two angles in radians, from 0 to π. */
+export function circDist(a: number, b: number): number {
+  let d = Math.abs(a - b) % (2 * Math.PI);
+  if (d > Math.PI) d = 2 * Math.PI - d;
+  return d;
+}
 
-  // Find the largest gap — the "empty zone" between last and first player.
-  let largestGapPos = 0;
-  for (let i = 1; i < gapSizes.length; i++) {
-    if (gapSizes[i] > gapSizes[largestGapPos]) largestGapPos = i;
-  }
+/** Values of a text's placeholders: named (`{player}`) or positional (`%s`, `%d`, `%+d`), in order. */
+export type TextValues = Record<string, string | number> | (string | number)[];
 
-  // Reorder starting from after the largest gap.
-  const startPos = (largestGapPos + 1) % sorted.length;
-  const reordered: number[] = [];
-  for (let i = 0; i < sorted.length; i++) {
-    reordered.push(sorted[(startPos + i) % sorted.length]);
-  }
+/**
+ * Looks up a texts.json key in the current language and fills in its
+ * placeholders: `t(key, fallback?, values?)` or `t(key, values)`.
+ */
+export interface Translator {
+  (key: string, fallback?: string, values?: TextValues): string;
+  (key: string, values: TextValues): string;
+  /** The language texts are looked up in first, e.g. `de-AT`. */
+  readonly locale: string;
+  /**
+   * A translator of the same texts in another language, e.g. ScorerContext.locale;
+   * this one when `locale` is undefined or already its own.
+   */
+  withLocale(locale: string | undefined): Translator;
+}
 
-  // Find the k-1 largest gaps within the reordered (linear) sequence.
-  const innerGaps: { pos: number; size: number }[] = [];
-  for (let i = 0; i < reordered.length - 1; i++) {
-    let gap = angles[reordered[i + 1]] - angles[reordered[i]];
-    if (gap < 0) gap += 2 * Math.PI;
-    innerGaps.push({ pos: i, size: gap });
-  }
-  innerGaps.sort((a, b) => b.size - a.size);
-  const splitPositions = innerGaps.slice(0, playerCount - 1).map(g => g.pos).sort((a, b) => a - b);
-
-  // Split reordered list into groups at the gap positions.
-  const indexGroups: number[][] = [];
-  let start = 0;
-  for (const sp of splitPositions) {
-    indexGroups.push(reordered.slice(start, sp + 1));
-    start = sp + 1;
-  }
-  indexGroups.push(reordered.slice(start));
-
-  // Rotate groups so the one closest to the bottom (angle 0) comes first.
-  const centroids = indexGroups.map(g => {
-    let sinSum = 0, cosSum = 0;
-    for (const idx of g) {
-      sinSum += Math.sin(angles[idx]);
-      cosSum += Math.cos(angles[idx]);
-    }
-    let c = Math.atan2(sinSum, cosSum);
-    if (c < 0) c += 2 * Math.PI;
-    return c;
-  });
+/** CLDR plural categories; a texts.json entry with these keys (and `other`) is a plural. */
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
 
-  const circDist = (a: number, b: number) => {
-    let d = Math.abs(a - b);
-    if (d > Math.PI) d = 2 * Math.PI - d;
-    return d;
-  };
+/**
+ * The languages a text is looked up in, most specific first, ending with
+ * `fallback`: `de-AT` → `['de-AT', 'de', 'en']`.
+ */
+export function localeChain(locale: string, fallback = 'en'): string[] {
+  const parts = locale.replace(/_/g, '-').split('-').filter(Boolean);
+  const chain = parts.map((_, i) => parts.slice(0, parts.length - i).join('-'));
+  chain.push(fallback);
+  return chain.filter((lang, i) => chain.indexOf(lang) === i);
+}
 
-  let bottomIdx = 0;
-  let minDist = circDist(centroids[0], 0);
-  for (let i = 1; i < indexGroups.length; i++) {
-    const d = circDist(centroids[i], 0);
-    if (d < minDist) {
-      minDist = d;
-      bottomIdx = i;
+/** The plural category of `count` in `locale`; English rules where Intl is missing. */
+export function pluralCategory(locale: string, count: number): string {
+  try {
+    if (typeof Intl !== 'undefined' && typeof Intl.PluralRules === 'function') {
+      return new Intl.PluralRules(locale).select(count);
     }
+  } catch {
+    // Unknown locale: fall through
   }
+  return count === 1 ? 'one' : 'other';
+}
 
-  const result: DetectedBox[][] = [];
-  for (let i = 0; i < indexGroups.length; i++) {
-    const g = indexGroups[(bottomIdx + i) % indexGroups.length];
-    result.push(g.map(idx => boxes[idx]));
-  }
+/** The count a plural is chosen by: `values.count`, or the first number. */
+function countOf(values: TextValues | undefined): number | undefined {
+  if (!values) return undefined;
+  if (Array.isArray(values)) return values.find((v): v is number => typeof v === 'number');
+  return typeof values.count === 'number' ? values.count : undefined;
+}
+
+function signed(value: string | number): string {
+  return typeof value === 'number' && value >= 0 ? `+${value}` : String(value);
+}
 
-  // Pad with empty arrays if fewer groups than players.
-  while (result.length < playerCount) result.push([]);
+/** Fills named or positional placeholders; placeholders without a value are kept. */
+export function fillPlaceholders(template: string, values: TextValues): string {
+  if (!Array.isArray(values)) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+      values[name] !== undefined ? String(values[name]) : placeholder);
+  }
+  let i = 0;
+  return template.replace(/%\+?[sd]/g, placeholder => {
+    if (i >= values.length) return placeholder;
+    const value = values[i++];
+    return placeholder === '%+d' ? signed(value) : String(value);
+  });
+}
 
-  return result;
+/** Flattens texts.json sections into `"section.key"` strings; plurals become `"key.one"`, `"key.other"`, … */
+function flattenTexts(obj: Record<string, unknown>, prefix = '', out: Record<string, string> = {}): Record<string, string> {
+  for (const k of Object.keys(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    const value = obj[k];
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      flattenTexts(value as Record<string, unknown>, key, out);
+    } else {
+      out[key] = String(value);
+    }
+  }
+  return out;
 }
 
 /**
- * Creates a translator function `t(key, fallback)` that resolves dot-separated
- * keys against a texts.json file.
+ * Creates a translator that resolves dot-separated keys against a texts.json
+ * file, e.g. `t('voice.trick_won', { player: 'Anna', trick: 3 })`.
  *
- * At app runtime the global `__texts` is pre-injected with flattened strings.
- * In Node.js/tests it loads and flattens the caller's `texts.json` manually.
+ * Keys are looked up along the locale chain (`de-AT` → `de` → `en`), then
+ * the call's fallback, then the key itself. A texts.json entry may be a
+ * plural, `{ "one": "{count} Punkt", "other": "{count} Punkte" }`, chosen by
+ * the `count` value (or the first number) with the language's plural rules.
+ *
+ * At app runtime the global `__texts` is pre-injected: either one language
+ * as flattened strings, used whatever the locale, or the whole texts.json.
+ * In Node.js/tests it loads the caller's `texts.json` manually.
+ *
+ * A translator never changes its language, so each Game creates its own
+ * from GameOptions.locale and two games in different languages can run
+ * side by side.
  *
  * @param textsJsonPath  Path for `require()` to load texts.json (e.g. `'./texts.json'`).
  *                       Ignored when `__texts` is already available at runtime.
- * @param lang           Language key to extract from texts.json (default `'de'`).
+ * @param lang           Locale (default `'de'`); see Translator.withLocale.
  */
 // @ts-ignore — __texts may be injected by app runtime
-declare var __texts: Record<string, string> | undefined;
-
-export function createTranslator(
-  textsJsonPath: string,
-  lang: string = 'de',
-): (key: string, fallback?: string) => string {
-  const resolved: Record<string, string> = (() => {
-    if (typeof __texts === 'object' && __texts !== null) return __texts;
-    try {
-      const raw = require(textsJsonPath);
-      const flat: Record<string, string> = {};
-      (function flatten(obj: any, prefix: string) {
-        for (const k of Object.keys(obj)) {
-          const key = prefix ? `${prefix}.${k}` : k;
-          if (typeof obj[k] === 'object' && obj[k] !== null) {
-            flatten(obj[k], key);
-          } else {
-            flat[key] = String(obj[k]);
-          }
-        }
-      })(raw[lang] || {}, '');
-      return flat;
-    } catch {
-      return {};
-    }
+declare var __texts: Record<string, unknown> | undefined;
+
+export function createTranslator(textsJsonPath: string, lang: string = 'de'): Translator {
+  // Texts by language; '*' holds a single injected language
+  const byLang: Record<string, Record<string, string>> = (() => {
+    const load = (): Record<string, unknown> => {
+      if (typeof __texts === 'object' && __texts !== null) return __texts;
+      try {
+        return require(textsJsonPath);
+      } catch {
+        return {};
+      }
+    };
+    const raw = load();
+    if (Object.values(raw).some(v => typeof v !== 'object' || v === null)) return { '*': raw as Record<string, string> };
+    const out: Record<string, Record<string, string>> = {};
+    for (const code of Object.keys(raw)) out[code] = flattenTexts(raw[code] as Record<string, unknown>);
+    return out;
   })();
 
-  return function t(key: string, fallback?: string): string {
-    const val = resolved[key];
-    return val !== undefined ? val : (fallback !== undefined ? fallback : key);
+  return translatorOf(byLang, lang);
+}
+
+/** A translator of already loaded texts (see createTranslator). */
+function translatorOf(byLang: Record<string, Record<string, string>>, locale: string): Translator {
+  const chain = localeChain(locale);
+
+  const lookup = (key: string, values: TextValues | undefined): string | undefined => {
+    for (const code of byLang['*'] ? ['*'] : chain) {
+      const texts = byLang[code];
+      if (!texts) continue;
+      if (texts[key] !== undefined) return texts[key];
+      if (texts[`${key}.other`] !== undefined) {
+        const count = countOf(values) ?? 0;
+        return texts[`${key}.${pluralCategory(code === '*' ? locale : code, count)}`] ?? texts[`${key}.other`];
+      }
+    }
+    return undefined;
+  };
+
+  const t = function (key: string, fallbackOrValues?: string | TextValues, values?: TextValues): string {
+    const fallback = typeof fallbackOrValues === 'string' ? fallbackOrValues : undefined;
+    const vals = typeof fallbackOrValues === 'object' ? fallbackOrValues : values;
+    const text = lookup(key, vals) ?? fallback ?? key;
+    return vals ? fillPlaceholders(text, vals) : text;
+  } as Translator;
+  Object.defineProperty(t, 'locale', { value: locale });
+  Object.defineProperty(t, 'withLocale', {
+    value: (next: string | undefined) => (!next || next === locale ? t : translatorOf(byLang, next)),
+  });
+  return t;
+}
+
+/**
+ * Renders a LocalisedText: the key's text with its placeholders filled from
+ * `params` (positional or named), nested texts rendered the same way. With
+ * a Translator, plurals are chosen by the parameters as well.
+ *
+ * @param t  Translator of the language to render in (see createTranslator).
+ */
+export function renderText(t: (key: string, fallback?: string, values?: TextValues) => string, text: LocalisedText): string {
+  const render = (param: TextParam): string | number => (typeof param === 'object' ? renderText(t, param) : param);
+  const params = text.params ?? [];
+  const values: TextValues = Array.isArray(params)
+    ? params.map(render)
+    : Object.keys(params).reduce<Record<string, string | number>>((out, name) => ({ ...out, [name]: render(params[name]) }), {});
+  if (typeof (t as Partial<Translator>).withLocale === 'function') return t(text.key, text.fallback, values);
+  return fillPlaceholders(t(text.key, text.fallback), values);
+}
+
+/**
+ * The text fields of a CardScoreDetail: `reason` (and `title`) rendered
+ * with `t`, together with the key and parameters they were rendered from.
+ */
+export function localisedDetail(
+  t: (key: string, fallback?: string, values?: TextValues) => string,
+  reason: LocalisedText,
+  title?: LocalisedText,
+): Pick<CardScoreDetail, 'reason' | 'reasonKey' | 'params' | 'title' | 'titleKey' | 'titleParams'> {
+  return {
+    reason: renderText(t, reason),
+    reasonKey: reason.key,
+    params: reason.params ?? [],
+    ...(title ? { title: renderText(t, title), titleKey: title.key, titleParams: title.params ?? [] } : {}),
   };
 }
@@ -0,0 +1,338 @@
+/**
+ * Seating: which player a card on the table belongs to.
+ *
+ * A SeatingLayout describes where the players sit as the camera sees it —
+ * around the table (the default), along two sides of it, or in explicit
+ * zones. assignSeats() gives every box a seat and says how ambiguous that
+ * is; groupByPlayer() turns the seats into per-player box lists.
+ */
+
+import type { CircleSeating, DetectedBox, SeatingLayout, SeatPoint, SeatZone, TwoSidedSeating, ZoneSeating } from './types';
+import { boxAngle, circDist, meanAngle } from './scorer-utils';
+
+/** Players around the image centre, told apart by the gaps between their cards. */
+export const DEFAULT_SEATING: CircleSeating = { type: 'circle' };
+
+/** The seat assignSeats() gave a box. */
+export interface SeatAssignment {
+  box: DetectedBox;
+  /** Player index. */
+  seat: number;
+  /**
+   * 0 when the box clearly lies at its seat, up to 1 when it lies as close
+   * to another seat: its distance to its own seat divided by its distance to
+   * the nearest other seat (measured to the seat's anchor or calibrated
+   * angle, else to the middle of the seat's cards).
+   */
+  ambiguity: number;
+}
+
+/** Angle of a box's centre around `center`, as boxAngle() measures it around the image centre. */
+function angleAround(box: DetectedBox, [x, y]: SeatPoint): number {
+  let a = Math.atan2(box.cx - x, box.cy - y);
+  if (a < 0) a += 2 * Math.PI;
+  return a;
+}
+
+function fits(layout: SeatingLayout, playerCount: number): boolean {
+  switch (layout.type) {
+    case 'circle':
+      return !layout.seatAngles || layout.seatAngles.length === playerCount;
+    case 'twoSided':
+      return !layout.seatsPerSide || layout.seatsPerSide[0] + layout.seatsPerSide[1] === playerCount;
+    case 'zones':
+      return layout.seats.length === playerCount;
+  }
+}
+
+/**
+ * Splits angles into `playerCount` clusters at the largest gaps, starting
+ * from the cluster nearest the bottom (angle 0). With no more angles than
+ * players, each angle is a player of its own.
+ * @returns Index groups, one per player.
+ */
+function clusterByAngle(angles: number[], playerCount: number): number[][] {
+  if (angles.length === 0) return Array.from({ length: playerCount }, () => []);
+
+  // Sort indices by angle.
+  const sorted = angles.map((_, i) => i).sort((a, b) => angles[a] - angles[b]);
+
+  if (sorted.length <= playerCount) {
+    const groups: number[][] = Array.from({ length: playerCount }, () => []);
+    for (let p = 0; p < sorted.length; p++) groups[p].push(sorted[p]);
+    return groups;
+  }
+
+  // Compute circular gaps between consecutive sorted boxes.
+  const gapSizes: number[] = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const next = (i + 1) % sorted.length;
+    let gap = angles[sorted[next]] - angles[sorted[i]];
+    if (gap <= 0) gap += 2 * Math.PI;
+    gapSizes.push(gap);
+  }
+
+  // Find the largest gap — the "empty zone" between last and first player.
+  let largestGapPos = 0;
+  for (let i = 1; i < gapSizes.length; i++) {
+    if (gapSizes[i] > gapSizes[largestGapPos]) largestGapPos = i;
+  }
+
+  // Reorder starting from after the largest gap.
+  const startPos = (largestGapPos + 1) % sorted.length;
+  const reordered: number[] = [];
+  for (let i = 0; i < sorted.length; i++) {
+    reordered.push(sorted[(startPos + i) % sorted.length]);
+  }
+
+  // Find the k-1 largest gaps within the reordered (linear) sequence.
+  const innerGaps: { pos: number; size: number }[] = [];
+  for (let i = 0; i < reordered.length - 1; i++) {
+    let gap = angles[reordered[i + 1]] - angles[reordered[i]];
+    if (gap < 0) gap += 2 * Math.PI;
+    innerGaps.push({ pos: i, size: gap });
+  }
+  innerGaps.sort((a, b) => b.size - a.size);
+  const splitPositions = innerGaps.slice(0, playerCount - 1).map(g => g.pos).sort((a, b) => a - b);
+
+  // Split reordered list into groups at the gap positions.
+  const indexGroups: number[][] = [];
+  let start = 0;
+  for (const sp of splitPositions) {
+    indexGroups.push(reordered.slice(start, sp + 1));
+    start = sp + 1;
+  }
+  indexGroups.push(reordered.slice(start));
+
+  // Rotate groups so the one closest to the bottom (angle 0) comes first.
+  const centroids = indexGroups.map(g => meanAngle(g.map(idx => angles[idx])));
+
+  let bottomIdx = 0;
+  let minDist = circDist(centroids[0], 0);
+  for (let i = 1; i < indexGroups.length; i++) {
+    const d = circDist(centroids[i], 0);
+    if (d < minDist) {
+      minDist = d;
+      bottomIdx = i;
+    }
+  }
+
+  const result: number[][] = [];
+  for (let i = 0; i < indexGroups.length; i++) {
+    result.push(indexGroups[(bottomIdx + i) % indexGroups.length]);
+  }
+
+  // Pad with empty arrays if fewer groups than players.
+  while (result.length < playerCount) result.push([]);
+
+  return result;
+}
+
+/**
+ * Splits indices into `seats` groups at the largest gaps of their position
+ * along a side, in order of position. With no more indices than seats,
+ * each index is a seat of its own.
+ */
+function clusterAlong(indices: number[], seats: number, position: (i: number) => number): number[][] {
+  const groups: number[][] = Array.from({ length: seats }, () => []);
+  if (seats === 0) return groups;
+  const sorted = [...indices].sort((a, b) => position(a) - position(b));
+  if (sorted.length <= seats) {
+    sorted.forEach((idx, p) => groups[p].push(idx));
+    return groups;
+  }
+  const splits = sorted.slice(1)
+    .map((idx, i) => ({ pos: i, size: position(idx) - position(sorted[i]) }))
+    .sort((a, b) => b.size - a.size)
+    .slice(0, seats - 1)
+    .map(g => g.pos)
+    .sort((a, b) => a - b);
+  let seat = 0;
+  sorted.forEach((idx, i) => {
+    groups[seat].push(idx);
+    if (splits[seat] === i) seat++;
+  });
+  return groups;
+}
+
+function twoSidedGroups(boxes: DetectedBox[], playerCount: number, layout: TwoSidedSeating): number[][] {
+  const split = layout.split ?? 0.5;
+  const [nearSeats, farSeats] = layout.seatsPerSide ?? [Math.ceil(playerCount / 2), Math.floor(playerCount / 2)];
+  const horizontal = layout.axis === 'horizontal';
+  // Near: bottom, left to right (horizontal) or right, bottom to top (vertical)
+  const across = (b: DetectedBox) => horizontal ? b.cy : b.cx;
+  const along = (b: DetectedBox) => horizontal ? b.cx : 1 - b.cy;
+  const near: number[] = [];
+  const far: number[] = [];
+  boxes.forEach((b, i) => {
+    const isNear = farSeats === 0 || (nearSeats > 0 && across(b) >= split);
+    (isNear ? near : far).push(i);
+  });
+  return [
+    ...clusterAlong(near, nearSeats, i => along(boxes[i])),
+    ...clusterAlong(far, farSeats, i => -along(boxes[i])),
+  ];
+}
+
+function insidePolygon([x, y]: SeatPoint, polygon: SeatPoint[]): boolean {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/** The point a zone's cards lie around: its anchor, else the mean of its polygon's corners. */
+function zoneCentre(zone: SeatZone): SeatPoint | null {
+  if (zone.anchor) return zone.anchor;
+  if (!zone.polygon || zone.polygon.length === 0) return null;
+  const n = zone.polygon.length;
+  return [zone.polygon.reduce((s, p) => s + p[0], 0) / n, zone.polygon.reduce((s, p) => s + p[1], 0) / n];
+}
+
+function distanceTo(box: DetectedBox, point: SeatPoint | null): number {
+  return point ? Math.hypot(box.cx - point[0], box.cy - point[1]) : Infinity;
+}
+
+/** Seats whose polygon holds the box's centre. */
+function zonesHolding(box: DetectedBox, layout: ZoneSeating): number[] {
+  const at: SeatPoint = [box.cx, box.cy];
+  return layout.seats.flatMap((zone, seat) => zone.polygon && insidePolygon(at, zone.polygon) ? [seat] : []);
+}
+
+function zoneGroups(boxes: DetectedBox[], layout: ZoneSeating): number[][] {
+  const groups: number[][] = layout.seats.map(() => []);
+  boxes.forEach((box, i) => {
+    const holding = zonesHolding(box, layout);
+    if (holding.length === 1) {
+      groups[holding[0]].push(i);
+      return;
+    }
+    const candidates = holding.length > 1 ? holding : layout.seats.map((_, seat) => seat);
+    const nearest = candidates.reduce((best, seat) =>
+      distanceTo(box, zoneCentre(layout.seats[seat])) < distanceTo(box, zoneCentre(layout.seats[best])) ? seat : best);
+    groups[nearest].push(i);
+  });
+  return groups;
+}
+
+/** Index groups, one per seat; `layout` fits playerCount. */
+function seatGroups(boxes: DetectedBox[], playerCount: number, layout: SeatingLayout): number[][] {
+  switch (layout.type) {
+    case 'circle': {
+      const angles = boxes.map(b => angleAround(b, layout.center ?? [0.5, 0.5]));
+      const seatAngles = layout.seatAngles;
+      if (!seatAngles) return clusterByAngle(angles, playerCount);
+      const groups: number[][] = seatAngles.map(() => []);
+      angles.forEach((a, i) => {
+        const nearest = seatAngles.reduce((best, seat, s) => circDist(a, seat) < circDist(a, seatAngles[best]) ? s : best, 0);
+        groups[nearest].push(i);
+      });
+      return groups;
+    }
+    case 'twoSided':
+      return twoSidedGroups(boxes, playerCount, layout);
+    case 'zones':
+      return zoneGroups(boxes, layout);
+  }
+}
+
+/**
+ * Gives every box the seat of the player it belongs to under `layout`
+ * (default: DEFAULT_SEATING; a layout for another number of players is
+ * ignored), with how ambiguous that is.
+ *
+ * @returns One assignment per box, in the order of `boxes`.
+ */
+export function assignSeats(
+  boxes: DetectedBox[],
+  playerCount: number,
+  layout: SeatingLayout = DEFAULT_SEATING,
+): SeatAssignment[] {
+  if (playerCount <= 1) return boxes.map(box => ({ box, seat: 0, ambiguity: 0 }));
+  const fitted = fits(layout, playerCount) ? layout : DEFAULT_SEATING;
+  const groups = seatGroups(boxes, playerCount, fitted);
+
+  // How far a box lies from a seat; Infinity for a seat without cards or reference
+  let distance: (box: DetectedBox, seat: number) => number;
+  if (fitted.type === 'circle') {
+    const center = fitted.center ?? [0.5, 0.5];
+    const seatAngles = fitted.seatAngles ??
+      groups.map(g => g.length > 0 ? meanAngle(g.map(i => angleAround(boxes[i], center))) : null);
+    distance = (box, seat) => seatAngles[seat] === null ? Infinity : circDist(angleAround(box, center), seatAngles[seat]!);
+  } else {
+    const centres = fitted.type === 'zones'
+      ? fitted.seats.map(zoneCentre)
+      : groups.map((g): SeatPoint | null => g.length > 0
+        ? [g.reduce((s, i) => s + boxes[i].cx, 0) / g.length, g.reduce((s, i) => s + boxes[i].cy, 0) / g.length]
+        : null);
+    distance = (box, seat) => distanceTo(box, centres[seat]);
+  }
+
+  const assignments: SeatAssignment[] = [];
+  groups.forEach((group, seat) => {
+    for (const i of group) {
+      const box = boxes[i];
+      if (fitted.type === 'zones' && zonesHolding(box, fitted).length === 1) {
+        assignments[i] = { box, seat, ambiguity: 0 };
+        continue;
+      }
+      const own = distance(box, seat);
+      const other = Math.min(...groups.map((_, s) => s === seat ? Infinity : distance(box, s)));
+      const ambiguity = other === Infinity ? 0 : other === 0 ? 1 : Math.min(1, own / other);
+      assignments[i] = { box, seat, ambiguity };
+    }
+  });
+  return assignments;
+}
+
+/**
+ * Groups a flat box list into per-player arrays by where the players sit
+ * (see assignSeats()). With the default layout, players sit around the image
+ * centre and are told apart by the largest angular gaps between their
+ * cards; the groups start from the bottom-most cluster, proceeding clockwise.
+ *
+ * With a single player all boxes go to player 0.
+ */
+export function groupByPlayer(boxes: DetectedBox[], playerCount: number, layout?: SeatingLayout): DetectedBox[][] {
+  if (playerCount <= 1) return [boxes];
+  const fitted = layout && fits(layout, playerCount) ? layout : DEFAULT_SEATING;
+  return seatGroups(boxes, playerCount, fitted).map(g => g.map(i => boxes[i]));
+}
+
+/**
+ * Seat calibration: the angle (as in boxAngle) of every player's seat,
+ * measured from a frame in which each player has put a card in front of
+ * them. Seats are numbered as groupByPlayer numbers its groups, from the
+ * bottom clockwise.
+ *
+ * @returns One angle per player, or null if the frame does not show a card
+ *          for every player.
+ */
+export function calibrateSeats(boxes: DetectedBox[], playerCount: number): number[] | null {
+  if (playerCount < 2 || boxes.length < playerCount) return null;
+  const groups = groupByPlayer(boxes, playerCount);
+  if (groups.some(g => g.length === 0)) return null;
+  return groups.map(g => meanAngle(g.map(boxAngle)));
+}
+
+/**
+ * A zone layout from the same kind of calibration frame as calibrateSeats():
+ * each seat is anchored where its player's cards lie. Unlike seat angles,
+ * anchors also work for a camera at the table's edge.
+ *
+ * @returns The layout, or null if the frame does not show a card for every player.
+ */
+export function calibrateSeating(boxes: DetectedBox[], playerCount: number): ZoneSeating | null {
+  if (playerCount < 2 || boxes.length < playerCount) return null;
+  const groups = groupByPlayer(boxes, playerCount);
+  if (groups.some(g => g.length === 0)) return null;
+  return {
+    type: 'zones',
+    seats: groups.map(g => ({
+      anchor: [g.reduce((s, b) => s + b.cx, 0) / g.length, g.reduce((s, b) => s + b.cy, 0) / g.length] as SeatPoint,
+    })),
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Helpers for versioned game snapshots (see GamePack.serialize/restore).
+ */
+
+import type { GameSnapshot } from './types';
+
+/**
+ * Upgrade steps for a pack's snapshot data, keyed by the version they
+ * upgrade from: `migrations[1]` turns version-1 data into version-2 data.
+ */
+export type SnapshotMigrations = Record<number, (data: any) => unknown>;
+
+/** True if the value has the `{ version, data }` shape of a GameSnapshot. */
+export function isGameSnapshot(value: unknown): value is GameSnapshot {
+  return typeof value === 'object' && value !== null &&
+    typeof (value as GameSnapshot).version === 'number' && 'data' in value;
+}
+
+/**
+ * Brings snapshot data up to the current version by applying each
+ * migration in turn.
+ * @returns The migrated data (the snapshot itself is not modified).
+ * @throws If the snapshot is newer than `currentVersion` or a migration step is missing.
+ */
+export function migrateSnapshot<T>(
+  snapshot: GameSnapshot,
+  currentVersion: number,
+  migrations: SnapshotMigrations,
+): T {
+  if (!isGameSnapshot(snapshot)) throw new Error('Not a game snapshot');
+  if (snapshot.version > currentVersion) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than supported version ${currentVersion}`);
+  }
+  let data: unknown = JSON.parse(JSON.stringify(snapshot.data));
+  for (let v = snapshot.version; v < currentVersion; v++) {
+    const migrate = migrations[v];
+    if (!migrate) throw new Error(`No migration from snapshot version ${v} to ${v + 1}`);
+    data = migrate(data);
+  }
+  return data as T;
+}
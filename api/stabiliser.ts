@@ -0,0 +1,200 @@
+/**
+ * Detection stabilisation between raw camera frames and processCards().
+ *
+ * Raw frames are noisy: a card flickers out for a frame, is read twice with
+ * overlapping boxes, or is misread for a frame or two. A DetectionStabiliser
+ * turns the raw boxes of each frame into a steady list of cards:
+ *
+ * - gating: boxes below the similarity or confidence threshold are dropped;
+ * - deduplication: overlapping boxes of the same card are one card, and no
+ *   card is reported more often than it exists in the deck (`cardCopies`),
+ *   neither within a frame nor across tracks;
+ * - debounce: a new card is reported once it was seen in `minFrames`
+ *   consecutive frames (at once when it is read with `instantSimilarity`),
+ *   and a reported card is kept for `maxMissedFrames` frames without it;
+ * - tracking: every reported card carries a `trackId` that stays the same
+ *   for as long as the card lies on the table.
+ */
+
+import type { DetectedBox } from './types';
+
+export interface StabiliserOptions {
+  /** Minimum similarity; ScorerContext.similarityThreshold overrides it per frame. */
+  minSimilarity: number;
+  minConfidence: number;
+  /** Boxes of the same card overlapping by at least this IoU are one detection. */
+  overlapIou: number;
+  /** How many copies of each card exist (game.json `cardCopies`); omit for unlimited. */
+  cardCopies?: number;
+  /** Consecutive frames a new card must be seen in before it is reported. */
+  minFrames: number;
+  /** Detections at least this similar are reported in their first frame. */
+  instantSimilarity: number;
+  /** Frames a reported card may be missing before it is dropped. */
+  maxMissedFrames: number;
+  /** Largest centre movement (image fractions) between frames that continues a track. */
+  matchDistance: number;
+}
+
+export const DEFAULT_STABILISER_OPTIONS: StabiliserOptions = {
+  minSimilarity: 0.7,
+  minConfidence: 0.5,
+  overlapIou: 0.6,
+  minFrames: 2,
+  instantSimilarity: 0.9,
+  maxMissedFrames: 2,
+  matchDistance: 0.1,
+};
+
+/** A box reported by the stabiliser. */
+export interface StableBox extends DetectedBox {
+  trackId: number;
+}
+
+interface Track {
+  id: number;
+  box: DetectedBox;
+  seenFrames: number;
+  missedFrames: number;
+  confirmed: boolean;
+}
+
+/**
+ * Reads stabiliser options from a pack's game.json: `cardCopies` and the
+ * optional `liveTracking.stabiliser` block (any StabiliserOptions field).
+ */
+export function stabiliserOptions(game: {
+  cardCopies?: number;
+  liveTracking?: { stabiliser?: Partial<StabiliserOptions> };
+}): StabiliserOptions {
+  return {
+    ...DEFAULT_STABILISER_OPTIONS,
+    ...(game.cardCopies !== undefined ? { cardCopies: game.cardCopies } : {}),
+    ...(game.liveTracking?.stabiliser ?? {}),
+  };
+}
+
+/** Intersection over union of two boxes. */
+export function boxIou(a: DetectedBox, b: DetectedBox): number {
+  const w = Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1);
+  const h = Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1);
+  if (w <= 0 || h <= 0) return 0;
+  const inter = w * h;
+  const union = (a.x2 - a.x1) * (a.y2 - a.y1) + (b.x2 - b.x1) * (b.y2 - b.y1) - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+/**
+ * Gates and deduplicates the boxes of a single frame.
+ * @returns The surviving boxes in their original order.
+ */
+export function filterDetections(
+  boxes: DetectedBox[],
+  options: StabiliserOptions,
+  similarityThreshold: number = options.minSimilarity,
+): DetectedBox[] {
+  const score = (box: DetectedBox) => box.similarity * box.confidence;
+  const gated = boxes.filter(box => box.similarity >= similarityThreshold && box.confidence >= options.minConfidence);
+
+  // Best detections first: they win against overlapping and surplus copies
+  const kept = new Set<DetectedBox>();
+  const copies: Record<string, number> = {};
+  for (const box of [...gated].sort((a, b) => score(b) - score(a))) {
+    const sameCard = [...kept].filter(k => k.cardId === box.cardId);
+    if (sameCard.some(k => boxIou(k, box) >= options.overlapIou)) continue;
+    if (options.cardCopies !== undefined && (copies[box.cardId] ?? 0) >= options.cardCopies) continue;
+    copies[box.cardId] = (copies[box.cardId] ?? 0) + 1;
+    kept.add(box);
+  }
+  return gated.filter(box => kept.has(box));
+}
+
+/**
+ * Stateful stabiliser for one camera feed; call update() once per frame.
+ * The state is not part of a pack's snapshot: after a restore the cards on
+ * the table are picked up again within `minFrames` frames.
+ */
+export class DetectionStabiliser {
+  readonly options: StabiliserOptions;
+  private tracks: Track[] = [];
+  private nextTrackId = 1;
+
+  constructor(options: Partial<StabiliserOptions> = {}) {
+    this.options = { ...DEFAULT_STABILISER_OPTIONS, ...options };
+  }
+
+  /**
+   * Feeds one raw frame.
+   * @param similarityThreshold ScorerContext.similarityThreshold, if the host sent one.
+   * @returns The reported cards, in the order they first appeared.
+   */
+  update(boxes: DetectedBox[], similarityThreshold?: number): StableBox[] {
+    const o = this.options;
+    const detections = filterDetections(boxes, o, similarityThreshold ?? o.minSimilarity);
+
+    // Continue tracks with the nearest detection of the same card
+    const pairs: { track: Track; box: DetectedBox; d: number }[] = [];
+    for (const track of this.tracks) {
+      for (const box of detections) {
+        if (box.cardId !== track.box.cardId) continue;
+        const d = Math.hypot(box.cx - track.box.cx, box.cy - track.box.cy);
+        if (d <= o.matchDistance) pairs.push({ track, box, d });
+      }
+    }
+    pairs.sort((a, b) => a.d - b.d);
+    const matched = new Map<Track, DetectedBox>();
+    const used = new Set<DetectedBox>();
+    for (const { track, box } of pairs) {
+      if (matched.has(track) || used.has(box)) continue;
+      matched.set(track, box);
+      used.add(box);
+    }
+
+    const tracks: Track[] = [];
+    for (const track of this.tracks) {
+      const box = matched.get(track);
+      if (box) {
+        track.box = box;
+        track.seenFrames++;
+        track.missedFrames = 0;
+        track.confirmed = track.confirmed || track.seenFrames >= o.minFrames || box.similarity >= o.instantSimilarity;
+        tracks.push(track);
+      } else if (track.confirmed && track.missedFrames < o.maxMissedFrames) {
+        // Flickered out: keep reporting it at its last position
+        track.missedFrames++;
+        tracks.push(track);
+      }
+    }
+    // A card whose copies are all tracked (e.g. one held through its missed
+    // frames after it was moved too far) starts no further track
+    const live: Record<string, number> = {};
+    for (const track of tracks) live[track.box.cardId] = (live[track.box.cardId] ?? 0) + 1;
+    for (const box of detections) {
+      if (used.has(box)) continue;
+      if (o.cardCopies !== undefined && (live[box.cardId] ?? 0) >= o.cardCopies) continue;
+      live[box.cardId] = (live[box.cardId] ?? 0) + 1;
+      tracks.push({
+        id: this.nextTrackId++,
+        box,
+        seenFrames: 1,
+        missedFrames: 0,
+        confirmed: o.minFrames <= 1 || box.similarity >= o.instantSimilarity,
+      });
+    }
+    this.tracks = tracks;
+
+    return tracks
+      .filter(track => track.confirmed)
+      .map(track => ({ ...track.box, trackId: track.id }));
+  }
+
+  /** Forgets every card, e.g. once a trick has been taken from the table. */
+  reset(): void {
+    this.tracks = [];
+  }
+
+  /** Forgets a card that was misread, so it is not held through its missed frames. */
+  forget(cardId: string): void {
+    this.tracks = this.tracks.filter(track => track.box.cardId !== cardId);
+  }
+}
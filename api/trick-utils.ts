@@ -0,0 +1,230 @@
+/**
+ * Trick bookkeeping shared by the trick-taking live packs.
+ *
+ * Cards of a trick are kept in play order as `[playerIndex, cardId]` pairs.
+ * Play order follows the seats from the trick leader, so a card's player is
+ * derived from its position; corrections reorder cards instead of editing
+ * player indices, and every later trick is re-derived from its new leader.
+ */
+
+import type { DetectedBox } from './types';
+import { boxAngle, circDist } from './scorer-utils';
+
+/** A completed trick. */
+export interface PlayedTrick {
+  /** Cards in play order: [playerIndex, cardId] pairs. */
+  cards: [number, string][];
+  winnerIndex: number;
+  /** Rule violations noticed when the trick was taken (see findRevokes). */
+  violations?: RuleViolation[];
+}
+
+/** A broken rule, as found by the checks below or by a pack. */
+export interface RuleViolation {
+  /** `revoke`, `duplicateCard`, `tooManyTricks`, `bidOutOfRange` or a pack-specific rule. */
+  rule: string;
+  playerIndex?: number;
+  cardId?: string;
+  /** 1-based trick number the rule was broken in. */
+  trick?: number;
+  /** The offending value, e.g. the bid of a `bidOutOfRange`. */
+  value?: number;
+}
+
+/** Re-assigns players to cards by position, starting at `leader`. */
+export function seatTrickCards(
+  cards: [number, string][],
+  leader: number,
+  playerCount: number,
+): [number, string][] {
+  return cards.map(([, cardId], pos) => [(leader + pos) % playerCount, cardId] as [number, string]);
+}
+
+/**
+ * Re-derives players and winners of `tricks` in order (in place), starting
+ * with `startLeader`; each trick's winner leads the next one. Tricks without
+ * cards keep their recorded winner.
+ * @returns The leader of the trick after the last one.
+ */
+export function reseatTricks(
+  tricks: PlayedTrick[],
+  startLeader: number,
+  playerCount: number,
+  winnerOf: (cards: [number, string][]) => number,
+): number {
+  let leader = startLeader;
+  for (const trick of tricks) {
+    if (trick.cards.length > 0) {
+      trick.cards = seatTrickCards(trick.cards, leader, playerCount);
+      trick.winnerIndex = winnerOf(trick.cards);
+    }
+    leader = trick.winnerIndex;
+  }
+  return leader;
+}
+
+/**
+ * Moves `cardId` to the play position of `playerIndex` by swapping it with
+ * the card currently in that position (in place).
+ * @returns false if the trick does not hold the card or that position is
+ *          not played yet.
+ */
+export function moveTrickCard(
+  cards: [number, string][],
+  cardId: string,
+  playerIndex: number,
+  leader: number,
+  playerCount: number,
+): boolean {
+  const from = cards.findIndex(([, id]) => id === cardId);
+  const to = (playerIndex - leader + playerCount) % playerCount;
+  if (from < 0 || to >= cards.length) return false;
+  [cards[from], cards[to]] = [cards[to], cards[from]];
+  return true;
+}
+
+/**
+ * Finds the trick a correction refers to.
+ * @param tricks    Completed tricks of the round.
+ * @param current   Cards of the trick in progress.
+ * @param cardId    Card the correction is about.
+ * @param trick     1-based trick number; when omitted, the current trick if
+ *                  it holds the card, else the latest completed trick that does.
+ * @returns The cards array (`current` or a completed trick's) and the index
+ *          of the completed trick (-1 for the current one), or null.
+ */
+export function findTrickWithCard(
+  tricks: PlayedTrick[],
+  current: [number, string][],
+  cardId: string,
+  trick?: number,
+): { cards: [number, string][]; index: number } | null {
+  const holds = (cards: [number, string][]) => cards.some(([, id]) => id === cardId);
+  if (trick !== undefined) {
+    const t = tricks[trick - 1];
+    return t && holds(t.cards) ? { cards: t.cards, index: trick - 1 } : null;
+  }
+  if (holds(current)) return { cards: current, index: -1 };
+  for (let i = tricks.length - 1; i >= 0; i--) {
+    if (holds(tricks[i].cards)) return { cards: tricks[i].cards, index: i };
+  }
+  return null;
+}
+
+/** Cards this close to the image center lie in front of no seat in particular. */
+const SEAT_MIN_RADIUS = 0.05;
+
+/**
+ * A card is ambiguous when its two nearest seats are within this many
+ * radians of each other (it lies on the border between them).
+ */
+const SEAT_AMBIGUITY = Math.PI / 18;
+
+/**
+ * The seat a card lies in front of, by angle (see calibrateSeats).
+ * @returns The player index, or null when the position is ambiguous.
+ */
+export function seatOfBox(box: DetectedBox, seatAngles: number[]): number | null {
+  if (seatAngles.length === 0 || Math.hypot(box.cx - 0.5, box.cy - 0.5) < SEAT_MIN_RADIUS) return null;
+  const angle = boxAngle(box);
+  const byDistance = seatAngles
+    .map((seat, player) => ({ player, d: circDist(angle, seat) }))
+    .sort((a, b) => a.d - b.d);
+  if (byDistance.length > 1 && byDistance[1].d - byDistance[0].d < SEAT_AMBIGUITY) return null;
+  return byDistance[0].player;
+}
+
+/**
+ * Adds newly seen cards to the trick in progress.
+ *
+ * With a seat calibration each card goes to the player it lies in front
+ * of, so cards arriving in the same frame or played out of turn are still
+ * credited correctly. Cards without a clear seat (no calibration, an
+ * ambiguous position, or a seat that already played) fall back to arrival
+ * order and take the next free seats from the leader. Cards beyond one
+ * per player are ignored.
+ *
+ * @param cards       The trick so far, in play order.
+ * @param newBoxes    Cards that appeared since the last frame, in arrival order.
+ * @param seatAngles  Seat calibration, or null to attribute by arrival order.
+ * @returns The trick in play order (seats from `leader`).
+ */
+export function attributeTrickCards(
+  cards: [number, string][],
+  newBoxes: DetectedBox[],
+  leader: number,
+  playerCount: number,
+  seatAngles: number[] | null,
+): [number, string][] {
+  const result = [...cards];
+  const taken = new Set(cards.map(([player]) => player));
+  const unseated: string[] = [];
+  for (const box of newBoxes) {
+    const seat = seatAngles && seatAngles.length === playerCount ? seatOfBox(box, seatAngles) : null;
+    if (seat !== null && !taken.has(seat)) {
+      taken.add(seat);
+      result.push([seat, box.cardId]);
+    } else {
+      unseated.push(box.cardId);
+    }
+  }
+  for (let pos = 0; pos < playerCount && unseated.length > 0; pos++) {
+    const player = (leader + pos) % playerCount;
+    if (taken.has(player)) continue;
+    taken.add(player);
+    result.push([player, unseated.shift()!]);
+  }
+  const offset = (player: number) => (player - leader + playerCount) % playerCount;
+  return result.sort((a, b) => offset(a[0]) - offset(b[0]));
+}
+
+/**
+ * Finds revokes: a player who did not follow the led suit in one trick and
+ * plays that suit in a later trick held it all along.
+ *
+ * @param ledSuit     The suit to follow in a trick, or null if any card may be played.
+ * @param suitOf      The suit a card counts as, or null for cards that may always be played.
+ * @param clearsVoids True for tricks after which hands change (e.g. cards are passed),
+ *                    so earlier voids prove nothing any more.
+ * @returns Per trick, the revokes its cards prove; `trick` is the trick of the revoke itself.
+ */
+export function findRevokes(
+  tricks: PlayedTrick[],
+  ledSuit: (cards: [number, string][]) => string | null,
+  suitOf: (cardId: string) => string | null,
+  clearsVoids: (cards: [number, string][]) => boolean = () => false,
+): RuleViolation[][] {
+  // `${player}:${suit}` → index of the trick in which the player did not follow suit
+  const voids = new Map<string, number>();
+  return tricks.map((trick, index) => {
+    const found: RuleViolation[] = [];
+    for (const [player, cardId] of trick.cards) {
+      const suit = suitOf(cardId);
+      const shownVoid = suit === null ? undefined : voids.get(`${player}:${suit}`);
+      if (shownVoid === undefined) continue;
+      found.push({ rule: 'revoke', playerIndex: player, cardId, trick: shownVoid + 1 });
+      voids.delete(`${player}:${suit}`);
+    }
+    const led = ledSuit(trick.cards);
+    if (led !== null) {
+      for (const [player, cardId] of trick.cards) {
+        const suit = suitOf(cardId);
+        if (suit !== null && suit !== led && !voids.has(`${player}:${led}`)) voids.set(`${player}:${led}`, index);
+      }
+    }
+    if (clearsVoids(trick.cards)) voids.clear();
+    return found;
+  });
+}
+
+/**
+ * Finds cards played more often in a round than the deck holds them.
+ * @returns Per trick, the surplus cards played in it.
+ */
+export function findDuplicateCards(tricks: PlayedTrick[], cardCopies: number): RuleViolation[][] {
+  const played: Record<string, number> = {};
+  return tricks.map((trick, index) => trick.cards.flatMap(([player, cardId]) => {
+    played[cardId] = (played[cardId] ?? 0) + 1;
+    return played[cardId] > cardCopies ? [{ rule: 'duplicateCard', playerIndex: player, cardId, trick: index + 1 }] : [];
+  }));
+}
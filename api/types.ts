@@ -22,33 +22,191 @@ export interface PlayerInput {
   cards: DetectedCard[];
 }
 
-/** Declares an extra input a game pack needs from the user before scoring. */
-export interface AdditionalInput {
+/**
+ * Declares an extra input a game pack needs from the user before scoring.
+ * A pack exports its declarations as `inputs`; the host renders a form from
+ * them and sends the values as ScorerContext.additionalInputs.
+ */
+export type AdditionalInput =
+  | StepperInput
+  | NumberInput
+  | ToggleInput
+  | ChoiceInput
+  | PlayerPickerInput
+  | CardPickerInput;
+
+interface InputBase {
   id: string;
   label: string;
-  type: 'stepper';
+  /** One value per player, or one value for the whole game. */
   perPlayer: boolean;
+}
+
+/** A whole number changed with − and + buttons, e.g. cave cards. */
+export interface StepperInput extends InputBase {
+  type: 'stepper';
+  min?: number;
+  max?: number;
+  /** Value of every player (perPlayer) or of the game; defaults to `min`, else 0. */
+  default?: number;
+}
+
+/** A number typed in, a multiple of `step` counted from `min` (or 0). */
+export interface NumberInput extends InputBase {
+  type: 'number';
   min?: number;
+  max?: number;
+  step?: number;
   default?: number;
 }
 
+/** A yes/no switch. */
+export interface ToggleInput extends InputBase {
+  type: 'toggle';
+  default?: boolean;
+}
+
+/** One option, or any number of options with `multiple`, by `value`. */
+export interface ChoiceInput extends InputBase {
+  type: 'choice';
+  options: { value: string; label: string }[];
+  multiple?: boolean;
+  /** Defaults to the first option, or to none with `multiple`. */
+  default?: string | string[];
+}
+
+/** A player by name, e.g. who ended the game; `''` until one is picked. */
+export interface PlayerPickerInput extends InputBase {
+  type: 'player';
+  multiple?: boolean;
+}
+
+/** A card of the pack's labels.txt by id; `''` until one is picked. */
+export interface CardPickerInput extends InputBase {
+  type: 'card';
+  /** Restricts the cards to these label kinds (`region` in `region:03`). */
+  kinds?: string[];
+  multiple?: boolean;
+  default?: string | string[];
+}
+
+/** The value of one input (for one player): a number, a toggle, or chosen options, players or cards. */
+export type InputValue = number | boolean | string | string[];
+
+/**
+ * Values of the declared inputs by input id: perPlayer inputs hold
+ * `{ [playerName]: value }`, global inputs the value itself.
+ */
+export type InputValues = Record<string, InputValue | Record<string, InputValue>>;
+
 /** Game session metadata passed alongside the flat box list to `processCards()`. */
 export interface ScorerContext {
   players: string[];
+  /** The user's language as a BCP 47 tag, e.g. `de-AT`; packs pass it to Translator.withLocale. */
+  locale?: string;
+  /** Minimum similarity of a box to count (see DetectionStabiliser). */
   similarityThreshold: number;
   /**
    * Values collected from the user for each declared AdditionalInput.
-   * perPlayer inputs: Record<playerName, number>; global inputs: number.
+   * An input without a value takes its default (see inputDefaults()).
+   */
+  additionalInputs?: InputValues;
+  /**
+   * Where the players sit, e.g. calibrated by the host (see calibrateSeating());
+   * packs pass it to groupByPlayer(). Omitted: players sit around the image centre.
    */
-  additionalInputs?: Record<string, Record<string, number> | number>;
+  seating?: SeatingLayout;
 }
 
+// ---------------------------------------------------------------------------
+// Seating
+// ---------------------------------------------------------------------------
+
+/** A point of the image, `[x, y]`, each from 0 to 1. */
+export type SeatPoint = [number, number];
+
+/**
+ * Where the players sit around the table, as the camera sees it (see
+ * assignSeats()). Seats are numbered like the player list. A layout for
+ * another number of players is ignored.
+ */
+export type SeatingLayout = CircleSeating | TwoSidedSeating | ZoneSeating;
+
+/** Players sit around the table, the camera above its middle. The default layout. */
+export interface CircleSeating {
+  type: 'circle';
+  /** The point the players sit around (default: the image centre). */
+  center?: SeatPoint;
+  /**
+   * Each seat's angle around `center`, as boxAngle() measures it. Without
+   * them, players are told apart by the largest angular gaps between cards.
+   */
+  seatAngles?: number[];
+}
+
+/**
+ * Players sit along two opposite sides of a rectangular table, or all along
+ * one. The sides are the bottom and top of the image (`horizontal`) or its
+ * right and left (`vertical`). Seats are numbered along the near side
+ * (bottom, right), then back along the far side, as around a circle.
+ */
+export interface TwoSidedSeating {
+  type: 'twoSided';
+  axis: 'horizontal' | 'vertical';
+  /** Where the sides meet, as a fraction of the image height (horizontal) or width (vertical); default 0.5. */
+  split?: number;
+  /** Players on the near and on the far side; default: half each, an odd one near. */
+  seatsPerSide?: [number, number];
+}
+
+/** One zone per seat, e.g. calibrated from a card in front of each player (calibrateSeating()). */
+export interface ZoneSeating {
+  type: 'zones';
+  seats: SeatZone[];
+}
+
+/**
+ * The part of the table in front of a seat: a polygon, a point its cards lie
+ * around, or both. A card inside exactly one polygon belongs to that seat;
+ * any other card to the seat with the nearest anchor (else polygon centre).
+ */
+export interface SeatZone {
+  polygon?: SeatPoint[];
+  anchor?: SeatPoint;
+}
+
+/**
+ * A texts.json key with the values of its placeholders: in order for
+ * `%s`/`%d`, by name for `{name}`. A value may itself be a LocalisedText,
+ * e.g. a translated card name; see renderText().
+ */
+export interface LocalisedText {
+  key: string;
+  params?: TextParams;
+  /** Text used when the key is missing from texts.json, e.g. an untranslated tag. */
+  fallback?: string;
+}
+
+export type TextParam = string | number | LocalisedText;
+
+export type TextParams = TextParam[] | { [name: string]: TextParam };
+
 export interface CardScoreDetail {
   cardId: string;
   points: number;
+  /** Explanation, rendered in the language the pack was loaded with. */
   reason: string;
   title?: string;
   group?: string;
+  /** texts.json key of `reason`; with `params` a host can render it in another language. */
+  reasonKey?: string;
+  /** Placeholder values of `reasonKey`. */
+  params?: TextParams;
+  /** texts.json key and placeholder values of `title`. */
+  titleKey?: string;
+  titleParams?: TextParams;
+  /** Cards that caused the points, e.g. the cards a bonus was counted from. */
+  contributingCardIds?: string[];
 }
 
 export interface PlayerScoreResult {
@@ -57,18 +215,143 @@ export interface PlayerScoreResult {
   cardDetails: CardScoreDetail[];
 }
 
+/** A player's place in GameState.ranking (see rankPlayers()). */
+export interface PlayerRanking {
+  name: string;
+  /** 1 for the winner; players level on score and every tie-breaker share a place. */
+  place: number;
+  /** The player's value of the tie-breaker that decided between them and players with the same score. */
+  tieBreak?: number;
+  /** Why the player has this place, rendered like CardScoreDetail.reason. */
+  explanation: string;
+  /** texts.json key and placeholder values of `explanation`. */
+  explanationKey?: string;
+  explanationParams?: TextParams;
+}
+
 // ---------------------------------------------------------------------------
 // Live tracking types
 // ---------------------------------------------------------------------------
 
+/**
+ * Non-card input for live tracking games.
+ *
+ * Correction events fix mistakes in the current round without restarting
+ * the game; the pack recomputes everything derived from the corrected data:
+ * - `undoLastTrick` `{}` — drop the last completed trick; it is played again.
+ * - `reassignTrickCard` `{ cardId, playerIndex, trick? }` — the card was played
+ *   by `playerIndex`. `trick` is the 1-based trick number in the round; when
+ *   omitted, the current trick (if it holds the card) or the latest trick
+ *   that does.
+ * - `correctBid` `{ playerIndex, bid }` — replace a player's bid.
+ * - `replaceCard` `{ oldCardId, newCardId, trick? }` — the camera misread
+ *   `newCardId` as `oldCardId`; `trick` as for `reassignTrickCard`.
+ *
+ * `gameTypeAnnounced` `{ gameType, playerIndex?, ... }` announces what is
+ * played this round (e.g. a solo by `playerIndex`); the game types and their
+ * extra fields are pack-specific.
+ *
+ * `gameStarted` `{ players, variants?, seatBoxes? }` — `variants` maps the ids of the
+ * pack's `liveTracking.variants` to the chosen option.
+ * `seatBoxes` is an optional seat calibration: a frame with one card in
+ * front of each player (see calibrateSeats). Trick-taking packs then credit
+ * each trick card to the seat it lies at instead of to the next player in
+ * turn (see attributeTrickCards).
+ *
+ * Besides these, a pack may declare its own events in game.json
+ * (`liveTracking.events`, see CustomEventDeclaration); their `type` is the
+ * declared id and their `data` holds the declared fields.
+ */
 export interface LiveEvent {
-  type: 'gameStarted'
-      | 'bidPlaced'
-      | 'announcementMade'
-      | 'roundEnded';
+  type: BuiltInEventType | (string & {});
   data: Record<string, unknown>;
 }
 
+/** The LiveEvent types every host knows. */
+export type BuiltInEventType =
+  | 'gameStarted'
+  | 'bidPlaced'
+  | 'announcementMade'
+  | 'gameTypeAnnounced'
+  | 'roundEnded'
+  | 'undoLastTrick'
+  | 'reassignTrickCard'
+  | 'correctBid'
+  | 'replaceCard';
+
+/**
+ * A pack-specific LiveEvent, declared in game.json under
+ * `liveTracking.events`, e.g. Doppelkopf's "Schmeißen":
+ * `{ "id": "thrownIn", "label": "Schmeißen", "triggerWords": ["schmeißen"], "fields": [...] }`.
+ * The app offers a control for each declared event and fires it when it
+ * hears one of its trigger words, with the fields it knows; a pack asks for
+ * missing fields with a promptChoice or promptNumber action.
+ */
+export interface CustomEventDeclaration {
+  /** LiveEvent.type; must not be a BuiltInEventType. */
+  id: string;
+  label: string;
+  /** Spoken words that fire the event. */
+  triggerWords?: string[];
+  /** The fields of LiveEvent.data. */
+  fields?: EventField[];
+}
+
+/** A field of a custom event's data. */
+export type EventField =
+  | NumberField
+  | ToggleField
+  | ChoiceField
+  | PlayerField
+  | CardField
+  | TextField;
+
+interface FieldBase {
+  /** Key in LiveEvent.data. */
+  id: string;
+  label?: string;
+  /** The event may be fired without this field. */
+  optional?: boolean;
+}
+
+export interface NumberField extends FieldBase {
+  type: 'number';
+  min?: number;
+  max?: number;
+  /** Only whole numbers. */
+  integer?: boolean;
+}
+
+export interface ToggleField extends FieldBase {
+  type: 'toggle';
+}
+
+export interface ChoiceField extends FieldBase {
+  type: 'choice';
+  options: string[];
+}
+
+/** A player, sent as their index in the player list (like `playerIndex`). */
+export interface PlayerField extends FieldBase {
+  type: 'player';
+}
+
+/** A card id, optionally limited to card kinds (the part before ':'). */
+export interface CardField extends FieldBase {
+  type: 'card';
+  kinds?: string[];
+}
+
+export interface TextField extends FieldBase {
+  type: 'text';
+}
+
+/** An answer offered by a promptChoice action. */
+export interface PromptOption {
+  value: string | number | boolean;
+  label: string;
+}
+
 export type FlutterAction =
   | { type: 'speak'; text: string }
   | { type: 'cameraMode'; mode: 'detecting' | 'paused' }
@@ -78,6 +361,17 @@ export type FlutterAction =
   | { type: 'startAnnouncementListening'; triggerWords: Record<string, string[]>; until: number }
   | { type: 'stopAnnouncementListening' }
   | { type: 'showSummary' }
+  /** A rule was broken (see RuleViolation); Flutter speaks `text` and shows it as a warning. */
+  | { type: 'ruleViolation'; rule: string; text: string; playerIndex?: number }
+  /**
+   * Flutter speaks `prompt`, offers `options` (to `playerIndex`, when given)
+   * and fires `event` with the chosen value as `data[field]` (see answerPrompt).
+   */
+  | { type: 'promptChoice'; prompt: string; options: PromptOption[]; event: LiveEvent; field: string; playerIndex?: number }
+  /** As promptChoice, for a number between `min` and `max`. */
+  | { type: 'promptNumber'; prompt: string; min?: number; max?: number; event: LiveEvent; field: string; playerIndex?: number }
+  /** Marks a player, e.g. the one a prompt is for; null clears the mark. */
+  | { type: 'highlightPlayer'; playerIndex: number | null }
   | { type: 'gameOver' };
 
 export interface LiveHudItem {
@@ -86,7 +380,8 @@ export interface LiveHudItem {
 }
 
 export interface LiveGameState {
-  /** Opaque game data carried forward unchanged (scorer reads/writes; Flutter ignores). */
+  /** Opaque game data carried forward unchanged (scorer reads/writes; Flutter ignores).
+   *  Live packs store a GameSnapshot here. */
   _internal?: unknown;
   /** What Flutter displays (game-defined content). */
   display: {
@@ -114,6 +409,14 @@ export interface GameState {
   };
   /** Actions for Flutter to execute (TTS, camera mode, etc.). */
   actions?: FlutterAction[];
+  /** The players by place, best first, ties broken by the game's rules. */
+  ranking?: PlayerRanking[];
+}
+
+/** Options of a pack's Game constructor: `new Game(players, options)`. */
+export interface GameOptions {
+  /** The user's language, as ScorerContext.locale. */
+  locale?: string;
 }
 
 /** The contract every game pack class implements. */
@@ -126,4 +429,73 @@ export interface GamePack {
   /** Handle non-card events (bids, announcements, round transitions).
    *  Only needed for live tracking games. */
   processEvent?(event: LiveEvent): GameState;
+  /** Capture the complete game state so a live game can be resumed later
+   *  (e.g. after the app was killed). Only needed for live tracking games. */
+  serialize?(): GameSnapshot;
+  /** Replace the game state with a snapshot from serialize(), migrating
+   *  older snapshot versions. Returns the resumed state, including the
+   *  actions that put Flutter back into the right mode. */
+  restore?(snapshot: GameSnapshot): GameState;
+}
+
+/** Versioned, JSON-serializable game state produced by GamePack.serialize(). */
+export interface GameSnapshot {
+  /** Version of the pack's state shape; bumped whenever that shape changes. */
+  version: number;
+  /** Pack-defined state (opaque to Flutter). */
+  data: unknown;
+}
+
+// ---------------------------------------------------------------------------
+// Session recordings
+// ---------------------------------------------------------------------------
+
+/** One step of a recorded session: a camera frame or a live event. */
+export type RecordedStep =
+  | { cards: DetectedBox[] }
+  | { event: LiveEvent };
+
+/**
+ * An ordered sequence of `processCards` frames and `LiveEvent`s, as exported
+ * by the Playground. Replaying it against a fresh game instance reproduces
+ * every GameState the session emitted.
+ */
+export interface SessionRecording {
+  /** Format version (currently 1). */
+  version: number;
+  /** Pack id from game.json. */
+  game: string;
+  players: string[];
+  /** ScorerContext.similarityThreshold used for every frame. */
+  similarityThreshold?: number;
+  steps: RecordedStep[];
+}
+
+// ---------------------------------------------------------------------------
+// Score sheets
+// ---------------------------------------------------------------------------
+
+/** A finished photo-mode game on a ScoreSheet: the final table and how it scored. */
+export interface SheetGame {
+  /** When the game was added, as an ISO 8601 timestamp. */
+  playedAt: string;
+  /** The scored snapshot: the boxes sent to processCards(). */
+  boxes: DetectedBox[];
+  /** ScorerContext.additionalInputs the snapshot was scored with. */
+  additionalInputs?: InputValues;
+  players: PlayerScoreResult[];
+  ranking?: PlayerRanking[];
+}
+
+/**
+ * The games of an evening or a league, in the order they were played. Photo
+ * packs score one table at a time; the sheet keeps the results across games
+ * (see addSheetGame() and sheetStats()).
+ */
+export interface ScoreSheet {
+  /** Format version (currently 1). */
+  version: number;
+  /** Pack id from game.json. */
+  game: string;
+  games: SheetGame[];
 }
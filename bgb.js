@@ -5,6 +5,13 @@
  * Commands:
  *   bgb new <game-id> [--name "Display Name"]   scaffold a new pack from the upstream template
  *   bgb serve [pack-dir]                         serve a pack with live reload on scorer.ts changes
+ *   bgb receive-embeddings [pack-dir] [--merge]  receive reference embeddings from the app's capture mode
+ *   bgb validate [pack] [--dim <n>]              check a pack's files against each other
+ *   bgb embeddings [pack] [--compare <old.bin>]  report broken and confusable reference embeddings
+ *   bgb pack [pack] [--out dist]                 build + zip packs like the release workflow
+ *   bgb registry                                 serve every pack as a local pack store
+ *   bgb score <pack> <boxes.json>                run a scorer headlessly in the app sandbox
+ *   bgb replay <pack> <recording.json>           replay a recorded session and snapshot every GameState
  */
 
 'use strict';
@@ -14,7 +21,14 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { spawn } = require('child_process');
+const { EMBEDDING_DIM, listPackDirs, nearestGamesDir, resolvePackDir, resolvePackDirs } = require('./lib/pack-files');
+const { validatePack } = require('./lib/validate');
+const { checkI18n } = require('./lib/i18n');
+const { CONFUSABLE_SIMILARITY, analyseEmbeddingSet, embeddingErrors, readEmbeddingSet, diffEmbeddings } = require('./lib/embeddings');
+const { createCaptureSession } = require('./lib/capture');
+const { listPackFiles, packPack, writePackIndex } = require('./lib/pack');
+const { formatMessage, watchScorer } = require('./lib/build');
+const { scoreBoxes, replaySession, firstDifference } = require('./lib/runner');
 
 const PORT = parseInt(process.env.PORT || '3000', 10);
 
@@ -25,18 +39,21 @@ const PORT = parseInt(process.env.PORT || '3000', 10);
  * Returns the absolute path to that `games/` folder.
  */
 function findGamesDir() {
-  let dir = process.cwd();
-  while (true) {
-    const candidate = path.join(dir, 'games');
-    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
-      return candidate;
-    }
-    const parent = path.dirname(dir);
-    if (parent === dir) {
-      console.error('Error: could not find a games/ directory in any parent of the current working directory.');
-      process.exit(1);
-    }
-    dir = parent;
+  const gamesDir = nearestGamesDir(process.cwd());
+  if (!gamesDir) {
+    console.error('Error: could not find a games/ directory in any parent of the current working directory.');
+    process.exit(1);
+  }
+  return gamesDir;
+}
+
+/** resolvePackDirs() for the current directory; exits with its error. */
+function packDirsToCheck(packArg) {
+  try {
+    return resolvePackDirs(packArg);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
   }
 }
 
@@ -104,7 +121,10 @@ program
     let gameJson = fs.readFileSync(gameJsonPath, 'utf8');
     gameJson = gameJson.replace(/"mygame"/g, `"${gameId}"`);
     gameJson = gameJson.replace(/"My Game"/g, `"${displayName}"`);
-    fs.writeFileSync(gameJsonPath, gameJson);
+    // The template's exemption is for the template itself; the new pack must capture its cards.
+    const game = JSON.parse(gameJson);
+    delete game.skipValidation;
+    fs.writeFileSync(gameJsonPath, JSON.stringify(game, null, 2) + '\n');
 
     // Patch labels.txt (replace mygame: prefix with the actual game ID)
     const labelsPath = path.join(targetDir, 'labels.txt');
@@ -114,6 +134,13 @@ program
       fs.writeFileSync(labelsPath, labels);
     }
 
+    // Patch manifest.yaml (the card type is the label kind)
+    const manifestPath = path.join(targetDir, 'manifest.yaml');
+    if (fs.existsSync(manifestPath)) {
+      const manifest = fs.readFileSync(manifestPath, 'utf8');
+      fs.writeFileSync(manifestPath, manifest.replace(/^  mygame:/m, `  ${gameId}:`));
+    }
+
     console.log(`\nCreated game pack: ${gameId}/`);
     console.log(`  Display name: ${displayName}`);
 
@@ -237,6 +264,11 @@ program
     };
 
     const sseClients = new Set();
+    let buildErrors = [];         // esbuild errors of the latest scorer build, sent to clients as they connect
+
+    function compileErrorEvent(errors) {
+      return { type: 'error', message: errors.map(formatMessage).join('\n'), errors };
+    }
 
     function broadcast(data) {
       const msg = `data: ${JSON.stringify(data)}\n\n`;
@@ -259,6 +291,7 @@ program
           'Access-Control-Allow-Origin': '*',
         });
         res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
+        if (buildErrors.length > 0) res.write(`data: ${JSON.stringify(compileErrorEvent(buildErrors))}\n\n`);
         sseClients.add(res);
 
         const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
@@ -368,11 +401,11 @@ program
         qrcode.generate(deeplink, { small: true }, (qr) => {
           console.log(qr);
           console.log('Kamera-App → QR-Code scannen → Pack wird installiert.\n');
-          console.log('Watching scorer.ts for changes... Press Ctrl+C to stop.\n');
+          console.log('Watching scorer.ts and its imports for changes... Press Ctrl+C to stop.\n');
         });
       } catch {
         console.log(`Kamera-App → QR-Code scannen → ${deeplink}\n`);
-        console.log('Watching scorer.ts for changes... Press Ctrl+C to stop.\n');
+        console.log('Watching scorer.ts and its imports for changes... Press Ctrl+C to stop.\n');
       }
     });
 
@@ -382,35 +415,22 @@ program
       return;
     }
 
-    let debounceTimer = null;
-
-    function recompile() {
-      console.log('scorer.ts changed — recompiling...');
-      const proc = spawn(
-        'npx',
-        ['esbuild', 'scorer.ts', '--bundle', '--platform=node', '--target=es2017', '--outfile=scorer.js'],
-        { cwd: packDir }
-      );
-
-      let stderr = '';
-      proc.stderr.on('data', chunk => { stderr += chunk.toString(); });
-      proc.stdout.on('data', chunk => { process.stdout.write(chunk); });
-
-      proc.on('close', (code) => {
-        if (code === 0) {
-          console.log('Recompile OK — broadcasting reload.');
-          broadcast({ type: 'reload' });
-        } else {
-          const msg = stderr.trim() || 'Compilation failed (see above)';
-          console.error(`Recompile failed:\n${msg}`);
-          broadcast({ type: 'error', message: msg });
-        }
-      });
-    }
-
-    fs.watch(scorerTs, { persistent: true }, () => {
-      clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(recompile, 300);
+    // The first build runs at once and only reports failures; later builds
+    // tell the app and the Playground to pick up the new scorer.js.
+    let built = false;
+    watchScorer(packDir, (errors) => {
+      buildErrors = errors;
+      if (errors.length > 0) {
+        const event = compileErrorEvent(errors);
+        console.error(`Recompile failed:\n${event.message}`);
+        broadcast(event);
+      } else if (built) {
+        console.log('Recompile OK — broadcasting reload.');
+        broadcast({ type: 'reload' });
+      }
+      built = true;
+    }).catch((err) => {
+      console.warn(`Warning: cannot watch scorer.ts — live reload disabled (${err.message})`);
     });
   });
 
@@ -419,7 +439,9 @@ program
 program
   .command('receive-embeddings [pack-dir]')
   .description('Start a server to receive embeddings.bin + labels.txt from the app via QR code')
-  .action((packDirArg) => {
+  .option('--merge', 'Merge the uploads into the pack\'s embeddings (re-captured labels are replaced) instead of replacing them')
+  .option('--dim <n>', 'Embedding dimension (float32 values per vector)', (v) => parseInt(v, 10), EMBEDDING_DIM)
+  .action((packDirArg, opts) => {
     const packDir = packDirArg ? path.resolve(packDirArg) : process.cwd();
     const gameJsonPath = path.join(packDir, 'game.json');
 
@@ -438,9 +460,30 @@ program
     }
     const packId = gameJson.id;
 
-    // Track received files so we can report completion when both arrive.
-    let receivedLabels = false;
-    let receivedBin = false;
+    let session;
+    try {
+      session = createCaptureSession(packDir, { packId, dim: opts.dim, merge: opts.merge });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    const labelsPageUrl = `http://localhost:${PORT}/labels`;
+
+    const sendJson = (res, status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const readBody = (req, done) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => done(Buffer.concat(chunks)));
+    };
+    const logWrite = (result) => {
+      if (result.backup) console.log(`  previous files backed up to ${path.relative(process.cwd(), result.backup) || '.'}`);
+      console.log(`  the pack now has ${result.total} embeddings`);
+      if (result.placeholders > 0) console.log(`  ${result.placeholders} still carry placeholder labels — assign them at ${labelsPageUrl}\n`);
+      else console.log('  All embeddings are labelled. Ready to use.\n');
+    };
 
     const server = http.createServer((req, res) => {
       res.setHeader('Access-Control-Allow-Origin', '*');
@@ -452,63 +495,89 @@ program
       const urlPath = req.url.split('?')[0];
 
       if (req.method === 'GET' && urlPath === '/') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ type: 'receive-embeddings', packId }));
+        sendJson(res, 200, { type: 'receive-embeddings', packId, dim: session.dim, merge: session.merge });
         return;
       }
 
       // POST /upload/labels — receives labels.txt content (text/plain)
       if (req.method === 'POST' && urlPath === '/upload/labels') {
-        const chunks = [];
-        req.on('data', chunk => chunks.push(chunk));
-        req.on('end', () => {
-          const body = Buffer.concat(chunks).toString('utf8');
-          const lines = body.split('\n').filter(l => l.trim());
-          if (lines.length === 0) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Empty labels' }));
+        readBody(req, (body) => {
+          let result;
+          try {
+            result = session.receiveLabels(body.toString('utf8'));
+          } catch (err) {
+            sendJson(res, 400, { error: err.message });
             return;
           }
-          const outputPath = path.join(packDir, 'labels.txt');
-          fs.writeFileSync(outputPath, body);
-          receivedLabels = true;
-          console.log(`Received labels.txt: ${lines.length} labels`);
-          if (receivedLabels && receivedBin) console.log('\nAll embeddings files received. Ready to use.\n');
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, labels: lines.length }));
+          if (result.applied) {
+            console.log(`Received labels.txt: ${result.count} labels for the embeddings received before`);
+            logWrite(result);
+          } else {
+            console.log(`Received labels.txt: ${result.count} labels, kept for the next embeddings.bin`);
+          }
+          sendJson(res, 200, { success: true, labels: result.count });
         });
         return;
       }
 
       // POST /upload/bin — receives embeddings.bin content (application/octet-stream)
       if (req.method === 'POST' && urlPath === '/upload/bin') {
-        const chunks = [];
-        req.on('data', chunk => chunks.push(chunk));
-        req.on('end', () => {
-          const body = Buffer.concat(chunks);
-          const outputPath = path.join(packDir, 'embeddings.bin');
-          fs.writeFileSync(outputPath, body);
-          receivedBin = true;
-
-          // Auto-generate labels.txt from embedding count.
-          // Format: N × 130 float32 values (little-endian), so N = byteLength / (130 * 4).
-          const EMBEDDING_DIM = 130;
-          const count = Math.floor(body.length / (EMBEDDING_DIM * 4));
-          const labels = Array.from({ length: count }, (_, i) =>
-            `${packId}:${String(i + 1).padStart(3, '0')}`
-          ).join('\n') + '\n';
-          fs.writeFileSync(path.join(packDir, 'labels.txt'), labels);
-
-          console.log(`Received embeddings.bin: ${body.length} bytes (${count} embeddings)`);
-          console.log(`Generated labels.txt: ${count} labels (${packId}:001 … ${packId}:${String(count).padStart(3, '0')})`);
-          console.log(`\nEdit labels.txt to replace the auto-generated IDs with your real card IDs.\n`);
-          if (receivedLabels && receivedBin) console.log('All embeddings files received. Ready to use.\n');
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, bytes: body.length, count }));
+        readBody(req, (body) => {
+          let result;
+          try {
+            result = session.receiveEmbeddings(body);
+          } catch (err) {
+            console.log(`Rejected embeddings.bin: ${err.message}`);
+            sendJson(res, 400, { error: err.message });
+            return;
+          }
+          console.log(`Received embeddings.bin: ${body.length} bytes (${result.count} embeddings${result.labelled ? ', labelled by the labels.txt received before' : ''})`);
+          if (result.unusable > 0) console.log(`  warning: ${result.unusable} of them are all zeros or NaN and will match no card`);
+          logWrite(result);
+          sendJson(res, 200, { success: true, bytes: body.length, count: result.count });
+        });
+        return;
+      }
+
+      // The labelling page and what it reads and writes
+      if (req.method === 'GET' && urlPath === '/labels') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        fs.createReadStream(path.join(__dirname, 'playground', 'labels.html')).pipe(res);
+        return;
+      }
+
+      if (req.method === 'GET' && urlPath === '/labels/data') {
+        sendJson(res, 200, { packId, merge: session.merge, rows: session.receivedRows(), candidates: session.candidates() });
+        return;
+      }
+
+      if (req.method === 'POST' && urlPath === '/labels/data') {
+        readBody(req, (body) => {
+          let result;
+          try {
+            result = session.assignLabels(JSON.parse(body.toString('utf8')).labels);
+          } catch (err) {
+            sendJson(res, 400, { error: err.message });
+            return;
+          }
+          console.log('Labels assigned on the labelling page');
+          logWrite(result);
+          sendJson(res, 200, { success: true, total: result.total });
         });
         return;
       }
 
+      if (req.method === 'GET' && urlPath.startsWith('/ref/')) {
+        const refDir = path.join(packDir, 'ref');
+        const refPath = path.join(refDir, decodeURIComponent(urlPath.slice('/ref/'.length)));
+        if (refPath.startsWith(refDir + path.sep) && fs.existsSync(refPath) && fs.statSync(refPath).isFile()) {
+          const ext = path.extname(refPath).toLowerCase();
+          res.writeHead(200, { 'Content-Type': ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' : `image/${ext.slice(1)}` });
+          fs.createReadStream(refPath).pipe(res);
+          return;
+        }
+      }
+
       res.writeHead(404);
       res.end('Not found');
     });
@@ -519,7 +588,11 @@ program
       const deeplink = `bgb://capture?packId=${encodeURIComponent(packId)}&url=${encodeURIComponent(httpUrl)}`;
 
       console.log(`\nWaiting for card capture session for pack: ${packId}`);
-      console.log(`URL: ${httpUrl}\n`);
+      console.log(`URL: ${httpUrl}`);
+      console.log(session.merge
+        ? 'Uploads are merged into the pack\'s embeddings; a label captured again replaces its vector.'
+        : 'Each upload replaces the pack\'s embeddings (--merge to add to them instead).');
+      console.log(`Assign labels at ${labelsPageUrl}\n`);
 
       try {
         const qrcode = require('qrcode-terminal');
@@ -535,6 +608,425 @@ program
     });
   });
 
+// ─── bgb validate ────────────────────────────────────────────────────────────
+
+program
+  .command('validate [pack]')
+  .description('Check game.json, labels.txt, embeddings.bin, manifest.yaml, cards.json and texts.json against each other')
+  .option('--dim <n>', 'Embedding dimension (float32 values per vector)', (v) => parseInt(v, 10), EMBEDDING_DIM)
+  .action((packArg, opts) => {
+    const packDirs = packDirsToCheck(packArg);
+
+    let failed = 0;
+    for (const packDir of packDirs) {
+      const { errors, warnings } = validatePack(packDir, { dim: opts.dim });
+      const name = path.relative(process.cwd(), packDir) || '.';
+      console.log(`${errors.length === 0 ? 'OK  ' : 'FAIL'} ${name}`);
+      for (const e of errors) console.log(`  error    ${e.file}: ${e.message}`);
+      for (const w of warnings) console.log(`  warning  ${w.file}: ${w.message}`);
+      if (errors.length > 0) failed++;
+    }
+
+    if (failed > 0) {
+      console.error(`\n${failed} of ${packDirs.length} pack(s) failed validation.`);
+      process.exit(1);
+    }
+  });
+
+// ─── bgb i18n check ──────────────────────────────────────────────────────────
+
+const i18n = program
+  .command('i18n')
+  .description('Localisation tools');
+
+i18n
+  .command('check [pack]')
+  .description('Report texts.json keys scorer.ts looks up but a language lacks, keys it never looks up, broken plurals and placeholder mismatches')
+  .action((packArg) => {
+    const packDirs = packDirsToCheck(packArg);
+
+    let failed = 0;
+    for (const packDir of packDirs) {
+      const name = path.relative(process.cwd(), packDir) || '.';
+      let result;
+      try {
+        result = checkI18n(packDir);
+      } catch (err) {
+        console.log(`FAIL ${name}\n  error    ${err.message}`);
+        failed++;
+        continue;
+      }
+      if (!result) {
+        console.log(`OK   ${name} (no texts.json)`);
+        continue;
+      }
+      const broken = result.languages.some(l => l.missing.length > 0 || l.invalid.length > 0);
+      console.log(`${broken ? 'FAIL' : 'OK  '} ${name}`);
+      for (const { lang, missing, unused, invalid } of result.languages) {
+        if (missing.length > 0) console.log(`  error    ${lang}: ${missing.length} missing key(s): ${missing.join(', ')}`);
+        for (const message of invalid) console.log(`  error    ${lang}: ${message}`);
+        if (unused.length > 0) console.log(`  warning  ${lang}: ${unused.length} key(s) scorer.ts does not look up: ${unused.join(', ')}`);
+      }
+      if (broken) failed++;
+    }
+
+    if (failed > 0) {
+      console.error(`\n${failed} of ${packDirs.length} pack(s) lack texts or have broken ones.`);
+      process.exit(1);
+    }
+  });
+
+// ─── bgb embeddings ──────────────────────────────────────────────────────────
+
+/** Prints `[{ a, b, similarity }]` as an aligned table, at most `top` rows. */
+function printPairTable(pairs, top, value = p => p.similarity.toFixed(3)) {
+  const shown = pairs.slice(0, top);
+  const width = Math.max(...shown.map(p => p.a.length));
+  for (const p of shown) console.log(`    ${value(p)}  ${p.a.padEnd(width)}  ${p.b}`);
+  if (pairs.length > shown.length) console.log(`    … and ${pairs.length - shown.length} more (--top to list them)`);
+}
+
+program
+  .command('embeddings [pack]')
+  .description('Check embeddings.bin for zero, NaN and mislabelled rows and list the cards the app may confuse')
+  .option('--dim <n>', 'Embedding dimension (float32 values per vector)', (v) => parseInt(v, 10), EMBEDDING_DIM)
+  .option('--threshold <n>', 'Cosine similarity from which two cards count as confusable', parseFloat, CONFUSABLE_SIMILARITY)
+  .option('--top <n>', 'List at most this many pairs and cards', (v) => parseInt(v, 10), 20)
+  .option('--compare <path>', 'Also diff against an older embeddings.bin, or a pack directory holding one')
+  .option('--compare-labels <file>', 'labels.txt of the --compare file (default: rows are matched by position)')
+  .action((packArg, opts) => {
+    if (opts.compare && !packArg && !resolvePackDir()) {
+      console.error('Error: --compare needs a pack');
+      process.exit(1);
+    }
+    const packDirs = packDirsToCheck(packArg);
+
+    let failed = 0;
+    for (const packDir of packDirs) {
+      const name = path.relative(process.cwd(), packDir) || '.';
+      const set = readEmbeddingSet(packDir, { dim: opts.dim });
+      if (!set || set.byteLength === 0) {
+        console.log(`FAIL ${name}\n  error    embeddings.bin: ${set ? 'is empty' : 'is missing'}`);
+        failed++;
+        continue;
+      }
+      const report = analyseEmbeddingSet(set, { threshold: opts.threshold });
+      const errors = embeddingErrors(report);
+
+      console.log(`${errors.length === 0 ? 'OK  ' : 'FAIL'} ${name}`);
+      console.log(`  ${report.count} × ${report.dim}` +
+        (report.norms ? `, norms ${report.norms.min.toFixed(3)}–${report.norms.max.toFixed(3)} (mean ${report.norms.mean.toFixed(3)})` : ''));
+      for (const e of errors) console.log(`  error    ${e}`);
+      if (report.confusable.length > 0) {
+        console.log(`  warning  ${report.confusable.length} pair(s) of cards at cosine similarity ${opts.threshold} or more:`);
+        printPairTable(report.confusable, opts.top);
+      } else if (report.closest) {
+        console.log(`  closest pair ${report.closest.similarity.toFixed(3)}  ${report.closest.a}  ${report.closest.b}`);
+      }
+      if (errors.length > 0) failed++;
+
+      if (opts.compare) {
+        const before = readEmbeddingSet(path.resolve(opts.compare), { dim: opts.dim, labels: opts.compareLabels });
+        if (!before) {
+          console.error(`Error: no embeddings at ${opts.compare}`);
+          process.exit(1);
+        }
+        const diff = diffEmbeddings(before, set, { threshold: opts.threshold });
+        console.log(`\n  Compared with ${opts.compare} (${before.rows.length} × ${before.dim}):`);
+        if (diff.added.length > 0) console.log(`  added    ${diff.added.join(', ')}`);
+        if (diff.removed.length > 0) console.log(`  removed  ${diff.removed.join(', ')}`);
+        console.log(`  ${diff.moved.length} card(s) changed, least similar to their old vector first:`);
+        for (const m of diff.moved.slice(0, opts.top)) console.log(`    ${m.similarity.toFixed(3)}  ${m.label}`);
+        if (diff.moved.length > opts.top) console.log(`    … and ${diff.moved.length - opts.top} more`);
+        const change = p => `${p.before === null ? '  new' : p.before.toFixed(3)} → ${p.after === null ? 'gone' : p.after.toFixed(3)}`;
+        if (diff.newlyConfusable.length > 0) {
+          console.log(`  ${diff.newlyConfusable.length} pair(s) newly confusable:`);
+          printPairTable(diff.newlyConfusable, opts.top, change);
+        }
+        if (diff.noLongerConfusable.length > 0) {
+          console.log(`  ${diff.noLongerConfusable.length} pair(s) no longer confusable:`);
+          printPairTable(diff.noLongerConfusable, opts.top, change);
+        }
+      }
+    }
+
+    if (failed > 0) {
+      console.error(`\n${failed} of ${packDirs.length} pack(s) have unusable embeddings.`);
+      process.exit(1);
+    }
+  });
+
+// ─── bgb pack ────────────────────────────────────────────────────────────────
+
+/** Reads the committed pack-index.json (next to games/) as `{ id: entry }`. */
+function readReleasedIndex(gamesDir) {
+  const indexPath = path.join(path.dirname(gamesDir), 'pack-index.json');
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    return Object.fromEntries(index.packs.map(p => [p.id, p]));
+  } catch {
+    return {};
+  }
+}
+
+/** Pack directories that get released: every pack except `_`-prefixed templates. */
+function listReleasablePackDirs(gamesDir) {
+  return listPackDirs(gamesDir).filter(dir => !path.basename(dir).startsWith('_'));
+}
+
+program
+  .command('pack [pack]')
+  .description('Build and zip a pack like the release workflow and write its pack-index.json entry')
+  .option('-o, --out <dir>', 'Output directory for <id>.zip and pack-index.json', 'dist')
+  .option('--base-url <url>', 'Prefix for downloadUrl (default: relative <id>.zip)')
+  .option('--pack-version <n>', 'Pack version to record (default: the released version)', (v) => parseInt(v, 10))
+  .action((packArg, opts) => {
+    const gamesDir = findGamesDir();
+    let packDirs;
+    if (packArg) {
+      const packDir = resolvePackDir(packArg);
+      if (!packDir) {
+        console.error(`Error: no game.json found for pack "${packArg}"`);
+        process.exit(1);
+      }
+      packDirs = [packDir];
+    } else {
+      packDirs = listReleasablePackDirs(gamesDir);
+    }
+
+    const released = readReleasedIndex(gamesDir);
+    const outDir = path.resolve(opts.out);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const entries = [];
+    for (const packDir of packDirs) {
+      console.log(`Packaging ${path.basename(packDir)}...`);
+      let result;
+      try {
+        const id = JSON.parse(fs.readFileSync(path.join(packDir, 'game.json'), 'utf8')).id;
+        result = packPack(packDir, { baseUrl: opts.baseUrl, version: opts.packVersion, template: released[id] });
+      } catch (err) {
+        console.error(`Error: ${path.basename(packDir)} — ${err.message}`);
+        process.exit(1);
+      }
+      const zipPath = path.join(outDir, `${result.id}.zip`);
+      fs.writeFileSync(zipPath, result.zip);
+      entries.push(result.entry);
+      console.log(`  ${path.relative(process.cwd(), zipPath)}  ${result.entry.sizeBytes} bytes  ${result.entry.checksum}`);
+    }
+
+    const indexPath = path.join(outDir, 'pack-index.json');
+    writePackIndex(indexPath, entries);
+    console.log(`\nWrote ${path.relative(process.cwd(), indexPath)} (${entries.length} pack${entries.length === 1 ? '' : 's'}).`);
+  });
+
+// ─── bgb registry ────────────────────────────────────────────────────────────
+
+program
+  .command('registry')
+  .description('Serve every pack under games/ as zips with a generated pack-index.json (local pack store)')
+  .action(() => {
+    const gamesDir = findGamesDir();
+    const released = readReleasedIndex(gamesDir);
+    const ip = getLocalIp();
+    const baseUrl = `http://${ip}:${PORT}`;
+
+    // id → { stamp, zip, entry }; rebuilt when a pack source file or the API changes.
+    const cache = new Map();
+    const apiDir = path.join(__dirname, 'api');
+
+    /**
+     * Latest mtime of the pack's source files (the compiled scorer.js
+     * excluded) and of the API sources every scorer bundles.
+     */
+    function sourceStamp(packDir) {
+      const packFiles = listPackFiles(packDir).filter(rel => rel !== 'scorer.js').map(rel => path.join(packDir, rel));
+      const apiFiles = fs.readdirSync(apiDir).filter(f => f.endsWith('.ts') && !f.endsWith('.d.ts')).map(f => path.join(apiDir, f));
+      let latest = 0;
+      for (const file of [...packFiles, ...apiFiles]) latest = Math.max(latest, fs.statSync(file).mtimeMs);
+      return Math.floor(latest);
+    }
+
+    /** Returns the cached build for a pack, repackaging it if its sources changed. */
+    function getPack(packDir) {
+      const game = JSON.parse(fs.readFileSync(path.join(packDir, 'game.json'), 'utf8'));
+      const id = game.id;
+      const stamp = sourceStamp(packDir);
+      const cached = cache.get(id);
+      if (cached && cached.stamp === stamp) return cached;
+      // One above the released version, so the app offers the local build as
+      // an update without outranking the next real release; `devBuild` tells
+      // local builds apart.
+      const releasedVersion = game.version ?? (released[id] && released[id].version) ?? 0;
+      const result = packPack(packDir, {
+        baseUrl: `${baseUrl}/packs`,
+        template: released[id],
+        version: releasedVersion + 1,
+      });
+      const built = { stamp, zip: result.zip, entry: { ...result.entry, devBuild: new Date(stamp).toISOString() } };
+      cache.set(id, built);
+      console.log(`Packaged ${id}: ${result.entry.sizeBytes} bytes ${result.entry.checksum}`);
+      return built;
+    }
+
+    /** Builds every pack; packs that fail to build are logged and left out of the index. */
+    function buildIndex() {
+      const packs = [];
+      for (const packDir of listReleasablePackDirs(gamesDir)) {
+        try {
+          packs.push(getPack(packDir).entry);
+        } catch (err) {
+          console.error(`Error: ${path.basename(packDir)} — ${err.message}`);
+        }
+      }
+      return { version: 1, packs };
+    }
+
+    const server = http.createServer((req, res) => {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+
+      if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+
+      const urlPath = req.url.split('?')[0];
+      console.log(`${req.method} ${urlPath}`);
+
+      if (urlPath === '/' || urlPath === '/pack-index.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(buildIndex(), null, 2));
+        return;
+      }
+
+      const m = urlPath.match(/^\/packs\/([^/]+)\.zip$/);
+      if (m) {
+        const packDir = listReleasablePackDirs(gamesDir).find(dir => {
+          try { return JSON.parse(fs.readFileSync(path.join(dir, 'game.json'), 'utf8')).id === m[1]; } catch { return false; }
+        });
+        if (!packDir) { res.writeHead(404); res.end('Not found'); return; }
+        let built;
+        try {
+          built = getPack(packDir);
+        } catch (err) {
+          res.writeHead(500, { 'Content-Type': 'text/plain' });
+          res.end(err.message);
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/zip', 'Content-Length': built.zip.length });
+        res.end(req.method === 'HEAD' ? undefined : built.zip);
+        return;
+      }
+
+      res.writeHead(404); res.end('Not found');
+    });
+
+    server.listen(PORT, '0.0.0.0', () => {
+      const indexUrl = `${baseUrl}/pack-index.json`;
+      const index = buildIndex();
+
+      console.log(`\nLocal pack store: ${index.packs.map(p => p.id).join(', ') || '(no packs)'}`);
+      console.log(`Index: ${indexUrl}\n`);
+
+      try {
+        const qrcode = require('qrcode-terminal');
+        qrcode.generate(indexUrl, { small: true }, (qr) => {
+          console.log(qr);
+          console.log('In the app: Pack Store → QR-Code scannen → lokaler Store.\n');
+          console.log('Packs are repackaged when their files change. Press Ctrl+C to stop.\n');
+        });
+      } catch {
+        console.log(`In the app: Pack Store → Von URL importieren → ${indexUrl}\n`);
+        console.log('Packs are repackaged when their files change. Press Ctrl+C to stop.\n');
+      }
+    });
+  });
+
+// ─── bgb score ───────────────────────────────────────────────────────────────
+
+program
+  .command('score <pack> <boxes>')
+  .description('Score a boxes.json with the compiled scorer in a sandbox that mirrors the app runtime')
+  .option('--players <names>', 'Comma-separated player names (default: from boxes.json, else minPlayers)')
+  .option('--lang <lang>', 'locale the scorer speaks (falls back to its language, then en)', 'de')
+  .option('--threshold <n>', 'ScorerContext.similarityThreshold', parseFloat)
+  .option('--no-build', 'Use the existing scorer.js instead of compiling scorer.ts')
+  .action((packArg, boxesPath, opts) => {
+    const packDir = resolvePackDir(packArg);
+    if (!packDir) {
+      console.error(`Error: no game.json found for pack "${packArg}"`);
+      process.exit(1);
+    }
+
+    let input;
+    try {
+      input = JSON.parse(fs.readFileSync(boxesPath, 'utf8'));
+    } catch (err) {
+      console.error(`Error: could not read ${boxesPath} — ${err.message}`);
+      process.exit(1);
+    }
+
+    try {
+      const state = scoreBoxes(packDir, input, {
+        players: opts.players ? opts.players.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+        similarityThreshold: opts.threshold,
+        lang: opts.lang,
+        build: opts.build,
+      });
+      console.log(JSON.stringify(state, null, 2));
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// ─── bgb replay ──────────────────────────────────────────────────────────────
+
+program
+  .command('replay <pack> <recording>')
+  .description('Replay a recorded session (Playground export) and print or check every emitted GameState')
+  .option('--snapshot <file>', 'Compare against this snapshot file (written when it does not exist yet)')
+  .option('-u, --update', 'Overwrite the snapshot file with the replayed states')
+  .option('--lang <lang>', 'locale the scorer speaks (falls back to its language, then en)', 'de')
+  .option('--no-build', 'Use the existing scorer.js instead of compiling scorer.ts')
+  .action((packArg, recordingPath, opts) => {
+    const packDir = resolvePackDir(packArg);
+    if (!packDir) {
+      console.error(`Error: no game.json found for pack "${packArg}"`);
+      process.exit(1);
+    }
+
+    let recording, states;
+    try {
+      recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+      states = replaySession(packDir, recording, { lang: opts.lang, build: opts.build });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+
+    if (!opts.snapshot) {
+      console.log(JSON.stringify(states, null, 2));
+      return;
+    }
+
+    const snapshotPath = path.resolve(opts.snapshot);
+    if (opts.update || !fs.existsSync(snapshotPath)) {
+      fs.writeFileSync(snapshotPath, JSON.stringify(states, null, 2) + '\n');
+      console.log(`Wrote ${states.length} states to ${path.relative(process.cwd(), snapshotPath)}`);
+      return;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    const diff = firstDifference(expected, states);
+    if (diff) {
+      const step = /^\[(\d+)\]/.exec(diff);
+      const where = step ? `step ${step[1]} (${recording.steps[step[1]] ? Object.keys(recording.steps[step[1]])[0] : 'missing'})` : 'length';
+      console.error(`FAIL ${recordingPath}: first difference at ${diff} — ${where}`);
+      console.error('Run with --update to accept the new states.');
+      process.exit(1);
+    }
+    console.log(`OK   ${recordingPath}: ${states.length} states match`);
+  });
+
 // ─── Parse ───────────────────────────────────────────────────────────────────
 
 program
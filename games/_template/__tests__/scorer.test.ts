@@ -4,6 +4,8 @@
  * Replace with real test fixtures for your game.
  */
 
+export {};
+
 // When using the compiled JS in tests:
 const { processCards } = require('../scorer');
 
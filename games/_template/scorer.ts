@@ -35,8 +35,9 @@ export class MyGame implements GamePack {
     this.players = players;
   }
 
-  processCards(boxes: DetectedBox[]): GameState {
-    const groups = groupByPlayer(boxes, this.players.length);
+  processCards(boxes: DetectedBox[], context?: ScorerContext): GameState {
+    // context.seating says where the players sit, if the app calibrated it
+    const groups = groupByPlayer(boxes, this.players.length, context?.seating);
     return {
       players: this.players.map((name, i) => {
         const playerBoxes = groups[i] ?? [];
@@ -66,7 +67,7 @@ export class MyGame implements GamePack {
 
 export function processCards(boxes: DetectedBox[], context: ScorerContext): PlayerScoreResult[] {
   const game = new MyGame(context.players);
-  return game.processCards(boxes).players;
+  return game.processCards(boxes, context).players;
 }
 
 export { MyGame as Game };
@@ -0,0 +1,161 @@
+/**
+ * Doppelkopf configuration tests: deck size and house rules from game.json.
+ */
+
+export {};
+
+const {
+  DoppelkopfGame,
+  GAME_CONFIG,
+  NORMAL_GAME,
+  doppelkopfConfig,
+  determineTrickWinner,
+  calculateAllRoundScores,
+} = require('../scorer');
+const gameJson = require('../game.json');
+
+function ev(type, data) { return { type, data }; }
+
+function card(cardId) {
+  return {
+    cardId,
+    similarity: 0.95,
+    x1: 0, y1: 0, x2: 0.2, y2: 0.3,
+    cx: 0.1, cy: 0.15,
+    w: 0.2, h: 0.3,
+    confidence: 0.95,
+    angle: 0,
+    keypoints: null,
+  };
+}
+
+const PLAYERS = ['Alice', 'Bob', 'Charlie', 'Dave'];
+
+/** game.json with its rules block replaced (tricksPerRound follows the deck). */
+function configWith(rules, liveTracking = {}) {
+  const tricksPerRound = rules.withNines ? 12 : 10;
+  return doppelkopfConfig({
+    ...gameJson,
+    rules: { ...gameJson.rules, ...rules },
+    liveTracking: { ...gameJson.liveTracking, tricksPerRound, ...liveTracking },
+  });
+}
+
+// ---------------------------------------------------------------------------
+describe('doppelkopfConfig', () => {
+  it('reads game.json', () => {
+    expect(GAME_CONFIG.withNines).toBe(false);
+    expect(GAME_CONFIG.tricksPerRound).toBe(10);
+    expect(GAME_CONFIG.announcements).toEqual([
+      { id: 're', triggerWords: ['re', 'ree'], maxTrick: 2 },
+      { id: 'kontra', triggerWords: ['kontra', 'contra'], maxTrick: 2 },
+    ]);
+    expect(GAME_CONFIG.extras).toEqual({ fuchs: true, karlchen: true, doppelkopf: true });
+    expect(GAME_CONFIG.dulleStichtDulle).toBe(false);
+  });
+
+  it('defaults to the standard game without 9s', () => {
+    const config = doppelkopfConfig({});
+    expect(config.tricksPerRound).toBe(10);
+    expect(config.announcements).toEqual([]);
+    expect(config.extras).toEqual({ fuchs: true, karlchen: true, doppelkopf: true });
+  });
+
+  it('rejects a tricksPerRound that does not match the deck', () => {
+    expect(() => doppelkopfConfig({ rules: { withNines: true }, liveTracking: { tricksPerRound: 10 } }))
+      .toThrow('a deck with 9s has 12 tricks');
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe.each([
+  [false, 10, ['clubs:queen', 'heart:king', 'spades:king', 'clubs:king']],
+  [true, 12, ['clubs:queen', 'heart:9', 'spades:9', 'clubs:9']],
+])('deck withNines=%s', (withNines, tricks, trickCards) => {
+  const config = configWith({ withNines });
+
+  function playTricks(game, n) {
+    let state;
+    for (let i = 0; i < n; i++) state = game.processCards(trickCards.map(card));
+    return state;
+  }
+
+  it(`ends the round after ${tricks} tricks`, () => {
+    const game = new DoppelkopfGame(PLAYERS, { config });
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    const before = playTricks(game, tricks - 1);
+    expect(before.actions.some(a => a.type === 'showSummary')).toBe(false);
+    expect(before.display.hud[0].value).toBe(`${tricks - 1}/${tricks}`);
+    const last = playTricks(game, 1);
+    expect(last.actions.some(a => a.type === 'showSummary')).toBe(true);
+    expect(last.display.hud[0].value).toBe(`${tricks}/${tricks}`);
+  });
+
+  it('resumes a finished round with its summary', () => {
+    const game = new DoppelkopfGame(PLAYERS, { config });
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    playTricks(game, tricks);
+    const state = new DoppelkopfGame([], { config }).restore(game.serialize());
+    expect(state.actions).toEqual([{ type: 'showSummary' }]);
+  });
+});
+
+it('Karo 9 is the lowest trump when playing with 9s', () => {
+  expect(determineTrickWinner([[0, 'clubs:ace'], [1, 'diamond:9']], null)).toBe(1);
+  expect(determineTrickWinner([[0, 'diamond:9'], [1, 'diamond:king']], null)).toBe(1);
+});
+
+// ---------------------------------------------------------------------------
+describe('announcement windows', () => {
+  const config = configWith({}, {
+    announcements: [
+      { id: 're', triggerWords: ['re'], maxTrick: 3 },
+      { id: 'kontra', triggerWords: ['kontra'], maxTrick: 1 },
+    ],
+  });
+
+  it('listens until the last window closes', () => {
+    const game = new DoppelkopfGame(PLAYERS, { config });
+    const state = game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    expect(state.actions).toContainEqual({
+      type: 'startAnnouncementListening',
+      triggerWords: { re: ['re'], kontra: ['kontra'] },
+      until: 3,
+    });
+  });
+
+  it('accepts an announcement only within its window', () => {
+    const game = new DoppelkopfGame(PLAYERS, { config });
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    game.processCards(['clubs:queen', 'heart:king', 'spades:king', 'clubs:king'].map(card));
+    const kontra = game.processEvent(ev('announcementMade', { id: 'kontra' }));
+    expect(kontra.actions).toEqual([{ type: 'speak', text: 'KONTRA nicht mehr möglich.' }]);
+    const re = game.processEvent(ev('announcementMade', { id: 're' }));
+    expect(re.actions).toEqual([{ type: 'speak', text: 'RE angesagt!' }]);
+    expect(game.serialize().data.announcements).toEqual(['re']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('house rules', () => {
+  it('extra points can be switched off', () => {
+    // Dave (Kontra) catches Alice's Fuchs in a 44-Augen trick (also a Doppelkopf)
+    const tricks = [
+      { cards: [[0, 'clubs:queen'], [1, 'clubs:queen'], [2, 'heart:king'], [3, 'spades:king']], winnerIndex: 0 },
+      { cards: [[0, 'diamond:ace'], [1, 'spades:ace'], [2, 'heart:ace'], [3, 'heart:10']], winnerIndex: 3 },
+    ];
+    const labels = (config) => calculateAllRoundScores({
+      playerNames: PLAYERS, trickHistory: tricks, announcements: [], config,
+    }).summary.map(item => item.label);
+
+    expect(labels(GAME_CONFIG)).toEqual(expect.arrayContaining(['Fuchs gefangen (Kontra)', 'Doppelkopf (Kontra)']));
+    const none = labels(configWith({ extras: { fuchs: false, karlchen: false, doppelkopf: false } }));
+    expect(none.some(l => l.startsWith('Fuchs') || l.startsWith('Doppelkopf'))).toBe(false);
+  });
+
+  it('Dulle sticht Dulle: the second Herz 10 wins', () => {
+    const cards = [[0, 'heart:10'], [1, 'heart:10'], [2, 'clubs:queen']];
+    expect(determineTrickWinner(cards, null)).toBe(0);
+    expect(determineTrickWinner(cards, null, NORMAL_GAME, configWith({ dulleStichtDulle: true }))).toBe(1);
+  });
+});
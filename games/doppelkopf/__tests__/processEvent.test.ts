@@ -7,6 +7,8 @@
  * and trick completion via processCards.
  */
 
+export {};
+
 const { DoppelkopfGame } = require('../scorer');
 
 function ev(type, data) { return { type, data }; }
@@ -87,11 +89,11 @@ describe('trick completion via processCards', () => {
     expect(result.actions.some(a => a.type === 'awaitTableClear')).toBe(true);
   });
 
-  it('12th trick shows summary', () => {
+  it('last trick shows summary', () => {
     const game = new DoppelkopfGame(PLAYERS);
     game.processEvent(ev('gameStarted', { players: PLAYERS }));
 
-    // Play 12 tricks via processCards
+    // Play 10 tricks via processCards
     const reTrickCards = [
       card('clubs:queen'),
       card('diamond:9'),
@@ -113,10 +115,10 @@ describe('trick completion via processCards', () => {
 
     game.processCards(reTrickCards);
     game.processCards(reTrick2Cards);
-    for (let i = 0; i < 9; i++) {
+    for (let i = 0; i < 7; i++) {
       game.processCards(zeroCards);
     }
-    // 12th trick
+    // 10th trick
     const result = game.processCards(zeroCards);
     expect(result.actions.some(a => a.type === 'showSummary')).toBe(true);
     expect(result.actions.some(a => a.type === 'stopAnnouncementListening')).toBe(true);
@@ -162,3 +164,394 @@ describe('processEvent – roundEnded', () => {
     expect(result.actions.some(a => a.type === 'startAnnouncementListening')).toBe(true);
   });
 });
+
+// ---------------------------------------------------------------------------
+describe('serialize / restore', () => {
+  const { replayRecording } = require('@boardgamebuddy/game-pack-api');
+  const recording = require('./recordings/one-game.json');
+
+  it('resumes from any step of a recorded session with identical states', () => {
+    const expected = replayRecording(new DoppelkopfGame(recording.players), recording);
+    for (let cut = 1; cut < recording.steps.length; cut++) {
+      const before = new DoppelkopfGame(recording.players);
+      replayRecording(before, { ...recording, steps: recording.steps.slice(0, cut) });
+      const snapshot = JSON.parse(JSON.stringify(before.serialize()));
+
+      const resumed = new DoppelkopfGame([]);
+      resumed.restore(snapshot);
+      const rest = replayRecording(resumed, { ...recording, steps: recording.steps.slice(cut) });
+      expect(rest).toEqual(expected.slice(cut));
+    }
+  });
+
+  it('re-opens the announcement window when restored before trick 2', () => {
+    const game = new DoppelkopfGame(PLAYERS);
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    const state = new DoppelkopfGame([]).restore(game.serialize());
+    expect(state.actions.some(a => a.type === 'startAnnouncementListening')).toBe(true);
+    expect(state.actions.some(a => a.type === 'awaitTableClear')).toBe(true);
+  });
+
+  it('shows the round summary when restored after the last trick', () => {
+    const game = new DoppelkopfGame(PLAYERS);
+    replayRecording(game, { ...recording, steps: recording.steps.slice(0, -1) });
+    const state = new DoppelkopfGame([]).restore(game.serialize());
+    expect(state.actions).toEqual([{ type: 'showSummary' }]);
+    expect(state.display.summary.length).toBeGreaterThan(0);
+  });
+
+  it('legacy processEvent carries announcements through prevState', () => {
+    const { processEvent } = require('../scorer');
+    let state = processEvent(ev('gameStarted', { players: PLAYERS }), null);
+    state = processEvent(ev('announcementMade', { id: 're' }), state);
+    state = processEvent(ev('announcementMade', { id: 'kontra' }), state);
+    expect(state._internal.version).toBe(3);
+    expect(state._internal.data.announcements).toEqual(['re', 'kontra']);
+    expect(state.scores.map(s => s.name)).toEqual(PLAYERS);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('corrections', () => {
+  const { replayRecording } = require('@boardgamebuddy/game-pack-api');
+  const { calculateAllRoundScores } = require('../scorer');
+  const recording = require('./recordings/one-game.json');
+
+  /** The recorded game up to (not including) roundEnded: all ten tricks scored. */
+  function scoredGame() {
+    const game = new DoppelkopfGame(recording.players);
+    replayRecording(game, { ...recording, steps: recording.steps.slice(0, -1) });
+    return game;
+  }
+
+  const internal = (game) => game.serialize().data;
+
+  function expectConsistent(game) {
+    const s = internal(game);
+    let leader = 0;
+    for (const trick of s.trickHistory) {
+      trick.cards.forEach(([player], pos) => expect(player).toBe((leader + pos) % 4));
+      leader = trick.winnerIndex;
+    }
+    expect(s.trickLeader).toBe(leader);
+    expect(s.completedTricks).toBe(s.trickHistory.length);
+    const expected = s.completedTricks >= 10
+      ? calculateAllRoundScores({ playerNames: s.players, trickHistory: s.trickHistory, announcements: s.announcements }).scores
+      : Object.fromEntries(s.players.map(p => [p, 0]));
+    expect(s.cumulativeScores).toEqual(expected);
+  }
+
+  it('undoLastTrick reverses the game score and reopens the tenth trick', () => {
+    const game = scoredGame();
+    const state = game.processEvent(ev('undoLastTrick', {}));
+    expect(state.players.every(p => p.totalScore === 0)).toBe(true);
+    expect(state.actions).toContainEqual({ type: 'awaitTableClear' });
+    expect(state.actions.some(a => a.type === 'showSummary')).toBe(false);
+    expect(internal(game).completedTricks).toBe(9);
+    expectConsistent(game);
+  });
+
+  it('reassignTrickCard re-derives later tricks and the teams', () => {
+    const game = scoredGame();
+    const beforeRe = game.restore(game.serialize()).display.summary[0].value;
+    // Trick 7 holds both Kreuz Damen; give the first one to another player
+    const trick7 = internal(game).trickHistory[6];
+    const queenHolders = trick7.cards.filter(([, id]) => id === 'clubs:queen').map(([p]) => p);
+    const other = trick7.cards.map(([p]) => p).find(p => !queenHolders.includes(p));
+    game.processEvent(ev('reassignTrickCard', { cardId: 'clubs:queen', playerIndex: other, trick: 7 }));
+    expectConsistent(game);
+    const afterRe = game.restore(game.serialize()).display.summary[0].value;
+    expect(afterRe).toContain(recording.players[other]);
+    expect(afterRe).not.toEqual(beforeRe);
+  });
+
+  it('replaceCard re-counts the Augen of a completed trick', () => {
+    const game = scoredGame();
+    game.processEvent(ev('replaceCard', { oldCardId: 'heart:ace', newCardId: 'heart:king', trick: 1 }));
+    expect(internal(game).trickHistory[0].cards.map(([, id]) => id)).toContain('heart:king');
+    expectConsistent(game);
+  });
+
+  it('correctBid is rejected — Doppelkopf has no bids', () => {
+    const game = scoredGame();
+    const before = internal(game);
+    const state = game.processEvent(ev('correctBid', { playerIndex: 0, bid: 1 }));
+    expect(state.actions).toEqual([{ type: 'speak', text: 'Korrektur nicht möglich.' }]);
+    expect(internal(game)).toEqual(before);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('processEvent – gameTypeAnnounced', () => {
+  const internal = (game) => game.serialize().data;
+  const hud = (state, label) => (state.display.hud.find(item => item.label === label) || {}).value;
+
+  function startedGame() {
+    const game = new DoppelkopfGame(PLAYERS);
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    return game;
+  }
+
+  it('announces the game type and shows it in the HUD', () => {
+    const game = startedGame();
+    const state = game.processEvent(ev('gameTypeAnnounced', { gameType: 'damenSolo', playerIndex: 2 }));
+    expect(state.actions[0]).toEqual({ type: 'speak', text: 'Charlie spielt Damen-Solo.' });
+    expect(hud(state, 'Spiel')).toBe('Damen-Solo');
+    expect(hud(state, 'Re')).toBe('Charlie');
+  });
+
+  it('rejects an incomplete announcement', () => {
+    const game = startedGame();
+    const state = game.processEvent(ev('gameTypeAnnounced', { gameType: 'farbSolo', playerIndex: 2 }));
+    expect(state.actions).toEqual([{ type: 'speak', text: 'Spielart unvollständig.' }]);
+    expect(internal(game).contract).toEqual({ type: 'normal' });
+  });
+
+  it('decides tricks with the solo trump order', () => {
+    const game = startedGame();
+    game.processEvent(ev('gameTypeAnnounced', { gameType: 'damenSolo', playerIndex: 2 }));
+    const state = game.processCards([card('clubs:jack'), card('clubs:ace'), card('diamond:queen'), card('clubs:king')]);
+    expect(state.actions[0].text).toBe('Charlie gewinnt Stich 1 mit 20 Augen.');
+  });
+
+  it('re-evaluates tricks played before the announcement', () => {
+    const game = startedGame();
+    game.processCards([card('clubs:jack'), card('diamond:ace'), card('clubs:ace'), card('clubs:king')]);
+    expect(internal(game).trickHistory[0].winnerIndex).toBe(0);
+    game.processEvent(ev('gameTypeAnnounced', { gameType: 'fleischlos', playerIndex: 2 }));
+    expect(internal(game).trickHistory[0].winnerIndex).toBe(2);
+    expect(internal(game).trickLeader).toBe(2);
+  });
+
+  it('Hochzeit: names the partner after the first foreign trick', () => {
+    const game = startedGame();
+    game.processEvent(ev('gameTypeAnnounced', { gameType: 'hochzeit', playerIndex: 0 }));
+    const first = game.processCards([card('clubs:queen'), card('heart:king'), card('spades:king'), card('clubs:king')]);
+    expect(first.actions[0].text).toBe('Alice gewinnt Stich 1 mit 15 Augen.');
+    // The two Pik Königs lie apart (overlapping boxes of one card are one detection)
+    const secondKing = { ...card('spades:king'), x1: 0.5, x2: 0.7, cx: 0.6 };
+    const second = game.processCards([card('spades:king'), card('spades:ace'), secondKing, card('heart:king')]);
+    expect(second.actions[0].text).toBe('Bob gewinnt Stich 2 mit 23 Augen. Alice spielt mit Bob.');
+    expect(hud(second, 'Re')).toBe('Alice, Bob');
+  });
+
+  it('Hochzeit: the Hochzeit player plays alone after winning three tricks', () => {
+    const game = startedGame();
+    game.processEvent(ev('gameTypeAnnounced', { gameType: 'hochzeit', playerIndex: 0 }));
+    let state;
+    for (let i = 0; i < 3; i++) {
+      state = game.processCards([card('clubs:queen'), card('heart:king'), card('spades:king'), card('clubs:king')]);
+    }
+    expect(state.actions[0].text).toBe('Alice gewinnt Stich 3 mit 15 Augen. Alice spielt allein.');
+  });
+
+  it('roundEnded returns to a normal game', () => {
+    const game = startedGame();
+    game.processEvent(ev('gameTypeAnnounced', { gameType: 'armut', playerIndex: 1, partnerIndex: 3 }));
+    game.processEvent(ev('roundEnded', {}));
+    expect(internal(game).contract).toEqual({ type: 'normal' });
+  });
+
+  it('restores version-1 snapshots as normal games', () => {
+    const game = startedGame();
+    const { contract, ...v1 } = internal(game);
+    const resumed = new DoppelkopfGame([]);
+    resumed.restore({ version: 1, data: v1 });
+    expect(internal(resumed).contract).toEqual({ type: 'normal' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('seat-based trick attribution', () => {
+  // Alice at the bottom, Bob on the right, Charlie at the top, Dave on the left
+  const SEATS = [[0.5, 0.85], [0.85, 0.5], [0.5, 0.15], [0.15, 0.5]];
+  const at = (cardId, [cx, cy]: number[]) => ({
+    ...card(cardId), cx, cy, x1: cx - 0.1, y1: cy - 0.15, x2: cx + 0.1, y2: cy + 0.15,
+  });
+
+  function calibratedGame() {
+    const game = new DoppelkopfGame(PLAYERS);
+    const seatBoxes = SEATS.map(seat => at('clubs:ace', seat));
+    game.processEvent(ev('gameStarted', { players: PLAYERS, seatBoxes }));
+    expect(game.serialize().data.seatAngles).toHaveLength(4);
+    return game;
+  }
+
+  it('credits duplicate cards arriving in the same frame to their seats', () => {
+    const game = calibratedGame();
+    game.processCards([]);
+    game.processCards([
+      at('heart:ace', SEATS[3]), at('heart:ace', SEATS[1]), at('heart:10', SEATS[0]), at('heart:king', SEATS[2]),
+    ]);
+    expect(game.serialize().data.trickHistory[0]).toEqual({
+      cards: [[0, 'heart:10'], [1, 'heart:ace'], [2, 'heart:king'], [3, 'heart:ace']],
+      winnerIndex: 0,
+    });
+  });
+
+  it('keeps seats taken by earlier frames and ignores a card beyond one per player', () => {
+    const game = calibratedGame();
+    game.processCards([at('spades:ace', SEATS[1])]);
+    game.processCards([at('spades:ace', SEATS[1]), at('spades:10', SEATS[1]), at('spades:king', SEATS[0])]);
+    expect(game.serialize().data.currentTrickCards)
+      .toEqual([[0, 'spades:king'], [1, 'spades:ace'], [2, 'spades:10']]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('detection stabiliser', () => {
+  const at = (cardId, cx) => ({ ...card(cardId), cx, x1: cx - 0.1, x2: cx + 0.1 });
+
+  it('counts overlapping boxes of the same card once', () => {
+    const game = new DoppelkopfGame(PLAYERS);
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    game.processCards([at('heart:10', 0.2), at('heart:10', 0.22)]);
+    expect(game.serialize().data.currentTrickCards).toEqual([[0, 'heart:10']]);
+  });
+
+  it('never reports more copies of a card than the deck has', () => {
+    const game = new DoppelkopfGame(PLAYERS);
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    game.processCards([at('heart:10', 0.2), at('heart:10', 0.5), at('heart:10', 0.8)]);
+    expect(game.serialize().data.currentTrickCards).toEqual([[0, 'heart:10'], [1, 'heart:10']]);
+  });
+
+  it('does not count a flickering duplicate as a new card', () => {
+    const game = new DoppelkopfGame(PLAYERS);
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    game.processCards([at('heart:10', 0.2), at('heart:10', 0.5)]);
+    game.processCards([at('heart:10', 0.2)]);
+    game.processCards([at('heart:10', 0.2), at('heart:10', 0.5), at('spades:ace', 0.8)]);
+    expect(game.serialize().data.currentTrickCards)
+      .toEqual([[0, 'heart:10'], [1, 'heart:10'], [2, 'spades:ace']]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('rule violations', () => {
+  function started() {
+    const game = new DoppelkopfGame(PLAYERS);
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    return game;
+  }
+
+  it('reports a revoke once the player plays the suit they did not follow', () => {
+    const game = started();
+    game.processCards([card('clubs:ace'), card('heart:ace'), card('clubs:10'), card('clubs:king')]);
+    game.processCards([]);
+    // Bob plays clubs after discarding on clubs in trick 1
+    const result = game.processCards([card('spades:ace'), card('clubs:king'), card('spades:10'), card('spades:king')]);
+    expect(result.actions.find(a => a.type === 'ruleViolation')).toEqual({
+      type: 'ruleViolation', rule: 'revoke', playerIndex: 1, text: 'Bob hat in Stich 1 nicht bedient!',
+    });
+  });
+
+  it('treats trump as a suit of its own', () => {
+    const game = started();
+    // Bob follows the trump lead with a queen, so he is not void in trump
+    game.processCards([card('diamond:ace'), card('clubs:queen'), card('diamond:10'), card('diamond:king')]);
+    game.processCards([]);
+    const result = game.processCards([card('heart:jack'), card('clubs:ace'), card('diamond:jack'), card('spades:jack')]);
+    expect(result.actions.some(a => a.type === 'ruleViolation')).toBe(false);
+  });
+
+  it('reports a card played more often than the deck holds it', () => {
+    const game = started();
+    game.processCards([card('clubs:ace'), card('clubs:10'), card('clubs:king'), card('spades:ace')]);
+    game.processCards([]);
+    game.processCards([card('clubs:ace'), card('clubs:10'), card('clubs:king'), card('heart:ace')]);
+    game.processCards([]);
+    const result = game.processCards([card('clubs:ace'), card('spades:10'), card('spades:king'), card('heart:10')]);
+    expect(result.actions.find(a => a.type === 'ruleViolation')).toMatchObject({ rule: 'duplicateCard' });
+  });
+
+  it('warns about cards played after the last trick and lists the violations in the summary', () => {
+    const game = started();
+    const tricks = [
+      ['clubs:ace', 'clubs:10', 'clubs:king', 'clubs:jack'],
+      ['spades:ace', 'spades:10', 'spades:king', 'spades:jack'],
+      ['heart:ace', 'heart:king', 'heart:queen', 'heart:jack'],
+      ['diamond:ace', 'diamond:10', 'diamond:king', 'diamond:jack'],
+      ['clubs:queen', 'spades:queen', 'diamond:queen', 'heart:10'],
+    ];
+    for (const trick of [...tricks, ...tricks]) {
+      game.processCards(trick.map(card));
+      game.processCards([]);
+    }
+    const result = game.processCards([card('clubs:ace')]);
+    expect(result.actions).toEqual([
+      { type: 'ruleViolation', rule: 'tooManyTricks', text: 'Alle 10 Stiche sind gespielt.' },
+    ]);
+    expect(result.display.summary).toContainEqual({ label: 'Regelverstoß', value: 'Alle 10 Stiche sind gespielt.' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('processEvent – custom events and prompts', () => {
+  const { answerPrompt } = require('@boardgamebuddy/game-pack-api');
+  const { GAME_CONFIG, doppelkopfConfig } = require('../scorer');
+  const gameJson = require('../game.json');
+  const internal = (game) => game.serialize().data;
+
+  function startedGame(options = {}) {
+    const game = new DoppelkopfGame(PLAYERS, options);
+    game.processEvent(ev('gameStarted', { players: PLAYERS }));
+    return game;
+  }
+
+  it('reads the declared events from game.json', () => {
+    expect(GAME_CONFIG.events.map(e => e.id)).toEqual(['thrownIn']);
+  });
+
+  it('thrownIn asks who throws in, and the answer deals again', () => {
+    const game = startedGame();
+    game.processEvent(ev('announcementMade', { id: 're' }));
+    const asked = game.processEvent(ev('thrownIn', {}));
+    expect(asked.actions).toEqual([{
+      type: 'promptChoice',
+      prompt: 'Wer schmeißt?',
+      options: PLAYERS.map((label, value) => ({ value, label })),
+      event: { type: 'thrownIn', data: {} },
+      field: 'playerIndex',
+    }]);
+
+    const state = game.processEvent(answerPrompt(asked.actions[0], 2));
+    expect(state.actions[0]).toEqual({ type: 'speak', text: 'Charlie schmeißt. Bitte neu geben.' });
+    expect(state.actions.some(a => a.type === 'awaitTableClear')).toBe(true);
+    expect(internal(game).announcements).toEqual([]);
+    expect(state.players.every(p => p.totalScore === 0)).toBe(true);
+  });
+
+  it('thrownIn is refused once a trick was played', () => {
+    const game = startedGame();
+    game.processCards([card('clubs:ace'), card('clubs:10'), card('clubs:king'), card('spades:ace')]);
+    const state = game.processEvent(ev('thrownIn', { playerIndex: 1 }));
+    expect(state.actions).toEqual([{ type: 'speak', text: 'Schmeißen geht nur vor dem ersten Stich.' }]);
+    expect(internal(game).completedTricks).toBe(1);
+  });
+
+  it('thrownIn is an unknown event when game.json does not declare it', () => {
+    const config = doppelkopfConfig({ ...gameJson, liveTracking: { ...gameJson.liveTracking, events: [] } });
+    const game = startedGame({ config });
+    game.processEvent(ev('announcementMade', { id: 're' }));
+    expect(game.processEvent(ev('thrownIn', { playerIndex: 1 })).actions).toEqual([]);
+    expect(internal(game).announcements).toEqual(['re']);
+  });
+
+  it('an Armut without partner asks who took the cards', () => {
+    const game = startedGame();
+    const asked = game.processEvent(ev('gameTypeAnnounced', { gameType: 'armut', playerIndex: 1 }));
+    expect(asked.actions[0]).toEqual({ type: 'highlightPlayer', playerIndex: 1 });
+    expect(asked.actions[1]).toMatchObject({
+      type: 'promptChoice',
+      prompt: 'Wer nimmt die Armut von Bob?',
+      options: [{ value: 0, label: 'Alice' }, { value: 2, label: 'Charlie' }, { value: 3, label: 'Dave' }],
+      field: 'partnerIndex',
+    });
+    expect(internal(game).contract).toEqual({ type: 'normal' });
+
+    const state = game.processEvent(answerPrompt(asked.actions[1], 3));
+    expect(internal(game).contract).toEqual({ type: 'armut', declarer: 1, partner: 3 });
+    expect(state.actions[state.actions.length - 1]).toEqual({ type: 'highlightPlayer', playerIndex: null });
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Doppelkopf recorded-session replay.
+ *
+ * recordings/one-game.json is a Playground session export: one full game of
+ * ten tricks with a "Re" announcement after the first trick, followed by
+ * roundEnded. Every GameState the replay emits (actions included) is pinned
+ * by a snapshot.
+ */
+
+export {};
+
+const { DoppelkopfGame } = require('../scorer');
+const { replayRecording } = require('@boardgamebuddy/game-pack-api');
+
+const recording = require('./recordings/one-game.json');
+
+describe('replay – one-game.json', () => {
+  const states = replayRecording(new DoppelkopfGame(recording.players), recording);
+
+  it('emits one GameState per recorded step', () => {
+    expect(states).toHaveLength(recording.steps.length);
+  });
+
+  it('shows the round summary after the tenth trick', () => {
+    const summaryState = states.find(s => s.actions?.some(a => a.type === 'showSummary'));
+    expect(summaryState).toBeDefined();
+    expect(summaryState.display.summary.length).toBeGreaterThan(0);
+  });
+
+  it('matches the recorded GameState at every step', () => {
+    states.forEach((state, i) => expect(state).toMatchSnapshot(`step ${i}`));
+  });
+});
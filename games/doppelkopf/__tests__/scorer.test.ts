@@ -2,6 +2,8 @@
  * Doppelkopf scorer tests.
  */
 
+export {};
+
 const {
   processCards,
   parseCard,
@@ -14,6 +16,8 @@ const {
   determineTrickWinner,
   calculateRoundScore,
   calculateAllRoundScores,
+  parseContract,
+  findHochzeitPartner,
 } = require('../scorer');
 
 // Helper: minimal DetectedCard
@@ -1205,3 +1209,159 @@ describe('calculateAllRoundScores', () => {
     expect(result.scores['Alice']).toBe(-result.scores['Charlie']);
   });
 });
+
+// ---------------------------------------------------------------------------
+describe('solo trump order', () => {
+  const damen = { type: 'damenSolo', declarer: 0 };
+  const buben = { type: 'bubenSolo', declarer: 0 };
+  const fleischlos = { type: 'fleischlos', declarer: 0 };
+  const farb = (suit) => ({ type: 'farbSolo', declarer: 0, suit });
+
+  it('Damen-Solo: only queens are trump', () => {
+    expect(isTrump('heart:queen', damen)).toBe(true);
+    expect(isTrump('clubs:jack', damen)).toBe(false);
+    expect(isTrump('heart:10', damen)).toBe(false);
+    expect(isTrump('diamond:ace', damen)).toBe(false);
+    expect(trumpRank('clubs:queen', damen)).toBeGreaterThan(trumpRank('diamond:queen', damen));
+  });
+
+  it('Buben-Solo: only jacks are trump', () => {
+    expect(isTrump('diamond:jack', buben)).toBe(true);
+    expect(isTrump('clubs:queen', buben)).toBe(false);
+    expect(extractSuit('heart:10', buben)).toBe('heart');
+  });
+
+  it('Fleischlos: no trump, ace > 10 > king > queen > jack', () => {
+    for (const id of ['heart:10', 'clubs:queen', 'clubs:jack', 'diamond:ace']) {
+      expect(isTrump(id, fleischlos)).toBe(false);
+    }
+    const order = ['ace', '10', 'king', 'queen', 'jack'].map(v => extractValue(`spades:${v}`, fleischlos));
+    expect([...order].sort((x, y) => y - x)).toEqual(order);
+  });
+
+  it('Farb-Solo: the named suit replaces the diamonds', () => {
+    expect(isTrump('spades:ace', farb('spades'))).toBe(true);
+    expect(isTrump('spades:10', farb('spades'))).toBe(true);
+    expect(isTrump('diamond:ace', farb('spades'))).toBe(false);
+    expect(isTrump('diamond:queen', farb('spades'))).toBe(true);
+    expect(trumpRank('heart:10', farb('heart'))).toBe(13);
+    expect(isTrump('heart:ace', farb('heart'))).toBe(true);
+  });
+
+  it('Karo-Solo ranks like a normal game', () => {
+    for (const id of ['heart:10', 'clubs:queen', 'diamond:jack', 'diamond:ace', 'diamond:king', 'spades:ace']) {
+      expect(trumpRank(id, farb('diamond'))).toBe(trumpRank(id));
+    }
+  });
+
+  it('determineTrickWinner uses the solo trump order', () => {
+    const cards = [[0, 'clubs:jack'], [1, 'clubs:ace'], [2, 'heart:king']];
+    expect(determineTrickWinner(cards, null)).toBe(0);
+    expect(determineTrickWinner(cards, null, damen)).toBe(1);
+    expect(determineTrickWinner([[0, 'heart:10'], [1, 'heart:ace'], [2, 'diamond:jack']], null, buben)).toBe(2);
+    expect(determineTrickWinner([[0, 'clubs:queen'], [1, 'clubs:ace'], [2, 'heart:10']], null, fleischlos)).toBe(1);
+    expect(determineTrickWinner([[0, 'diamond:ace'], [1, 'spades:king']], null, farb('spades'))).toBe(1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('parseContract', () => {
+  it('accepts complete announcements', () => {
+    expect(parseContract({ gameType: 'normal' }, 4)).toEqual({ type: 'normal' });
+    expect(parseContract({ gameType: 'damenSolo', playerIndex: 2 }, 4)).toEqual({ type: 'damenSolo', declarer: 2 });
+    expect(parseContract({ gameType: 'farbSolo', playerIndex: 1, suit: 'heart' }, 4))
+      .toEqual({ type: 'farbSolo', declarer: 1, suit: 'heart' });
+    expect(parseContract({ gameType: 'armut', playerIndex: 1, partnerIndex: 3 }, 4))
+      .toEqual({ type: 'armut', declarer: 1, partner: 3 });
+  });
+
+  it('rejects incomplete announcements', () => {
+    expect(parseContract({ gameType: 'bubenSolo' }, 4)).toBeNull();
+    expect(parseContract({ gameType: 'hochzeit', playerIndex: 4 }, 4)).toBeNull();
+    expect(parseContract({ gameType: 'farbSolo', playerIndex: 1 }, 4)).toBeNull();
+    expect(parseContract({ gameType: 'armut', playerIndex: 1 }, 4)).toBeNull();
+    expect(parseContract({ gameType: 'armut', playerIndex: 1, partnerIndex: 1 }, 4)).toBeNull();
+    expect(parseContract({ gameType: 'ramsch', playerIndex: 0 }, 4)).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('findHochzeitPartner', () => {
+  const won = (...winners) => winners.map(winnerIndex => ({ cards: [], winnerIndex }));
+
+  it('is the first other player to win one of the first three tricks', () => {
+    expect(findHochzeitPartner(won(0, 0, 2, 3), 0)).toBe(2);
+  });
+
+  it('is open before the first foreign trick', () => {
+    expect(findHochzeitPartner(won(0, 0), 0)).toBeNull();
+  });
+
+  it('is nobody when the Hochzeit player wins the first three tricks', () => {
+    expect(findHochzeitPartner(won(0, 0, 0, 1), 0)).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('calculateAllRoundScores – game types', () => {
+  const players = ['Alice', 'Bob', 'Charlie', 'Dave'];
+  const aces = [[0, 'clubs:ace'], [1, 'spades:ace'], [2, 'heart:ace'], [3, 'diamond:ace']];  // 44 Augen
+  const tens = [[0, 'clubs:10'], [1, 'spades:10'], [2, 'heart:10'], [3, 'diamond:10']];     // 40 Augen
+  const label = (result, l) => result.summary.find(item => item.label === l).value;
+
+  it('solo won: soloist gets three times the points, no extras', () => {
+    // Charlie: 3 × 44 = 132 Augen, Kontra 40 → keine 90, keine 60.
+    // Both tricks are a Doppelkopf (40+), which does not count in a solo.
+    const tricks = [trick(aces, 2), trick(aces, 2), trick(aces, 2), trick(tens, 0)];
+    const result = calculateAllRoundScores({
+      playerNames: players, trickHistory: tricks, announcements: [],
+      contract: { type: 'damenSolo', declarer: 2 },
+    });
+    expect(result.scores).toEqual({ Alice: -3, Bob: -3, Charlie: 9, Dave: -3 });
+    expect(label(result, 'Spiel')).toBe('Damen-Solo');
+    expect(label(result, 'Re')).toBe('Charlie');
+    expect(label(result, 'Solo')).toBe('×3');
+    expect(result.summary.some(item => item.label.startsWith('Doppelkopf'))).toBe(false);
+  });
+
+  it('solo lost: no "Gegen die Alten"', () => {
+    const tricks = [trick(aces, 0), trick(aces, 1), trick(aces, 3), trick(tens, 2)];
+    const result = calculateAllRoundScores({
+      playerNames: players, trickHistory: tricks, announcements: [],
+      contract: { type: 'fleischlos', declarer: 2 },
+    });
+    expect(result.scores).toEqual({ Alice: 3, Bob: 3, Charlie: -9, Dave: 3 });
+    expect(result.summary.some(item => item.label === 'Gegen die Alten')).toBe(false);
+  });
+
+  it('Hochzeit: the first foreign trick winner is the partner', () => {
+    const tricks = [trick(aces, 0), trick(tens, 3), trick(aces, 1)];
+    const result = calculateAllRoundScores({
+      playerNames: players, trickHistory: tricks, announcements: [],
+      contract: { type: 'hochzeit', declarer: 0 },
+    });
+    expect(label(result, 'Re')).toBe('Alice, Dave');
+    expect(result.scores.Alice).toBe(result.scores.Dave);
+    expect(label(result, 'Spiel')).toBe('Hochzeit');
+  });
+
+  it('Hochzeit without partner is played as a solo', () => {
+    const tricks = [trick(aces, 0), trick(aces, 0), trick(aces, 0), trick(tens, 3)];
+    const result = calculateAllRoundScores({
+      playerNames: players, trickHistory: tricks, announcements: [],
+      contract: { type: 'hochzeit', declarer: 0 },
+    });
+    expect(label(result, 'Re')).toBe('Alice');
+    expect(result.scores).toEqual({ Alice: 9, Bob: -3, Charlie: -3, Dave: -3 });
+  });
+
+  it('Armut: the Armut player and the player who took the cards are Re', () => {
+    const tricks = [trick([[0, 'clubs:queen'], [1, 'heart:ace'], [2, 'clubs:queen'], [3, 'spades:ace']], 0)];
+    const result = calculateAllRoundScores({
+      playerNames: players, trickHistory: tricks, announcements: [],
+      contract: { type: 'armut', declarer: 1, partner: 3 },
+    });
+    expect(label(result, 'Re')).toBe('Bob, Dave');
+    expect(label(result, 'Kontra')).toBe('Alice, Charlie');
+  });
+});
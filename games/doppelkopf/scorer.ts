@@ -5,9 +5,11 @@
  *
  * Card IDs follow the pattern `<suit>:<value>` where:
  *   suit  = clubs | spades | heart | diamond
- *   value = 10 | jack | queen | king | ace
+ *   value = 9 | 10 | jack | queen | king | ace
  *
- * Each card is present twice in the deck (40 cards total — played without 9s).
+ * Each card is present twice in the deck: 40 cards without 9s (10 tricks) or
+ * 48 cards with them (12 tricks). The deck and the house rules come from
+ * game.json (see DoppelkopfConfig).
  *
  * Trump order (highest → lowest, normal game):
  *   1.  heart:10      (Dullen)
@@ -22,19 +24,29 @@
  *   10. diamond:ace   (Fuchs)
  *   11. diamond:10
  *   12. diamond:king
+ *   13. diamond:9     (only with 9s)
  *
- * Fehlfarben (clubs, spades, heart) order: ace > 10 > king
+ * Fehlfarben (clubs, spades, heart) order: ace > 10 > king (> 9)
  * Note: Queens and Jacks are always trump regardless of suit; Heart 10 is trump.
+ *
+ * Hochzeit and Armut use the normal order. Solos change it (see Contract):
+ *   Farb-Solo     – the named suit's ace, 10 and king replace the diamonds
+ *   Damen-Solo    – only queens are trump; Fehlfarben ace > 10 > king > jack
+ *   Buben-Solo    – only jacks are trump;  Fehlfarben ace > 10 > king > queen
+ *   Fleischlos    – no trump;              ace > 10 > king > queen > jack
  */
 
-import type { GamePack, GameState, DetectedBox, ScorerContext, PlayerScoreResult, CardScoreDetail, LiveEvent, LiveGameState, LiveHudItem, FlutterAction } from '@boardgamebuddy/game-pack-api';
-import { createTranslator } from '@boardgamebuddy/game-pack-api';
+import type { GamePack, GameOptions, GameState, GameSnapshot, SnapshotMigrations, StabiliserOptions, RuleViolation, DetectedBox, ScorerContext, PlayerScoreResult, PlayerRanking, CardScoreDetail, LocalisedText, LiveEvent, LiveGameState, LiveHudItem, FlutterAction, CustomEventDeclaration, Translator } from '@boardgamebuddy/game-pack-api';
+import { createTranslator, renderText, localisedDetail, migrateSnapshot, isGameSnapshot, DetectionStabiliser, stabiliserOptions, calibrateSeats, attributeTrickCards, seatTrickCards, reseatTricks, moveTrickCard, findTrickWithCard, findRevokes, findDuplicateCards, validateEventData, rankPlayers } from '@boardgamebuddy/game-pack-api';
 
 // ---------------------------------------------------------------------------
 // Localisation
 // ---------------------------------------------------------------------------
 
-const t = createTranslator(require('path').join(__dirname, 'texts.json'));
+const TEXTS_PATH = require('path').join(__dirname, 'texts.json');
+
+/** Texts in the default language, for callers without a game, e.g. of cardDisplayName(). */
+const defaultTexts = createTranslator(TEXTS_PATH);
 
 // ---------------------------------------------------------------------------
 // Card point values (Augen)
@@ -65,6 +77,7 @@ const TRUMP_RANK: Record<string, number> = {
   'diamond:ace': 4,
   'diamond:10': 3,
   'diamond:king': 2,
+  'diamond:9': 1,
 };
 
 // Fehlfarbe rank for ace, 10, king (queen/jack are trump, not Fehlfarbe)
@@ -74,6 +87,222 @@ const FEHLFARBE_RANK: Record<string, number> = {
   king: 1,
 };
 
+// ---------------------------------------------------------------------------
+// Game types (Vorbehalte)
+// ---------------------------------------------------------------------------
+
+export type GameType =
+  | 'normal'
+  | 'hochzeit'
+  | 'armut'
+  | 'farbSolo'
+  | 'damenSolo'
+  | 'bubenSolo'
+  | 'fleischlos';
+
+/** The game being played in the current round. */
+export interface Contract {
+  type: GameType;
+  /** Player who announced the game: the soloist, the Hochzeit or the Armut player. */
+  declarer?: number;
+  /** Trump suit of a Farb-Solo. */
+  suit?: string;
+  /** Player who took the Armut player's cards. */
+  partner?: number;
+}
+
+export const NORMAL_GAME: Contract = { type: 'normal' };
+
+const SUITS = ['clubs', 'spades', 'heart', 'diamond'];
+
+const SOLO_TYPES: GameType[] = ['farbSolo', 'damenSolo', 'bubenSolo', 'fleischlos'];
+
+/** A Hochzeit partner must be found within this many tricks. */
+const HOCHZEIT_TRICKS = 3;
+
+/**
+ * Farb-Solo trump order: the normal order with the named suit's ace, 10,
+ * king and 9 in place of the diamonds (heart:10 stays the highest trump).
+ */
+function farbSoloTrumpRank(suit: string): Record<string, number> {
+  const rank: Record<string, number> = {};
+  for (const [key, value] of Object.entries(TRUMP_RANK)) {
+    if (!key.startsWith('diamond:') || value >= TRUMP_RANK['diamond:jack']) rank[key] = value;
+  }
+  rank[`${suit}:ace`] = TRUMP_RANK['diamond:ace'];
+  if (suit !== 'heart') rank[`${suit}:10`] = TRUMP_RANK['diamond:10'];
+  rank[`${suit}:king`] = TRUMP_RANK['diamond:king'];
+  rank[`${suit}:9`] = TRUMP_RANK['diamond:9'];
+  return rank;
+}
+
+const FARB_SOLO_TRUMP_RANK: Record<string, Record<string, number>> =
+  Object.fromEntries(SUITS.map(suit => [suit, farbSoloTrumpRank(suit)]));
+
+const DAMEN_SOLO_TRUMP_RANK: Record<string, number> = {
+  'clubs:queen': 4,
+  'spades:queen': 3,
+  'heart:queen': 2,
+  'diamond:queen': 1,
+};
+
+const BUBEN_SOLO_TRUMP_RANK: Record<string, number> = {
+  'clubs:jack': 4,
+  'spades:jack': 3,
+  'heart:jack': 2,
+  'diamond:jack': 1,
+};
+
+const DAMEN_SOLO_FEHLFARBE_RANK: Record<string, number> = { ace: 4, '10': 3, king: 2, jack: 1 };
+const BUBEN_SOLO_FEHLFARBE_RANK: Record<string, number> = { ace: 4, '10': 3, king: 2, queen: 1 };
+const FLEISCHLOS_RANK: Record<string, number> = { ace: 5, '10': 4, king: 3, queen: 2, jack: 1 };
+
+function trumpRanks(contract: Contract): Record<string, number> {
+  switch (contract.type) {
+    case 'farbSolo':   return FARB_SOLO_TRUMP_RANK[contract.suit ?? 'diamond'] ?? TRUMP_RANK;
+    case 'damenSolo':  return DAMEN_SOLO_TRUMP_RANK;
+    case 'bubenSolo':  return BUBEN_SOLO_TRUMP_RANK;
+    case 'fleischlos': return {};
+    default:           return TRUMP_RANK;
+  }
+}
+
+function fehlfarbeRanks(contract: Contract): Record<string, number> {
+  switch (contract.type) {
+    case 'damenSolo':  return DAMEN_SOLO_FEHLFARBE_RANK;
+    case 'bubenSolo':  return BUBEN_SOLO_FEHLFARBE_RANK;
+    case 'fleischlos': return FLEISCHLOS_RANK;
+    default:           return FEHLFARBE_RANK;
+  }
+}
+
+/** True for the four solo game types (a silent solo is a normal game). */
+export function isSoloGame(contract: Contract): boolean {
+  return SOLO_TYPES.includes(contract.type);
+}
+
+/**
+ * Reads the data of a gameTypeAnnounced event,
+ * `{ gameType, playerIndex?, suit?, partnerIndex? }`, and returns the game
+ * normalised, or null if it is incomplete: every game but the normal one needs a declarer, a Farb-Solo
+ * its suit and an Armut the partner who took the cards.
+ */
+export function parseContract(data: Record<string, unknown>, playerCount: number): Contract | null {
+  const type = data.gameType as GameType;
+  if (type === 'normal') return { type };
+  const isSeat = (i: unknown): i is number =>
+    typeof i === 'number' && Number.isInteger(i) && i >= 0 && i < playerCount;
+  const declarer = data.playerIndex;
+  if (!isSeat(declarer)) return null;
+  if (type === 'farbSolo') {
+    const suit = data.suit as string;
+    return SUITS.includes(suit) ? { type, declarer, suit } : null;
+  }
+  if (type === 'armut') {
+    const partner = data.partnerIndex;
+    return isSeat(partner) && partner !== declarer ? { type, declarer, partner } : null;
+  }
+  if (type === 'hochzeit' || SOLO_TYPES.includes(type)) return { type, declarer };
+  return null;
+}
+
+/**
+ * Returns the Hochzeit partner: the first player other than the Hochzeit
+ * player to win one of the first three tricks. Returns null while that is
+ * still open, and when the Hochzeit player won all three (they then play
+ * alone).
+ */
+export function findHochzeitPartner(trickHistory: { winnerIndex: number }[], declarer: number): number | null {
+  for (const trick of trickHistory.slice(0, HOCHZEIT_TRICKS)) {
+    if (trick.winnerIndex !== declarer) return trick.winnerIndex;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Configuration (game.json)
+// ---------------------------------------------------------------------------
+
+/** The parts of game.json the scorer reads. */
+export interface DoppelkopfGameJson {
+  cardCopies?: number;
+  liveTracking?: {
+    tricksPerRound?: number;
+    announcements?: { id: string; triggerWords: string[]; maxTrick?: number }[];
+    events?: CustomEventDeclaration[];
+    stabiliser?: Partial<StabiliserOptions>;
+  };
+  rules?: {
+    withNines?: boolean;
+    extras?: { fuchs?: boolean; karlchen?: boolean; doppelkopf?: boolean };
+    dulleStichtDulle?: boolean;
+  };
+}
+
+/** Deck and house rules of a Doppelkopf game. */
+export interface DoppelkopfConfig {
+  /** Played with the 9s (48 cards) or without (40 cards). */
+  withNines: boolean;
+  /** 12 with 9s, 10 without. */
+  tricksPerRound: number;
+  /** Re, Kontra, …: trigger words and the last trick before which they may be made. */
+  announcements: { id: string; triggerWords: string[]; maxTrick: number }[];
+  /** The pack's own events this house plays with, e.g. `thrownIn` (Schmeißen). */
+  events: CustomEventDeclaration[];
+  /** Extra points that are scored. */
+  extras: { fuchs: boolean; karlchen: boolean; doppelkopf: boolean };
+  /** The second Herz 10 of a trick beats the first one. */
+  dulleStichtDulle: boolean;
+  /** Detection stabiliser settings (cardCopies, liveTracking.stabiliser). */
+  stabiliser: StabiliserOptions;
+}
+
+const PLAYERS_PER_GAME = 4;
+
+/**
+ * Reads the configuration from game.json. Everything but the announcements
+ * is optional and defaults to the standard game without 9s.
+ *
+ * @throws When `liveTracking.tricksPerRound` does not match the deck.
+ */
+export function doppelkopfConfig(game: DoppelkopfGameJson): DoppelkopfConfig {
+  const rules = game.rules ?? {};
+  const withNines = rules.withNines ?? false;
+  const tricksPerRound = (withNines ? 48 : 40) / PLAYERS_PER_GAME;
+  const declared = game.liveTracking?.tricksPerRound;
+  if (declared !== undefined && declared !== tricksPerRound) {
+    throw new Error(`liveTracking.tricksPerRound is ${declared}, but a deck ${withNines ? 'with' : 'without'} 9s has ${tricksPerRound} tricks`);
+  }
+  return {
+    withNines,
+    tricksPerRound,
+    announcements: (game.liveTracking?.announcements ?? []).map(a => ({
+      id: a.id,
+      triggerWords: a.triggerWords,
+      maxTrick: a.maxTrick ?? tricksPerRound,
+    })),
+    events: game.liveTracking?.events ?? [],
+    extras: {
+      fuchs: rules.extras?.fuchs ?? true,
+      karlchen: rules.extras?.karlchen ?? true,
+      doppelkopf: rules.extras?.doppelkopf ?? true,
+    },
+    dulleStichtDulle: rules.dulleStichtDulle ?? false,
+    stabiliser: stabiliserOptions(game),
+  };
+}
+
+/** The configuration of this pack. */
+export const GAME_CONFIG: DoppelkopfConfig = doppelkopfConfig(require('./game.json'));
+
+/** Display name of a game, e.g. "Farb-Solo Herz". */
+export function contractDisplayName(contract: Contract, t: Translator = defaultTexts): string {
+  const name = t(`game_types.${contract.type}`, contract.type);
+  return contract.type === 'farbSolo' && contract.suit
+    ? `${name} ${t(`suits.${contract.suit}`, contract.suit)}`
+    : name;
+}
+
 // ---------------------------------------------------------------------------
 // Card parsing helpers
 // ---------------------------------------------------------------------------
@@ -97,28 +326,29 @@ export function parseCard(cardId: string): [string, string] {
 
 /**
  * Returns the trump rank of a card, or 0 if it is not a trump card.
+ * Uses the normal-game order unless a solo contract is given.
  */
-export function trumpRank(cardId: string): number {
+export function trumpRank(cardId: string, contract: Contract = NORMAL_GAME): number {
   const [suit, value] = parseCard(cardId);
   const key = `${suit}:${value}`;
-  return TRUMP_RANK[key] ?? 0;
+  return trumpRanks(contract)[key] ?? 0;
 }
 
 /**
- * Returns true if the card is a trump card in normal-game rules.
+ * Returns true if the card is a trump card in the given game (default: normal game).
  *
- * Trump cards: all queens, all jacks, all diamonds, and heart:10.
+ * Normal-game trump cards: all queens, all jacks, all diamonds, and heart:10.
  */
-export function isTrump(cardId: string): boolean {
-  return trumpRank(cardId) > 0;
+export function isTrump(cardId: string, contract: Contract = NORMAL_GAME): boolean {
+  return trumpRank(cardId, contract) > 0;
 }
 
 /**
  * Extracts the logical suit of a card for trick-taking purposes.
  * Trump cards return "trump"; Fehlfarbe cards return their actual suit.
  */
-export function extractSuit(cardId: string): string {
-  if (isTrump(cardId)) return 'trump';
+export function extractSuit(cardId: string, contract: Contract = NORMAL_GAME): string {
+  if (isTrump(cardId, contract)) return 'trump';
   const [suit] = parseCard(cardId);
   return suit;
 }
@@ -127,11 +357,11 @@ export function extractSuit(cardId: string): string {
  * Extracts the rank value of a card used for Fehlfarbe comparison.
  * Trump cards return their trump rank; Fehlfarbe cards return their Fehlfarbe rank.
  */
-export function extractValue(cardId: string): number {
-  const tr = trumpRank(cardId);
+export function extractValue(cardId: string, contract: Contract = NORMAL_GAME): number {
+  const tr = trumpRank(cardId, contract);
   if (tr > 0) return tr;
   const [, value] = parseCard(cardId);
-  return FEHLFARBE_RANK[value] ?? 0;
+  return fehlfarbeRanks(contract)[value] ?? 0;
 }
 
 /**
@@ -151,19 +381,29 @@ export function cardAugen(cardId: string): number {
  * cardDisplayName('heart:10')      // → 'Heart 10 (Dullen)'
  * cardDisplayName('clubs:jack')    // → 'Clubs Jack (Karlchen)'
  */
-export function cardDisplayName(cardId: string): string {
-  const [suit, value] = parseCard(cardId);
-
-  const suitName = t(`suits.${suit}`, suit);
-  const valueName = t(`cards.${value}`, value);
-  let name = `${suitName} ${valueName}`;
+export function cardDisplayName(cardId: string, t: Translator = defaultTexts): string {
+  return renderText(t, cardNameText(cardId));
+}
 
-  // Special nicknames
-  if (suit === 'heart' && value === '10') name += ` (${t('cards.dullen', 'Dullen')})`;
-  if (suit === 'diamond' && value === 'ace') name += ` (${t('cards.fuchs', 'Fuchs')})`;
-  if (suit === 'clubs' && value === 'jack') name += ` (${t('cards.karlchen', 'Karlchen')})`;
+/** Nicknames of special cards, as `cards.*` keys. */
+const NICKNAMES: Record<string, string> = {
+  'heart:10': 'dullen',
+  'diamond:ace': 'fuchs',
+  'clubs:jack': 'karlchen',
+};
 
-  return name;
+/** A card's display name as texts.json keys; cardDisplayName() renders it. */
+export function cardNameText(cardId: string): LocalisedText {
+  const [suit, value] = parseCard(cardId);
+  const name: LocalisedText = {
+    key: 'ui.card_name',
+    params: [{ key: `suits.${suit}`, fallback: suit }, { key: `cards.${value}`, fallback: value }],
+    fallback: '%s %s',
+  };
+  const nickname = NICKNAMES[`${suit}:${value}`];
+  if (!nickname) return name;
+  const nicknameText = { key: `cards.${nickname}`, fallback: nickname[0].toUpperCase() + nickname.slice(1) };
+  return { key: 'ui.card_nickname', params: [name, nicknameText], fallback: '%s (%s)' };
 }
 
 // ---------------------------------------------------------------------------
@@ -171,44 +411,50 @@ export function cardDisplayName(cardId: string): string {
 // ---------------------------------------------------------------------------
 
 /**
- * Determines the winner of a trick in normal-game Doppelkopf.
+ * Determines the winner of a trick in Doppelkopf.
  *
  * @param cards  List of [playerIndex, cardId] pairs in play order.
- * @param _trumpSuit  Ignored — trump is always fixed in Doppelkopf.
+ * @param _trumpSuit  Ignored — trump follows from the contract, not from a trump card.
+ * @param contract  The game being played (default: normal game).
  * @returns      The playerIndex of the winner.
  *
  * Rules:
- * - All Damen, Buben, Karo cards, and Herz 10 are trump.
+ * - All Damen, Buben, Karo cards, and Herz 10 are trump (normal game; solos differ).
  * - Trump beats Fehlfarbe; higher trump rank wins.
  * - Among Fehlfarbe, only cards of the led suit can win; As > 10 > König.
- * - Equal cards: the first one played wins ("liegt oben").
+ * - Equal cards: the first one played wins ("liegt oben"), except for the
+ *   Herz 10 when the config has "Dulle sticht Dulle".
  */
 export function determineTrickWinner(
   cards: [number, string][],
   _trumpSuit: string | null,
+  contract: Contract = NORMAL_GAME,
+  config: DoppelkopfConfig = GAME_CONFIG,
 ): number {
   if (cards.length === 0) return 0;
 
   let winnerIndex = cards[0][0];
-  let winnerIsTrump = isTrump(cards[0][1]);
+  let winnerIsTrump = isTrump(cards[0][1], contract);
   let winnerRank = winnerIsTrump
-    ? trumpRank(cards[0][1])
-    : extractValue(cards[0][1]);
-  const ledSuit = extractSuit(cards[0][1]);
+    ? trumpRank(cards[0][1], contract)
+    : extractValue(cards[0][1], contract);
+  const ledSuit = extractSuit(cards[0][1], contract);
 
   for (let i = 1; i < cards.length; i++) {
     const [playerIdx, cardId] = cards[i];
-    const trump = isTrump(cardId);
-    const suit = extractSuit(cardId);
-    const rank = trump ? trumpRank(cardId) : extractValue(cardId);
+    const trump = isTrump(cardId, contract);
+    const suit = extractSuit(cardId, contract);
+    const rank = trump ? trumpRank(cardId, contract) : extractValue(cardId, contract);
 
     if (trump && !winnerIsTrump) {
       // Trump beats Fehlfarbe.
       winnerIndex = playerIdx;
       winnerIsTrump = true;
       winnerRank = rank;
-    } else if (trump && winnerIsTrump && rank > winnerRank) {
-      // Higher trump wins; equal trump → first played wins (no update).
+    } else if (trump && winnerIsTrump &&
+               (rank > winnerRank || (rank === winnerRank && config.dulleStichtDulle && parseCard(cardId).join(':') === 'heart:10'))) {
+      // Higher trump wins; equal trump → first played wins (no update),
+      // unless the second Dulle beats the first.
       winnerIndex = playerIdx;
       winnerRank = rank;
     } else if (!trump && !winnerIsTrump && suit === ledSuit && rank > winnerRank) {
@@ -247,6 +493,9 @@ interface RoundContext {
   playerNames: string[];
   trickHistory: TrickRecord[];
   announcements: string[];  // e.g. ["re"] or ["re", "kontra"]
+  contract?: Contract;      // default: normal game
+  config?: DoppelkopfConfig; // default: GAME_CONFIG
+  t?: Translator;            // default: texts in the default language
 }
 
 interface RoundScoreResult {
@@ -257,9 +506,21 @@ interface RoundScoreResult {
 /**
  * Detects the Re team by finding which players played Kreuz Dame.
  * In normal Doppelkopf, the two players holding Kreuz Dame form the Re team.
+ * After a Vorbehalt the declarer is Re: alone in a solo, with the player who
+ * took the cards in an Armut, and with the Hochzeit partner (if one was found).
  * Returns a Set of player indices on the Re team.
  */
-function detectReTeam(trickHistory: TrickRecord[]): Set<number> {
+function detectReTeam(trickHistory: TrickRecord[], contract: Contract = NORMAL_GAME): Set<number> {
+  if (contract.declarer !== undefined) {
+    const team = new Set([contract.declarer]);
+    if (contract.type === 'armut' && contract.partner !== undefined) team.add(contract.partner);
+    if (contract.type === 'hochzeit') {
+      const partner = findHochzeitPartner(trickHistory, contract.declarer);
+      if (partner !== null) team.add(partner);
+    }
+    return team;
+  }
+
   const reMembers = new Set<number>();
   for (const trick of trickHistory) {
     for (const [playerIdx, cardId] of trick.cards) {
@@ -303,18 +564,20 @@ interface ExtraPoint {
 }
 
 /**
- * Detects extra point events.
+ * Detects extra point events (those enabled in `config.extras`).
  */
 function detectExtras(
+  t: Translator,
   trickHistory: TrickRecord[],
   reTeam: Set<number>,
+  config: DoppelkopfConfig = GAME_CONFIG,
 ): ExtraPoint[] {
   const extras: ExtraPoint[] = [];
 
   // Fuchs gefangen: Kontra catches Re's Karo As, or vice versa.
   // A "Fuchs" (Karo As) is caught when the opposing team wins a trick
   // containing a Fuchs played by the other team.
-  for (const trick of trickHistory) {
+  for (const trick of config.extras.fuchs ? trickHistory : []) {
     for (const [playerIdx, cardId] of trick.cards) {
       const [suit, value] = parseCard(cardId);
       if (suit === 'diamond' && value === 'ace') {
@@ -333,7 +596,7 @@ function detectExtras(
   //   - Karlchen player wins the trick → bonus for their team
   //   - Partner wins the trick → no score
   //   - Opponent wins the trick → penalty for the Karlchen player's team
-  if (trickHistory.length > 0) {
+  if (config.extras.karlchen && trickHistory.length > 0) {
     const lastTrick = trickHistory[trickHistory.length - 1];
     for (const [playerIdx, cardId] of lastTrick.cards) {
       const [suit, value] = parseCard(cardId);
@@ -354,7 +617,7 @@ function detectExtras(
   }
 
   // Doppelkopf: a trick worth 40+ Augen.
-  for (const trick of trickHistory) {
+  for (const trick of config.extras.doppelkopf ? trickHistory : []) {
     let trickAugen = 0;
     for (const [, cardId] of trick.cards) {
       trickAugen += cardAugen(cardId);
@@ -381,13 +644,18 @@ function detectExtras(
  * Announcements: each adds 2 flat points (Re +2, Kontra +2).
  * Extras (Fuchs, Karlchen, Doppelkopf): independent of game result and announcements.
  *
- * Returns reScore (positive = Re gains, negative = Kontra gains).
+ * Solo (one player against three): no "Gegen die Alten" and no extras; the
+ * soloist wins or pays the result once per opponent (×3).
+ *
+ * Returns reScore (positive = Re gains, negative = Kontra gains), per Kontra player.
  */
 function calculateSpielPunkte(
+  t: Translator,
   reAugen: number,
   kontraAugen: number,
   extras: ExtraPoint[],
   announcements: string[],
+  solo = false,
 ): { reScore: number; reWins: boolean; breakdown: { label: string; value: string }[] } {
   const breakdown: { label: string; value: string }[] = [];
 
@@ -406,8 +674,8 @@ function calculateSpielPunkte(
   // --- Game points (all additive, sign applied at the end) ---
   let gamePoints = 1; // base: winning
 
-  // Gegen die Alten: +1 if Kontra wins.
-  if (!reWins) {
+  // Gegen die Alten: +1 if Kontra wins (not against a soloist).
+  if (!reWins && !solo) {
     gamePoints++;
     breakdown.push({ label: t('scoring.gegen_die_alten', 'Gegen die Alten'), value: '+1' });
   }
@@ -445,7 +713,7 @@ function calculateSpielPunkte(
   // --- Extras (independent of game result and announcement bonuses) ---
   // Positive = favours Re, negative = favours Kontra.
   let netExtras = 0;
-  for (const extra of extras) {
+  for (const extra of solo ? [] : extras) {
     if (extra.forRe) {
       netExtras++;
       breakdown.push({ label: extra.label + ' (Re)', value: '+1' });
@@ -460,6 +728,10 @@ function calculateSpielPunkte(
   //   extras are always directional and never flipped.
   const reScore = (reWins ? gamePoints : -gamePoints) + netExtras;
 
+  if (solo) {
+    breakdown.push({ label: t('scoring.solo', 'Solo'), value: '×3' });
+  }
+
   return { reScore, reWins, breakdown };
 }
 
@@ -474,9 +746,11 @@ function calculateSpielPunkte(
  */
 export function calculateAllRoundScores(context: RoundContext): RoundScoreResult {
   const { playerNames, trickHistory, announcements } = context;
+  const contract = context.contract ?? NORMAL_GAME;
+  const t = context.t ?? defaultTexts;
 
-  // Detect Re team from Kreuz Dame plays.
-  const reTeam = detectReTeam(trickHistory);
+  // Detect Re team from Kreuz Dame plays or the announced game.
+  const reTeam = detectReTeam(trickHistory, contract);
 
   // If we couldn't detect teams (e.g. incomplete data), fall back to 0 scores.
   if (reTeam.size === 0) {
@@ -489,11 +763,13 @@ export function calculateAllRoundScores(context: RoundContext): RoundScoreResult
   const { reAugen, kontraAugen } = sumAugenByTeam(trickHistory, reTeam);
 
   // Detect extras.
-  const extras = detectExtras(trickHistory, reTeam);
+  const extras = detectExtras(t, trickHistory, reTeam, context.config);
 
-  // Calculate Spielpunkte.
+  // Calculate Spielpunkte. A player alone against the rest (solo, Hochzeit
+  // without partner, silent solo) is scored as a solo.
+  const solo = reTeam.size === 1;
   const { reScore, reWins, breakdown } = calculateSpielPunkte(
-    reAugen, kontraAugen, extras, announcements,
+    t, reAugen, kontraAugen, extras, announcements, solo,
   );
 
   // Build team summary.
@@ -508,19 +784,22 @@ export function calculateAllRoundScores(context: RoundContext): RoundScoreResult
   }
 
   const summary: { label: string; value: string }[] = [
+    ...(contract.type === 'normal' ? [] : [{ label: t('scoring.game_type', 'Spiel'), value: contractDisplayName(contract, t) }]),
     { label: t('scoring.re', 'Re'), value: reNames.join(', ') },
     { label: t('scoring.kontra', 'Kontra'), value: kontraNames.join(', ') },
     ...breakdown,
     { label: t('scoring.spielpunkte', 'Spielpunkte'), value: `${reScore > 0 ? '+' : ''}${reScore}` },
   ];
 
-  // Assign scores: Re players get reScore, Kontra players get -reScore.
+  // Assign scores: Kontra players get -reScore, Re players share what Kontra
+  // pays (reScore each in 2:2, 3 × reScore for a soloist).
   // reScore is already sign-aware (positive = Re wins, negative = Kontra wins)
   // with extras applied independently.
+  const reShare = reScore * kontraNames.length / reNames.length;
   const scores: Record<string, number> = {};
   for (let i = 0; i < playerNames.length; i++) {
     const isRe = reTeam.has(i);
-    scores[playerNames[i]] = isRe ? reScore : -reScore;
+    scores[playerNames[i]] = isRe ? reShare : -reScore;
   }
 
   return { scores, summary };
@@ -533,6 +812,7 @@ export function calculateAllRoundScores(context: RoundContext): RoundScoreResult
 interface TrickHistoryEntry {
   cards: [number, string][];
   winnerIndex: number;
+  violations?: RuleViolation[];
 }
 
 interface DoppelkopfInternal {
@@ -547,31 +827,168 @@ interface DoppelkopfInternal {
   currentTrickCards: [number, string][];
   /** Index of the player who leads the current trick (round-robin assignment). */
   trickLeader: number;
+  /** Game type of the current round, set by gameTypeAnnounced. */
+  contract: Contract;
+  /** Seat angle per player from gameStarted's calibration frame, or null (attribute by arrival order). */
+  seatAngles: number[] | null;
 }
 
-/** Announcement trigger words keyed by id, as defined in game.json. */
-const ANNOUNCEMENT_TRIGGERS: Record<string, string[]> = {
-  re:     ['re', 'ree'],
-  kontra: ['kontra', 'contra'],
+/** startAnnouncementListening for the announcements of the config, open until the last window closes. */
+function announcementListening(config: DoppelkopfConfig): FlutterAction {
+  return {
+    type: 'startAnnouncementListening',
+    triggerWords: Object.fromEntries(config.announcements.map(a => [a.id, a.triggerWords])),
+    until: announcementUntil(config),
+  };
+}
+
+function announcementUntil(config: DoppelkopfConfig): number {
+  return Math.max(0, ...config.announcements.map(a => a.maxTrick));
+}
+
+/**
+ * Version of the DoppelkopfInternal shape stored by serialize(). Bump it and
+ * add a migration from the previous version whenever the shape changes.
+ */
+const SNAPSHOT_VERSION = 3;
+const SNAPSHOT_MIGRATIONS: SnapshotMigrations = {
+  // v1 → v2: game types; every game before them was a normal game
+  1: data => ({ ...data, contract: NORMAL_GAME }),
+  // v2 → v3: seat calibration; older games attribute cards by arrival order
+  2: data => ({ ...data, seatAngles: null }),
 };
-const ANNOUNCEMENT_UNTIL = 2; // maxTrick window
+
+/** Every game starts with player 0 leading the first trick. */
+const FIRST_LEADER = 0;
+
+function isRoundCompleteDk(s: DoppelkopfInternal, config: DoppelkopfConfig): boolean {
+  return s.completedTricks >= config.tricksPerRound;
+}
+
+function roundResultDk(t: Translator, s: DoppelkopfInternal, config: DoppelkopfConfig): RoundScoreResult {
+  return calculateAllRoundScores({
+    playerNames: s.players,
+    trickHistory: s.trickHistory,
+    announcements: s.announcements,
+    contract: s.contract,
+    config,
+    t,
+  });
+}
+
+/**
+ * Re-derives players, winners, completedTricks and the trick leader from
+ * the trick history after a correction. Teams and Augen are derived from
+ * the history whenever they are needed.
+ */
+function recomputeRoundDk(s: DoppelkopfInternal, config: DoppelkopfConfig): void {
+  s.trickLeader = reseatTricks(s.trickHistory, FIRST_LEADER, s.players.length,
+    cards => determineTrickWinner(cards, null, s.contract, config));
+  s.currentTrickCards = seatTrickCards(s.currentTrickCards, s.trickLeader, s.players.length);
+  s.completedTricks = s.trickHistory.length;
+  checkTricksDk(s, config);
+}
+
+/** Rules re-derived from the trick history by checkTricksDk. */
+const TRICK_RULES = ['revoke', 'duplicateCard'];
+
+/**
+ * Re-derives the revokes and duplicate cards of every trick in the round.
+ * Trump counts as a suit of its own, so what must be followed depends on the contract.
+ */
+function checkTricksDk(s: DoppelkopfInternal, config: DoppelkopfConfig): void {
+  const suitOf = (cardId: string) => extractSuit(cardId, s.contract);
+  const revokes = findRevokes(s.trickHistory, cards => suitOf(cards[0][1]), suitOf);
+  const copies = config.stabiliser.cardCopies;
+  const duplicates = copies !== undefined ? findDuplicateCards(s.trickHistory, copies) : s.trickHistory.map(() => []);
+  s.trickHistory.forEach((trick, i) => {
+    const violations = [
+      ...(trick.violations ?? []).filter(v => !TRICK_RULES.includes(v.rule)),
+      ...revokes[i],
+      ...duplicates[i],
+    ];
+    if (violations.length > 0) trick.violations = violations;
+    else delete trick.violations;
+  });
+}
+
+/** Spoken and summary text of a rule violation. */
+function violationTextDk(t: Translator, s: DoppelkopfInternal, config: DoppelkopfConfig, v: RuleViolation): string {
+  switch (v.rule) {
+    case 'revoke':
+      return t('voice.revoke', '{player} hat in Stich {trick} nicht bedient!', {
+        player: s.players[v.playerIndex ?? 0],
+        trick: v.trick ?? 0,
+      });
+    case 'duplicateCard':
+      return t('voice.duplicate_card', '{card} wurde in diesem Spiel zu oft gespielt.', { card: cardDisplayName(v.cardId ?? '', t) });
+    default:
+      return t('voice.too_many_tricks', 'Alle {count} Stiche sind gespielt.', { count: config.tricksPerRound });
+  }
+}
+
+function violationActionDk(t: Translator, s: DoppelkopfInternal, config: DoppelkopfConfig, v: RuleViolation): FlutterAction {
+  return {
+    type: 'ruleViolation',
+    rule: v.rule,
+    text: violationTextDk(t, s, config, v),
+    ...(v.playerIndex !== undefined ? { playerIndex: v.playerIndex } : {}),
+  };
+}
+
+/**
+ * What to say about a Hochzeit after a trick: the partner once they are
+ * found, or that the Hochzeit player plays alone after three tricks.
+ */
+function hochzeitUpdate(t: Translator, s: DoppelkopfInternal, hadPartner: boolean): string | null {
+  const { type, declarer } = s.contract;
+  if (type !== 'hochzeit' || declarer === undefined || hadPartner) return null;
+  const partner = contractPartner(s);
+  if (partner !== null) {
+    return t('voice.hochzeit_partner', '{player} spielt mit {partner}.', { player: s.players[declarer], partner: s.players[partner] });
+  }
+  if (s.completedTricks === HOCHZEIT_TRICKS) {
+    return t('voice.hochzeit_alone', '%s spielt allein.', [s.players[declarer]]);
+  }
+  return null;
+}
+
+/** Round summary: the round's scoring lines and rule violations, followed by every player's total. */
+function buildRoundSummaryDk(t: Translator, s: DoppelkopfInternal, config: DoppelkopfConfig, roundSummary: LiveHudItem[]): LiveHudItem[] {
+  return [
+    ...roundSummary,
+    ...s.trickHistory.flatMap(trick => trick.violations ?? []).map(v => ({
+      label: t('ui.violation', 'Regelverstoß'),
+      value: violationTextDk(t, s, config, v),
+    })),
+    { label: '---', value: '' },
+    ...s.players.map(p => ({
+      label: p,
+      value: t('ui.score_total', 'Gesamt: %d', [s.cumulativeScores[p] ?? 0]),
+    })),
+  ];
+}
 
 function buildScoresDk(s: DoppelkopfInternal): PlayerScoreResult[] {
   return s.players.map(p => ({ name: p, totalScore: s.cumulativeScores[p] ?? 0, cardDetails: [] }));
 }
 
-function buildScoresDkWithCards(s: DoppelkopfInternal): PlayerScoreResult[] {
+/** Standings by cumulative score; players level on points share a place. */
+function buildRankingDk(t: Translator, s: DoppelkopfInternal): PlayerRanking[] {
+  return rankPlayers(buildScoresDk(s), { t });
+}
+
+function buildScoresDkWithCards(t: Translator, s: DoppelkopfInternal): PlayerScoreResult[] {
   const cardDetails: CardScoreDetail[] = s.currentTrickCards.map(([playerIdx, cardId]) => {
     const [suit] = parseCard(cardId);
     const points = cardAugen(cardId);
-    const displayName = cardDisplayName(cardId);
-    const trump = isTrump(cardId);
+    const name = cardNameText(cardId);
+    const trump = isTrump(cardId, s.contract);
     const group = trump ? t('scoring.trump_group', 'Trumpf') : t(`suits.${suit}`, suit);
     return {
       cardId,
       points,
-      reason: `${s.players[playerIdx]}: ${displayName}`,
-      title: displayName,
+      ...localisedDetail(t, { key: 'ui.card_played', params: [s.players[playerIdx], name] }, name),
       group,
     };
   });
@@ -582,13 +999,30 @@ function buildScoresDkWithCards(s: DoppelkopfInternal): PlayerScoreResult[] {
   }));
 }
 
-function buildHudDk(s: DoppelkopfInternal): LiveHudItem[] {
+/** Re partner of the declarer, if the game has one and it is known. */
+function contractPartner(s: DoppelkopfInternal): number | null {
+  const { type, declarer, partner } = s.contract;
+  if (type === 'armut') return partner ?? null;
+  if (type === 'hochzeit' && declarer !== undefined) return findHochzeitPartner(s.trickHistory, declarer);
+  return null;
+}
+
+function buildHudDk(t: Translator, s: DoppelkopfInternal, config: DoppelkopfConfig): LiveHudItem[] {
   const hud: LiveHudItem[] = [];
   hud.push({
-    label: t('ui.trick_count', 'Stiche'),
-    value: `${s.completedTricks}/10`,
+    label: t('ui.tricks', 'Stiche'),
+    value: `${s.completedTricks}/${config.tricksPerRound}`,
   });
 
+  // Announced game type (Vorbehalt) with its declarer and partner
+  if (s.contract.type !== 'normal') {
+    hud.push({ label: t('ui.game_type', 'Spiel'), value: contractDisplayName(s.contract, t) });
+    const team = [s.contract.declarer, contractPartner(s)]
+      .filter((i): i is number => i !== undefined && i !== null)
+      .map(i => s.players[i]);
+    hud.push({ label: t('scoring.re', 'Re'), value: team.join(', ') });
+  }
+
   // Augen per player (from trickHistory)
   const playerAugen: Record<string, number> = {};
   for (const p of s.players) playerAugen[p] = 0;
@@ -617,12 +1051,27 @@ function buildHudDk(s: DoppelkopfInternal): LiveHudItem[] {
 // DoppelkopfGame class
 // ---------------------------------------------------------------------------
 
+export interface DoppelkopfOptions extends GameOptions {
+  /** Deck and house rules (default: game.json). */
+  config?: DoppelkopfConfig;
+}
+
 export class DoppelkopfGame implements GamePack {
   private players: string[];
   private state: DoppelkopfInternal;
-
-  constructor(players: string[]) {
+  private config: DoppelkopfConfig;
+  /** Not part of the snapshot; see DetectionStabiliser. */
+  private stabiliser: DetectionStabiliser;
+  /** Texts in GameOptions.locale, switched by the locale of a ScorerContext; not part of the snapshot either. */
+  private t: Translator;
+
+  /** `options.config` defaults to the rules in game.json. */
+  constructor(players: string[], options: DoppelkopfOptions = {}) {
+    const config = options.config ?? GAME_CONFIG;
     this.players = players;
+    this.config = config;
+    this.t = createTranslator(TEXTS_PATH, options.locale);
+    this.stabiliser = new DetectionStabiliser(config.stabiliser);
     this.state = {
       players,
       completedTricks: 0,
@@ -632,6 +1081,8 @@ export class DoppelkopfGame implements GamePack {
       previousCardIds: [],
       currentTrickCards: [],
       trickLeader: 0,
+      contract: NORMAL_GAME,
+      seatAngles: null,
     };
   }
 
@@ -664,23 +1115,36 @@ export class DoppelkopfGame implements GamePack {
     return newCards;
   }
 
-  processCards(boxes: DetectedBox[]): GameState {
+  processCards(boxes: DetectedBox[], context?: ScorerContext): GameState {
+    this.t = this.t.withLocale(context?.locale);
     const s = this.state;
-    const newCards = this.diffNewCards(boxes);
+    const newCards = this.diffNewCards(this.stabiliser.update(boxes, context?.similarityThreshold));
+
+    // Every trick of the round has been played; a further card is an error
+    if (isRoundCompleteDk(s, this.config) && newCards.length > 0) {
+      const last = s.trickHistory[s.trickHistory.length - 1];
+      const extra: RuleViolation[] = newCards.map(card => ({ rule: 'tooManyTricks', cardId: card.cardId }));
+      last.violations = [...(last.violations ?? []), ...extra];
+      const roundResult = roundResultDk(this.t, s, this.config);
+      return {
+        players: buildScoresDk(s),
+        ranking: buildRankingDk(this.t, s),
+        display: { hud: buildHudDk(this.t, s, this.config), summary: buildRoundSummaryDk(this.t, s, this.config, roundResult.summary) },
+        actions: [violationActionDk(this.t, s, this.config, extra[0])],
+      };
+    }
 
-    // Track newly appeared cards — assign sequentially starting from trick leader
+    // Track newly appeared cards — by seat, else in order from the trick leader
     if (newCards.length > 0) {
-      for (const card of newCards) {
-        const playerIdx = (s.trickLeader + s.currentTrickCards.length) % s.players.length;
-        s.currentTrickCards.push([playerIdx, card.cardId]);
-      }
+      s.currentTrickCards = attributeTrickCards(s.currentTrickCards, newCards, s.trickLeader, s.players.length, s.seatAngles);
     }
 
     // Check for trick completion
     if (s.currentTrickCards.length >= s.players.length) {
       const cards = s.currentTrickCards;
-      const winnerIndex = determineTrickWinner(cards, null);
+      const winnerIndex = determineTrickWinner(cards, null, s.contract, this.config);
       const winnerName = s.players[winnerIndex] ?? '?';
+      const hadPartner = contractPartner(s) !== null;
 
       let trickAugen = 0;
       for (const [, cardId] of cards) trickAugen += cardAugen(cardId);
@@ -688,44 +1152,38 @@ export class DoppelkopfGame implements GamePack {
       s.trickHistory.push({ cards, winnerIndex });
       s.completedTricks++;
       s.trickLeader = winnerIndex;
+      checkTricksDk(s, this.config);
+      const warnings = (s.trickHistory[s.trickHistory.length - 1].violations ?? [])
+        .map(v => violationActionDk(this.t, s, this.config, v));
 
       // Reset trick state immediately — caller handles table clear
       s.currentTrickCards = [];
       s.previousCardIds = [];
+      this.stabiliser.reset();
 
       const trickNum = s.completedTricks;
-      const trickWonText = trickAugen > 0
-        ? t('voice.trick_won_augen', '%s gewinnt Stich %d mit %d Augen.')
-            .replace('%s', winnerName).replace('%d', String(trickNum)).replace('%d', String(trickAugen))
-        : t('voice.trick_won', '%s gewinnt Stich %d.')
-            .replace('%s', winnerName).replace('%d', String(trickNum));
+      let trickWonText = trickAugen > 0
+        ? this.t('voice.trick_won_augen', '{player} gewinnt Stich {trick} mit {count} Augen.', { player: winnerName, trick: trickNum, count: trickAugen })
+        : this.t('voice.trick_won', '{player} gewinnt Stich {trick}.', { player: winnerName, trick: trickNum });
+      const hochzeitText = hochzeitUpdate(this.t, s, hadPartner);
+      if (hochzeitText) trickWonText += ` ${hochzeitText}`;
 
-      if (s.completedTricks >= 10) {
+      if (isRoundCompleteDk(s, this.config)) {
         // Last trick — calculate round scores
-        const roundResult = calculateAllRoundScores({
-          playerNames: s.players,
-          trickHistory: s.trickHistory,
-          announcements: s.announcements,
-        });
+        const roundResult = roundResultDk(this.t, s, this.config);
         for (const p of s.players) {
           s.cumulativeScores[p] = (s.cumulativeScores[p] ?? 0) + (roundResult.scores[p] ?? 0);
         }
 
-        const summaryItems: LiveHudItem[] = [
-          ...roundResult.summary,
-          { label: '---', value: '' },
-          ...s.players.map(p => ({
-            label: p,
-            value: `${t('ui.score_total', 'Gesamt:')} ${s.cumulativeScores[p] ?? 0}`,
-          })),
-        ];
-
-        const summaryText = t('voice.round_summary_intro', 'Spielabschluss.');
+        const summaryItems = buildRoundSummaryDk(this.t, s, this.config, roundResult.summary);
+        const summaryText = this.t('voice.round_summary_intro', 'Spielabschluss.');
         return {
           players: buildScoresDk(s),
-          display: { hud: buildHudDk(s), summary: summaryItems },
+          ranking: buildRankingDk(this.t, s),
+          display: { hud: buildHudDk(this.t, s, this.config), summary: summaryItems },
           actions: [
             { type: 'speak', text: `${trickWonText} ${summaryText}` },
+            ...warnings,
             { type: 'stopAnnouncementListening' },
             { type: 'showSummary' },
             { type: 'awaitTableClear' },
@@ -736,24 +1194,25 @@ export class DoppelkopfGame implements GamePack {
       // Not last trick
       const actions: FlutterAction[] = [
         { type: 'speak', text: trickWonText },
+        ...warnings,
         { type: 'awaitTableClear' },
       ];
 
-      if (s.completedTricks >= ANNOUNCEMENT_UNTIL) {
+      if (s.completedTricks >= announcementUntil(this.config)) {
         actions.push({ type: 'stopAnnouncementListening' });
       }
 
       return {
         players: buildScoresDk(s),
-        display: { hud: buildHudDk(s) },
+        display: { hud: buildHudDk(this.t, s, this.config) },
         actions,
       };
     }
 
     // No trick completion — just display current state with card details
     return {
-      players: buildScoresDkWithCards(s),
-      display: { hud: buildHudDk(s) },
+      players: buildScoresDkWithCards(this.t, s),
+      display: { hud: buildHudDk(this.t, s, this.config) },
     };
   }
 
@@ -765,6 +1224,7 @@ export class DoppelkopfGame implements GamePack {
     // ---- gameStarted --------------------------------------------------------
     if (type === 'gameStarted') {
       const players = data.players as string[];
+      const seatBoxes = data.seatBoxes as DetectedBox[] | undefined;
       this.state = {
         players,
         completedTricks: 0,
@@ -774,19 +1234,18 @@ export class DoppelkopfGame implements GamePack {
         previousCardIds: [],
         currentTrickCards: [],
         trickLeader: 0,
+        contract: NORMAL_GAME,
+        seatAngles: seatBoxes ? calibrateSeats(seatBoxes, players.length) : null,
       };
-      const gameStartText = t('voice.game_start', 'Spiel beginnt. Tisch bitte leeren.');
+      this.stabiliser.reset();
+      const gameStartText = this.t('voice.game_start', 'Spiel beginnt. Tisch bitte leeren.');
       return {
         players: buildScoresDk(this.state),
         display: { hud: [] },
         actions: [
           { type: 'cameraMode', mode: 'detecting' },
           { type: 'awaitTableClear' },
-          {
-            type: 'startAnnouncementListening',
-            triggerWords: ANNOUNCEMENT_TRIGGERS,
-            until: ANNOUNCEMENT_UNTIL,
-          },
+          announcementListening(this.config),
           { type: 'speak', text: gameStartText },
         ],
       };
@@ -795,46 +1254,255 @@ export class DoppelkopfGame implements GamePack {
     // ---- announcementMade ---------------------------------------------------
     if (type === 'announcementMade') {
       const id = data.id as string;
+      // Only within the announcement's window (maxTrick in game.json)
+      const window = this.config.announcements.find(a => a.id === id);
+      if (window && s.completedTricks >= window.maxTrick) {
+        return {
+          players: buildScoresDk(s),
+          display: { hud: buildHudDk(this.t, s, this.config) },
+          actions: [{ type: 'speak', text: this.t('voice.announcement_too_late', '%s nicht mehr möglich.', [id.toUpperCase()]) }],
+        };
+      }
       if (!s.announcements.includes(id)) {
         s.announcements.push(id);
       }
-      const confirmText = t('voice.announcement_confirmed', '%s angesagt!').replace('%s', id.toUpperCase());
+      const confirmText = this.t('voice.announcement_confirmed', '%s angesagt!', [id.toUpperCase()]);
       return {
         players: buildScoresDk(s),
-        display: { hud: buildHudDk(s) },
+        display: { hud: buildHudDk(this.t, s, this.config) },
         actions: [{ type: 'speak', text: confirmText }],
       };
     }
 
+    // ---- gameTypeAnnounced --------------------------------------------------
+    // Usually before the first trick; announced later, the tricks played so
+    // far are re-evaluated with the new trump order.
+    if (type === 'gameTypeAnnounced') {
+      const declarer = data.playerIndex as number;
+      if (data.gameType === 'armut' && data.partnerIndex === undefined && s.players[declarer] !== undefined) {
+        return this.armutPrompt(declarer, data);
+      }
+      const contract = parseContract(data, s.players.length);
+      const state = this.correct(s => {
+        if (!contract) return null;
+        s.contract = contract;
+        if (contract.declarer === undefined) return this.t('voice.normal_game', 'Normalspiel.');
+        return this.t('voice.game_type_announced', '{player} spielt {game}.', {
+          player: s.players[contract.declarer],
+          game: contractDisplayName(contract, this.t),
+        });
+      }, this.t('voice.game_type_invalid', 'Spielart unvollständig.'));
+      // The answer to armutPrompt(): the Armut player is no longer asked about
+      if (contract?.type !== 'armut') return state;
+      return { ...state, actions: [...(state.actions ?? []), { type: 'highlightPlayer', playerIndex: null }] };
+    }
+
     // ---- roundEnded ---------------------------------------------------------
     if (type === 'roundEnded') {
-      // Reset round state
-      s.completedTricks = 0;
-      s.trickHistory = [];
-      s.announcements = [];
-      s.currentTrickCards = [];
-      s.previousCardIds = [];
-      s.trickLeader = 0;
+      return this.nextRound(this.t('voice.next_round', 'Naechste Runde. Tisch bitte leeren.'));
+    }
+
+    // ---- thrownIn (Schmeißen, liveTracking.events) ---------------------------
+    // Before the first trick a player may throw in their hand, e.g. with five
+    // 9s; the round is dealt again and not scored.
+    const thrownIn = this.config.events.find(e => e.id === 'thrownIn');
+    if (type === 'thrownIn' && thrownIn) {
+      if (s.completedTricks > 0 || s.currentTrickCards.length > 0) {
+        return {
+          players: buildScoresDk(s),
+          display: { hud: buildHudDk(this.t, s, this.config) },
+          actions: [{ type: 'speak', text: this.t('voice.thrown_in_too_late', 'Schmeißen geht nur vor dem ersten Stich.') }],
+        };
+      }
+      if (validateEventData(thrownIn, data, { playerCount: s.players.length }).length > 0) {
+        return {
+          players: buildScoresDk(s),
+          display: { hud: buildHudDk(this.t, s, this.config) },
+          actions: [{
+            type: 'promptChoice',
+            prompt: this.t('voice.thrown_in_prompt', 'Wer schmeißt?'),
+            options: s.players.map((p, i) => ({ value: i, label: p })),
+            event: { type, data: {} },
+            field: 'playerIndex',
+          }],
+        };
+      }
+      return this.nextRound(this.t('voice.thrown_in', '{player} schmeißt. Bitte neu geben.', {
+        player: s.players[data.playerIndex as number],
+      }));
+    }
+
+    // ---- corrections (current game only) -----------------------------------
+    if (type === 'undoLastTrick') {
+      return this.correct(s => {
+        if (s.trickHistory.length === 0) return null;
+        s.trickHistory.pop();
+        // The trick is played again from a clear table
+        s.currentTrickCards = [];
+        s.previousCardIds = [];
+        this.stabiliser.reset();
+        return this.t('voice.trick_undone', 'Stich %d zurückgenommen. Bitte neu legen.', [s.trickHistory.length + 1]);
+      });
+    }
 
-      const nextRoundText = t('voice.next_round', 'Naechste Runde. Tisch bitte leeren.');
+    if (type === 'reassignTrickCard') {
+      const cardId = data.cardId as string;
+      const playerIndex = data.playerIndex as number;
+      return this.correct(s => {
+        const player = s.players[playerIndex];
+        const found = findTrickWithCard(s.trickHistory, s.currentTrickCards, cardId, data.trick as number | undefined);
+        if (player === undefined || !found) return null;
+        const leader = found.index < 0 ? s.trickLeader
+          : found.index === 0 ? FIRST_LEADER : s.trickHistory[found.index - 1].winnerIndex;
+        if (!moveTrickCard(found.cards, cardId, playerIndex, leader, s.players.length)) return null;
+        return this.t('voice.card_reassigned', '{player} spielte {card}.', { player, card: cardDisplayName(cardId, this.t) });
+      });
+    }
+
+    if (type === 'replaceCard') {
+      const oldCardId = data.oldCardId as string;
+      const newCardId = data.newCardId as string;
+      return this.correct(s => {
+        const found = findTrickWithCard(s.trickHistory, s.currentTrickCards, oldCardId, data.trick as number | undefined);
+        if (!newCardId || !found) return null;
+        const pos = found.cards.findIndex(([, id]) => id === oldCardId);
+        found.cards[pos] = [found.cards[pos][0], newCardId];
+        // Keep diffing consistent once the camera reads the card correctly
+        const seen = s.previousCardIds.indexOf(oldCardId);
+        if (found.index < 0 && seen >= 0) {
+          s.previousCardIds[seen] = newCardId;
+          this.stabiliser.forget(oldCardId);
+        }
+        return this.t('voice.card_replaced', 'Korrigiert: {card} statt {previous}.', {
+          card: cardDisplayName(newCardId, this.t),
+          previous: cardDisplayName(oldCardId, this.t),
+        });
+      });
+    }
+
+    // correctBid does not apply: Doppelkopf has no bids
+    if (type === 'correctBid') {
+      return this.correct(() => null);
+    }
+
+    // Unknown event
+    return { players: buildScoresDk(s), display: { hud: buildHudDk(this.t, s, this.config) }, actions: [] };
+  }
+
+  /** Resets the round state for a new deal and speaks `text`. */
+  private nextRound(text: string): GameState {
+    const s = this.state;
+    s.completedTricks = 0;
+    s.trickHistory = [];
+    s.announcements = [];
+    s.currentTrickCards = [];
+    s.previousCardIds = [];
+    this.stabiliser.reset();
+    s.trickLeader = 0;
+    s.contract = NORMAL_GAME;
+    return {
+      players: buildScoresDk(s),
+      display: { hud: [] },
+      actions: [
+        { type: 'speak', text },
+        { type: 'cameraMode', mode: 'detecting' },
+        { type: 'awaitTableClear' },
+        announcementListening(this.config),
+      ],
+    };
+  }
+
+  /**
+   * An Armut announced without the partner: asks who took the cards and
+   * answers with the same gameTypeAnnounced, completed by `partnerIndex`.
+   */
+  private armutPrompt(declarer: number, data: Record<string, unknown>): GameState {
+    const s = this.state;
+    return {
+      players: buildScoresDk(s),
+      display: { hud: buildHudDk(this.t, s, this.config) },
+      actions: [
+        { type: 'highlightPlayer', playerIndex: declarer },
+        {
+          type: 'promptChoice',
+          prompt: this.t('voice.armut_prompt', 'Wer nimmt die Armut von {player}?', { player: s.players[declarer] }),
+          options: s.players.map((p, i) => ({ value: i, label: p })).filter(o => o.value !== declarer),
+          event: { type: 'gameTypeAnnounced', data },
+          field: 'partnerIndex',
+        },
+      ],
+    };
+  }
+
+  /**
+   * Applies a correction to the current game, then re-derives the game from
+   * its trick history and re-scores it if it had already been scored.
+   * `apply` returns the confirmation to speak, or null if the correction
+   * does not apply (nothing is changed then; `failedText` is spoken).
+   */
+  private correct(
+    apply: (s: DoppelkopfInternal) => string | null,
+    failedText = this.t('voice.correction_failed', 'Korrektur nicht möglich.'),
+  ): GameState {
+    const s = this.state;
+    const wasScored = isRoundCompleteDk(s, this.config);
+    const before = wasScored ? roundResultDk(this.t, s, this.config).scores : {};
+    const text = apply(s);
+    if (text === null) {
       return {
         players: buildScoresDk(s),
-        display: { hud: [] },
-        actions: [
-          { type: 'speak', text: nextRoundText },
-          { type: 'cameraMode', mode: 'detecting' },
-          { type: 'awaitTableClear' },
-          {
-            type: 'startAnnouncementListening',
-            triggerWords: ANNOUNCEMENT_TRIGGERS,
-            until: ANNOUNCEMENT_UNTIL,
-          },
-        ],
+        display: { hud: buildHudDk(this.t, s, this.config) },
+        actions: [{ type: 'speak', text: failedText }],
       };
     }
 
-    // Unknown event
-    return { players: buildScoresDk(s), display: { hud: buildHudDk(s) }, actions: [] };
+    recomputeRoundDk(s, this.config);
+    const after = isRoundCompleteDk(s, this.config) ? roundResultDk(this.t, s, this.config).scores : {};
+    for (const p of s.players) {
+      s.cumulativeScores[p] = (s.cumulativeScores[p] ?? 0) - (before[p] ?? 0) + (after[p] ?? 0);
+    }
+
+    const resumed = this.resume();
+    return { ...resumed, actions: [{ type: 'speak', text }, ...(resumed.actions ?? [])] };
+  }
+
+  serialize(): GameSnapshot {
+    return { version: SNAPSHOT_VERSION, data: JSON.parse(JSON.stringify(this.state)) };
+  }
+
+  restore(snapshot: GameSnapshot): GameState {
+    this.state = migrateSnapshot<DoppelkopfInternal>(snapshot, SNAPSHOT_VERSION, SNAPSHOT_MIGRATIONS);
+    this.players = this.state.players;
+    this.stabiliser.reset();
+    return this.resume();
+  }
+
+  /** Current state plus the actions that put Flutter back into the game. */
+  private resume(): GameState {
+    const s = this.state;
+
+    if (isRoundCompleteDk(s, this.config)) {
+      // All tricks played — waiting for roundEnded
+      const roundResult = roundResultDk(this.t, s, this.config);
+      return {
+        players: buildScoresDk(s),
+        ranking: buildRankingDk(this.t, s),
+        display: { hud: buildHudDk(this.t, s, this.config), summary: buildRoundSummaryDk(this.t, s, this.config, roundResult.summary) },
+        actions: [{ type: 'showSummary' }],
+      };
+    }
+
+    const actions: FlutterAction[] = [{ type: 'cameraMode', mode: 'detecting' }];
+    // Between tricks the table may still hold the last trick's cards
+    if (s.currentTrickCards.length === 0) actions.push({ type: 'awaitTableClear' });
+    if (s.completedTricks < announcementUntil(this.config)) {
+      actions.push(announcementListening(this.config));
+    }
+    return {
+      players: buildScoresDkWithCards(this.t, s),
+      display: { hud: buildHudDk(this.t, s, this.config) },
+      actions,
+    };
   }
 }
 
@@ -844,18 +1512,19 @@ export class DoppelkopfGame implements GamePack {
 
 export function processCards(boxes: DetectedBox[], context: ScorerContext): PlayerScoreResult[] {
   const game = new DoppelkopfGame(context.players);
-  return game.processCards(boxes).players;
+  return game.processCards(boxes, context).players;
 }
 
 export function processEvent(event: LiveEvent, prevState: LiveGameState | null): LiveGameState {
   const game = new DoppelkopfGame([]);
-  // Reconstruct internal state from prevState
   if (prevState?._internal) {
-    (game as any).state = prevState._internal as DoppelkopfInternal;
+    // Hosts from before versioned snapshots stored the raw version-1 state
+    const internal = prevState._internal;
+    game.restore(isGameSnapshot(internal) ? internal : { version: 1, data: internal });
   }
   const result = game.processEvent(event);
   return {
-    _internal: (game as any).state,
+    _internal: game.serialize(),
     display: result.display ?? { hud: [] },
     scores: result.players,
     actions: result.actions ?? [],
@@ -12,6 +12,8 @@
  *   sanctuary:01 – no landscape, perYellowOrBlue ×1
  */
 
+export {};
+
 const { processCards } = require('../scorer');
 
 /** Helper: create a minimal DetectedCard positioned at the given column (x1). */
@@ -64,7 +66,7 @@ describe('processCards – fixed-point regions', () => {
       points: 4,
       reason: 'feste 4 Punkte',
       title: 'Region 3',
-      group: '1 Regionen',
+      group: '1 Region',
     });
   });
 
@@ -165,8 +167,8 @@ describe('processCards – sanctuaries', () => {
     );
     expect(results[0].totalScore).toBe(6); // 5 (region:09 fixed) + 1 (sanctuary:01)
     const details = results[0].cardDetails;
-    expect(details[0]).toMatchObject({ cardId: 'region:09', points: 5, group: '1 Regionen' });
-    expect(details[1]).toMatchObject({ cardId: 'sanctuary:01', points: 1, group: '1 Heiligtümer' });
+    expect(details[0]).toMatchObject({ cardId: 'region:09', points: 5, group: '1 Region' });
+    expect(details[1]).toMatchObject({ cardId: 'sanctuary:01', points: 1, group: '1 Heiligtum' });
   });
 
   it('includes sanctuary landscape in sanctuary scoring scope', () => {
@@ -202,6 +204,54 @@ describe('processCards – card ID formatting', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+describe('processCards – structured reasons', () => {
+  const { createTranslator, renderText } = require('@boardgamebuddy/game-pack-api');
+
+  it('re-renders a reason and title in another language', () => {
+    const results = processCards(
+      [card('region:09', 0.1), card('sanctuary:01', 0.4)],
+      ctx(['Alice']),
+    );
+    const sanctuary = results[0].cardDetails[1];
+    expect(sanctuary.reasonKey).toBe('rules.per_match');
+
+    const en = createTranslator(require('path').join(__dirname, '..', 'texts.json'), 'en');
+    expect(renderText(en, { key: sanctuary.reasonKey, params: sanctuary.params })).toBe('1 per Desert or River × 1');
+    expect(renderText(en, { key: sanctuary.titleKey, params: sanctuary.titleParams })).toBe('Card 1');
+  });
+
+  it('lists the cards a task was counted from', () => {
+    // sanctuary:01 counts deserts and rivers: region:09 (river)
+    const results = processCards(
+      [card('region:03', 0.1), card('region:09', 0.4), card('sanctuary:01', 0.7)],
+      ctx(['Alice']),
+    );
+    const sanctuary = results[0].cardDetails.find(d => d.cardId === 'sanctuary:01');
+    expect(sanctuary.contributingCardIds).toEqual(['region:09']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('locale', () => {
+  const { Game } = require('../scorer');
+
+  it('scores in the locale of the ScorerContext', () => {
+    const en = processCards([card('region:01')], { ...ctx(['Alice']), locale: 'en' });
+    expect(en[0].cardDetails[0]).toMatchObject({ reason: 'no task', group: '1 region' });
+    const de = processCards([card('region:01')], ctx(['Alice']));
+    expect(de[0].cardDetails[0]).toMatchObject({ reason: 'keine Aufgabe', group: '1 Region' });
+  });
+
+  it('keeps the locale of each game', () => {
+    const en = new Game(['Alice'], { locale: 'en' });
+    const de = new Game(['Alice'], { locale: 'de' });
+    expect(en.processCards([card('region:01')], ctx(['Alice'])).players[0].cardDetails[0].reason).toBe('no task');
+    expect(de.processCards([card('region:01')], ctx(['Alice'])).players[0].cardDetails[0].reason).toBe('keine Aufgabe');
+    expect(en.processCards([card('region:01')], ctx(['Alice'])).players[0].cardDetails[0].reason).toBe('no task');
+  });
+});
+
 // ---------------------------------------------------------------------------
 describe('processCards – multiple players', () => {
   it('scores each player independently', () => {
@@ -213,3 +263,54 @@ describe('processCards – multiple players', () => {
     expect(results[1]).toMatchObject({ name: 'Bob', totalScore: 5 });
   });
 });
+
+// ---------------------------------------------------------------------------
+describe('processCards – ranking', () => {
+  const { Game } = require('../scorer');
+
+  it('breaks a tie by the lowest sum of region numbers', () => {
+    // Alice and Bob both score 0; Carol's region:09 scores 5
+    const state = new Game(['Alice', 'Bob', 'Carol']).processCards([
+      card('region:06', 0.1, 0.9), card('region:07', 0.3, 0.9),
+      card('region:08', 0.1, 0.1),
+      card('region:09', 0.9, 0.5),
+    ], { ...ctx(['Alice', 'Bob', 'Carol']), seating: { type: 'zones', seats: [{ anchor: [0.2, 0.9] }, { anchor: [0.2, 0.1] }, { anchor: [0.9, 0.5] }] } });
+    expect(state.players.map(p => p.totalScore)).toEqual([0, 0, 5]);
+    expect(state.ranking).toMatchObject([
+      { name: 'Carol', place: 1, explanationKey: 'ranking.score', explanation: 'Platz 1 mit 5 Punkten' },
+      { name: 'Bob', place: 2, tieBreak: 8, explanationKey: 'ranking.tie_broken' },
+      { name: 'Alice', place: 3, tieBreak: 13 },
+    ]);
+    expect(state.ranking[1].explanation).toBe('Platz 2: Gleichstand mit 0 Punkten, entschieden durch Summe der Regionsnummern (8)');
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('score sheet', () => {
+  const { Game } = require('../scorer');
+  const { createScoreSheet, addSheetGame } = require('@boardgamebuddy/game-pack-api');
+
+  it('records a scored table with its ranking', () => {
+    const players = ['Alice', 'Bob'];
+    const boxes = [card('region:03', 0.1, 0.25), card('region:09', 0.1, 0.75)];
+    const state = new Game(players).processCards(boxes, ctx(players));
+    const sheet = addSheetGame(createScoreSheet('faraway'), state, { boxes }, '2026-10-02T19:00:00.000Z');
+    expect(sheet.games[0]).toMatchObject({
+      players: [{ name: 'Alice', totalScore: 4 }, { name: 'Bob', totalScore: 5 }],
+      ranking: [{ name: 'Bob', place: 1 }, { name: 'Alice', place: 2 }],
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('processCards – seating', () => {
+  const at = (cardId, cx, cy) => ({ ...card(cardId), x1: cx - 0.05, x2: cx + 0.05, y1: cy - 0.07, y2: cy + 0.07, cx, cy });
+
+  it('scores by the seating layout of the ScorerContext', () => {
+    // Both players sit along the bottom edge of the image, Alice on the left
+    const seating = { type: 'twoSided', axis: 'horizontal', seatsPerSide: [2, 0] };
+    const results = processCards([at('region:03', 0.15, 0.8), at('region:09', 0.7, 0.85)], { ...ctx(['Alice', 'Bob']), seating });
+    expect(results[0]).toMatchObject({ name: 'Alice', totalScore: 4 });
+    expect(results[1]).toMatchObject({ name: 'Bob', totalScore: 5 });
+  });
+});
@@ -12,13 +12,14 @@
  *  - Each card has an optional condition (minimum stone/chimera/thistle symbols in
  *    scope) that must be met for the task to fire.
  *
- * Card data is loaded from cards.json bundled with this pack.
+ * Card data is loaded from cards.json bundled with this pack; tasks are
+ * translated to ScoreRules and scored by the rule engine of the API.
  */
 
-import type { GamePack, GameState, DetectedBox, CardScoreDetail } from '@boardgamebuddy/game-pack-api';
-import { sortVisuallyByBox, rectifyBoxes, parseCardId, groupByPlayer, createTranslator } from '@boardgamebuddy/game-pack-api';
+import type { GamePack, GameOptions, GameState, DetectedBox, ScorerContext, CardScoreDetail, CardFilter, LocalisedText, PlayerScoreResult, RankingKey, RuleCard, ScoreRule, Translator } from '@boardgamebuddy/game-pack-api';
+import { sortVisuallyByBox, rectifyBoxes, parseCardId, groupByPlayer, createTranslator, localisedDetail, scoreTableau, rankPlayers } from '@boardgamebuddy/game-pack-api';
 
-const t = createTranslator(require('path').join(__dirname, 'texts.json'));
+const TEXTS_PATH = require('path').join(__dirname, 'texts.json');
 
 // ---------------------------------------------------------------------------
 // JSON types (shape of faraway_cards.json)
@@ -84,22 +85,14 @@ interface CardsJson {
 
 type Landscape = 'city' | 'river' | 'forest' | 'desert' | null;
 
-interface Card {
+/**
+ * A card for the rule engine: its landscape and night are tags, its
+ * stone/chimera/thistle/hints counts are symbols.
+ */
+interface Card extends RuleCard {
   /** Raw ID string, preserving leading zeros (e.g. "03"). */
   id: string;
   kind: 'region' | 'sanctuary';
-  landscape: Landscape;
-  night: boolean;
-  stone: number;
-  chimera: number;
-  thistle: number;
-  hints: number;
-  taskType: TaskType | null;
-  taskPer: number;
-  taskValue: number;
-  conditionStone: number;
-  conditionChimera: number;
-  conditionThistle: number;
 }
 
 // ---------------------------------------------------------------------------
@@ -113,6 +106,43 @@ const COLOR_TO_LANDSCAPE: Record<string, Landscape> = {
   yellow: 'desert',
 };
 
+const LANDSCAPES = ['city', 'river', 'forest', 'desert'];
+
+/** What each task counts, and its points per match when cards.json gives none (mirrors TaskEvaluatorFactory). */
+const TASK_RULES: Record<Exclude<TaskType, 'fixed'>, { scoring: 'perMatch' | 'perSet'; count: CardFilter; per: number }> = {
+  perHint: { scoring: 'perMatch', count: { symbol: 'hints' }, per: 1 },
+  perStone: { scoring: 'perMatch', count: { symbol: 'stone' }, per: 2 },
+  perChimera: { scoring: 'perMatch', count: { symbol: 'chimera' }, per: 4 },
+  perThistle: { scoring: 'perMatch', count: { symbol: 'thistle' }, per: 3 },
+  perNight: { scoring: 'perMatch', count: { tags: ['night'] }, per: 4 },
+  perForest: { scoring: 'perMatch', count: { tags: ['forest'] }, per: 4 },
+  perLandscapeSet: { scoring: 'perSet', count: { tags: LANDSCAPES }, per: 10 },
+  perYellow: { scoring: 'perMatch', count: { tags: ['desert'] }, per: 1 },
+  perBlue: { scoring: 'perMatch', count: { tags: ['river'] }, per: 1 },
+  perGreen: { scoring: 'perMatch', count: { tags: ['forest'] }, per: 1 },
+  perRed: { scoring: 'perMatch', count: { tags: ['city'] }, per: 1 },
+  perCityOrRiver: { scoring: 'perMatch', count: { tags: ['city', 'river'] }, per: 2 },
+  perYellowOrBlue: { scoring: 'perMatch', count: { tags: ['desert', 'river'] }, per: 1 },
+  perYellowOrGreen: { scoring: 'perMatch', count: { tags: ['desert', 'forest'] }, per: 1 },
+  perYellowOrRed: { scoring: 'perMatch', count: { tags: ['desert', 'city'] }, per: 1 },
+  perGreenOrRed: { scoring: 'perMatch', count: { tags: ['forest', 'city'] }, per: 1 },
+  perGreenOrBlue: { scoring: 'perMatch', count: { tags: ['forest', 'river'] }, per: 1 },
+  perBlueOrRed: { scoring: 'perMatch', count: { tags: ['river', 'city'] }, per: 1 },
+};
+
+/** texts.json keys of the tags and symbols in explanations. */
+const LABELS: Record<string, LocalisedText> = {
+  hints: { key: 'scoring.hint' },
+  stone: { key: 'scoring.stone' },
+  chimera: { key: 'scoring.chimera' },
+  thistle: { key: 'scoring.thistle' },
+  night: { key: 'scoring.night' },
+  city: { key: 'ui.landscape_city' },
+  river: { key: 'ui.landscape_river' },
+  forest: { key: 'ui.landscape_forest' },
+  desert: { key: 'ui.landscape_desert' },
+};
+
 // Card data bundled with this pack.
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const CARDS_JSON: CardsJson = require('./cards.json');
@@ -131,28 +161,40 @@ function idToKey(idPart: string): string {
   return idPart.replace(/^0+/, '') || '0';
 }
 
-function buildCard(rawId: string, kind: 'region' | 'sanctuary', data: JsonCard): Card {
-  const sym = data.symbols ?? ({ stone: 0, chimera: 0, thistle: 0, hints: 0 } as JsonSymbols);
+/**
+ * Translates a card's task and condition to a ScoreRule, or null for no
+ * task (a fixed task of 0 points). A region's task counts the regions
+ * revealed so far plus all sanctuaries.
+ */
+function taskRule(data: JsonCard, kind: 'region' | 'sanctuary'): ScoreRule | null {
   const pts = data.points;
-  // A task with type=fixed and value=0 is treated as "no task"
-  const taskType: TaskType | null =
-    pts && (pts.type !== 'fixed' || pts.value > 0) ? pts.type : null;
+  if (!pts || (pts.type === 'fixed' && pts.value <= 0)) return null;
+
+  const requires: Record<string, number> = {};
+  const cond = data.condition;
+  if (cond?.stone_min) requires.stone = cond.stone_min;
+  if (cond?.chimera_min) requires.chimera = cond.chimera_min;
+  if (cond?.thistle_min) requires.thistle = cond.thistle_min;
 
+  const task = pts.type === 'fixed' ? null : TASK_RULES[pts.type];
+  return {
+    ...(task
+      ? { scoring: task.scoring, count: task.count, points: pts.per ? Math.round(pts.per) : task.per }
+      : { scoring: 'fixed', points: pts.value }),
+    ...(kind === 'region' ? { scope: 'revealed' } : {}),
+    ...(Object.keys(requires).length > 0 ? { requires } : {}),
+  };
+}
+
+function buildCard(rawId: string, kind: 'region' | 'sanctuary', data: JsonCard): Card {
+  const sym = data.symbols ?? ({ stone: 0, chimera: 0, thistle: 0, hints: 0 } as JsonSymbols);
+  const landscape = COLOR_TO_LANDSCAPE[data.color] ?? null;
   return {
     id: rawId,
     kind,
-    landscape: COLOR_TO_LANDSCAPE[data.color] ?? null,
-    night: data.night,
-    stone: sym.stone,
-    chimera: sym.chimera,
-    thistle: sym.thistle,
-    hints: sym.hints,
-    taskType,
-    taskPer: pts?.per ?? 0,
-    taskValue: pts?.value ?? 0,
-    conditionStone: data.condition?.stone_min ?? 0,
-    conditionChimera: data.condition?.chimera_min ?? 0,
-    conditionThistle: data.condition?.thistle_min ?? 0,
+    tags: [...(landscape ? [landscape] : []), ...(data.night ? ['night'] : [])],
+    symbols: { stone: sym.stone, chimera: sym.chimera, thistle: sym.thistle, hints: sym.hints },
+    rule: taskRule(data, kind),
   };
 }
 
@@ -177,144 +219,17 @@ function loadCard(cardId: string, cards: CardsJson): Card | null {
 }
 
 // ---------------------------------------------------------------------------
-// Condition check
-// ---------------------------------------------------------------------------
-
-function meetsCondition(scope: Card[], card: Card): boolean {
-  const stone = scope.reduce((s, c) => s + c.stone, 0);
-  const chimera = scope.reduce((s, c) => s + c.chimera, 0);
-  const thistle = scope.reduce((s, c) => s + c.thistle, 0);
-  return (
-    card.conditionStone <= stone &&
-    card.conditionChimera <= chimera &&
-    card.conditionThistle <= thistle
-  );
-}
-
-// ---------------------------------------------------------------------------
-// Task evaluation (mirrors TaskEvaluatorFactory)
+// Ranking
 // ---------------------------------------------------------------------------
 
-/** Returns the effective multiplier: task.per if non-zero, else the default. */
-function mult(taskPer: number, defaultM: number): number {
-  return taskPer !== 0 ? Math.round(taskPer) : defaultM;
-}
-
-function evalTask(card: Card, scope: Card[]): [number, string] {
-  const type = card.taskType;
-  if (!type) return [0, t('scoring.no_task')];
-
-  const p = card.taskPer;
-
-  switch (type) {
-    case 'perHint': {
-      const n = scope.reduce((s, c) => s + c.hints, 0);
-      const m = mult(p, 1);
-      return [n * m, `${m} ${t('scoring.per')} ${t('scoring.hint')} × ${n}`];
-    }
-    case 'perStone': {
-      const n = scope.reduce((s, c) => s + c.stone, 0);
-      const m = mult(p, 2);
-      return [n * m, `${m} ${t('scoring.per')} ${t('scoring.stone')} × ${n}`];
-    }
-    case 'perChimera': {
-      const n = scope.reduce((s, c) => s + c.chimera, 0);
-      const m = mult(p, 4);
-      return [n * m, `${m} ${t('scoring.per')} ${t('scoring.chimera')} × ${n}`];
-    }
-    case 'perThistle': {
-      const n = scope.reduce((s, c) => s + c.thistle, 0);
-      const m = mult(p, 3);
-      return [n * m, `${m} ${t('scoring.per')} ${t('scoring.thistle')} × ${n}`];
-    }
-    case 'perNight': {
-      const n = scope.filter((c) => c.night).length;
-      const m = mult(p, 4);
-      return [n * m, `${m} ${t('scoring.per')} ${t('scoring.night')} × ${n}`];
-    }
-    case 'perForest': {
-      const n = scope.filter((c) => c.landscape === 'forest').length;
-      const m = mult(p, 4);
-      return [n * m, `${m} ${t('scoring.per')} ${t('ui.landscape_forest')} × ${n}`];
-    }
-    case 'perLandscapeSet': {
-      const city = scope.filter((c) => c.landscape === 'city').length;
-      const river = scope.filter((c) => c.landscape === 'river').length;
-      const forest = scope.filter((c) => c.landscape === 'forest').length;
-      const desert = scope.filter((c) => c.landscape === 'desert').length;
-      const n = Math.min(city, river, forest, desert);
-      const m = mult(p, 10);
-      return [n * m, `${m} ${t('scoring.per')} ${t('scoring.landscape_set')} (${t('ui.landscape_city')}/${t('ui.landscape_river')}/${t('ui.landscape_forest')}/${t('ui.landscape_desert')}) × ${n}`];
-    }
-    case 'perYellow': {
-      const n = scope.filter((c) => c.landscape === 'desert').length;
-      const m = mult(p, 1);
-      return [n * m, `${m} ${t('scoring.per')} ${t('ui.landscape_desert')} × ${n}`];
-    }
-    case 'perBlue': {
-      const n = scope.filter((c) => c.landscape === 'river').length;
-      const m = mult(p, 1);
-      return [n * m, `${m} ${t('scoring.per')} ${t('ui.landscape_river')} × ${n}`];
-    }
-    case 'perGreen': {
-      const n = scope.filter((c) => c.landscape === 'forest').length;
-      const m = mult(p, 1);
-      return [n * m, `${m} ${t('scoring.per')} ${t('ui.landscape_forest')} × ${n}`];
-    }
-    case 'perRed': {
-      const n = scope.filter((c) => c.landscape === 'city').length;
-      const m = mult(p, 1);
-      return [n * m, `${m} ${t('scoring.per')} ${t('ui.landscape_city')} × ${n}`];
-    }
-    case 'perCityOrRiver': {
-      const c1 = scope.filter((c) => c.landscape === 'city').length;
-      const c2 = scope.filter((c) => c.landscape === 'river').length;
-      const m = mult(p, 2);
-      return [(c1 + c2) * m, `${m} ${t('scoring.per')} ${t('ui.landscape_city')} (${c1}) + ${t('ui.landscape_river')} (${c2})`];
-    }
-    case 'perYellowOrBlue': {
-      const c1 = scope.filter((c) => c.landscape === 'desert').length;
-      const c2 = scope.filter((c) => c.landscape === 'river').length;
-      const m = mult(p, 1);
-      return [(c1 + c2) * m, `${m} ${t('scoring.per')} ${t('ui.landscape_desert')} (${c1}) + ${t('ui.landscape_river')} (${c2})`];
-    }
-    case 'perYellowOrGreen': {
-      const c1 = scope.filter((c) => c.landscape === 'desert').length;
-      const c2 = scope.filter((c) => c.landscape === 'forest').length;
-      const m = mult(p, 1);
-      return [(c1 + c2) * m, `${m} ${t('scoring.per')} ${t('ui.landscape_desert')} (${c1}) + ${t('ui.landscape_forest')} (${c2})`];
-    }
-    case 'perYellowOrRed': {
-      const c1 = scope.filter((c) => c.landscape === 'desert').length;
-      const c2 = scope.filter((c) => c.landscape === 'city').length;
-      const m = mult(p, 1);
-      return [(c1 + c2) * m, `${m} ${t('scoring.per')} ${t('ui.landscape_desert')} (${c1}) + ${t('ui.landscape_city')} (${c2})`];
-    }
-    case 'perGreenOrRed': {
-      const c1 = scope.filter((c) => c.landscape === 'forest').length;
-      const c2 = scope.filter((c) => c.landscape === 'city').length;
-      const m = mult(p, 1);
-      return [(c1 + c2) * m, `${m} ${t('scoring.per')} ${t('ui.landscape_forest')} (${c1}) + ${t('ui.landscape_city')} (${c2})`];
-    }
-    case 'perGreenOrBlue': {
-      const c1 = scope.filter((c) => c.landscape === 'forest').length;
-      const c2 = scope.filter((c) => c.landscape === 'river').length;
-      const m = mult(p, 1);
-      return [(c1 + c2) * m, `${m} ${t('scoring.per')} ${t('ui.landscape_forest')} (${c1}) + ${t('ui.landscape_river')} (${c2})`];
-    }
-    case 'perBlueOrRed': {
-      const c1 = scope.filter((c) => c.landscape === 'river').length;
-      const c2 = scope.filter((c) => c.landscape === 'city').length;
-      const m = mult(p, 1);
-      return [(c1 + c2) * m, `${m} ${t('scoring.per')} ${t('ui.landscape_river')} (${c1}) + ${t('ui.landscape_city')} (${c2})`];
-    }
-    case 'fixed': {
-      return [card.taskValue, t('scoring.fixed_points').replace('%d', String(card.taskValue))];
-    }
-    default:
-      return [0, t('scoring.unknown_task')];
-  }
-}
+/** Official tie-breaker: of players with the same score, the lowest sum of region numbers wins. */
+const REGION_SUM: RankingKey<PlayerScoreResult> = {
+  label: { key: 'ranking.region_sum', fallback: 'Summe der Regionsnummern' },
+  value: player => player.cardDetails
+    .map(d => parseCardId(d.cardId))
+    .reduce((sum, parsed) => sum + (parsed?.prefix === 'region' ? parseInt(parsed.suffix, 10) : 0), 0),
+  lowerWins: true,
+};
 
 // ---------------------------------------------------------------------------
 // FarawayGame class
@@ -322,23 +237,26 @@ function evalTask(card: Card, scope: Card[]): [number, string] {
 
 export class FarawayGame implements GamePack {
   private players: string[];
+  /** Texts in GameOptions.locale, or ScorerContext.locale once a call brings one. */
+  private t: Translator;
 
-  constructor(players: string[]) {
+  constructor(players: string[], options: GameOptions = {}) {
     this.players = players;
+    this.t = createTranslator(TEXTS_PATH, options.locale);
   }
 
-  processCards(boxes: DetectedBox[]): GameState {
-    const groups = groupByPlayer(boxes, this.players.length);
-    return {
-      players: this.players.map((playerName, i) => {
-        const playerBoxes = groups[i] ?? [];
-        if (playerBoxes.length === 0) {
-          return { name: playerName, totalScore: 0, cardDetails: [] };
-        }
-        const { total, cardDetails } = this.scorePlayer(playerBoxes);
-        return { name: playerName, totalScore: total, cardDetails };
-      }),
-    };
+  processCards(boxes: DetectedBox[], context?: ScorerContext): GameState {
+    this.t = this.t.withLocale(context?.locale);
+    const groups = groupByPlayer(boxes, this.players.length, context?.seating);
+    const players = this.players.map((playerName, i): PlayerScoreResult => {
+      const playerBoxes = groups[i] ?? [];
+      if (playerBoxes.length === 0) {
+        return { name: playerName, totalScore: 0, cardDetails: [] };
+      }
+      const { total, cardDetails } = this.scorePlayer(playerBoxes);
+      return { name: playerName, totalScore: total, cardDetails };
+    });
+    return { players, ranking: rankPlayers(players, { t: this.t, tieBreakers: [REGION_SUM] }) };
   }
 
   private scorePlayer(
@@ -355,61 +273,35 @@ export class FarawayGame implements GamePack {
       else sanctuaries.push(card);
     }
 
-    const allCards: Card[] = [...regions, ...sanctuaries];
+    // Regions are scored last-to-first; each sees the regions revealed before it
+    const ordered: Card[] = [...regions].reverse().concat(sanctuaries);
+    const results = scoreTableau(ordered, {
+      t: this.t,
+      label: value => LABELS[value] ?? value,
+      scopes: { revealed: card => [...regions.slice(regions.indexOf(card)), ...sanctuaries] },
+    });
+
     const cardDetails: CardScoreDetail[] = [];
     let total = 0;
 
-    const regionsGroup = t('scoring.regions_group').replace('%d', String(regions.length));
-    const sanctuariesGroup = t('scoring.sanctuaries_group').replace('%d', String(sanctuaries.length));
-
-    // Regions scored last-to-first; scope grows as each scored region is "revealed"
-    const revealed: Card[] = [];
-    for (let i = regions.length - 1; i >= 0; i--) {
-      const region = regions[i];
-      const scope: Card[] = [...revealed, region, ...sanctuaries];
-
-      let points = 0;
-      let reason = t('scoring.no_task');
-
-      if (region.taskType !== null) {
-        if (meetsCondition(scope, region)) {
-          [points, reason] = evalTask(region, scope);
-        } else {
-          reason = t('scoring.condition_not_met');
-        }
-      }
+    const regionsGroup = this.t('scoring.regions_group', '%d Regionen', [regions.length]);
+    const sanctuariesGroup = this.t('scoring.sanctuaries_group', '%d Heiligtümer', [sanctuaries.length]);
 
+    ordered.forEach((card, i) => {
+      const region = card.kind === 'region';
+      const result = results[i];
+      const points = result?.points ?? 0;
       total += points;
-      const displayId = region.id.replace(/^0+/, '') || '0';
+      const displayId = card.id.replace(/^0+/, '') || '0';
+      const reason = result?.text ?? { key: region ? 'scoring.no_task' : 'scoring.no_effect' };
       cardDetails.push({
-        cardId: `region:${region.id}`,
+        cardId: `${card.kind}:${card.id}`,
         points,
-        reason,
-        title: `${t('cards.region_prefix')} ${displayId}`,
-        group: regionsGroup,
+        ...localisedDetail(this.t, reason, { key: region ? 'cards.region_title' : 'cards.sanctuary_title', params: [displayId] }),
+        group: region ? regionsGroup : sanctuariesGroup,
+        contributingCardIds: (result?.cards ?? []).map(c => `${c.kind}:${c.id}`),
       });
-      revealed.push(region);
-    }
-
-    // Sanctuaries scored against all cards
-    for (const sanctuary of sanctuaries) {
-      let points = 0;
-      let reason = t('scoring.no_effect');
-
-      if (sanctuary.taskType !== null) {
-        [points, reason] = evalTask(sanctuary, allCards);
-      }
-
-      total += points;
-      const displayId = sanctuary.id.replace(/^0+/, '') || '0';
-      cardDetails.push({
-        cardId: `sanctuary:${sanctuary.id}`,
-        points,
-        reason,
-        title: `${t('cards.sanctuary_title_prefix')} ${displayId}`,
-        group: sanctuariesGroup,
-      });
-    }
+    });
 
     return { total, cardDetails };
   }
@@ -420,11 +312,9 @@ export class FarawayGame implements GamePack {
 // function-based scorer contract until the app is updated.
 // ---------------------------------------------------------------------------
 
-import type { ScorerContext, PlayerScoreResult } from '@boardgamebuddy/game-pack-api';
-
 export function processCards(boxes: DetectedBox[], context: ScorerContext): PlayerScoreResult[] {
   const game = new FarawayGame(context.players);
-  return game.processCards(boxes).players;
+  return game.processCards(boxes, context).players;
 }
 
 export { FarawayGame as Game };
@@ -12,6 +12,8 @@
  * }
  */
 
+export {};
+
 const path = require('path');
 const fs   = require('fs');
 const { processCards } = require('../scorer');
@@ -164,3 +166,35 @@ describe('Mischwald scorer – unit tests', () => {
     wolves.forEach((w) => expect(w.group).toMatch(/Baum \d+/));
   });
 });
+
+// ---------------------------------------------------------------------------
+// Cave cards, entered as an additional input (see api/__tests__/inputs.test.ts)
+// ---------------------------------------------------------------------------
+
+describe('Mischwald scorer – cave cards', () => {
+  const players = ['Alice', 'Bob'];
+
+  it('breaks a tie by the most cave cards', () => {
+    const { Game } = require('../scorer');
+    const state = new Game(players).processCards([
+      boxToCard([0.1, 0.4, 0.2, 0.6, 'tree:oak'], 0, 2),
+      boxToCard([0.1, 0.4, 0.2, 0.6, 'tree:birch'], 1, 2),
+    ], { players, similarityThreshold: 0.85, additionalInputs: { caveCards: { Alice: 1, Bob: 0 } } });
+    expect(state.players.map(p => p.totalScore)).toEqual([1, 1]);
+    expect(state.ranking).toMatchObject([
+      { name: 'Alice', place: 1, tieBreak: 1, explanationKey: 'ranking.tie_broken' },
+      { name: 'Bob', place: 2, tieBreak: 0 },
+    ]);
+    expect(state.ranking[0].explanation).toBe('Platz 1: Gleichstand mit 1 Punkt, entschieden durch Höhlenkarten (1)');
+  });
+
+  it('scores the cave cards entered for a player', () => {
+    const results = processCards([boxToCard([0.1, 0.4, 0.2, 0.6, 'tree:oak'])], {
+      players: ['Alice'],
+      similarityThreshold: 0.85,
+      additionalInputs: { caveCards: { Alice: 2 } },
+    });
+    expect(results[0].totalScore).toBe(2);
+    expect(results[0].cardDetails).toMatchObject([{ cardId: 'tree:oak', points: 0 }, { cardId: 'cave', points: 2 }]);
+  });
+});
@@ -9,13 +9,15 @@
  * Tree cards have a "Tree" tag in cards.json and are identified by the
  * first part of the clsName matching a tree ID.
  *
- * Card data is loaded from cards.json bundled with this pack.
+ * Card data is loaded from cards.json bundled with this pack; score rules
+ * are translated to ScoreRules and scored by the rule engine of the API,
+ * with the forest's trees and spots as scopes.
  */
 
-import type { AdditionalInput, GamePack, GameState, DetectedBox, ScorerContext, PlayerScoreResult, CardScoreDetail } from '@boardgamebuddy/game-pack-api';
-import { overlapHorizontal, overlapVertical, sortVisuallyByBox, rectifyBoxes, parseCardId, groupByPlayer, createTranslator } from '@boardgamebuddy/game-pack-api';
+import type { AdditionalInput, GamePack, GameOptions, GameState, DetectedBox, ScorerContext, PlayerScoreResult, CardScoreDetail, LocalisedText, RankingKey, RuleCard, ScoreRule, Translator } from '@boardgamebuddy/game-pack-api';
+import { overlapHorizontal, overlapVertical, sortVisuallyByBox, rectifyBoxes, parseCardId, groupByPlayer, createTranslator, localisedDetail, scoreTableau, rankPlayers } from '@boardgamebuddy/game-pack-api';
 
-const t = createTranslator(require('path').join(__dirname, 'texts.json'));
+const TEXTS_PATH = require('path').join(__dirname, 'texts.json');
 
 // ---------------------------------------------------------------------------
 // JSON types (shape of mischwald_cards.json)
@@ -72,13 +74,12 @@ interface Box {
   clsName: string;
 }
 
-interface CardInstance {
+/** A placed card; for the rule engine its tree symbol is its only symbol. */
+interface CardInstance extends RuleCard {
   box: Box;
   id: string;
   treeSymbol: string;
   definition: CardDef | null;
-  /** Used for shared-table deduplication across instances. */
-  set?: Set<string>;
 }
 
 interface Tree {
@@ -158,11 +159,52 @@ function parseMischwaldLabel(clsName: string): { id: string; treeSymbol: string
   return { id, treeSymbol };
 }
 
+/** Translates a cards.json score to a ScoreRule. */
+function toScoreRule(score: ScoreJson | undefined): ScoreRule | null {
+  if (!score) return null;
+  const cond = score.condition;
+  const type = score.type.toLowerCase();
+  const amount = Array.isArray(score.amount) ? 0 : (score.amount ?? 0);
+  if (cond?.fullTree) return { scoring: 'fixed', points: amount, when: 'fullTree' };
+
+  const rule: ScoreRule = type === 'table'
+    ? { scoring: 'table', table: Array.isArray(score.amount) ? score.amount : [] }
+    : { scoring: type === 'multiplication' ? 'perMatch' : 'fixed', points: amount };
+  // Counting rules without a condition score nothing
+  if (!cond) return type === 'fixed' ? rule : null;
+
+  rule.count = {
+    ...(cond.name ? { name: cond.name } : {}),
+    ...(cond.tags ? { tags: cond.tags } : {}),
+    ...(cond.type != null ? { type: cond.type } : {}),
+    ...(cond.sameTreeSymbol ? { sameSymbol: true } : {}),
+  };
+  const scope = cond.sameTree ? 'sameTree'
+    : cond.sameSpot ? 'sameSpot'
+      : cond.position?.includes('below') ? 'below' : undefined;
+  if (scope) rule.scope = scope;
+  if (score.min != null) rule.min = score.min;
+  if (cond.unique) rule.unique = true;
+  if (cond.most) rule.most = true;
+  return rule;
+}
+
 function parseCardInstance(box: Box, defById: Map<string, CardDef>): CardInstance | null {
   const parsed = parseMischwaldLabel(box.clsName);
   if (!parsed) return null;
   const { id, treeSymbol } = parsed;
-  return { box, id, treeSymbol, definition: defById.get(id) ?? null };
+  const definition = defById.get(id) ?? null;
+  return {
+    box,
+    id,
+    treeSymbol,
+    definition,
+    tags: definition?.tags ?? [],
+    type: definition?.type,
+    joker: definition?.joker?.type,
+    symbols: { [treeSymbol]: 1 },
+    rule: toScoreRule(definition?.score),
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -501,230 +543,42 @@ function isFullTree(tree: Tree): boolean {
   return tree.top.length > 0 && tree.left.length > 0 && tree.bottom.length > 0 && tree.right.length > 0;
 }
 
-function matchesAnyTag(inst: CardInstance, tags: string[]): boolean {
-  const cardTags = inst.definition?.tags ?? [];
-  return tags.some((t) => cardTags.includes(t));
-}
-
-function filterCards(
-  self: CardInstance,
-  candidates: CardInstance[],
-  cond: ConditionJson,
-): CardInstance[] {
-  const ids = cond.name;
-  const tags = cond.tags;
-  const type = cond.type;
-  const treeSymbol = cond.sameTreeSymbol ? self.treeSymbol : null;
-
-  return candidates.filter((inst) => {
-    if (type != null && inst.definition?.joker?.type === type) return true;
-    const idOk = ids ? ids.includes(inst.id) : true;
-    const tagsOk = tags ? matchesAnyTag(inst, tags) : true;
-    const typeOk = type == null || type === inst.definition?.type;
-    const symOk = treeSymbol == null || treeSymbol === inst.treeSymbol;
-    return idOk && tagsOk && typeOk && symOk;
-  });
-}
-
-type MostResolver = (self: CardInstance, cond: ConditionJson) => boolean;
-
-function countMatches(
-  self: CardInstance,
-  cond: ConditionJson,
-  all: CardInstance[],
-  placementsByBox: Map<Box, Placement>,
-  assumeMost: boolean,
-  mostResolver: MostResolver | null,
-): number {
-  if (cond.most === true) {
-    const ok = mostResolver ? mostResolver(self, cond) : assumeMost;
-    if (!ok) return 0;
-  }
-
-  const placement = placementsByBox.get(self.box);
-
-  if (cond.fullTree === true) {
-    const tree = placement?.tree;
-    return tree && isFullTree(tree) ? 1 : 0;
-  }
-
-  let pool: CardInstance[];
-
-  if (cond.sameTree === true) {
-    const tree = placement?.tree;
-    if (!tree) return 0;
-    const treeCards = [...tree.top, ...tree.bottom, ...tree.left, ...tree.right];
-    pool = self === tree.card ? treeCards : [tree.card, ...treeCards];
-  } else if (cond.sameSpot === true) {
-    const tree = placement?.tree;
-    const side = placement?.side;
-    if (!tree || !side) return 0;
-    pool = tree[side];
-  } else if (cond.position?.includes('below')) {
-    pool = all.filter((o) => o.box.y1 >= self.box.y2 && overlapHorizontal(o.box, self.box) > 0);
-  } else {
-    pool = all;
-  }
-
-  const matching = filterCards(self, pool, cond);
-
-  // Table dedup: shared set across instances that self-reference by ID
-  if (cond.unique === true && self.definition?.score?.type === 'table') {
-    if (!self.set) {
-      const set = new Set<string>();
-      const sets: Set<string>[] = [set];
-      self.set = set;
-      for (const item of matching) {
-        let s = sets.find((ss) => !ss.has(item.id));
-        if (!s) { s = new Set<string>(); sets.push(s); }
-        item.set = s;
-        s.add(item.id);
-      }
-    }
-    return self.set.size;
-  }
-
-  return cond.unique === true
-    ? new Set(matching.filter((m) => !m.definition?.joker).map((m) => m.id)).size
-    : matching.length;
-}
-
-function scoreTableIndex(points: number[], count: number): number {
-  if (points.length === 0) return 0;
-  return points[Math.max(0, Math.min(points.length - 1, count - 1))];
-}
-
-function pointsWord(n: number): string { return n === 1 ? t('scoring.point_singular') : t('scoring.points_plural'); }
-
-function describeTarget(cond: ConditionJson): string {
-  const ids = (cond.name ?? []).filter(Boolean);
-  const tags = (cond.tags ?? []).filter(Boolean);
-  if (ids.length > 0) return ids.join('/');
-  if (tags.length > 0) return tags.join(` ${t('scoring.or')} `);
-  return t('scoring.cards');
-}
-
-function describeScope(cond: ConditionJson): string {
-  return cond.sameTree === true ? t('scoring.same_tree') : '';
-}
-
-function describeExtras(cond: ConditionJson): string {
-  const parts: string[] = [];
-  if (cond.unique === true) parts.push(t('scoring.unique'));
-  if (cond.sameTreeSymbol === true) parts.push(t('scoring.same_tree_symbol'));
-  if (cond.fullTree === true) parts.push(t('scoring.full_tree'));
-  if (cond.sameSpot === true) parts.push(t('scoring.same_spot'));
-  if (cond.most === true) parts.push(t('scoring.most'));
-  if (cond.position?.length) parts.push(cond.position.join('/'));
-  return parts.join(', ');
-}
-
-function scoreInstanceWithReason(
-  instance: CardInstance,
-  all: CardInstance[],
-  placementsByBox: Map<Box, Placement>,
-  assumeMost: boolean,
-  mostResolver: MostResolver | null,
-): [number, string] {
-  const scoreRule = instance.definition?.score;
-  if (!scoreRule) return [0, t('ui.no_effect')];
-
-  const cond = scoreRule.condition;
-  const type = scoreRule.type.toLowerCase();
-
-  if (type === 'fixed') {
-    const amount = Array.isArray(scoreRule.amount) ? 0 : (scoreRule.amount ?? 0);
-    if (!cond) return [amount, `${amount} ${t('scoring.fixed_prefix')} ${pointsWord(amount)}`];
-
-    const matches = countMatches(instance, cond, all, placementsByBox, assumeMost, mostResolver);
-    const min = scoreRule.min;
-    const satisfied = min != null ? matches >= min : matches > 0;
-    const minText = min != null ? `${t('scoring.min_prefix')} ${min}` : `${t('scoring.min_prefix')} 1`;
-    const extra = describeExtras(cond);
-    const extraStr = extra ? ` (${extra})` : '';
-    const scopeStr = describeScope(cond) ? ` ${describeScope(cond)}` : '';
-    const target = describeTarget(cond);
-    if (satisfied) {
-      return [amount, `${amount} ${t('scoring.fixed_prefix')} ${pointsWord(amount)} (${matches} ${t('scoring.hits')}, ${minText} ${target}${scopeStr}${extraStr})`];
-    } else {
-      return [0, `0 ${pointsWord(0)} (${t('scoring.condition_not_met')}: ${matches} ${t('scoring.hits')}, ${minText} ${target}${scopeStr}${extraStr})`];
-    }
-  }
-
-  if (type === 'multiplication') {
-    const amount = Array.isArray(scoreRule.amount) ? 0 : (scoreRule.amount ?? 0);
-    if (!cond) return [0, `0 (${t('scoring.no_condition')})`];
-
-    const matches = countMatches(instance, cond, all, placementsByBox, assumeMost, mostResolver);
-    const min = scoreRule.min;
-    const effectiveMatches = (min != null && matches < min) ? 0 : matches;
-    const pts = amount * effectiveMatches;
-    const minText = min != null ? `${t('scoring.min_prefix')} ${min}` : '';
-    const extra = describeExtras(cond);
-    const extraStr = extra ? ` (${extra})` : '';
-    const scopeStr = describeScope(cond);
-    const perText = `${amount} ${pointsWord(amount)} ${t('scoring.per')} ${describeTarget(cond)}`;
-    const detailsParts = [minText, scopeStr].filter(Boolean);
-    const detailsStr = detailsParts.length > 0 ? ` (${detailsParts.join(', ')})` : '';
-    return [pts, `${perText} · ${effectiveMatches}${detailsStr}${extraStr}`];
-  }
-
-  if (type === 'table') {
-    const arr = Array.isArray(scoreRule.amount) ? (scoreRule.amount as number[]) : [];
-    if (!cond) return [0, `0 (${t('scoring.no_condition')})`];
-
-    const matches = countMatches(instance, cond, all, placementsByBox, assumeMost, mostResolver);
-
-    const pts = scoreTableIndex(arr, matches);
-    const extra = describeExtras(cond);
-    const extraStr = extra ? ` (${extra})` : '';
-    const scopeStr = describeScope(cond) ? ` ${describeScope(cond)}` : '';
-    return [pts, `${t('scoring.table_prefix')}: ${matches} ${t('scoring.hits')} (${describeTarget(cond)}${scopeStr}${extraStr})`];
-  }
-
-  return [0, t('ui.no_effect')];
-}
-
-// ---------------------------------------------------------------------------
-// Cross-player "most" resolver
-// ---------------------------------------------------------------------------
-
-interface MostKey {
-  ids: string;
-  tags: string;
-  unique: boolean;
-  treeSymbol: string | null;
-}
-
-function makeMostKey(self: CardInstance, cond: ConditionJson): MostKey {
-  const ids = (cond.name ?? []).filter(Boolean).sort().join(',');
-  const tags = (cond.tags ?? []).filter(Boolean).sort().join(',');
-  const unique = cond.unique === true;
-  const treeSymbol = cond.sameTreeSymbol === true ? self.treeSymbol : null;
-  return { ids, tags, unique, treeSymbol };
-}
-
-function mostKeyStr(k: MostKey): string {
-  return `${k.ids}|${k.tags}|${k.unique}|${k.treeSymbol ?? ''}`;
-}
-
-function countForMostKey(key: MostKey, cards: CardInstance[], cond: ConditionJson): number {
-  const filtered = cards.filter((inst) => {
-    if (key.treeSymbol != null && inst.treeSymbol !== key.treeSymbol) return false;
-    const idOk = key.ids ? key.ids.split(',').includes(inst.id) : true;
-    const tagsOk = key.tags ? key.tags.split(',').some((t) => inst.definition?.tags.includes(t)) : true;
-    const typeOk = cond.type == null || cond.type === inst.definition?.type;
-    return idOk && tagsOk && typeOk;
-  });
-  return key.unique
-    ? new Set(filtered.filter((m) => !m.definition?.joker).map((m) => m.id)).size
-    : filtered.length;
+/** The rule engine's scopes and conditions for the cards of a forest. */
+function forestScopes(all: CardInstance[], placementsByBox: Map<Box, Placement>) {
+  return {
+    scopes: {
+      sameTree: (self: CardInstance): CardInstance[] => {
+        const tree = placementsByBox.get(self.box)?.tree;
+        if (!tree) return [];
+        const treeCards = [...tree.top, ...tree.bottom, ...tree.left, ...tree.right];
+        return self === tree.card ? treeCards : [tree.card, ...treeCards];
+      },
+      sameSpot: (self: CardInstance): CardInstance[] => {
+        const placement = placementsByBox.get(self.box);
+        return placement?.side ? placement.tree[placement.side] : [];
+      },
+      below: (self: CardInstance): CardInstance[] =>
+        all.filter((o) => o.box.y1 >= self.box.y2 && overlapHorizontal(o.box, self.box) > 0),
+    },
+    conditions: {
+      fullTree: (self: CardInstance): boolean => {
+        const tree = placementsByBox.get(self.box)?.tree;
+        return tree !== undefined && isFullTree(tree);
+      },
+    },
+  };
 }
 
 // ---------------------------------------------------------------------------
 // MischwaldGame class
 // ---------------------------------------------------------------------------
 
+/** Official tie-breaker: of players with the same score, the one with the most cave cards wins. */
+const CAVE_CARDS: RankingKey<PlayerScoreResult> = {
+  label: { key: 'ranking.cave_cards', fallback: 'Höhlenkarten' },
+  value: player => player.cardDetails.find(d => d.cardId === 'cave')?.points ?? 0,
+};
+
 interface PreparedPlayer {
   forest: Forest | null;
   all: CardInstance[];
@@ -732,16 +586,20 @@ interface PreparedPlayer {
 
 export class MischwaldGame implements GamePack {
   private players: string[];
+  /** This game's texts; processCards() switches them to the locale of its context. */
+  private t: Translator;
 
-  constructor(players: string[]) {
+  constructor(players: string[], options: GameOptions = {}) {
     this.players = players;
+    this.t = createTranslator(TEXTS_PATH, options.locale);
   }
 
   processCards(boxes: DetectedBox[], context?: ScorerContext): GameState {
+    this.t = this.t.withLocale(context?.locale);
     const cards = CARDS_JSON;
     // Group on original coordinates (matching the Dart-side clustering),
     // then rectify per-player group for accurate forest building.
-    const playerGroups = groupByPlayer(boxes, this.players.length);
+    const playerGroups = groupByPlayer(boxes, this.players.length, context?.seating);
 
     // Phase 1: build forests
     const prepared: PreparedPlayer[] = playerGroups.map((playerBoxes) => {
@@ -758,25 +616,9 @@ export class MischwaldGame implements GamePack {
       return { forest, all: allCardInstances(forest) };
     });
 
-    // Phase 2: build cross-player "most" cache
-    const mostWinnerCache = new Map<string, { max: number; winners: Set<number> }>();
-
-    function getMostWinners(key: MostKey, cond: ConditionJson): { max: number; winners: Set<number> } {
-      const ks = mostKeyStr(key);
-      if (mostWinnerCache.has(ks)) return mostWinnerCache.get(ks)!;
-      const counts = prepared.map((p) => countForMostKey(key, p.all, cond));
-      const max = Math.max(0, ...counts);
-      const winners = new Set<number>(
-        max <= 0
-          ? []
-          : counts.map((c, i) => (c === max ? i : -1)).filter((i) => i >= 0),
-      );
-      mostWinnerCache.set(ks, { max, winners });
-      return { max, winners };
-    }
-
-    // Phase 3: score each player
-    return {
+    // Phase 2: score each player; "most" rules compare all players' forests
+    const tableaux = prepared.map((p) => p.all);
+    const state: GameState = {
       players: prepared.map((p, playerIndex) => {
         const playerName = this.players[playerIndex];
         const forest = p.forest;
@@ -785,23 +627,22 @@ export class MischwaldGame implements GamePack {
           return { name: playerName, totalScore: 0, cardDetails: [] };
         }
 
-        const mostResolver: MostResolver = (self, cond) => {
-          if (cond.most !== true) return true;
-          const key = makeMostKey(self, cond);
-          return getMostWinners(key, cond).winners.has(playerIndex);
-        };
-
         const placementsByBox = buildPlacementsByBox(forest);
         const all = p.all;
 
         // Score all instances first
-        const scoreByBox = new Map<Box, [number, string]>();
-        for (const inst of all) {
-          const result = scoreInstanceWithReason(
-            inst, all, placementsByBox, false, mostResolver,
-          );
-          scoreByBox.set(inst.box, result);
-        }
+        const results = scoreTableau(all, {
+          t: this.t,
+          label: (value) => ({ key: `cards.${value}`, fallback: value }),
+          tableaux,
+          ...forestScopes(all, placementsByBox),
+        });
+        const scoreByBox = new Map<Box, [number, LocalisedText, string[]]>(all.map((inst, i) => {
+          const result = results[i];
+          return [inst.box, result
+            ? [result.points, result.text, result.cards.map((c) => c.box.clsName)]
+            : [0, { key: 'ui.no_effect' }, []]];
+        }));
 
         // Sort into UI order
         const sortedBoxes = sortCardsInUiOrder(forest);
@@ -812,15 +653,16 @@ export class MischwaldGame implements GamePack {
         for (const box of sortedBoxes) {
           const inst = instByBox.get(box);
           if (!inst) continue;
-          const [points, reason] = scoreByBox.get(box) ?? [0, ''];
+          const [points, reason, contributingCardIds] = scoreByBox.get(box) ?? [0, { key: 'ui.no_effect' }, []];
           const treeIdx = boxToTreeIdx.get(box);
-          const group = treeIdx != null ? t('ui.tree_label').replace('%d', String(treeIdx + 1)) : undefined;
+          const group = treeIdx != null ? this.t('ui.tree_label', 'Baum %d', [treeIdx + 1]) : undefined;
           cardDetails.push({
             cardId: inst.box.clsName,
             points,
-            reason,
+            ...localisedDetail(this.t, reason),
             title: inst.id,
             group,
+            contributingCardIds,
           });
         }
 
@@ -830,8 +672,11 @@ export class MischwaldGame implements GamePack {
           cardDetails.push({
             cardId: 'cave',
             points: cave,
-            reason: `${cave} ${cave === 1 ? t('cave.singular', 'Höhlenkarte') : t('cave.plural', 'Höhlenkarten')}`,
-            title: t('cave.title', 'Höhle'),
+            ...localisedDetail(
+              this.t,
+              { key: 'cave.cards', params: [cave], fallback: '%d Höhlenkarten' },
+              { key: 'cave.title', fallback: 'Höhle' },
+            ),
           });
         }
 
@@ -839,6 +684,7 @@ export class MischwaldGame implements GamePack {
         return { name: playerName, totalScore, cardDetails };
       }),
     };
+    return { ...state, ranking: rankPlayers(state.players, { t: this.t, tieBreakers: [CAVE_CARDS] }) };
   }
 }
 
@@ -849,7 +695,7 @@ export class MischwaldGame implements GamePack {
 export const inputs: AdditionalInput[] = [
   {
     id: 'caveCards',
-    label: t('inputs.caveCards', 'Höhlenkarten'),
+    label: createTranslator(TEXTS_PATH)('inputs.caveCards', 'Höhlenkarten'),
     type: 'stepper',
     perPlayer: true,
     min: 0,
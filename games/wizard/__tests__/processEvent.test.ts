@@ -7,6 +7,8 @@
  * no longer tested here.
  */
 
+export {};
+
 const { WizardGame } = require('../scorer');
 
 function card(cardId) {
@@ -176,3 +178,443 @@ describe('processEvent – roundEnded', () => {
     expect(result.actions.some(a => a.type === 'gameOver')).toBe(true);
   });
 });
+
+// ---------------------------------------------------------------------------
+describe('serialize / restore', () => {
+  const { replayRecording } = require('@boardgamebuddy/game-pack-api');
+  const recording = require('./recordings/three-rounds.json');
+
+  function bidPhaseGame() {
+    const game = new WizardGame(['Alice', 'Bob', 'Charlie']);
+    game.processEvent(ev('gameStarted', { players: ['Alice', 'Bob', 'Charlie'] }));
+    game.processCards([card('wizard:green:04')]);
+    game.processEvent(ev('bidPlaced', { playerIndex: 0, bid: 1 }));
+    return game;
+  }
+
+  it('serializes a versioned, JSON-safe snapshot', () => {
+    const snapshot = bidPhaseGame().serialize();
+    expect(snapshot.version).toBe(6);
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+
+  it('resumes from any step of a recorded session with identical states', () => {
+    const expected = replayRecording(new WizardGame(recording.players), recording);
+    for (let cut = 1; cut < recording.steps.length; cut++) {
+      const before = new WizardGame(recording.players);
+      replayRecording(before, { ...recording, steps: recording.steps.slice(0, cut) });
+      const snapshot = JSON.parse(JSON.stringify(before.serialize()));
+
+      const resumed = new WizardGame([]);
+      resumed.restore(snapshot);
+      const rest = replayRecording(resumed, { ...recording, steps: recording.steps.slice(cut) });
+      expect(rest).toEqual(expected.slice(cut));
+    }
+  });
+
+  it('asks the next player for a bid when restored during bidding', () => {
+    const resumed = new WizardGame([]);
+    const state = resumed.restore(bidPhaseGame().serialize());
+    expect(state.players.map(p => p.name)).toEqual(['Alice', 'Bob', 'Charlie']);
+    expect(state.actions).toContainEqual({ type: 'cameraMode', mode: 'paused' });
+    expect(state.actions.some(a => a.type === 'listenForBid' && a.playerIndex === 1)).toBe(true);
+  });
+
+  it('rejects snapshots from a newer pack version', () => {
+    const game = new WizardGame(['Alice', 'Bob']);
+    expect(() => game.restore({ version: 99, data: {} })).toThrow(/newer/);
+  });
+
+  it('legacy processEvent carries state through prevState', () => {
+    const { processEvent } = require('../scorer');
+    const snapshot = bidPhaseGame().serialize();
+    const state = processEvent(ev('bidPlaced', { playerIndex: 1, bid: 0 }), {
+      _internal: snapshot, display: { hud: [] }, scores: [], actions: [],
+    });
+    expect(state._internal.version).toBe(6);
+    expect(state._internal.data.bids).toEqual({ Alice: 1, Bob: 0 });
+    expect(state.actions.some(a => a.type === 'listenForBid' && a.playerIndex === 2)).toBe(true);
+  });
+
+  it('legacy processEvent accepts an unversioned _internal from older hosts', () => {
+    const { processEvent } = require('../scorer');
+    const raw = bidPhaseGame().serialize().data;
+    const state = processEvent(ev('bidPlaced', { playerIndex: 1, bid: 0 }), {
+      _internal: raw, display: { hud: [] }, scores: [], actions: [],
+    });
+    expect(state._internal.data.bids).toEqual({ Alice: 1, Bob: 0 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('corrections', () => {
+  const PLAYERS2 = ['Alice', 'Bob'];
+
+  /** Round 1 with red trump, bids Alice 1 / Bob 0; Alice leads blue 3, Bob wins with blue 5. */
+  function scoredRound1() {
+    const game = new WizardGame(PLAYERS2);
+    game.processEvent(ev('gameStarted', { players: PLAYERS2 }));
+    game.processCards([card('wizard:red:01')]);
+    game.processEvent(ev('bidPlaced', { playerIndex: 0, bid: 1 }));
+    game.processEvent(ev('bidPlaced', { playerIndex: 1, bid: 0 }));
+    game.processCards([]);
+    game.processCards([card('wizard:blue:03'), card('wizard:blue:05')]);
+    return game;
+  }
+
+  const totals = (state) => Object.fromEntries(state.players.map(p => [p.name, p.totalScore]));
+  const internal = (game) => game.serialize().data;
+
+  it('round 1 scores Alice -10 and Bob -10 before any correction', () => {
+    expect(internal(scoredRound1()).cumulativeScores).toEqual({ Alice: -10, Bob: -10 });
+  });
+
+  it('undoLastTrick reverses the round score and waits for the trick again', () => {
+    const game = scoredRound1();
+    const state = game.processEvent(ev('undoLastTrick', {}));
+    expect(totals(state)).toEqual({ Alice: 0, Bob: 0 });
+    expect(state.actions[0].type).toBe('speak');
+    expect(state.actions).toContainEqual({ type: 'awaitTableClear' });
+    expect(internal(game)).toMatchObject({ completedTricks: 0, tricksWon: {}, trickHistory: [], trickLeader: 0 });
+
+    // Playing the trick again scores the round again
+    game.processCards([]);
+    const replayed = game.processCards([card('wizard:blue:07'), card('wizard:red:02')]);
+    expect(totals(replayed)).toEqual({ Alice: -10, Bob: -10 });
+  });
+
+  it('reassignTrickCard swaps the play order, recomputes the winner and re-scores', () => {
+    const game = scoredRound1();
+    const state = game.processEvent(ev('reassignTrickCard', { cardId: 'wizard:blue:05', playerIndex: 0 }));
+    expect(totals(state)).toEqual({ Alice: 30, Bob: 20 });
+    expect(internal(game).trickHistory[0]).toEqual({
+      cards: [[0, 'wizard:blue:05'], [1, 'wizard:blue:03']],
+      winnerIndex: 0,
+    });
+    expect(internal(game).tricksWon).toEqual({ Alice: 1 });
+  });
+
+  it('reassignTrickCard re-seats later tricks from the corrected winner', () => {
+    const players = ['Alice', 'Bob', 'Charlie'];
+    const game = new WizardGame(players);
+    game.processEvent(ev('gameStarted', { players }));
+    game.processEvent(ev('roundEnded', {}));                        // skip to round 2
+    game.processCards([card('wizard:red:01')]);
+    players.forEach((_, i) => game.processEvent(ev('bidPlaced', { playerIndex: i, bid: 1 })));
+    game.processCards([]);
+    // Trick 1: Alice blue 3, Bob blue 9 (wins), Charlie blue 4
+    game.processCards([card('wizard:blue:03'), card('wizard:blue:09'), card('wizard:blue:04')]);
+    game.processCards([]);
+    // Trick 2 led by Bob: green 2 (Bob), green 8 (Charlie, wins), green 5 (Alice)
+    game.processCards([card('wizard:green:02'), card('wizard:green:08'), card('wizard:green:05')]);
+
+    // Blue 9 was actually Charlie's: Charlie wins trick 1 and leads trick 2
+    game.processEvent(ev('reassignTrickCard', { cardId: 'wizard:blue:09', playerIndex: 2, trick: 1 }));
+    const s = internal(game);
+    expect(s.trickHistory[0].winnerIndex).toBe(2);
+    expect(s.trickHistory[1].cards).toEqual([[2, 'wizard:green:02'], [0, 'wizard:green:08'], [1, 'wizard:green:05']]);
+    expect(s.trickHistory[1].winnerIndex).toBe(0);
+    expect(s.tricksWon).toEqual({ Charlie: 1, Alice: 1 });
+    expect(s.trickLeader).toBe(0);
+  });
+
+  it('correctBid replaces the bid and re-scores a finished round', () => {
+    const game = scoredRound1();
+    const state = game.processEvent(ev('correctBid', { playerIndex: 0, bid: 0 }));
+    expect(totals(state)).toEqual({ Alice: 20, Bob: -10 });
+    expect(state.actions[0].text).toContain('Alice');
+  });
+
+  it('correctBid during bidding keeps asking the next player', () => {
+    const game = new WizardGame(['Alice', 'Bob', 'Charlie']);
+    game.processEvent(ev('gameStarted', { players: ['Alice', 'Bob', 'Charlie'] }));
+    game.processCards([card('wizard:red:01')]);
+    game.processEvent(ev('bidPlaced', { playerIndex: 0, bid: 1 }));
+    const state = game.processEvent(ev('correctBid', { playerIndex: 0, bid: 0 }));
+    expect(internal(game).bids).toEqual({ Alice: 0 });
+    expect(state.actions.some(a => a.type === 'listenForBid' && a.playerIndex === 1)).toBe(true);
+  });
+
+  it('correctBid refuses a bid that is out of range like bidPlaced does', () => {
+    const game = scoredRound1();
+    const before = internal(game).bids;
+    const state = game.processEvent(ev('correctBid', { playerIndex: 0, bid: 2 }));
+    expect(state.actions).toEqual([
+      { type: 'ruleViolation', rule: 'bidOutOfRange', text: 'Alice: Ansage 2 ist nicht möglich, höchstens 1.', playerIndex: 0 },
+    ]);
+    expect(game.processEvent(ev('correctBid', { playerIndex: 0, bid: 0.5 })).actions[0]).toMatchObject({ rule: 'bidOutOfRange' });
+    expect(internal(game).bids).toEqual(before);
+    expect(internal(game).bidViolations).toEqual([
+      { rule: 'bidOutOfRange', playerIndex: 0, value: 2 },
+      { rule: 'bidOutOfRange', playerIndex: 0, value: 0.5 },
+    ]);
+  });
+
+  it('replaceCard fixes a misread card in a completed trick', () => {
+    const game = scoredRound1();
+    const state = game.processEvent(ev('replaceCard', { oldCardId: 'wizard:blue:03', newCardId: 'wizard:wizard:01' }));
+    expect(totals(state)).toEqual({ Alice: 30, Bob: 20 });
+    expect(internal(game).trickHistory[0].cards[0]).toEqual([0, 'wizard:wizard:01']);
+  });
+
+  it('replaceCard in the current trick does not count the corrected card as new', () => {
+    const players = ['Alice', 'Bob', 'Charlie'];
+    const game = new WizardGame(players);
+    game.processEvent(ev('gameStarted', { players }));
+    game.processCards([card('wizard:red:01')]);
+    players.forEach((_, i) => game.processEvent(ev('bidPlaced', { playerIndex: i, bid: 0 })));
+    game.processCards([]);
+    game.processCards([card('wizard:blue:03')]);
+    game.processEvent(ev('replaceCard', { oldCardId: 'wizard:blue:03', newCardId: 'wizard:blue:08' }));
+    game.processCards([card('wizard:blue:08')]);
+    expect(internal(game).currentTrickCards).toEqual([[0, 'wizard:blue:08']]);
+  });
+
+  it('rejects corrections that do not apply and leaves the state alone', () => {
+    const game = new WizardGame(PLAYERS2);
+    game.processEvent(ev('gameStarted', { players: PLAYERS2 }));
+    const before = internal(game);
+    for (const event of [
+      ev('undoLastTrick', {}),
+      ev('reassignTrickCard', { cardId: 'wizard:blue:03', playerIndex: 1 }),
+      ev('correctBid', { playerIndex: 0, bid: 2 }),
+      ev('replaceCard', { oldCardId: 'wizard:blue:03', newCardId: 'wizard:blue:04' }),
+    ]) {
+      const state = game.processEvent(event);
+      expect(state.actions).toEqual([{ type: 'speak', text: 'Korrektur nicht möglich.' }]);
+    }
+    expect(internal(game)).toEqual(before);
+  });
+
+  it('migrates version-1 snapshots so tricks played before the upgrade can be undone', () => {
+    const v2 = internal(scoredRound1());
+    const { trickHistory, roundLeader, ...v1 } = v2;
+    const game = new WizardGame([]);
+    game.restore({ version: 1, data: v1 });
+    expect(internal(game).trickHistory).toEqual([{ cards: [], winnerIndex: 1 }]);
+    const state = game.processEvent(ev('undoLastTrick', {}));
+    expect(totals(state)).toEqual({ Alice: 0, Bob: 0 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('seat-based trick attribution', () => {
+  const PLAYERS3 = ['Alice', 'Bob', 'Charlie'];
+  // Alice at the bottom, Bob on the right, Charlie at the top
+  const SEATS = [[0.5, 0.85], [0.85, 0.5], [0.5, 0.15]];
+  const at = (cardId, [cx, cy]: number[]) => ({
+    ...card(cardId), cx, cy, x1: cx - 0.1, y1: cy - 0.15, x2: cx + 0.1, y2: cy + 0.15,
+  });
+
+  function trickTracking(calibrated) {
+    const game = new WizardGame(PLAYERS3);
+    const seatBoxes = SEATS.map(seat => at('wizard:red:01', seat));
+    game.processEvent(ev('gameStarted', calibrated ? { players: PLAYERS3, seatBoxes } : { players: PLAYERS3 }));
+    game.processCards([card('wizard:red:01')]);
+    for (let i = 0; i < 3; i++) game.processEvent(ev('bidPlaced', { playerIndex: i, bid: 0 }));
+    game.processCards([]);
+    return game;
+  }
+
+  it('credits cards arriving in the same frame to the seat they lie at', () => {
+    const game = trickTracking(true);
+    const state = game.processCards([
+      at('wizard:blue:05', SEATS[2]), at('wizard:blue:03', SEATS[0]), at('wizard:blue:09', SEATS[1]),
+    ]);
+    expect(game.serialize().data.trickHistory[0]).toEqual({
+      cards: [[0, 'wizard:blue:03'], [1, 'wizard:blue:09'], [2, 'wizard:blue:05']],
+      winnerIndex: 1,
+    });
+    expect(state.actions[0].text).toMatch(/^Bob gewinnt Stich 1\./);
+  });
+
+  it('credits a card played out of turn to its seat', () => {
+    const game = trickTracking(true);
+    game.processCards([at('wizard:blue:05', SEATS[2])]);
+    expect(game.serialize().data.currentTrickCards).toEqual([[2, 'wizard:blue:05']]);
+    game.processCards([at('wizard:blue:05', SEATS[2]), at('wizard:blue:13', SEATS[0])]);
+    game.processCards([at('wizard:blue:05', SEATS[2]), at('wizard:blue:13', SEATS[0]), at('wizard:blue:02', SEATS[1])]);
+    expect(game.serialize().data.trickHistory[0].winnerIndex).toBe(0);
+  });
+
+  it('falls back to arrival order for ambiguous positions', () => {
+    const game = trickTracking(true);
+    // Between Alice (bottom) and Bob (right), and in the middle of the table
+    game.processCards([at('wizard:blue:05', [0.75, 0.75]), at('wizard:blue:03', [0.5, 0.5]), at('wizard:blue:09', SEATS[0])]);
+    expect(game.serialize().data.trickHistory[0].cards)
+      .toEqual([[0, 'wizard:blue:09'], [1, 'wizard:blue:05'], [2, 'wizard:blue:03']]);
+  });
+
+  it('attributes by arrival order without a seat calibration', () => {
+    const game = trickTracking(false);
+    game.processCards([at('wizard:blue:05', SEATS[2]), at('wizard:blue:03', SEATS[0]), at('wizard:blue:09', SEATS[1])]);
+    expect(game.serialize().data.trickHistory[0].cards)
+      .toEqual([[0, 'wizard:blue:05'], [1, 'wizard:blue:03'], [2, 'wizard:blue:09']]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('detection stabiliser', () => {
+  const PLAYERS3 = ['Alice', 'Bob', 'Charlie'];
+  const at = (cardId, cx, similarity = 0.95) => ({
+    ...card(cardId), similarity, cx, x1: cx - 0.1, x2: cx + 0.1,
+  });
+
+  function trickTracking() {
+    const game = new WizardGame(PLAYERS3);
+    game.processEvent(ev('gameStarted', { players: PLAYERS3 }));
+    game.processCards([card('wizard:red:01')]);
+    for (let i = 0; i < 3; i++) game.processEvent(ev('bidPlaced', { playerIndex: i, bid: 0 }));
+    game.processCards([]);
+    return game;
+  }
+
+  it('keeps a card that flickers out for a frame', () => {
+    const game = trickTracking();
+    game.processCards([at('wizard:blue:03', 0.2)]);
+    const flicker = game.processCards([]);
+    expect(flicker.players[0].cardDetails.map(d => d.cardId)).toEqual(['wizard:blue:03']);
+    game.processCards([at('wizard:blue:03', 0.2), at('wizard:blue:05', 0.5)]);
+    expect(game.serialize().data.currentTrickCards).toEqual([[0, 'wizard:blue:03'], [1, 'wizard:blue:05']]);
+  });
+
+  it('ignores a misread that is seen for a single frame', () => {
+    const game = trickTracking();
+    game.processCards([at('wizard:blue:03', 0.2)]);
+    game.processCards([at('wizard:blue:03', 0.2), at('wizard:green:05', 0.5, 0.8)]);
+    game.processCards([at('wizard:blue:03', 0.2), at('wizard:blue:05', 0.5)]);
+    game.processCards([at('wizard:blue:03', 0.2), at('wizard:blue:05', 0.5)]);
+    expect(game.serialize().data.currentTrickCards).toEqual([[0, 'wizard:blue:03'], [1, 'wizard:blue:05']]);
+  });
+
+  it('reports a less similar card once it is seen in two frames', () => {
+    const game = trickTracking();
+    game.processCards([at('wizard:blue:03', 0.2, 0.8)]);
+    expect(game.serialize().data.currentTrickCards).toEqual([]);
+    game.processCards([at('wizard:blue:03', 0.2, 0.8)]);
+    expect(game.serialize().data.currentTrickCards).toEqual([[0, 'wizard:blue:03']]);
+  });
+
+  it('drops cards below the context similarity threshold', () => {
+    const game = trickTracking();
+    const context = { players: PLAYERS3, similarityThreshold: 0.97 };
+    game.processCards([at('wizard:blue:03', 0.2)], context);
+    game.processCards([at('wizard:blue:03', 0.2)], context);
+    expect(game.serialize().data.currentTrickCards).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('rule violations', () => {
+  const PLAYERS3 = ['Alice', 'Bob', 'Charlie'];
+
+  /** Plays round 1 and returns the game at the start of round 2's first trick (Charlie leads). */
+  function roundTwo() {
+    const game = new WizardGame(PLAYERS3);
+    game.processEvent(ev('gameStarted', { players: PLAYERS3 }));
+    game.processCards([card('wizard:red:01')]);
+    for (let i = 0; i < 3; i++) game.processEvent(ev('bidPlaced', { playerIndex: i, bid: 0 }));
+    game.processCards([]);
+    game.processCards([card('wizard:green:01'), card('wizard:green:02'), card('wizard:green:03')]);
+    game.processEvent(ev('roundEnded', {}));
+    game.processCards([card('wizard:red:01')]);
+    for (let i = 0; i < 3; i++) game.processEvent(ev('bidPlaced', { playerIndex: i, bid: 0 }));
+    game.processCards([]);
+    return game;
+  }
+
+  it('reports a revoke once the player plays the suit they did not follow', () => {
+    const game = roundTwo();
+    const first = game.processCards([card('wizard:blue:03'), card('wizard:green:05'), card('wizard:blue:05')]);
+    expect(first.actions.some(a => a.type === 'ruleViolation')).toBe(false);
+    game.processCards([]);
+    // Bob leads; Alice plays blue after discarding on blue in trick 1
+    const result = game.processCards([card('wizard:yellow:02'), card('wizard:yellow:04'), card('wizard:blue:02')]);
+    const violation = result.actions.find(a => a.type === 'ruleViolation');
+    expect(violation).toEqual({
+      type: 'ruleViolation', rule: 'revoke', playerIndex: 0, text: 'Alice hat in Stich 1 nicht bedient!',
+    });
+    expect(game.serialize().data.trickHistory[1].violations).toEqual([
+      { rule: 'revoke', playerIndex: 0, cardId: 'wizard:blue:02', trick: 1 },
+    ]);
+    expect(result.display.summary).toContainEqual({ label: 'Regelverstoß', value: 'Alice hat in Stich 1 nicht bedient!' });
+  });
+
+  it('does not report a revoke after a Wizard was led', () => {
+    const game = roundTwo();
+    game.processCards([card('wizard:wizard:01'), card('wizard:green:05'), card('wizard:blue:05')]);
+    game.processCards([]);
+    const result = game.processCards([card('wizard:green:07'), card('wizard:blue:03'), card('wizard:green:02')]);
+    expect(result.actions.some(a => a.type === 'ruleViolation')).toBe(false);
+  });
+
+  it('reports a card played twice in a round', () => {
+    const game = roundTwo();
+    game.processCards([card('wizard:blue:03'), card('wizard:blue:07'), card('wizard:blue:05')]);
+    game.processCards([]);
+    const result = game.processCards([card('wizard:yellow:02'), card('wizard:blue:03'), card('wizard:yellow:04')]);
+    const violation = result.actions.find(a => a.type === 'ruleViolation');
+    expect(violation.rule).toBe('duplicateCard');
+    expect(violation.playerIndex).toBe(1);
+  });
+
+  it('warns about cards played after the last trick of the round', () => {
+    const game = new WizardGame(PLAYERS3);
+    game.processEvent(ev('gameStarted', { players: PLAYERS3 }));
+    game.processCards([card('wizard:red:01')]);
+    for (let i = 0; i < 3; i++) game.processEvent(ev('bidPlaced', { playerIndex: i, bid: 0 }));
+    game.processCards([]);
+    game.processCards([card('wizard:green:01'), card('wizard:green:02'), card('wizard:green:03')]);
+    game.processCards([]);
+    const result = game.processCards([card('wizard:blue:03')]);
+    expect(result.actions).toEqual([
+      { type: 'ruleViolation', rule: 'tooManyTricks', text: 'Der Stich ist gespielt.' },
+    ]);
+    expect(game.serialize().data.completedTricks).toBe(1);
+  });
+
+  it('asks again for a bid that is out of range', () => {
+    const game = new WizardGame(PLAYERS3);
+    game.processEvent(ev('gameStarted', { players: PLAYERS3 }));
+    game.processCards([card('wizard:red:01')]);
+    const result = game.processEvent(ev('bidPlaced', { playerIndex: 0, bid: 2 }));
+    expect(result.actions[0]).toMatchObject({ type: 'ruleViolation', rule: 'bidOutOfRange', playerIndex: 0 });
+    expect(result.actions[1]).toMatchObject({ type: 'listenForBid', playerIndex: 0 });
+    expect(game.serialize().data.bids).toEqual({});
+    expect(game.serialize().data.bidViolations).toEqual([{ rule: 'bidOutOfRange', playerIndex: 0, value: 2 }]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('processEvent – locale', () => {
+  const PLAYERS3 = ['Alice', 'Bob', 'Charlie'];
+
+  it('speaks the locale given to the constructor', () => {
+    const game = new WizardGame(PLAYERS3, { locale: 'en-GB' });
+    const state = game.processEvent(ev('gameStarted', { players: PLAYERS3 }));
+    expect(state.actions).toContainEqual({ type: 'speak', text: 'Round 1 of 20. Please show the trump card to the camera.' });
+  });
+
+  it('fills named placeholders and plurals', () => {
+    const game = new WizardGame(PLAYERS3, { locale: 'en' });
+    game.processEvent(ev('gameStarted', { players: PLAYERS3 }));
+    game.processCards([card('wizard:red:01')]);
+    for (let i = 0; i < 3; i++) game.processEvent(ev('bidPlaced', { playerIndex: i, bid: 0 }));
+    game.processCards([]);
+    const trick = game.processCards([card('wizard:green:01'), card('wizard:green:02'), card('wizard:green:13')]);
+    expect(trick.actions).toContainEqual(expect.objectContaining({ type: 'speak', text: expect.stringContaining('Charlie wins trick 1.') }));
+    game.processCards([]);
+    const result = game.processCards([card('wizard:blue:03')]);
+    expect(result.actions).toEqual([
+      { type: 'ruleViolation', rule: 'tooManyTricks', text: 'The trick has been played.' },
+    ]);
+  });
+
+  it('switches to the locale of the ScorerContext', () => {
+    const game = new WizardGame(PLAYERS3);
+    game.processEvent(ev('gameStarted', { players: PLAYERS3 }));
+    const state = game.processCards([card('wizard:red:01')], { players: PLAYERS3, similarityThreshold: 0.5, locale: 'en' });
+    expect(state.actions).toContainEqual({ type: 'speak', text: 'Trump is Red. Start bidding.' });
+    expect(state.display.hud).toContainEqual({ label: 'Trump', value: 'Red' });
+  });
+});
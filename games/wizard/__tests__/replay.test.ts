@@ -0,0 +1,34 @@
+/**
+ * Wizard recorded-session replay.
+ *
+ * recordings/three-rounds.json is a Playground session export: three rounds
+ * with three players, including trump detection, bids, every trick frame and
+ * the table clears in between. Every GameState the replay emits (actions
+ * included) is pinned by a snapshot, so any change to the trick/round state
+ * machine shows up as a snapshot diff at the step where it starts.
+ */
+
+export {};
+
+const { WizardGame } = require('../scorer');
+const { replayRecording } = require('@boardgamebuddy/game-pack-api');
+
+const recording = require('./recordings/three-rounds.json');
+
+describe('replay – three-rounds.json', () => {
+  const states = replayRecording(new WizardGame(recording.players), recording);
+
+  it('emits one GameState per recorded step', () => {
+    expect(states).toHaveLength(recording.steps.length);
+  });
+
+  it('ends with a round transition into round 4', () => {
+    const last = states[states.length - 1];
+    expect(last.actions.some(a => a.type === 'cameraMode' && a.mode === 'detecting')).toBe(true);
+    expect(last.actions.some(a => a.type === 'gameOver')).toBe(false);
+  });
+
+  it('matches the recorded GameState at every step', () => {
+    states.forEach((state, i) => expect(state).toMatchSnapshot(`step ${i}`));
+  });
+});
@@ -2,6 +2,8 @@
  * Wizard scorer tests.
  */
 
+export {};
+
 const {
   processCards,
   parseCardDisplay,
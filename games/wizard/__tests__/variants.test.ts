@@ -0,0 +1,299 @@
+/**
+ * Wizard rule variants and the anniversary edition's special cards.
+ */
+
+export {};
+
+const {
+  WizardGame,
+  calculateRoundScore,
+  determineTrickWinner,
+  parseCardDisplay,
+  parseVariants,
+  maxRoundsFor,
+  DEFAULT_VARIANTS,
+} = require('../scorer');
+
+function card(cardId) {
+  return {
+    cardId,
+    similarity: 0.95,
+    x1: 0, y1: 0, x2: 0.2, y2: 0.3,
+    cx: 0.1, cy: 0.15,
+    w: 0.2, h: 0.3,
+    confidence: 0.95,
+    angle: 0,
+    keypoints: null,
+  };
+}
+
+function ev(type, data) { return { type, data }; }
+
+const PLAYERS = ['Alice', 'Bob', 'Charlie'];
+const internal = (game) => game.serialize().data;
+const totals = (state) => Object.fromEntries(state.players.map(p => [p.name, p.totalScore]));
+const spoken = (state) => state.actions.filter(a => a.type === 'speak').map(a => a.text).join(' ');
+
+/** Starts a game with the given variants and skips to the given round, trump red. */
+function startRound(variants, round = 1) {
+  const game = new WizardGame(PLAYERS);
+  game.processEvent(ev('gameStarted', { players: PLAYERS, variants }));
+  for (let r = 1; r < round; r++) game.processEvent(ev('roundEnded', {}));
+  game.processCards([card('wizard:red:01')]);
+  return game;
+}
+
+/** startRound plus the given bids, ready for the first trick. */
+function playRound(variants, bids) {
+  const game = startRound(variants, bids.length === 0 ? 1 : Math.max(1, ...bids));
+  bids.forEach((bid, playerIndex) => game.processEvent(ev('bidPlaced', { playerIndex, bid })));
+  game.processCards([]);
+  return game;
+}
+
+// ---------------------------------------------------------------------------
+describe('parseVariants', () => {
+  it('falls back to the defaults for missing or unknown values', () => {
+    expect(parseVariants(undefined)).toEqual(DEFAULT_VARIANTS);
+    expect(parseVariants({ scoring: 'perTrick', bidsMayNotAddUp: 'sometimes', secretBids: 'yes' }))
+      .toEqual({ ...DEFAULT_VARIANTS, scoring: 'perTrick' });
+  });
+
+  it('the anniversary deck adds six cards and therefore rounds', () => {
+    expect(maxRoundsFor(3)).toBe(20);
+    expect(maxRoundsFor(3, { ...DEFAULT_VARIANTS, anniversary: true })).toBe(22);
+    expect(internal(startRound({ anniversary: true })).maxRounds).toBe(22);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('scoring variant', () => {
+  it('per trick: 10 per trick won plus 20 or the penalty', () => {
+    expect(calculateRoundScore(2, 2, 'perTrick')).toBe(40);
+    expect(calculateRoundScore(1, 3, 'perTrick')).toBe(10);
+    expect(calculateRoundScore(3, 0, 'perTrick')).toBe(-30);
+  });
+
+  it('is used for the round score', () => {
+    const game = new WizardGame(['Alice', 'Bob']);
+    game.processEvent(ev('gameStarted', { players: ['Alice', 'Bob'], variants: { scoring: 'perTrick' } }));
+    game.processCards([card('wizard:red:01')]);
+    game.processEvent(ev('bidPlaced', { playerIndex: 0, bid: 0 }));
+    game.processEvent(ev('bidPlaced', { playerIndex: 1, bid: 0 }));
+    game.processCards([]);
+    const state = game.processCards([card('wizard:blue:09'), card('wizard:blue:05')]);
+    expect(totals(state)).toEqual({ Alice: 0, Bob: 20 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('bids may not add up', () => {
+  function lastBid(mode, bid) {
+    const game = startRound({ bidsMayNotAddUp: mode }, 2);
+    game.processEvent(ev('bidPlaced', { playerIndex: 0, bid: 1 }));
+    game.processEvent(ev('bidPlaced', { playerIndex: 1, bid: 0 }));
+    return [game, game.processEvent(ev('bidPlaced', { playerIndex: 2, bid }))];
+  }
+
+  it('reject: asks the last player again and keeps bidding', () => {
+    const [game, state] = lastBid('reject', 1);
+    expect(spoken(state)).toBe('Die Ansagen dürfen nicht 2 ergeben.');
+    expect(state.actions).toContainEqual({ type: 'listenForBid', prompt: 'Charlie, deine Ansage?', playerIndex: 2 });
+    expect(internal(game)).toMatchObject({ phase: 'bidCollection', bids: { Alice: 1, Bob: 0 } });
+  });
+
+  it('reject: accepts a bid that does not add up', () => {
+    const [game] = lastBid('reject', 2);
+    expect(internal(game)).toMatchObject({ phase: 'trickTracking', bids: { Charlie: 2 } });
+  });
+
+  it('warn: accepts the bid with a spoken warning', () => {
+    const [game, state] = lastBid('warn', 1);
+    expect(spoken(state)).toContain('Die Ansagen dürfen nicht 2 ergeben.');
+    expect(internal(game).phase).toBe('trickTracking');
+  });
+
+  it('off: says nothing', () => {
+    const [, state] = lastBid('off', 1);
+    expect(spoken(state)).not.toContain('ergeben');
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('secret bids', () => {
+  it('confirms without the number and hides bids in the HUD', () => {
+    const game = startRound({ secretBids: true });
+    const state = game.processEvent(ev('bidPlaced', { playerIndex: 0, bid: 1 }));
+    expect(spoken(state)).toBe('Ansage von Alice erhalten.');
+    game.processEvent(ev('bidPlaced', { playerIndex: 1, bid: 0 }));
+    const tracking = game.processEvent(ev('bidPlaced', { playerIndex: 2, bid: 0 }));
+    expect(tracking.display.hud).toContainEqual({ label: 'Alice', value: '0' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('special cards', () => {
+  it('are labelled by name', () => {
+    expect(parseCardDisplay('wizard:dragon:01')).toEqual(['Drache', 'Drache']);
+    expect(parseCardDisplay('wizard:juggler:01')).toEqual(['Jongleur', 'Jongleur']);
+  });
+
+  it('the Dragon beats Wizards; the Fairy catches the Dragon', () => {
+    expect(determineTrickWinner([[0, 'wizard:wizard:01'], [1, 'wizard:dragon:01'], [2, 'wizard:red:13']], 'red')).toBe(1);
+    expect(determineTrickWinner([[0, 'wizard:dragon:01'], [1, 'wizard:fairy:01'], [2, 'wizard:wizard:01']], null)).toBe(1);
+  });
+
+  it('the Fairy and the Bomb lose like Jesters', () => {
+    expect(determineTrickWinner([[0, 'wizard:fairy:01'], [1, 'wizard:blue:02'], [2, 'wizard:bomb:01']], null)).toBe(1);
+    expect(determineTrickWinner([[0, 'wizard:fairy:01'], [1, 'wizard:jester:01']], null)).toBe(0);
+  });
+
+  it('Cloud and Juggler rank between the cards of the led suit', () => {
+    expect(determineTrickWinner([[0, 'wizard:blue:09'], [1, 'wizard:cloud:01'], [2, 'wizard:blue:10']], null)).toBe(2);
+    expect(determineTrickWinner([[0, 'wizard:blue:09'], [1, 'wizard:cloud:01'], [2, 'wizard:blue:08']], null)).toBe(1);
+    expect(determineTrickWinner([[0, 'wizard:green:07'], [1, 'wizard:juggler:01'], [2, 'wizard:red:01']], 'blue')).toBe(1);
+  });
+
+  it('a Cloud played as trump wins over the led suit', () => {
+    const cards = [[0, 'wizard:blue:09'], [1, 'wizard:cloud:01'], [2, 'wizard:blue:13']];
+    expect(determineTrickWinner(cards, 'red', { 'wizard:cloud:01': 'red' })).toBe(1);
+    expect(determineTrickWinner(cards, 'red', { 'wizard:cloud:01': 'green' })).toBe(2);
+    expect(determineTrickWinner(cards, 'red')).toBe(2);
+  });
+
+  it('a Cloud that leads sets the led suit it is played as', () => {
+    const cards = [[0, 'wizard:cloud:01'], [1, 'wizard:green:05'], [2, 'wizard:blue:13']];
+    expect(determineTrickWinner(cards, null, { 'wizard:cloud:01': 'green' })).toBe(0);
+    expect(determineTrickWinner(cards, null, { 'wizard:cloud:01': 'blue' })).toBe(2);
+    // Without a choice it follows the next card's suit
+    expect(determineTrickWinner(cards, null)).toBe(0);
+    expect(determineTrickWinner([[0, 'wizard:juggler:01'], [1, 'wizard:green:08']], null, { 'wizard:juggler:01': 'green' })).toBe(1);
+  });
+
+  it('a Bomb trick is won by nobody; its would-be winner leads next', () => {
+    const game = playRound({ anniversary: true }, [1, 0, 0]);
+    const state = game.processCards([card('wizard:blue:03'), card('wizard:bomb:01'), card('wizard:blue:09')]);
+    expect(spoken(state)).toContain('Bombe! Stich 1 gewinnt niemand. Charlie spielt aus.');
+    expect(internal(game)).toMatchObject({ tricksWon: {}, trickLeader: 2 });
+    expect(totals(state)).toEqual({ Alice: -10, Bob: 20, Charlie: 20 });
+  });
+
+  it('the Juggler reminds everyone to pass a card before the next trick', () => {
+    const game = playRound({ anniversary: true }, [2, 0, 0]);
+    const state = game.processCards([card('wizard:blue:03'), card('wizard:juggler:01'), card('wizard:blue:09')]);
+    expect(spoken(state)).toContain('Jongleur: Jeder gibt eine Karte nach links weiter.');
+  });
+
+  it('a Werewolf turned up as trump waits for the trump card it chooses', () => {
+    const game = startRound(undefined);
+    game.processEvent(ev('roundEnded', {}));
+    const first = game.processCards([card('wizard:werewolf:01')]);
+    expect(spoken(first)).toContain('Werwolf!');
+    expect(game.processCards([card('wizard:werewolf:01')]).actions).toEqual([]);
+    // The Werewolf is taken away before the chosen card is shown
+    game.processCards([]);
+    game.processCards([]);
+    const chosen = game.processCards([card('wizard:green:04')]);
+    expect(spoken(chosen)).toBe('Trumpf ist Grün. Jetzt Ansagen.');
+    expect(internal(game)).toMatchObject({ trumpSuit: 'green', phase: 'bidCollection' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('the Cloud', () => {
+  function cloudTrick(bids) {
+    const game = playRound({ anniversary: true }, bids);
+    const state = game.processCards([card('wizard:blue:03'), card('wizard:cloud:01'), card('wizard:blue:02')]);
+    return [game, state];
+  }
+
+  it('asks the winner to change their bid by one', () => {
+    const [game, state] = cloudTrick([2, 0, 0]);
+    expect(state.actions).toContainEqual({ type: 'listenForBid', prompt: 'Bob, Wolke: Ansage um eins ändern. Bisher 0.', playerIndex: 1 });
+    expect(internal(game).cloudPlayer).toBe(1);
+    expect(game.restore(game.serialize()).actions).toContainEqual(expect.objectContaining({ type: 'listenForBid', playerIndex: 1 }));
+  });
+
+  it('rejects a change other than one, then continues the round', () => {
+    const [game] = cloudTrick([2, 0, 0]);
+    const wrong = game.processEvent(ev('bidPlaced', { playerIndex: 1, bid: 2 }));
+    expect(spoken(wrong)).toContain('genau eins');
+    const ok = game.processEvent(ev('bidPlaced', { playerIndex: 1, bid: 1 }));
+    expect(ok.actions).toContainEqual({ type: 'awaitTableClear' });
+    expect(internal(game)).toMatchObject({ cloudPlayer: null, bids: { Bob: 1 } });
+  });
+
+  it('in the last trick defers the round score until the bid is changed', () => {
+    const game = playRound({ anniversary: true }, [1, 0, 0]);
+    const state = game.processCards([card('wizard:blue:03'), card('wizard:cloud:01'), card('wizard:blue:02')]);
+    expect(totals(state)).toEqual({ Alice: 0, Bob: 0, Charlie: 0 });
+    const scored = game.processEvent(ev('bidPlaced', { playerIndex: 1, bid: 1 }));
+    expect(totals(scored)).toEqual({ Alice: -10, Bob: 30, Charlie: 20 });
+    expect(scored.actions).toContainEqual({ type: 'showSummary' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('suitChosen', () => {
+  it('asks the Cloud player for the suit when the event has none', () => {
+    const game = playRound({ anniversary: true }, [1, 0, 0]);
+    game.processCards([card('wizard:blue:03'), card('wizard:cloud:01')]);
+    const state = game.processEvent(ev('suitChosen', {}));
+    expect(state.actions).toEqual([expect.objectContaining({
+      type: 'promptChoice',
+      prompt: 'Wolke: welche Farbe?',
+      event: { type: 'suitChosen', data: { cardId: 'wizard:cloud:01' } },
+      field: 'suit',
+      playerIndex: 1,
+    })]);
+    expect(state.actions[0].options.map(o => o.value)).toEqual(['blue', 'green', 'red', 'yellow']);
+  });
+
+  it('re-scores a trick when its Cloud turns out to be played as trump', () => {
+    const game = playRound({ anniversary: true }, [2, 0, 0]);
+    game.processCards([card('wizard:blue:03'), card('wizard:cloud:01'), card('wizard:blue:12')]);
+    expect(internal(game)).toMatchObject({ cloudPlayer: 2, tricksWon: { Charlie: 1 } });
+    const state = game.processEvent(ev('suitChosen', { suit: 'red' }));
+    expect(spoken(state)).toContain('Wolke zählt als Rot.');
+    expect(internal(game)).toMatchObject({ cloudPlayer: 1, tricksWon: { Bob: 1 }, chosenSuits: { 'wizard:cloud:01': 'red' } });
+  });
+
+  it('counts the chosen suit for the trick in progress', () => {
+    const game = playRound({ anniversary: true }, [1, 0, 0]);
+    game.processCards([card('wizard:cloud:01')]);
+    game.processEvent(ev('suitChosen', { cardId: 'wizard:cloud:01', suit: 'green' }));
+    game.processCards([card('wizard:cloud:01'), card('wizard:green:05'), card('wizard:blue:13')]);
+    expect(internal(game)).toMatchObject({ cloudPlayer: 0, tricksWon: { Alice: 1 } });
+  });
+
+  it('rejects other cards, unknown suits and cards not played this round', () => {
+    const game = playRound({ anniversary: true }, [1, 0, 0]);
+    game.processCards([card('wizard:blue:03'), card('wizard:juggler:01')]);
+    const before = internal(game);
+    for (const data of [
+      { cardId: 'wizard:blue:03', suit: 'red' },
+      { suit: 'wizard' },
+      { cardId: 'wizard:cloud:01', suit: 'red' },
+    ]) {
+      expect(game.processEvent(ev('suitChosen', data)).actions).toEqual([{ type: 'speak', text: 'Korrektur nicht möglich.' }]);
+    }
+    expect(internal(game)).toEqual(before);
+  });
+});
+
+// ---------------------------------------------------------------------------
+describe('snapshots', () => {
+  it('migrates version-2 snapshots to the default variants', () => {
+    const { variants, cloudPlayer, werewolfShown, ...v2 } = internal(startRound(undefined));
+    const game = new WizardGame([]);
+    game.restore({ version: 2, data: v2 });
+    expect(internal(game)).toMatchObject({ variants: DEFAULT_VARIANTS, cloudPlayer: null, werewolfShown: false });
+  });
+
+  it('migrates version-5 snapshots to no chosen suits', () => {
+    const { chosenSuits, ...v5 } = internal(startRound(undefined));
+    const game = new WizardGame([]);
+    game.restore({ version: 5, data: v5 });
+    expect(internal(game).chosenSuits).toEqual({});
+  });
+});
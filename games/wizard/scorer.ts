@@ -9,24 +9,55 @@
  * (trump detection, bids, trick completion, round scoring).
  *
  * Card IDs follow the pattern `wizard:<suit>:<number>` where:
- *   suit   = blue | green | red | yellow | wizard | jester
+ *   suit   = blue | green | red | yellow | wizard | jester, or one of the
+ *            anniversary edition's special cards:
+ *            bomb | dragon | fairy | werewolf | cloud | juggler
  *   number = zero-padded two-digit string, e.g. "01"–"13" for colour
- *            suits, "01"–"04" for wizard/jester cards
+ *            suits, "01"–"04" for wizard/jester cards, "01" for special cards
+ *
+ * Rule variants (WizardVariants) are chosen per game in gameStarted.
+ * The player of a Cloud or Juggler picks the suit it is played as with the
+ * pack's `suitChosen` event; until then it counts as the led suit.
  */
 
-import type { GamePack, GameState, DetectedBox, ScorerContext, PlayerScoreResult, CardScoreDetail, LiveEvent, LiveGameState, LiveHudItem, FlutterAction } from '@boardgamebuddy/game-pack-api';
-import { createTranslator } from '@boardgamebuddy/game-pack-api';
+import type { GamePack, GameOptions, GameState, GameSnapshot, SnapshotMigrations, PlayedTrick, RuleViolation, DetectedBox, ScorerContext, PlayerScoreResult, PlayerRanking, CardScoreDetail, LocalisedText, LiveEvent, LiveGameState, LiveHudItem, FlutterAction, Translator, CustomEventDeclaration } from '@boardgamebuddy/game-pack-api';
+import { createTranslator, renderText, localisedDetail, migrateSnapshot, isGameSnapshot, DetectionStabiliser, stabiliserOptions, calibrateSeats, attributeTrickCards, seatTrickCards, reseatTricks, moveTrickCard, findTrickWithCard, findRevokes, findDuplicateCards, rankPlayers, validateEventData } from '@boardgamebuddy/game-pack-api';
 
 // ---------------------------------------------------------------------------
 // Localisation
 // ---------------------------------------------------------------------------
 
-const t = createTranslator(require('path').join(__dirname, 'texts.json'));
+const TEXTS_PATH = require('path').join(__dirname, 'texts.json');
+
+/** Texts in the default language, for callers without a game, e.g. of parseCardDisplay(). */
+const defaultTexts = createTranslator(TEXTS_PATH);
 
 // ---------------------------------------------------------------------------
 // Card display parsing (mirrors WizardScorer.parseCardDisplay)
 // ---------------------------------------------------------------------------
 
+function suitText(suit: string): LocalisedText {
+  const fallback = suit === 'wizard' ? 'Wizard' : suit === 'jester' ? 'Jester' : suit;
+  return { key: `suits.${suit}`, fallback };
+}
+
+/**
+ * A card's display name as texts.json keys, e.g. `ui.card_name` with the
+ * suit and number; parseCardDisplay() renders it.
+ */
+export function cardNameText(cardId: string): LocalisedText {
+  const withoutPrefix = cardId.startsWith('wizard:') ? cardId.slice('wizard:'.length) : cardId;
+  const colon = withoutPrefix.indexOf(':');
+  if (colon < 0) return { key: `cards.${cardId}`, fallback: cardId };
+
+  const suit   = withoutPrefix.slice(0, colon);
+  const number = withoutPrefix.slice(colon + 1);
+  if (SPECIAL_SUITS.includes(suit)) return suitText(suit);
+  // Wizards and jesters keep their leading zero
+  const displayNumber = suit === 'wizard' || suit === 'jester' ? number : (number.replace(/^0+/, '') || '0');
+  return { key: 'ui.card_name', params: [suitText(suit), displayNumber], fallback: '%s %s' };
+}
+
 /**
  * Parses a card ID like `wizard:blue:05` into a [displayName, group] pair.
  *
@@ -35,26 +66,11 @@ const t = createTranslator(require('path').join(__dirname, 'texts.json'));
  * parseCardDisplay('wizard:wizard:01') // → ['Zauberer 01', 'Zauberer']
  * parseCardDisplay('wizard:jester:02') // → ['Narr 02', 'Narr']
  */
-export function parseCardDisplay(cardId: string): [string, string] {
+export function parseCardDisplay(cardId: string, t: Translator = defaultTexts): [string, string] {
   const withoutPrefix = cardId.startsWith('wizard:') ? cardId.slice('wizard:'.length) : cardId;
   const colon = withoutPrefix.indexOf(':');
   if (colon < 0) return [cardId, ''];
-
-  const suit   = withoutPrefix.slice(0, colon);
-  const number = withoutPrefix.slice(colon + 1);
-
-  if (suit === 'wizard') {
-    const name = t('suits.wizard', 'Wizard');
-    return [`${name} ${number}`, name];
-  }
-  if (suit === 'jester') {
-    const name = t('suits.jester', 'Jester');
-    return [`${name} ${number}`, name];
-  }
-
-  const suitName = t(`suits.${suit}`, suit);
-  const displayNumber = number.replace(/^0+/, '') || '0';
-  return [`${suitName} ${displayNumber}`, suitName];
+  return [renderText(t, cardNameText(cardId)), renderText(t, suitText(withoutPrefix.slice(0, colon)))];
 }
 
 // ---------------------------------------------------------------------------
@@ -62,13 +78,16 @@ export function parseCardDisplay(cardId: string): [string, string] {
 // ---------------------------------------------------------------------------
 
 /**
- * Standard Wizard scoring for a single round.
- * Correct bid → +20 + 10×tricksWon; wrong → −10×|bid − tricksWon|.
+ * Wizard scoring for a single round.
+ * Standard: correct bid → +20 + 10×tricksWon; wrong → −10×|bid − tricksWon|.
+ * Per trick: every trick won scores 10, plus 20 for a correct bid or
+ * −10×|bid − tricksWon| for a wrong one.
  */
-export function calculateRoundScore(bid: number, tricksWon: number): number {
-  return bid === tricksWon
+export function calculateRoundScore(bid: number, tricksWon: number, scoring: WizardScoring = 'standard'): number {
+  const result = bid === tricksWon
     ? 20 + 10 * tricksWon
     : -10 * Math.abs(bid - tricksWon);
+  return scoring === 'perTrick' && bid !== tricksWon ? result + 10 * tricksWon : result;
 }
 
 /**
@@ -90,53 +109,166 @@ export function extractValue(cardId: string): number {
   return parseInt(withoutPrefix.slice(colon + 1), 10) || 0;
 }
 
+// ---------------------------------------------------------------------------
+// Special cards (anniversary edition)
+// ---------------------------------------------------------------------------
+
+const COLOUR_SUITS = ['blue', 'green', 'red', 'yellow'];
+
+/** Special cards of the anniversary edition, one of each. */
+const SPECIAL_SUITS = ['bomb', 'dragon', 'fairy', 'werewolf', 'cloud', 'juggler'];
+
+/**
+ * Cards that cannot win a trick by rank: the Jester, the Fairy (unless the
+ * Dragon is in the trick), the Bomb, and the Werewolf (swapped for the trump
+ * card, so it is never played).
+ */
+const NON_WINNING_SUITS = ['jester', 'fairy', 'bomb', 'werewolf'];
+
+/**
+ * Cloud and Juggler have an in-between value and the suit their player
+ * chooses (see suitChosen), else that of the led suit.
+ */
+const IN_BETWEEN_VALUES: Record<string, number> = { cloud: 9.75, juggler: 7.5 };
+
+/** True for blue, green, red and yellow — the suits that can be trump. */
+export function isColourSuit(suit: string): boolean {
+  return COLOUR_SUITS.includes(suit);
+}
+
+/** True if a card of the given suit (e.g. `bomb`) is in the trick. */
+export function trickHas(cards: [number, string][], suit: string): boolean {
+  return cards.some(([, id]) => extractSuit(id) === suit);
+}
+
+/** A trick with the Bomb is won by nobody; its would-be winner leads next. */
+export function isBombTrick(cards: [number, string][]): boolean {
+  return trickHas(cards, 'bomb');
+}
+
+/** Rank of a card within its suit (Cloud 9¾, Juggler 7½). */
+function rankValue(cardId: string): number {
+  return IN_BETWEEN_VALUES[extractSuit(cardId)] ?? extractValue(cardId);
+}
+
 /**
  * Determines the winner of a trick given the played cards and trump suit.
  *
- * @param cards     List of [playerIndex, cardId] pairs in play order.
- * @param trumpSuit The trump suit for this round, or null if no trump.
- * @returns         The playerIndex of the winner.
+ * Special cards: the Dragon beats everything including Wizards, but loses to
+ * the Fairy when both are in the trick; otherwise the Fairy, Bomb and
+ * Werewolf lose like Jesters. Cloud and Juggler are played as a card of the
+ * suit chosen for them, which may be trump, and of the led suit otherwise.
+ * For a Bomb trick the result is the player who leads next (see
+ * isBombTrick).
+ *
+ * @param cards       List of [playerIndex, cardId] pairs in play order.
+ * @param trumpSuit   The trump suit for this round, or null if no trump.
+ * @param chosenSuits Suit chosen for a Cloud or Juggler, by card id.
+ * @returns           The playerIndex of the winner.
  */
 export function determineTrickWinner(
   cards: [number, string][],
   trumpSuit: string | null,
+  chosenSuits: Record<string, string> = {},
 ): number {
   if (cards.length === 0) return 0;
 
+  // The Dragon wins unless the Fairy catches it.
+  const dragon = cards.find(([, id]) => extractSuit(id) === 'dragon');
+  if (dragon) return cards.find(([, id]) => extractSuit(id) === 'fairy')?.[0] ?? dragon[0];
+
   // First wizard played always wins the trick.
   const firstWizard = cards.find(([, id]) => extractSuit(id) === 'wizard');
   if (firstWizard) return firstWizard[0];
 
-  // If all cards are jesters the first player wins.
-  const nonJesters = cards.filter(([, id]) => extractSuit(id) !== 'jester');
+  // If all cards are jesters (or cards that cannot win) the first player wins.
+  const nonJesters = cards.filter(([, id]) => !NON_WINNING_SUITS.includes(extractSuit(id)));
   if (nonJesters.length === 0) return cards[0][0];
 
-  // Determine the led suit (first non-jester card).
-  const ledSuit = extractSuit(nonJesters[0][1]);
+  // Determine the led suit: the first card with a suit, a Cloud or Juggler
+  // only once its suit is chosen. Without a choice they follow the led suit.
+  const chosenSuitOf = (id: string) => extractSuit(id) in IN_BETWEEN_VALUES ? chosenSuits[id] ?? null : extractSuit(id);
+  const led = nonJesters.find(([, id]) => chosenSuitOf(id) !== null);
+  const ledSuit = led ? chosenSuitOf(led[1]) : null;
+  const suitOf = (id: string) => chosenSuitOf(id) ?? ledSuit;
 
   // Find the best trump card; if none, find the best card of the led suit.
   const trumpCards = trumpSuit
-    ? nonJesters.filter(([, id]) => extractSuit(id) === trumpSuit)
+    ? nonJesters.filter(([, id]) => suitOf(id) === trumpSuit)
     : [];
 
   const candidates = trumpCards.length > 0
     ? trumpCards
-    : nonJesters.filter(([, id]) => extractSuit(id) === ledSuit);
+    : nonJesters.filter(([, id]) => suitOf(id) === ledSuit);
 
   return candidates.reduce((best, cur) =>
-    extractValue(cur[1]) > extractValue(best[1]) ? cur : best
+    rankValue(cur[1]) > rankValue(best[1]) ? cur : best
   )[0];
 }
 
+// ---------------------------------------------------------------------------
+// Rule variants
+// ---------------------------------------------------------------------------
+
+export type WizardScoring = 'standard' | 'perTrick';
+
+/** House-rule variants, chosen per game (gameStarted `data.variants`). */
+export interface WizardVariants {
+  /** The last bid may not make the bids add up to the number of tricks: not checked, a spoken warning, or rejected. */
+  bidsMayNotAddUp: 'off' | 'warn' | 'reject';
+  /** Bids are confirmed without their number and hidden in the HUD. */
+  secretBids: boolean;
+  /** See calculateRoundScore. */
+  scoring: WizardScoring;
+  /** Anniversary edition deck: 60 cards plus the six special cards. */
+  anniversary: boolean;
+}
+
+export const DEFAULT_VARIANTS: WizardVariants = {
+  bidsMayNotAddUp: 'off',
+  secretBids: false,
+  scoring: 'standard',
+  anniversary: false,
+};
+
+/** Reads gameStarted `data.variants`; missing or unknown values fall back to the defaults. */
+export function parseVariants(value: unknown): WizardVariants {
+  const v = (typeof value === 'object' && value !== null ? value : {}) as Record<string, unknown>;
+  const oneOf = <T>(x: unknown, options: T[], fallback: T): T => options.includes(x as T) ? x as T : fallback;
+  return {
+    bidsMayNotAddUp: oneOf(v.bidsMayNotAddUp, ['off', 'warn', 'reject'], DEFAULT_VARIANTS.bidsMayNotAddUp),
+    secretBids: oneOf(v.secretBids, [true, false], DEFAULT_VARIANTS.secretBids),
+    scoring: oneOf(v.scoring, ['standard', 'perTrick'], DEFAULT_VARIANTS.scoring),
+    anniversary: oneOf(v.anniversary, [true, false], DEFAULT_VARIANTS.anniversary),
+  };
+}
+
+/** Rounds in a game: every card is dealt in the last round. */
+export function maxRoundsFor(playerCount: number, variants: WizardVariants = DEFAULT_VARIANTS): number {
+  const deckSize = 60 + (variants.anniversary ? SPECIAL_SUITS.length : 0);
+  return Math.floor(deckSize / playerCount);
+}
+
 // ---------------------------------------------------------------------------
 // Live tracking — processEvent
 // ---------------------------------------------------------------------------
 
+const GAME_JSON = require('./game.json');
+
+/** Detection stabiliser settings from game.json (cardCopies, liveTracking.stabiliser). */
+const STABILISER_OPTIONS = stabiliserOptions(GAME_JSON);
+
+/** Every card exists once. */
+const CARD_COPIES: number = GAME_JSON.cardCopies ?? 1;
+
+/** The `suitChosen` event of game.json's liveTracking.events. */
+const SUIT_CHOSEN: CustomEventDeclaration = GAME_JSON.liveTracking.events.find((e: CustomEventDeclaration) => e.id === 'suitChosen');
+
 /** Internal state carried across events. */
 interface WizardInternal {
   players: string[];
   round: number;       // current round, 1-based
-  maxRounds: number;   // total rounds = 60 / players.length
+  maxRounds: number;   // total rounds = deck size / players.length
   phase: 'trumpDetection' | 'bidCollection' | 'trickTracking';
   trumpSuit: string | null;
   bids: Record<string, number>;
@@ -150,6 +282,209 @@ interface WizardInternal {
   currentTrickCards: [number, string][];
   /** Index of the player who leads the current trick (round-robin assignment). */
   trickLeader: number;
+  /** Completed tricks of the current round, in order. */
+  trickHistory: PlayedTrick[];
+  /** Index of the player who led the first trick of the current round. */
+  roundLeader: number;
+  variants: WizardVariants;
+  /** Winner of the Cloud trick who still has to change their bid by one, else null. */
+  cloudPlayer: number | null;
+  /** The Werewolf was turned up as trump card this round (announced once). */
+  werewolfShown: boolean;
+  /** Seat angle per player from gameStarted's calibration frame, or null (attribute by arrival order). */
+  seatAngles: number[] | null;
+  /** Bids of the current round that were out of range (and asked again). */
+  bidViolations: RuleViolation[];
+  /** Suit each Cloud or Juggler of the current round is played as (suitChosen), by card id. */
+  chosenSuits: Record<string, string>;
+}
+
+function initialState(players: string[], variants: WizardVariants, seatAngles: number[] | null = null): WizardInternal {
+  return {
+    players,
+    round: 1,
+    maxRounds: maxRoundsFor(players.length, variants),
+    phase: 'trumpDetection',
+    trumpSuit: null,
+    bids: {},
+    bidIndex: 0,
+    tricksWon: {},
+    completedTricks: 0,
+    cumulativeScores: Object.fromEntries(players.map(p => [p, 0])),
+    previousCardIds: [],
+    currentTrickCards: [],
+    trickLeader: 0,
+    trickHistory: [],
+    roundLeader: 0,
+    variants,
+    cloudPlayer: null,
+    werewolfShown: false,
+    seatAngles,
+    bidViolations: [],
+    chosenSuits: {},
+  };
+}
+
+/**
+ * Version of the WizardInternal shape stored by serialize(). Bump it and add
+ * a migration from the previous version whenever the shape changes.
+ */
+const SNAPSHOT_VERSION = 6;
+const SNAPSHOT_MIGRATIONS: SnapshotMigrations = {
+  // v2 adds trickHistory and roundLeader. Cards and order of the tricks
+  // already played are unknown; they become card-less tricks that keep their
+  // winner, with the current leader's trick last.
+  1: (data: any) => {
+    const trickHistory: PlayedTrick[] = [];
+    data.players.forEach((p: string, i: number) => {
+      for (let n = 0; n < (data.tricksWon[p] ?? 0); n++) trickHistory.push({ cards: [], winnerIndex: i });
+    });
+    const last = trickHistory.map(tr => tr.winnerIndex).lastIndexOf(data.trickLeader);
+    if (last >= 0) trickHistory.push(...trickHistory.splice(last, 1));
+    return { ...data, trickHistory, roundLeader: data.trickLeader };
+  },
+  // v3 adds rule variants; older games were played with the defaults.
+  2: (data: any) => ({ ...data, variants: DEFAULT_VARIANTS, cloudPlayer: null, werewolfShown: false }),
+  // v4 adds the seat calibration; older games attribute cards by arrival order.
+  3: (data: any) => ({ ...data, seatAngles: null }),
+  // v5 adds rule checks; tricks already played are not checked.
+  4: (data: any) => ({ ...data, bidViolations: [] }),
+  // v6 adds the suits chosen for Cloud and Juggler; none were chosen before.
+  5: (data: any) => ({ ...data, chosenSuits: {} }),
+};
+
+/** All tricks are played and a Cloud bid change, if any, has been made. */
+function isRoundComplete(s: WizardInternal): boolean {
+  return s.phase === 'trickTracking' && s.completedTricks >= s.round && s.cloudPlayer === null;
+}
+
+/** Round score per player from the current bids and tricks won. */
+function roundScores(s: WizardInternal): Record<string, number> {
+  return Object.fromEntries(s.players.map(p =>
+    [p, calculateRoundScore(s.bids[p] ?? 0, s.tricksWon[p] ?? 0, s.variants.scoring)]));
+}
+
+/** Leader of the given completed trick (0-based) of the current round. */
+function leaderOfTrick(s: WizardInternal, index: number): number {
+  return index === 0 ? s.roundLeader : s.trickHistory[index - 1].winnerIndex;
+}
+
+/**
+ * Re-derives players, winners, tricksWon, completedTricks and the trick
+ * leader from the round's trick history after a correction. Bomb tricks
+ * count for nobody. A pending Cloud bid change moves to the Cloud trick's
+ * new winner; one already made is left to correctBid.
+ */
+function recomputeRound(s: WizardInternal): void {
+  s.trickLeader = reseatTricks(s.trickHistory, s.roundLeader, s.players.length,
+    cards => determineTrickWinner(cards, s.trumpSuit, s.chosenSuits));
+  s.currentTrickCards = seatTrickCards(s.currentTrickCards, s.trickLeader, s.players.length);
+  s.completedTricks = s.trickHistory.length;
+  s.tricksWon = {};
+  for (const trick of s.trickHistory) {
+    if (isBombTrick(trick.cards)) continue;
+    const winner = s.players[trick.winnerIndex];
+    s.tricksWon[winner] = (s.tricksWon[winner] ?? 0) + 1;
+  }
+  if (s.cloudPlayer !== null) {
+    const cloudTrick = s.trickHistory.find(tr => trickHas(tr.cards, 'cloud') && !isBombTrick(tr.cards));
+    s.cloudPlayer = cloudTrick ? cloudTrick.winnerIndex : null;
+  }
+  checkTricks(s);
+}
+
+/**
+ * The suit to follow: that of the first colour card or of a Cloud or Juggler
+ * with a chosen suit, unless a Wizard or the Dragon came first.
+ */
+function suitToFollow(cards: [number, string][], chosenSuits: Record<string, string> = {}): string | null {
+  for (const [, cardId] of cards) {
+    const suit = extractSuit(cardId);
+    if (isColourSuit(suit)) return suit;
+    if (chosenSuits[cardId]) return chosenSuits[cardId];
+    if (suit === 'wizard' || suit === 'dragon') return null;
+  }
+  return null;
+}
+
+/** Colour cards must follow suit; Wizards, Jesters and special cards may always be played. */
+function followSuitOf(cardId: string): string | null {
+  const suit = extractSuit(cardId);
+  return isColourSuit(suit) ? suit : null;
+}
+
+/** The Cloud or Juggler of the current trick, else of the latest completed trick that has one. */
+function latestInBetweenCard(s: WizardInternal): string | undefined {
+  for (const cards of [s.currentTrickCards, ...s.trickHistory.map(trick => trick.cards).reverse()]) {
+    const found = cards.find(([, id]) => extractSuit(id) in IN_BETWEEN_VALUES);
+    if (found) return found[1];
+  }
+  return undefined;
+}
+
+/** Rules re-derived from the trick history by checkTricks. */
+const TRICK_RULES = ['revoke', 'duplicateCard'];
+
+/**
+ * Re-derives the revokes and duplicate cards of every trick in the round.
+ * After a Juggler trick hands have changed, so earlier voids prove nothing.
+ */
+function checkTricks(s: WizardInternal): void {
+  const revokes = findRevokes(s.trickHistory, cards => suitToFollow(cards, s.chosenSuits), followSuitOf, cards => trickHas(cards, 'juggler'));
+  const duplicates = findDuplicateCards(s.trickHistory, CARD_COPIES);
+  s.trickHistory.forEach((trick, i) => {
+    const violations = [
+      ...(trick.violations ?? []).filter(v => !TRICK_RULES.includes(v.rule)),
+      ...revokes[i],
+      ...duplicates[i],
+    ];
+    if (violations.length > 0) trick.violations = violations;
+    else delete trick.violations;
+  });
+}
+
+/** Whether a bid is possible this round: a whole number of tricks from 0 to the round number. */
+function isValidBid(s: WizardInternal, bid: number): boolean {
+  return Number.isInteger(bid) && bid >= 0 && bid <= s.round;
+}
+
+/** Spoken and summary text of a rule violation. */
+function violationText(t: Translator, s: WizardInternal, v: RuleViolation): string {
+  const player = v.playerIndex !== undefined ? s.players[v.playerIndex] : '';
+  switch (v.rule) {
+    case 'revoke':
+      return t('voice.revoke', '{player} hat in Stich {trick} nicht bedient!', { player, trick: v.trick ?? 0 });
+    case 'duplicateCard':
+      return t('voice.duplicate_card', '{card} wurde in dieser Runde schon gespielt.', { card: parseCardDisplay(v.cardId ?? '', t)[0] });
+    case 'tooManyTricks':
+      return t('voice.too_many_tricks', 'Alle {count} Stiche sind gespielt.', { count: s.round });
+    default:
+      return t('voice.bid_invalid', '{player}: Ansage {bid} ist nicht möglich, höchstens {max}.', { player, bid: v.value ?? 0, max: s.round });
+  }
+}
+
+function violationAction(t: Translator, s: WizardInternal, v: RuleViolation): FlutterAction {
+  return {
+    type: 'ruleViolation',
+    rule: v.rule,
+    text: violationText(t, s, v),
+    ...(v.playerIndex !== undefined ? { playerIndex: v.playerIndex } : {}),
+  };
+}
+
+/** The round's violations: out-of-range bids, then those of the tricks in order. */
+function roundViolations(s: WizardInternal): RuleViolation[] {
+  return [...s.bidViolations, ...s.trickHistory.flatMap(trick => trick.violations ?? [])];
+}
+
+/** listenForBid for the Cloud trick's winner, who must change their bid by one. */
+function cloudPrompt(t: Translator, s: WizardInternal): FlutterAction[] {
+  const player = s.players[s.cloudPlayer!];
+  const prompt = t('voice.cloud_prompt', '{player}, Wolke: Ansage um eins ändern. Bisher {bid}.', { player, bid: s.bids[player] ?? 0 });
+  return [
+    { type: 'cameraMode', mode: 'paused' },
+    { type: 'listenForBid', prompt, playerIndex: s.cloudPlayer! },
+  ];
 }
 
 /** Formats a number with explicit sign (+/-). */
@@ -161,14 +496,19 @@ function buildScores(s: WizardInternal): PlayerScoreResult[] {
   return s.players.map(p => ({ name: p, totalScore: s.cumulativeScores[p] ?? 0, cardDetails: [] }));
 }
 
-function buildScoresWithCards(s: WizardInternal): PlayerScoreResult[] {
+/** Standings by cumulative score; Wizard has no tie-breaker, so level players share a place. */
+function buildRanking(t: Translator, s: WizardInternal): PlayerRanking[] {
+  return rankPlayers(buildScores(s), { t });
+}
+
+function buildScoresWithCards(t: Translator, s: WizardInternal): PlayerScoreResult[] {
   const cardDetails: CardScoreDetail[] = s.currentTrickCards.map(([playerIdx, cardId]) => {
-    const [displayName, group] = parseCardDisplay(cardId);
+    const [, group] = parseCardDisplay(cardId, t);
+    const name = cardNameText(cardId);
     return {
       cardId,
       points: 0,
-      reason: `${s.players[playerIdx]}: ${displayName}`,
-      title: displayName,
+      ...localisedDetail(t, { key: 'ui.card_played', params: [s.players[playerIdx], name] }, name),
       group,
     };
   });
@@ -180,25 +520,25 @@ function buildScoresWithCards(s: WizardInternal): PlayerScoreResult[] {
   }));
 }
 
-function buildHud(s: WizardInternal): LiveHudItem[] {
+function buildHud(t: Translator, s: WizardInternal): LiveHudItem[] {
   const hud: LiveHudItem[] = [];
   const tricksPerRound = s.round;
 
   hud.push({
-    label: `${t('ui.round_label', 'Runde')} ${s.round}/${s.maxRounds}`,
-    value: `${t('ui.trick_count', 'Stich')} ${s.completedTricks}/${tricksPerRound}`,
+    label: t('ui.round_label_of', 'Runde %d/%d', [s.round, s.maxRounds]),
+    value: t('ui.trick_count_of', 'Stich %d/%d', [s.completedTricks, tricksPerRound]),
   });
 
   if (s.phase !== 'trumpDetection') {
     const trumpName = s.trumpSuit
       ? t(`suits.${s.trumpSuit}`, s.trumpSuit)
       : t('suits.no_trump', 'Kein Trumpf');
-    hud.push({ label: 'Trumpf', value: trumpName });
+    hud.push({ label: t('ui.trump', 'Trumpf'), value: trumpName });
   }
 
   if (s.phase === 'trickTracking') {
     for (const player of s.players) {
-      const bid = s.bids[player];
+      const bid = s.variants.secretBids ? undefined : s.bids[player];
       const won = s.tricksWon[player] ?? 0;
       hud.push({
         label: player,
@@ -210,28 +550,28 @@ function buildHud(s: WizardInternal): LiveHudItem[] {
   return hud;
 }
 
-function buildRoundSummary(s: WizardInternal): LiveHudItem[] {
+function buildRoundSummary(t: Translator, s: WizardInternal): LiveHudItem[] {
   const summary: LiveHudItem[] = [];
   for (const player of s.players) {
     const bid = s.bids[player] ?? 0;
     const won = s.tricksWon[player] ?? 0;
-    const score = calculateRoundScore(bid, won);
+    const score = calculateRoundScore(bid, won, s.variants.scoring);
     const cumulative = s.cumulativeScores[player] ?? 0;
     summary.push({
       label: player,
       value: `${won}/${s.round} → ${fmtSigned(score)} (Σ ${cumulative})`,
     });
   }
+  for (const v of roundViolations(s)) {
+    summary.push({ label: t('ui.violation', 'Regelverstoß'), value: violationText(t, s, v) });
+  }
   return summary;
 }
 
-function buildGameOverSummary(s: WizardInternal): LiveHudItem[] {
-  const sorted = [...s.players].sort(
-    (a, b) => (s.cumulativeScores[b] ?? 0) - (s.cumulativeScores[a] ?? 0),
-  );
-  return sorted.map((p, i) => ({
-    label: `${i + 1}. ${p}`,
-    value: `${s.cumulativeScores[p] ?? 0} ${t('ui.points', 'Punkte')}`,
+function buildGameOverSummary(t: Translator, s: WizardInternal): LiveHudItem[] {
+  return buildRanking(t, s).map(({ name, place }) => ({
+    label: `${place}. ${name}`,
+    value: t('ui.points', '%d Punkte', [s.cumulativeScores[name] ?? 0]),
   }));
 }
 
@@ -242,29 +582,21 @@ function buildGameOverSummary(s: WizardInternal): LiveHudItem[] {
 export class WizardGame implements GamePack {
   private players: string[];
   private state: WizardInternal;
+  /** Texts in GameOptions.locale until a ScorerContext brings another; not part of the snapshot. */
+  private t: Translator;
+  /** Not part of the snapshot; see DetectionStabiliser. */
+  private stabiliser = new DetectionStabiliser(STABILISER_OPTIONS);
 
-  constructor(players: string[]) {
+  constructor(players: string[], options: GameOptions = {}) {
     this.players = players;
-    const maxRounds = Math.floor(60 / players.length);
-    this.state = {
-      players,
-      round: 1,
-      maxRounds,
-      phase: 'trumpDetection',
-      trumpSuit: null,
-      bids: {},
-      bidIndex: 0,
-      tricksWon: {},
-      completedTricks: 0,
-      cumulativeScores: Object.fromEntries(players.map(p => [p, 0])),
-      previousCardIds: [],
-      currentTrickCards: [],
-      trickLeader: 0,
-    };
+    this.state = initialState(players, DEFAULT_VARIANTS);
+    this.t = createTranslator(TEXTS_PATH, options.locale);
   }
 
-  processCards(boxes: DetectedBox[]): GameState {
+  processCards(rawBoxes: DetectedBox[], context?: ScorerContext): GameState {
+    this.t = this.t.withLocale(context?.locale);
     const s = this.state;
+    const boxes = this.stabiliser.update(rawBoxes, context?.similarityThreshold);
     const currentIds = boxes.map(b => b.cardId);
     const previousSet = new Set(s.previousCardIds);
     const newCards = boxes.filter(b => !previousSet.has(b.cardId));
@@ -272,27 +604,39 @@ export class WizardGame implements GamePack {
 
     // --- trumpDetection: detect trump from visible cards ---
     if (s.phase === 'trumpDetection') {
+      // The Werewolf is swapped for a card from its owner's hand, which sets
+      // the trump instead; wait for that card.
+      if (boxes.length === 1 && extractSuit(boxes[0].cardId) === 'werewolf') {
+        const actions: FlutterAction[] = [];
+        if (!s.werewolfShown) {
+          s.werewolfShown = true;
+          actions.push({ type: 'speak', text: this.t('voice.werewolf_trump', 'Werwolf! Bitte die Trumpfkarte zeigen, die er bestimmt.') });
+        }
+        return { players: buildScores(s), display: { hud: buildHud(this.t, s) }, actions };
+      }
+
       // When exactly one card is visible, treat it as the trump card.
       if (boxes.length === 1) {
         const cardId = boxes[0].cardId;
         const suit = extractSuit(cardId);
-        const trumpSuit = (suit === 'wizard' || suit === 'jester') ? null : suit;
+        // Wizard, Jester and the special cards make a round without trump
+        const trumpSuit = isColourSuit(suit) ? suit : null;
         s.trumpSuit = trumpSuit;
         s.phase = 'bidCollection';
         s.bidIndex = 0;
 
         const trumpName = trumpSuit
-          ? t(`suits.${trumpSuit}`, trumpSuit)
-          : t('suits.no_trump', 'Kein Trumpf');
+          ? this.t(`suits.${trumpSuit}`, trumpSuit)
+          : this.t('suits.no_trump', 'Kein Trumpf');
         const trumpSpeak = trumpSuit
-          ? t('voice.trump_confirm', 'Trumpf ist %s. Jetzt Ansagen.').replace('%s', trumpName)
-          : t('voice.no_trump_confirm', 'Kein Trumpf. Jetzt ansagen.');
+          ? this.t('voice.trump_confirm', 'Trumpf ist %s. Jetzt Ansagen.', [trumpName])
+          : this.t('voice.no_trump_confirm', 'Kein Trumpf. Jetzt ansagen.');
         const firstPlayer = s.players[0];
-        const bidPrompt = t('voice.bid_prompt', '%s, deine Ansage?').replace('%s', firstPlayer);
+        const bidPrompt = this.t('voice.bid_prompt', '%s, deine Ansage?', [firstPlayer]);
 
         return {
           players: buildScores(s),
-          display: { hud: buildHud(s) },
+          display: { hud: buildHud(this.t, s) },
           actions: [
             { type: 'speak', text: trumpSpeak },
             { type: 'cameraMode', mode: 'paused' },
@@ -302,68 +646,83 @@ export class WizardGame implements GamePack {
       }
       return {
         players: buildScores(s),
-        display: { hud: buildHud(s) },
+        display: { hud: buildHud(this.t, s) },
       };
     }
 
-    // --- trickTracking: track newly appeared cards sequentially from trick leader ---
+    // --- trickTracking: attribute newly appeared cards to seats (see attributeTrickCards) ---
     if (s.phase === 'trickTracking') {
-      if (newCards.length > 0) {
-        for (const card of newCards) {
-          if (!s.currentTrickCards.some(([, id]) => id === card.cardId)) {
-            const playerIdx = (s.trickLeader + s.currentTrickCards.length) % s.players.length;
-            s.currentTrickCards.push([playerIdx, card.cardId]);
-          }
-        }
+      // Waiting for the Cloud trick's winner to change their bid
+      if (s.cloudPlayer !== null) {
+        return { players: buildScoresWithCards(this.t, s), display: { hud: buildHud(this.t, s) } };
+      }
+
+      const arrived = newCards.filter(card => !s.currentTrickCards.some(([, id]) => id === card.cardId));
+
+      // Every trick of the round has been played; a further card is an error
+      if (s.completedTricks >= s.round && arrived.length > 0) {
+        const last = s.trickHistory[s.trickHistory.length - 1];
+        const extra: RuleViolation[] = arrived.map(card => ({ rule: 'tooManyTricks', cardId: card.cardId }));
+        last.violations = [...(last.violations ?? []), ...extra];
+        return {
+          players: buildScoresWithCards(this.t, s),
+          ranking: buildRanking(this.t, s),
+          display: { hud: buildHud(this.t, s), summary: buildRoundSummary(this.t, s) },
+          actions: [violationAction(this.t, s, extra[0])],
+        };
+      }
+
+      if (arrived.length > 0) {
+        s.currentTrickCards = attributeTrickCards(s.currentTrickCards, arrived, s.trickLeader, s.players.length, s.seatAngles);
       }
 
       // Check for trick completion
       if (s.currentTrickCards.length >= s.players.length) {
         const cards = s.currentTrickCards;
-        const winnerIndex = determineTrickWinner(cards, s.trumpSuit);
+        // For a Bomb trick this is the player who leads next, not a winner
+        const winnerIndex = determineTrickWinner(cards, s.trumpSuit, s.chosenSuits);
         const winnerName = s.players[winnerIndex];
+        const bomb = isBombTrick(cards);
 
-        s.tricksWon[winnerName] = (s.tricksWon[winnerName] ?? 0) + 1;
+        if (!bomb) s.tricksWon[winnerName] = (s.tricksWon[winnerName] ?? 0) + 1;
+        s.trickHistory.push({ cards, winnerIndex });
         s.completedTricks++;
+        checkTricks(s);
+        const warnings = (s.trickHistory[s.trickHistory.length - 1].violations ?? []).map(v => violationAction(this.t, s, v));
         s.trickLeader = winnerIndex;
 
         // Reset trick state immediately — caller handles table clear
         s.currentTrickCards = [];
         s.previousCardIds = [];
+        this.stabiliser.reset();
 
         const trickNum = s.completedTricks;
-        const trickWonText = t('voice.trick_won', '%s gewinnt Stich %d.')
-          .replace('%s', winnerName).replace('%d', String(trickNum));
-
-        if (s.completedTricks >= s.round) {
-          // Last trick — calculate round scores
-          for (const p of s.players) {
-            const bid = s.bids[p] ?? 0;
-            const won = s.tricksWon[p] ?? 0;
-            const roundScore = calculateRoundScore(bid, won);
-            s.cumulativeScores[p] = (s.cumulativeScores[p] ?? 0) + roundScore;
-          }
-
-          const summaryItems = buildRoundSummary(s);
-          const summaryText = t('voice.round_summary_intro', 'Rundenabschluss.');
+        const texts = [bomb
+          ? this.t('voice.bomb', 'Bombe! Stich {trick} gewinnt niemand. {player} spielt aus.', { trick: trickNum, player: winnerName })
+          : this.t('voice.trick_won', '{player} gewinnt Stich {trick}.', { player: winnerName, trick: trickNum })];
+        const lastTrick = s.completedTricks >= s.round;
+        if (trickHas(cards, 'juggler') && !lastTrick) {
+          texts.push(this.t('voice.juggler', 'Jongleur: Jeder gibt eine Karte nach links weiter.'));
+        }
 
+        if (trickHas(cards, 'cloud') && !bomb) {
+          s.cloudPlayer = winnerIndex;
           return {
-            players: buildScoresWithCards(s),
-            display: { hud: buildHud(s), summary: summaryItems },
-            actions: [
-              { type: 'speak', text: `${trickWonText} ${summaryText}` },
-              { type: 'showSummary' },
-              { type: 'awaitTableClear' },
-            ],
+            players: buildScoresWithCards(this.t, s),
+            display: { hud: buildHud(this.t, s) },
+            actions: [{ type: 'speak', text: texts.join(' ') }, ...warnings, ...cloudPrompt(this.t, s)],
           };
         }
 
+        if (lastTrick) return this.finishRound(texts.join(' '), warnings);
+
         // Not last trick
         return {
-          players: buildScoresWithCards(s),
-          display: { hud: buildHud(s) },
+          players: buildScoresWithCards(this.t, s),
+          display: { hud: buildHud(this.t, s) },
           actions: [
-            { type: 'speak', text: trickWonText },
+            { type: 'speak', text: texts.join(' ') },
+            ...warnings,
             { type: 'awaitTableClear' },
           ],
         };
@@ -371,15 +730,35 @@ export class WizardGame implements GamePack {
 
       // No trick completion — just display current state with card details
       return {
-        players: buildScoresWithCards(s),
-        display: { hud: buildHud(s) },
+        players: buildScoresWithCards(this.t, s),
+        display: { hud: buildHud(this.t, s) },
       };
     }
 
     // --- bidCollection: just show current HUD ---
     return {
       players: buildScores(s),
-      display: { hud: buildHud(s) },
+      display: { hud: buildHud(this.t, s) },
+    };
+  }
+
+  /** Books the round scores after its last trick and shows the summary. */
+  private finishRound(trickText: string, warnings: FlutterAction[] = []): GameState {
+    const s = this.state;
+    const scores = roundScores(s);
+    for (const p of s.players) s.cumulativeScores[p] = (s.cumulativeScores[p] ?? 0) + scores[p];
+
+    const summaryText = this.t('voice.round_summary_intro', 'Rundenabschluss.');
+    return {
+      players: buildScoresWithCards(this.t, s),
+      ranking: buildRanking(this.t, s),
+      display: { hud: buildHud(this.t, s), summary: buildRoundSummary(this.t, s) },
+      actions: [
+        { type: 'speak', text: `${trickText} ${summaryText}` },
+        ...warnings,
+        { type: 'showSummary' },
+        { type: 'awaitTableClear' },
+      ],
     };
   }
 
@@ -391,25 +770,12 @@ export class WizardGame implements GamePack {
     // ---- gameStarted --------------------------------------------------------
     if (type === 'gameStarted') {
       const players = data.players as string[];
-      const maxRounds = Math.floor(60 / players.length);
-      this.state = {
-        players,
-        round: 1,
-        maxRounds,
-        phase: 'trumpDetection',
-        trumpSuit: null,
-        bids: {},
-        bidIndex: 0,
-        tricksWon: {},
-        completedTricks: 0,
-        cumulativeScores: Object.fromEntries(players.map(p => [p, 0])),
-        previousCardIds: [],
-        currentTrickCards: [],
-        trickLeader: 0,
-      };
-      const roundText = t('voice.round_start', 'Runde %d von %d.')
-        .replace('%d', String(this.state.round)).replace('%d', String(this.state.maxRounds));
-      const hintText = t('ui.trump_detection_hint', 'Bitte zeige die Trumpfkarte der Kamera.');
+      const seatBoxes = data.seatBoxes as DetectedBox[] | undefined;
+      this.state = initialState(players, parseVariants(data.variants),
+        seatBoxes ? calibrateSeats(seatBoxes, players.length) : null);
+      this.stabiliser.reset();
+      const roundText = this.t('voice.round_start', 'Runde {round} von {rounds}.', { round: this.state.round, rounds: this.state.maxRounds });
+      const hintText = this.t('ui.trump_detection_hint', 'Bitte zeige die Trumpfkarte der Kamera.');
       return {
         players: buildScores(this.state),
         display: { hud: [] },
@@ -424,21 +790,54 @@ export class WizardGame implements GamePack {
     if (type === 'bidPlaced') {
       const playerIndex = data.playerIndex as number;
       const bid = data.bid as number;
+      if (s.cloudPlayer !== null) return this.cloudBid(bid);
       const player = s.players[playerIndex];
+
+      if (!isValidBid(s, bid)) {
+        const violation: RuleViolation = { rule: 'bidOutOfRange', playerIndex, value: bid };
+        s.bidViolations.push(violation);
+        const prompt = this.t('voice.bid_prompt', '%s, deine Ansage?', [player]);
+        return {
+          players: buildScores(s),
+          display: { hud: buildHud(this.t, s) },
+          actions: [violationAction(this.t, s, violation), { type: 'listenForBid', prompt, playerIndex }],
+        };
+      }
+
+      // "Bids may not add up": the last bid must not make the bids equal the tricks
+      const actions: FlutterAction[] = [];
+      const isLastBid = s.players.every(p => p === player || s.bids[p] !== undefined);
+      const others = s.players.reduce((sum, p) => sum + (p === player ? 0 : s.bids[p] ?? 0), 0);
+      if (isLastBid && s.variants.bidsMayNotAddUp !== 'off' && others + bid === s.round) {
+        const addUpText = this.t('voice.bids_add_up', 'Die Ansagen dürfen nicht %d ergeben.', [s.round]);
+        if (s.variants.bidsMayNotAddUp === 'reject') {
+          const prompt = this.t('voice.bid_prompt', '%s, deine Ansage?', [player]);
+          return {
+            players: buildScores(s),
+            display: { hud: buildHud(this.t, s) },
+            actions: [
+              { type: 'speak', text: addUpText },
+              { type: 'listenForBid', prompt, playerIndex },
+            ],
+          };
+        }
+        actions.push({ type: 'speak', text: addUpText });
+      }
+
       s.bids[player] = bid;
       s.bidIndex = playerIndex + 1;
 
-      const confirmText = t('voice.bid_confirm', '%s sagt %s an.')
-        .replace('%s', player).replace('%s', String(bid));
-      const actions: FlutterAction[] = [
-        { type: 'speak', text: confirmText },
-      ];
+      const confirmText = s.variants.secretBids
+        ? this.t('voice.bid_received', 'Ansage von %s erhalten.', [player])
+        : this.t('voice.bid_confirm', '{player} sagt {bid} an.', { player, bid });
+      actions.unshift({ type: 'speak', text: confirmText });
 
       const allBidsIn = s.bidIndex >= s.players.length;
       if (allBidsIn) {
         s.phase = 'trickTracking';
         s.previousCardIds = [];
-        const bidsDoneText = t('voice.bids_done', 'Danke. Los gehts.');
+        this.stabiliser.reset();
+        const bidsDoneText = this.t('voice.bids_done', 'Danke. Los gehts.');
         actions.push(
           { type: 'speak', text: bidsDoneText },
           { type: 'cameraMode', mode: 'detecting' },
@@ -446,13 +845,13 @@ export class WizardGame implements GamePack {
         );
       } else {
         const nextPlayer = s.players[s.bidIndex];
-        const nextPrompt = t('voice.bid_prompt', '%s, deine Ansage?').replace('%s', nextPlayer);
+        const nextPrompt = this.t('voice.bid_prompt', '%s, deine Ansage?', [nextPlayer]);
         actions.push({ type: 'listenForBid', prompt: nextPrompt, playerIndex: s.bidIndex });
       }
 
       return {
         players: buildScores(s),
-        display: { hud: buildHud(s) },
+        display: { hud: buildHud(this.t, s) },
         actions,
       };
     }
@@ -468,19 +867,26 @@ export class WizardGame implements GamePack {
       s.completedTricks = 0;
       s.currentTrickCards = [];
       s.previousCardIds = [];
+      this.stabiliser.reset();
+      s.trickHistory = [];
+      s.roundLeader = s.trickLeader;
+      s.cloudPlayer = null;
+      s.werewolfShown = false;
+      s.bidViolations = [];
+      s.chosenSuits = {};
 
       if (justFinishedRound >= s.maxRounds) {
         // Game over
-        const sorted = [...s.players].sort(
-          (a, b) => (s.cumulativeScores[b] ?? 0) - (s.cumulativeScores[a] ?? 0),
-        );
-        const winner = sorted[0];
-        const gameOverText = t('voice.game_over', '%s gewinnt mit %d Punkten!')
-          .replace('%s', winner)
-          .replace('%d', String(s.cumulativeScores[winner] ?? 0));
+        const ranking = buildRanking(this.t, s);
+        const winner = ranking[0].name;
+        const gameOverText = this.t('voice.game_over', '{player} gewinnt mit {count} Punkten!', {
+          player: winner,
+          count: s.cumulativeScores[winner] ?? 0,
+        });
         return {
           players: buildScores(s),
-          display: { hud: [], summary: buildGameOverSummary(s) },
+          ranking,
+          display: { hud: [], summary: buildGameOverSummary(this.t, s) },
           actions: [
             { type: 'speak', text: gameOverText },
             { type: 'gameOver' },
@@ -490,9 +896,8 @@ export class WizardGame implements GamePack {
 
       // Next round
       s.phase = 'trumpDetection';
-      const roundText = t('voice.round_start', 'Runde %d von %d.')
-        .replace('%d', String(s.round)).replace('%d', String(s.maxRounds));
-      const hintText = t('ui.trump_detection_hint', 'Bitte zeige die Trumpfkarte der Kamera.');
+      const roundText = this.t('voice.round_start', 'Runde {round} von {rounds}.', { round: s.round, rounds: s.maxRounds });
+      const hintText = this.t('ui.trump_detection_hint', 'Bitte zeige die Trumpfkarte der Kamera.');
       return {
         players: buildScores(s),
         display: { hud: [] },
@@ -503,8 +908,235 @@ export class WizardGame implements GamePack {
       };
     }
 
+    // ---- suitChosen (liveTracking.events) ------------------------------------
+    // The player of a Cloud or Juggler picks the suit it is played as, trump
+    // included. Without `cardId` it is the one of the current trick, else of
+    // the latest trick; without `suit` the player is asked for it.
+    if (type === 'suitChosen') {
+      const cardId = (data.cardId as string | undefined) ?? latestInBetweenCard(s);
+      const found = cardId ? findTrickWithCard(s.trickHistory, s.currentTrickCards, cardId) : null;
+      if (found && data.suit === undefined) {
+        const card = parseCardDisplay(cardId!, this.t)[0];
+        return {
+          players: buildScoresWithCards(this.t, s),
+          display: { hud: buildHud(this.t, s) },
+          actions: [{
+            type: 'promptChoice',
+            prompt: this.t('voice.suit_prompt', '{card}: welche Farbe?', { card }),
+            options: COLOUR_SUITS.map(suit => ({ value: suit, label: this.t(`suits.${suit}`, suit) })),
+            event: { type, data: { cardId: cardId! } },
+            field: 'suit',
+            playerIndex: found.cards.find(([, id]) => id === cardId)![0],
+          }],
+        };
+      }
+      const suit = data.suit as string;
+      return this.correct(s => {
+        if (!found || !(extractSuit(cardId!) in IN_BETWEEN_VALUES)) return null;
+        if (validateEventData(SUIT_CHOSEN, { ...data, cardId }, { playerCount: s.players.length }).length > 0) return null;
+        s.chosenSuits[cardId!] = suit;
+        return this.t('voice.suit_chosen', '{card} zählt als {suit}.', {
+          card: parseCardDisplay(cardId!, this.t)[0],
+          suit: this.t(`suits.${suit}`, suit),
+        });
+      });
+    }
+
+    // ---- corrections (current round only) ----------------------------------
+    if (type === 'undoLastTrick') {
+      return this.correct(s => {
+        if (s.phase !== 'trickTracking' || s.trickHistory.length === 0) return null;
+        s.trickHistory.pop();
+        // The trick is played again from a clear table
+        s.currentTrickCards = [];
+        s.previousCardIds = [];
+        this.stabiliser.reset();
+        return this.t('voice.trick_undone', 'Stich %d zurückgenommen. Bitte neu legen.', [s.trickHistory.length + 1]);
+      });
+    }
+
+    if (type === 'reassignTrickCard') {
+      const cardId = data.cardId as string;
+      const playerIndex = data.playerIndex as number;
+      return this.correct(s => {
+        const player = s.players[playerIndex];
+        const found = findTrickWithCard(s.trickHistory, s.currentTrickCards, cardId, data.trick as number | undefined);
+        if (player === undefined || !found) return null;
+        const leader = found.index < 0 ? s.trickLeader : leaderOfTrick(s, found.index);
+        if (!moveTrickCard(found.cards, cardId, playerIndex, leader, s.players.length)) return null;
+        return this.t('voice.card_reassigned', '{player} spielte {card}.', { player, card: parseCardDisplay(cardId, this.t)[0] });
+      });
+    }
+
+    if (type === 'correctBid') {
+      const playerIndex = data.playerIndex as number;
+      const bid = data.bid as number;
+      if (s.bids[s.players[playerIndex]] !== undefined && !isValidBid(s, bid)) {
+        const violation: RuleViolation = { rule: 'bidOutOfRange', playerIndex, value: bid };
+        s.bidViolations.push(violation);
+        return {
+          players: buildScores(s),
+          display: { hud: buildHud(this.t, s) },
+          actions: [violationAction(this.t, s, violation)],
+        };
+      }
+      return this.correct(s => {
+        const player = s.players[playerIndex];
+        if (player === undefined || s.bids[player] === undefined) return null;
+        s.bids[player] = bid;
+        return this.t('voice.bid_corrected', 'Korrigiert: {player} sagt {bid} an.', { player, bid });
+      });
+    }
+
+    if (type === 'replaceCard') {
+      const oldCardId = data.oldCardId as string;
+      const newCardId = data.newCardId as string;
+      return this.correct(s => {
+        const found = findTrickWithCard(s.trickHistory, s.currentTrickCards, oldCardId, data.trick as number | undefined);
+        if (!newCardId || !found) return null;
+        const pos = found.cards.findIndex(([, id]) => id === oldCardId);
+        found.cards[pos] = [found.cards[pos][0], newCardId];
+        // Keep diffing consistent once the camera reads the card correctly
+        const seen = s.previousCardIds.indexOf(oldCardId);
+        if (found.index < 0 && seen >= 0) {
+          s.previousCardIds[seen] = newCardId;
+          this.stabiliser.forget(oldCardId);
+        }
+        return this.t('voice.card_replaced', 'Korrigiert: {card} statt {previous}.', {
+          card: parseCardDisplay(newCardId, this.t)[0],
+          previous: parseCardDisplay(oldCardId, this.t)[0],
+        });
+      });
+    }
+
     // Unknown event
-    return { players: buildScores(s), display: { hud: buildHud(s) }, actions: [] };
+    return { players: buildScores(s), display: { hud: buildHud(this.t, s) }, actions: [] };
+  }
+
+  /** The Cloud trick's winner changes their bid by one; the round goes on. */
+  private cloudBid(bid: number): GameState {
+    const s = this.state;
+    const player = s.players[s.cloudPlayer!];
+    if (Math.abs(bid - (s.bids[player] ?? 0)) !== 1 || bid < 0) {
+      return {
+        players: buildScoresWithCards(this.t, s),
+        display: { hud: buildHud(this.t, s) },
+        actions: [
+          { type: 'speak', text: this.t('voice.cloud_invalid', 'Die Ansage muss sich um genau eins ändern.') },
+          ...cloudPrompt(this.t, s),
+        ],
+      };
+    }
+
+    s.bids[player] = bid;
+    s.cloudPlayer = null;
+    const confirmText = s.variants.secretBids
+      ? this.t('voice.bid_received', 'Ansage von %s erhalten.', [player])
+      : this.t('voice.bid_corrected', 'Korrigiert: {player} sagt {bid} an.', { player, bid });
+    if (s.completedTricks >= s.round) return this.finishRound(confirmText);
+    return {
+      players: buildScoresWithCards(this.t, s),
+      display: { hud: buildHud(this.t, s) },
+      actions: [
+        { type: 'speak', text: confirmText },
+        { type: 'cameraMode', mode: 'detecting' },
+        { type: 'awaitTableClear' },
+      ],
+    };
+  }
+
+  /**
+   * Applies a correction to the current round, then re-derives the round
+   * from its trick history and re-scores it if it had already been scored.
+   * `apply` returns the confirmation to speak, or null if the correction
+   * does not apply (nothing is changed then).
+   */
+  private correct(apply: (s: WizardInternal) => string | null): GameState {
+    const s = this.state;
+    const wasScored = isRoundComplete(s);
+    const before = roundScores(s);
+    const text = apply(s);
+    if (text === null) {
+      return {
+        players: buildScores(s),
+        display: { hud: buildHud(this.t, s) },
+        actions: [{ type: 'speak', text: this.t('voice.correction_failed', 'Korrektur nicht möglich.') }],
+      };
+    }
+
+    recomputeRound(s);
+    const after = roundScores(s);
+    for (const p of s.players) {
+      if (wasScored) s.cumulativeScores[p] -= before[p];
+      if (isRoundComplete(s)) s.cumulativeScores[p] += after[p];
+    }
+
+    const resumed = this.resume();
+    return { ...resumed, actions: [{ type: 'speak', text }, ...(resumed.actions ?? [])] };
+  }
+
+  serialize(): GameSnapshot {
+    return { version: SNAPSHOT_VERSION, data: JSON.parse(JSON.stringify(this.state)) };
+  }
+
+  restore(snapshot: GameSnapshot): GameState {
+    this.state = migrateSnapshot<WizardInternal>(snapshot, SNAPSHOT_VERSION, SNAPSHOT_MIGRATIONS);
+    this.players = this.state.players;
+    this.stabiliser.reset();
+    return this.resume();
+  }
+
+  /** Current state plus the actions that put Flutter into the current phase. */
+  private resume(): GameState {
+    const s = this.state;
+
+    // Game over: the last round has already been closed by roundEnded
+    if (s.round > s.maxRounds) {
+      return {
+        players: buildScores(s),
+        ranking: buildRanking(this.t, s),
+        display: { hud: [], summary: buildGameOverSummary(this.t, s) },
+        actions: [{ type: 'gameOver' }],
+      };
+    }
+
+    if (s.phase === 'bidCollection') {
+      const nextPlayer = s.players[s.bidIndex];
+      const prompt = this.t('voice.bid_prompt', '%s, deine Ansage?', [nextPlayer]);
+      return {
+        players: buildScores(s),
+        display: { hud: buildHud(this.t, s) },
+        actions: [
+          { type: 'cameraMode', mode: 'paused' },
+          { type: 'listenForBid', prompt, playerIndex: s.bidIndex },
+        ],
+      };
+    }
+
+    if (s.cloudPlayer !== null) {
+      return { players: buildScoresWithCards(this.t, s), display: { hud: buildHud(this.t, s) }, actions: cloudPrompt(this.t, s) };
+    }
+
+    if (isRoundComplete(s)) {
+      // All tricks played — waiting for roundEnded
+      return {
+        players: buildScoresWithCards(this.t, s),
+        ranking: buildRanking(this.t, s),
+        display: { hud: buildHud(this.t, s), summary: buildRoundSummary(this.t, s) },
+        actions: [{ type: 'showSummary' }],
+      };
+    }
+
+    const actions: FlutterAction[] = [{ type: 'cameraMode', mode: 'detecting' }];
+    // Between tricks the table may still hold the last trick's cards
+    if (s.phase === 'trickTracking' && s.currentTrickCards.length === 0) {
+      actions.push({ type: 'awaitTableClear' });
+    }
+    return {
+      players: s.phase === 'trickTracking' ? buildScoresWithCards(this.t, s) : buildScores(s),
+      display: { hud: buildHud(this.t, s) },
+      actions,
+    };
   }
 }
 
@@ -514,18 +1146,19 @@ export class WizardGame implements GamePack {
 
 export function processCards(boxes: DetectedBox[], context: ScorerContext): PlayerScoreResult[] {
   const game = new WizardGame(context.players);
-  return game.processCards(boxes).players;
+  return game.processCards(boxes, context).players;
 }
 
 export function processEvent(event: LiveEvent, prevState: LiveGameState | null): LiveGameState {
   const game = new WizardGame([]);
-  // Reconstruct internal state from prevState
   if (prevState?._internal) {
-    (game as any).state = prevState._internal as WizardInternal;
+    // Hosts from before versioned snapshots stored the raw version-1 state
+    const internal = prevState._internal;
+    game.restore(isGameSnapshot(internal) ? internal : { version: 1, data: internal });
   }
   const result = game.processEvent(event);
   return {
-    _internal: (game as any).state,
+    _internal: game.serialize(),
     display: result.display ?? { hud: [] },
     scores: result.players,
     actions: result.actions ?? [],
@@ -0,0 +1,65 @@
+/**
+ * watchScorer() on a pack in a temp directory: rebuilds when texts.json or
+ * scorer.ts change, and reports build errors for formatMessage().
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatMessage, watchScorer } = require('../build');
+
+jest.setTimeout(30000);
+
+let packDir;
+let context;
+
+beforeEach(() => {
+  packDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bgb-build-'));
+  fs.writeFileSync(path.join(packDir, 'scorer.ts'), 'export const answer: number = 42;\n');
+  fs.writeFileSync(path.join(packDir, 'texts.json'), JSON.stringify({ de: { title: 'Spiel' } }));
+});
+
+afterEach(async () => {
+  if (context) await context.dispose();
+  context = null;
+  fs.rmSync(packDir, { recursive: true, force: true });
+});
+
+/** Watches the pack; `next()` resolves with the errors of the next build. */
+async function watch() {
+  const pending = [];
+  const builds = [];
+  const onBuild = (errors) => {
+    const resolve = pending.shift();
+    if (resolve) resolve(errors);
+    else builds.push(errors);
+  };
+  const next = () => (builds.length > 0 ? Promise.resolve(builds.shift()) : new Promise(resolve => pending.push(resolve)));
+  context = await watchScorer(packDir, onBuild);
+  return next;
+}
+
+describe('watchScorer', () => {
+  it('builds right away and again when texts.json changes', async () => {
+    const next = await watch();
+    expect(await next()).toEqual([]);
+    expect(fs.readFileSync(path.join(packDir, 'scorer.js'), 'utf8')).toContain('42');
+
+    fs.writeFileSync(path.join(packDir, 'texts.json'), JSON.stringify({ de: { title: 'Neues Spiel' } }));
+    expect(await next()).toEqual([]);
+  });
+
+  it('reports the errors of a broken scorer.ts as scorer.ts:line:col: text', async () => {
+    const next = await watch();
+    expect(await next()).toEqual([]);
+
+    fs.writeFileSync(path.join(packDir, 'scorer.ts'), 'export const answer: number = 42;\nexport const broken = ;\n');
+    const errors = await next();
+    expect(errors).toHaveLength(1);
+    expect(formatMessage(errors[0])).toBe('scorer.ts:2:22: Unexpected ";"');
+
+    fs.writeFileSync(path.join(packDir, 'scorer.ts'), 'export const answer: number = 43;\n');
+    expect(await next()).toEqual([]);
+    expect(fs.readFileSync(path.join(packDir, 'scorer.js'), 'utf8')).toContain('43');
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Capture sessions of `bgb receive-embeddings` against a pack in a temp
+ * directory: backups, replacing and merging batches, labels arriving
+ * before or after their vectors, and the labelling page's candidates.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodeEmbeddings, readEmbeddings, readLabels } = require('../pack-files');
+const {
+  BACKUP_DIR,
+  backupReferences,
+  mergeReferences,
+  labelCandidates,
+  createCaptureSession,
+} = require('../capture');
+
+const DIM = 4;
+
+let packDir;
+
+beforeEach(() => {
+  packDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bgb-capture-'));
+});
+
+afterEach(() => {
+  fs.rmSync(packDir, { recursive: true, force: true });
+});
+
+/** Writes the pack's embeddings.bin and labels.txt. */
+function writeReferences(rows, labels) {
+  fs.writeFileSync(path.join(packDir, 'embeddings.bin'), encodeEmbeddings(rows));
+  fs.writeFileSync(path.join(packDir, 'labels.txt'), labels.join('\n') + '\n');
+}
+
+/** The pack's references as `{ rows, labels }` with plain-array rows. */
+function references() {
+  const set = readEmbeddings(packDir, DIM);
+  return { rows: set.rows.map(r => [...r]), labels: readLabels(packDir) };
+}
+
+const upload = (rows) => encodeEmbeddings(rows);
+const session = (opts = {}) => createCaptureSession(packDir, { packId: 'fixture', dim: DIM, ...opts });
+
+describe('backupReferences', () => {
+  it('copies embeddings.bin and labels.txt to a directory named after the time', () => {
+    writeReferences([[1, 0, 0, 0]], ['card:a']);
+    const dir = backupReferences(packDir, new Date('2026-10-02T19:00:00.000Z'));
+    expect(dir).toBe(path.join(packDir, BACKUP_DIR, '2026-10-02T19-00-00.000Z'));
+    expect(fs.readdirSync(dir).sort()).toEqual(['embeddings.bin', 'labels.txt']);
+    expect(fs.readFileSync(path.join(dir, 'labels.txt'), 'utf8')).toBe('card:a\n');
+  });
+
+  it('returns null when the pack has neither file', () => {
+    expect(backupReferences(packDir)).toBeNull();
+    expect(fs.existsSync(path.join(packDir, BACKUP_DIR))).toBe(false);
+  });
+});
+
+describe('mergeReferences', () => {
+  it('replaces the vector of a known label in place and appends new labels', () => {
+    const base = { rows: [[1], [2]], labels: ['card:a', 'card:b'] };
+    const merged = mergeReferences(base, { rows: [[3], [4]], labels: ['card:c', 'card:a'] });
+    expect(merged).toEqual({ rows: [[4], [2], [3]], labels: ['card:a', 'card:b', 'card:c'] });
+    expect(base).toEqual({ rows: [[1], [2]], labels: ['card:a', 'card:b'] });
+  });
+});
+
+describe('createCaptureSession', () => {
+  beforeEach(() => {
+    writeReferences([[1, 0, 0, 0], [0, 1, 0, 0]], ['card:a', 'card:b']);
+  });
+
+  describe('replacing', () => {
+    it('replaces the references with the latest batch and backs up the previous ones', () => {
+      const s = session();
+      const result = s.receiveEmbeddings(upload([[0, 0, 1, 0], [0, 0, 0, 0]]));
+      expect(result).toMatchObject({ count: 2, labelled: false, unusable: 1, total: 2, placeholders: 2 });
+      expect(references()).toEqual({ rows: [[0, 0, 1, 0], [0, 0, 0, 0]], labels: ['fixture:001', 'fixture:002'] });
+      expect(fs.readFileSync(path.join(result.backup, 'labels.txt'), 'utf8')).toBe('card:a\ncard:b\n');
+
+      s.receiveEmbeddings(upload([[0, 0, 0, 1]]));
+      expect(references()).toEqual({ rows: [[0, 0, 0, 1]], labels: ['fixture:001'] });
+    });
+
+    it('rejects an empty upload and one that is not whole vectors', () => {
+      const s = session();
+      expect(() => s.receiveEmbeddings(Buffer.alloc(0))).toThrow('embeddings.bin is empty');
+      expect(() => s.receiveEmbeddings(Buffer.alloc(20))).toThrow('20 bytes, which is not a whole number of 4-value float32 vectors');
+      expect(references().labels).toEqual(['card:a', 'card:b']);
+    });
+  });
+
+  describe('merging', () => {
+    it('folds every batch into the references the pack had', () => {
+      const s = session({ merge: true });
+      s.receiveEmbeddings(upload([[0, 0, 1, 0]]));
+      s.receiveLabels('card:c\n');
+      s.receiveEmbeddings(upload([[0, 0, 0, 1]]));
+      s.receiveLabels('card:a\n');
+      expect(references()).toEqual({
+        rows: [[0, 0, 0, 1], [0, 1, 0, 0], [0, 0, 1, 0]],
+        labels: ['card:a', 'card:b', 'card:c'],
+      });
+    });
+
+    it('numbers placeholders on from those of the pack, across batches', () => {
+      writeReferences([[1, 0, 0, 0], [0, 1, 0, 0]], ['card:a', 'fixture:002']);
+      const s = session({ merge: true });
+      s.receiveEmbeddings(upload([[0, 0, 1, 0]]));
+      const result = s.receiveEmbeddings(upload([[0, 0, 0, 1], [1, 1, 0, 0]]));
+      expect(result).toMatchObject({ total: 5, placeholders: 4 });
+      expect(references().labels).toEqual(['card:a', 'fixture:002', 'fixture:003', 'fixture:004', 'fixture:005']);
+    });
+
+    it('refuses a pack whose embeddings.bin does not match its labels.txt', () => {
+      fs.writeFileSync(path.join(packDir, 'labels.txt'), 'card:a\ncard:b\ncard:c\n');
+      expect(() => session({ merge: true })).toThrow('embeddings.bin (32 bytes) is not one 4-value vector per labels.txt line');
+      expect(() => session()).not.toThrow();
+    });
+  });
+
+  describe('labels.txt', () => {
+    it('labels the latest batch it arrives after', () => {
+      const s = session();
+      s.receiveEmbeddings(upload([[0, 0, 1, 0], [0, 0, 0, 1]]));
+      expect(s.receiveLabels('card:c\ncard:d\n')).toMatchObject({ count: 2, applied: true, placeholders: 0 });
+      expect(references().labels).toEqual(['card:c', 'card:d']);
+    });
+
+    it('waits for the next embeddings.bin it arrives before', () => {
+      const s = session();
+      expect(s.receiveLabels('card:c\ncard:d\n')).toEqual({ count: 2, applied: false });
+      expect(references().labels).toEqual(['card:a', 'card:b']);
+      expect(s.receiveEmbeddings(upload([[0, 0, 1, 0], [0, 0, 0, 1]]))).toMatchObject({ labelled: true, placeholders: 0 });
+      expect(references().labels).toEqual(['card:c', 'card:d']);
+    });
+
+    it('is dropped when the next embeddings.bin has another number of vectors', () => {
+      const s = session();
+      s.receiveLabels('card:c\n');
+      expect(s.receiveEmbeddings(upload([[0, 0, 1, 0], [0, 0, 0, 1]]))).toMatchObject({ labelled: false, placeholders: 2 });
+      expect(s.receiveEmbeddings(upload([[0, 0, 1, 0]]))).toMatchObject({ labelled: false, placeholders: 1 });
+    });
+
+    it('rejects an empty labels.txt', () => {
+      expect(() => session().receiveLabels('\n\n')).toThrow('labels.txt is empty');
+    });
+  });
+
+  describe('receivedRows', () => {
+    it('suggests the earlier reference each received vector is most similar to', () => {
+      const s = session();
+      s.receiveEmbeddings(upload([[0.9, 0.1, 0, 0], [0, 0, 0, 0]]));
+      const [near, zero] = s.receivedRows();
+      expect(near).toMatchObject({ label: 'fixture:001', placeholder: true, suggestion: { label: 'card:a' } });
+      expect(near.suggestion.similarity).toBeCloseTo(0.9 / Math.hypot(0.9, 0.1));
+      expect(zero.suggestion).toEqual({ label: 'card:a', similarity: 0 });
+    });
+  });
+
+  describe('assignLabels', () => {
+    it('relabels the received vectors of every batch', () => {
+      const s = session({ merge: true });
+      s.receiveEmbeddings(upload([[0, 0, 1, 0]]));
+      s.receiveEmbeddings(upload([[0, 0, 0, 1]]));
+      expect(s.assignLabels(['card:c', 'card:d'])).toMatchObject({ total: 4, placeholders: 0 });
+      expect(references().labels).toEqual(['card:a', 'card:b', 'card:c', 'card:d']);
+      expect(s.receivedRows().map(r => r.label)).toEqual(['card:c', 'card:d']);
+    });
+
+    it('rejects the wrong number of labels, invalid labels and duplicates', () => {
+      const s = session();
+      s.receiveEmbeddings(upload([[0, 0, 1, 0], [0, 0, 0, 1]]));
+      expect(() => s.assignLabels(['card:c'])).toThrow('expected 2 labels');
+      expect(() => s.assignLabels(['card:c', 'card d'])).toThrow('invalid label "card d"');
+      expect(() => s.assignLabels(['card:c', ''])).toThrow('invalid label ""');
+      expect(() => s.assignLabels(['card:c', 'card:c'])).toThrow('duplicate label "card:c"');
+      expect(references().labels).toEqual(['fixture:001', 'fixture:002']);
+    });
+  });
+});
+
+describe('labelCandidates', () => {
+  it('lists the labels, ref/ images and cards.json keys padded like the labels', () => {
+    fs.mkdirSync(path.join(packDir, 'ref', 'card'), { recursive: true });
+    fs.writeFileSync(path.join(packDir, 'ref', 'card', '02.png'), '');
+    fs.writeFileSync(path.join(packDir, 'ref', 'card', 'notes.txt'), '');
+    fs.writeFileSync(path.join(packDir, 'cards.json'), JSON.stringify({ card: { 2: {}, 3: {}, joker: {} }, version: 1 }));
+    expect(labelCandidates(packDir, ['card:01'])).toEqual([
+      { label: 'card:01' },
+      { label: 'card:02', image: 'card/02.png' },
+      { label: 'card:03' },
+      { label: 'card:joker' },
+    ]);
+  });
+
+  it('lists a card list once per manifest.yaml card type', () => {
+    fs.writeFileSync(path.join(packDir, 'cards.json'), JSON.stringify({ cards: [{ id: 'oak' }, { name: 'no id' }] }));
+    fs.writeFileSync(path.join(packDir, 'manifest.yaml'), 'card_types:\n  tree:\n    target_size:\n    - 64\n    - 90\n  cave:\n    target_size:\n    - 64\n    - 64\n');
+    expect(labelCandidates(packDir, []).map(c => c.label)).toEqual(['cave:oak', 'tree:oak']);
+  });
+
+  it('still lists the labels when cards.json does not parse', () => {
+    fs.writeFileSync(path.join(packDir, 'cards.json'), '{ "card": ');
+    expect(labelCandidates(packDir, ['card:a'])).toEqual([{ label: 'card:a' }]);
+  });
+});
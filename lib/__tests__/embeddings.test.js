@@ -0,0 +1,167 @@
+/**
+ * The embeddings health report behind `bgb embeddings`: similarities,
+ * the analysis of a set of references and the errors it fails a pack for,
+ * and the comparison of two captures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodeEmbeddings } = require('../pack-files');
+const {
+  cosineSimilarity,
+  similarPairs,
+  analyseEmbeddingSet,
+  embeddingErrors,
+  readEmbeddingSet,
+  diffEmbeddings,
+} = require('../embeddings');
+
+const DIM = 3;
+
+/** A decoded embeddings.bin of `rows` with the given labels.txt lines. */
+function set(rows, labels, byteLength = rows.length * DIM * 4) {
+  return { byteLength, dim: DIM, rows: rows.map(r => Float32Array.from(r)), labels };
+}
+
+describe('cosineSimilarity', () => {
+  it('is 1 for identical directions, 0 for orthogonal and -1 for opposite ones', () => {
+    expect(cosineSimilarity([1, 2, 3], [1, 2, 3])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0, 0], [2, 0, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0, 0], [0, 1, 0])).toBe(0);
+    expect(cosineSimilarity([1, 1, 0], [-1, -1, 0])).toBeCloseTo(-1);
+  });
+
+  it('is 0 when either vector is all zeros or not finite', () => {
+    expect(cosineSimilarity([0, 0, 0], [1, 0, 0])).toBe(0);
+    expect(cosineSimilarity([0, 0, 0], [0, 0, 0])).toBe(0);
+    expect(cosineSimilarity([NaN, 0, 0], [1, 0, 0])).toBe(0);
+  });
+});
+
+describe('similarPairs', () => {
+  it('lists the pairs of usable rows from the threshold, most similar first', () => {
+    const rows = [[1, 0, 0], [0, 1, 0], [1, 0.1, 0], [1, 0, 0], [0, 0, 0]];
+    const pairs = similarPairs(rows, 0.9);
+    expect(pairs.map(p => [p.a, p.b])).toEqual([[0, 3], [0, 2], [2, 3]]);
+    expect(pairs[0].similarity).toBeCloseTo(1);
+  });
+});
+
+describe('analyseEmbeddingSet', () => {
+  const report = analyseEmbeddingSet(set(
+    [[1, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 0], [NaN, 0, 0]],
+    ['card:a', 'card:b', 'card:c', 'card:zero'],
+  ));
+
+  it('names rows by label, and by position where labels.txt has no line', () => {
+    expect(report).toMatchObject({ count: 5, dim: DIM, partialBytes: 0, labelCount: 4 });
+    expect(report.zeroRows).toEqual(['card:zero']);
+    expect(report.nanRows).toEqual(['#5']);
+  });
+
+  it('reports identical rows as confusable and leaves orthogonal and all-zero rows out', () => {
+    expect(report.confusable).toHaveLength(1);
+    expect(report.confusable[0]).toMatchObject({ a: 'card:a', b: 'card:b' });
+    expect(report.confusable[0].similarity).toBeCloseTo(1);
+    expect(report.closest).toEqual(report.confusable[0]);
+  });
+
+  it('measures the norms of the finite rows', () => {
+    expect(report.norms).toEqual({ min: 0, mean: 0.75, max: 1 });
+  });
+
+  it('finds the closest pair when none is confusable', () => {
+    const orthogonal = analyseEmbeddingSet(set([[1, 0, 0], [0, 1, 0]], ['card:a', 'card:b']));
+    expect(orthogonal.confusable).toEqual([]);
+    expect(orthogonal.closest).toEqual({ a: 'card:a', b: 'card:b', similarity: 0 });
+  });
+
+  it('has no norms or closest pair for all-zero rows', () => {
+    const zeros = analyseEmbeddingSet(set([[0, 0, 0], [0, 0, 0]], ['card:a', 'card:b']));
+    expect(zeros.zeroRows).toEqual(['card:a', 'card:b']);
+    expect(zeros.closest).toBeNull();
+  });
+});
+
+describe('embeddingErrors', () => {
+  it('accepts a usable set, confusable pairs included', () => {
+    expect(embeddingErrors(analyseEmbeddingSet(set([[1, 0, 0], [1, 0, 0]], ['card:a', 'card:b'])))).toEqual([]);
+  });
+
+  it('reports partial vectors, label count mismatches, unusable rows and duplicate labels', () => {
+    const report = analyseEmbeddingSet(set(
+      [[1, 0, 0], [0, 0, 0], [NaN, 1, 0]],
+      ['card:a', 'card:b', 'card:a', 'card:d'],
+      3 * DIM * 4 + 5,
+    ));
+    expect(embeddingErrors(report)).toEqual([
+      'ends in 5 bytes that are not a whole 3-value vector',
+      '3 embeddings but labels.txt has 4 labels',
+      '1 all-zero row(s) match no card: card:b',
+      '1 row(s) with NaN or infinite values: card:a',
+      'label "card:a" is on lines 1, 3 of labels.txt',
+    ]);
+  });
+});
+
+describe('readEmbeddingSet', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bgb-embeddings-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads a pack directory with its labels.txt', () => {
+    fs.writeFileSync(path.join(tmpDir, 'embeddings.bin'), encodeEmbeddings([[1, 0, 0], [0, 1, 0]]));
+    fs.writeFileSync(path.join(tmpDir, 'labels.txt'), 'card:a\ncard:b\n');
+    const read = readEmbeddingSet(tmpDir, { dim: DIM });
+    expect(read).toMatchObject({ byteLength: 24, dim: DIM, labels: ['card:a', 'card:b'] });
+    expect(read.rows.map(r => [...r])).toEqual([[1, 0, 0], [0, 1, 0]]);
+  });
+
+  it('reads a .bin file with or without a labels.txt', () => {
+    const bin = path.join(tmpDir, 'old.bin');
+    fs.writeFileSync(bin, encodeEmbeddings([[1, 0, 0]]));
+    fs.writeFileSync(path.join(tmpDir, 'old-labels.txt'), 'card:a\n');
+    expect(readEmbeddingSet(bin, { dim: DIM }).labels).toEqual([]);
+    expect(readEmbeddingSet(bin, { dim: DIM, labels: path.join(tmpDir, 'old-labels.txt') }).labels).toEqual(['card:a']);
+  });
+
+  it('returns null when there is no embeddings.bin', () => {
+    expect(readEmbeddingSet(tmpDir, { dim: DIM })).toBeNull();
+    expect(readEmbeddingSet(path.join(tmpDir, 'missing.bin'), { dim: DIM })).toBeNull();
+  });
+});
+
+describe('diffEmbeddings', () => {
+  const before = set([[1, 0, 0], [0, 1, 0], [0, 0, 1]], ['card:a', 'card:b', 'card:d']);
+  const after = set([[1, 0, 0], [1, 0.1, 0], [0, 1, 1]], ['card:a', 'card:b', 'card:c']);
+
+  it('lists added, removed and moved cards', () => {
+    const diff = diffEmbeddings(before, after);
+    expect(diff.added).toEqual(['card:c']);
+    expect(diff.removed).toEqual(['card:d']);
+    expect(diff.moved.map(m => m.label)).toEqual(['card:b']);
+    expect(diff.moved[0].similarity).toBeCloseTo(0.1 / Math.hypot(1, 0.1));
+  });
+
+  it('lists pairs that became or stopped being confusable', () => {
+    const diff = diffEmbeddings(before, after);
+    expect(diff.newlyConfusable).toEqual([{ a: 'card:a', b: 'card:b', before: 0, after: expect.closeTo(1 / Math.hypot(1, 0.1)) }]);
+    expect(diffEmbeddings(after, before).noLongerConfusable).toEqual([
+      { a: 'card:a', b: 'card:b', before: expect.closeTo(1 / Math.hypot(1, 0.1)), after: 0 },
+    ]);
+  });
+
+  it('matches an unlabelled set by position', () => {
+    const diff = diffEmbeddings({ rows: before.rows, labels: [] }, after);
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.moved.map(m => m.label)).toEqual(['card:b', 'card:c']);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * checkI18n() against a fixture pack written to a temp directory: keys a
+ * language is missing, keys the scorer never looks up, broken plurals and
+ * placeholders that differ between languages.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanScorerKeys, checkI18n } = require('../i18n');
+
+const SCORER = [
+  "export function hud(t) {",
+  "  return [t('ui.round', 'Runde %d'), t('voice.points', 'Punkte'), { key: 'ui.total' }];",
+  "}",
+  "export const suit = (t, s) => t(`suits.${s}`);",
+  "",
+].join('\n');
+
+/** Texts for every key SCORER looks up, in German and English. */
+function fixtureTexts() {
+  return {
+    de: {
+      ui: { round: 'Runde %d', total: '{player}: %d Punkte' },
+      voice: { points: { one: 'ein Punkt', other: '{count} Punkte' } },
+      suits: { red: 'Rot' },
+      numbers: { eins: '1' },
+    },
+    en: {
+      ui: { round: 'Round %d', total: '{player}: %d points' },
+      voice: { points: { one: 'one point', other: '{count} points' } },
+      suits: { red: 'Red' },
+      numbers: { one: '1' },
+    },
+  };
+}
+
+let packDir;
+
+beforeEach(() => {
+  packDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bgb-i18n-'));
+  fs.writeFileSync(path.join(packDir, 'scorer.ts'), SCORER);
+});
+
+afterEach(() => {
+  fs.rmSync(packDir, { recursive: true, force: true });
+});
+
+/** Writes texts.json and checks the pack. */
+function check(texts) {
+  fs.writeFileSync(path.join(packDir, 'texts.json'), JSON.stringify(texts));
+  return checkI18n(packDir);
+}
+
+const language = (result, lang) => result.languages.find(l => l.lang === lang);
+
+describe('scanScorerKeys', () => {
+  it('finds t() keys, section.key strings and the prefixes of keys built at runtime', () => {
+    expect(scanScorerKeys(SCORER, ['ui', 'voice', 'suits'])).toEqual({
+      keys: ['ui.round', 'ui.total', 'voice.points'],
+      prefixes: ['suits.'],
+    });
+  });
+});
+
+describe('checkI18n', () => {
+  it('passes texts that cover the scorer in every language', () => {
+    expect(check(fixtureTexts()).languages).toEqual([
+      { lang: 'de', missing: [], unused: [], invalid: [] },
+      { lang: 'en', missing: [], unused: [], invalid: [] },
+    ]);
+  });
+
+  it('lists the keys a language is missing, but none of a regional variant', () => {
+    const texts = fixtureTexts();
+    delete texts.en.ui.total;
+    delete texts.en.voice;
+    texts['de-AT'] = { ui: { round: 'Runde %d' } };
+    const result = check(texts);
+    expect(language(result, 'en').missing).toEqual(['ui.total', 'voice.points']);
+    expect(language(result, 'de').missing).toEqual([]);
+    expect(language(result, 'de-AT').missing).toEqual([]);
+  });
+
+  it('lists the keys the scorer never looks up, outside the numbers section', () => {
+    const texts = fixtureTexts();
+    texts.de.ui.legacy = 'Alt';
+    texts.de.suits.blue = 'Blau';
+    expect(language(check(texts), 'de').unused).toEqual(['ui.legacy']);
+  });
+
+  it('reports a plural with a key that is not a plural category or without other', () => {
+    const texts = fixtureTexts();
+    texts.en.voice.points = { one: 'one point', plenty: '{count} points' };
+    texts.de.voice.points = { one: 'ein Punkt' };
+    const result = check(texts);
+    expect(language(result, 'en').invalid).toEqual([
+      'voice.points: "plenty" is not a plural category (zero, one, two, few, many, other)',
+      'voice.points: plural has no "other" form',
+      'voice.points: placeholders {count} differ from "de" (none)',
+    ]);
+    expect(language(result, 'de').invalid).toEqual(['voice.points: plural has no "other" form']);
+    expect(language(result, 'en').missing).toEqual([]);
+  });
+
+  it('reports placeholders that differ from the first language', () => {
+    const texts = fixtureTexts();
+    texts.en.ui.round = 'Round';
+    texts.en.ui.total = '%d points for {name}';
+    texts.en.voice.points = { one: 'one point', other: 'many points' };
+    expect(language(check(texts), 'en').invalid).toEqual([
+      'ui.round: placeholders none differ from "de" (%d)',
+      'ui.total: placeholders %d, {name} differ from "de" (%d, {player})',
+      'voice.points: placeholders none differ from "de" ({count})',
+    ]);
+  });
+
+  it('reports %s and %d in another order', () => {
+    const texts = fixtureTexts();
+    texts.de.ui.round = '%s: Runde %d';
+    texts.en.ui.round = 'Round %d: %s';
+    expect(language(check(texts), 'en').invalid).toEqual(['ui.round: placeholders %d, %s differ from "de" (%s, %d)']);
+  });
+
+  it('returns null without texts.json and throws without scorer.ts', () => {
+    expect(checkI18n(packDir)).toBeNull();
+    fs.rmSync(path.join(packDir, 'scorer.ts'));
+    expect(() => checkI18n(packDir)).toThrow('no scorer.ts');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Packaging a pack in a temp directory: the ZIP writer, the files left out
+ * of a release, the pack-index.json entry and merging it into an existing
+ * index, and `bgb pack` itself.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { createZip } = require('../zip');
+const { PACK_EXCLUDES, listPackFiles, packPack, writePackIndex } = require('../pack');
+
+jest.setTimeout(30000);
+
+const BGB = path.join(__dirname, '..', '..', 'bgb.js');
+
+let tmpDir;
+let packDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bgb-pack-'));
+  packDir = path.join(tmpDir, 'games', 'fixture');
+  const files = {
+    'game.json': JSON.stringify({ id: 'fixture', displayName: 'Fixture', minPlayers: 2, maxPlayers: 4 }),
+    'scorer.ts': 'export const answer: number = 42;\n',
+    'texts.json': JSON.stringify({ de: { title: 'Fixture — Spiel' } }),
+    'labels.txt': 'card:01\ncard:02\n',
+    'assets/noise.bin': crypto.randomBytes(256),
+    'ref/card/01.png': 'not released',
+    'backups/2026-10-02T19-00-00.000Z/labels.txt': 'card:01\n',
+  };
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(packDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(packDir, name), content);
+  }
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** Extracts a zip with the system `unzip` and returns `{ name: Buffer }` for every file in it. */
+function unzip(zip) {
+  const zipPath = path.join(tmpDir, 'out.zip');
+  const outDir = path.join(tmpDir, 'unzipped');
+  fs.writeFileSync(zipPath, zip);
+  execFileSync('unzip', ['-q', zipPath, '-d', outDir]);
+  return Object.fromEntries(listPackFiles(outDir).map(name => [name, fs.readFileSync(path.join(outDir, name))]));
+}
+
+describe('createZip', () => {
+  it('writes an archive that unzips to the same files, deflated or stored', () => {
+    const entries = [
+      { name: 'text.txt', data: Buffer.from('Wizard '.repeat(100)) },
+      { name: 'dir/random.bin', data: crypto.randomBytes(64) },
+      { name: 'empty.txt', data: Buffer.alloc(0) },
+    ];
+    const files = unzip(createZip(entries));
+    expect(Object.keys(files).sort()).toEqual(['dir/random.bin', 'empty.txt', 'text.txt']);
+    for (const { name, data } of entries) expect(files[name].equals(data)).toBe(true);
+  });
+
+  it('produces the same bytes for the same files', () => {
+    const entries = [{ name: 'a.txt', data: Buffer.from('a') }];
+    expect(createZip(entries).equals(createZip(entries))).toBe(true);
+  });
+});
+
+describe('listPackFiles', () => {
+  it('lists the pack without ref/ and backups/', () => {
+    expect(PACK_EXCLUDES).toEqual(['ref', 'backups']);
+    expect(listPackFiles(packDir)).toEqual(['assets/noise.bin', 'game.json', 'labels.txt', 'scorer.ts', 'texts.json']);
+  });
+});
+
+describe('packPack', () => {
+  it('zips the pack with its compiled scorer and leaves out ref/ and backups/', () => {
+    const { id, zip } = packPack(packDir);
+    expect(id).toBe('fixture');
+    const files = unzip(zip);
+    expect(Object.keys(files)).toEqual(listPackFiles(packDir));
+    expect(Object.keys(files)).toContain('scorer.js');
+    for (const [name, data] of Object.entries(files)) {
+      expect(data.equals(fs.readFileSync(path.join(packDir, name)))).toBe(true);
+    }
+  });
+
+  it('describes the zip it wrote by its size and sha256 checksum', () => {
+    const { zip, entry } = packPack(packDir);
+    const zipPath = path.join(tmpDir, 'fixture.zip');
+    fs.writeFileSync(zipPath, zip);
+    const onDisk = fs.readFileSync(zipPath);
+    expect(entry.sizeBytes).toBe(fs.statSync(zipPath).size);
+    expect(entry.checksum).toBe('sha256:' + crypto.createHash('sha256').update(onDisk).digest('hex'));
+  });
+
+  it('takes description and version from the released entry unless a version is given', () => {
+    const template = { id: 'fixture', version: 3, description: 'Released' };
+    expect(packPack(packDir, { template }).entry).toMatchObject({ version: 3, description: 'Released', downloadUrl: 'fixture.zip' });
+    expect(packPack(packDir, { template, version: 7, baseUrl: 'https://example.org/packs/' }).entry)
+      .toMatchObject({ version: 7, description: 'Released', downloadUrl: 'https://example.org/packs/fixture.zip' });
+  });
+});
+
+describe('writePackIndex', () => {
+  it('merges entries into an existing index, replacing those with the same id', () => {
+    const indexPath = path.join(tmpDir, 'pack-index.json');
+    fs.writeFileSync(indexPath, JSON.stringify({
+      version: 1,
+      packs: [{ id: 'wizard', version: 2 }, { id: 'fixture', version: 1 }, { id: 'faraway', version: 5 }],
+    }));
+    writePackIndex(indexPath, [{ id: 'fixture', version: 2 }, { id: 'mischwald', version: 1 }]);
+    expect(JSON.parse(fs.readFileSync(indexPath, 'utf8'))).toEqual({
+      version: 1,
+      packs: [{ id: 'wizard', version: 2 }, { id: 'fixture', version: 2 }, { id: 'faraway', version: 5 }, { id: 'mischwald', version: 1 }],
+    });
+  });
+
+  it('starts a new index when there is none', () => {
+    const indexPath = path.join(tmpDir, 'pack-index.json');
+    expect(writePackIndex(indexPath, [{ id: 'fixture', version: 1 }])).toEqual({ version: 1, packs: [{ id: 'fixture', version: 1 }] });
+  });
+});
+
+describe('bgb pack', () => {
+  it('writes the zip and an index entry with the version given by --pack-version', () => {
+    fs.writeFileSync(path.join(tmpDir, 'pack-index.json'), JSON.stringify({ version: 1, packs: [{ id: 'fixture', version: 3 }] }));
+    execFileSync(process.execPath, [BGB, 'pack', 'fixture', '--pack-version', '7', '--out', 'dist'], { cwd: tmpDir, stdio: 'pipe' });
+    const zip = fs.readFileSync(path.join(tmpDir, 'dist', 'fixture.zip'));
+    const index = JSON.parse(fs.readFileSync(path.join(tmpDir, 'dist', 'pack-index.json'), 'utf8'));
+    expect(index.packs).toEqual([expect.objectContaining({ id: 'fixture', version: 7, sizeBytes: zip.length })]);
+  });
+});
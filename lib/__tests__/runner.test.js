@@ -0,0 +1,232 @@
+/**
+ * The headless runner's sandbox and the scoreBoxes/replaySession drivers,
+ * run against hand-written scorer.js files in temp packs.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  NODE_ONLY_GLOBALS,
+  RECORDING_VERSION,
+  loadScorer,
+  parseBoxesInput,
+  scoreBoxes,
+  replaySession,
+  firstDifference,
+} = require('../runner');
+
+/** A Game-class scorer that counts cards and events and echoes what it was given. */
+const GAME_SCORER = `
+class Game {
+  constructor(players, options) {
+    this.players = players;
+    this.locale = options && options.locale;
+    this.events = [];
+  }
+  processEvent(event) {
+    if (event.type === 'boom') throw new Error('boom');
+    this.events.push(event.type);
+    return this.state([]);
+  }
+  processCards(cards, context) {
+    return this.state(cards, context);
+  }
+  state(cards, context) {
+    return {
+      players: this.players.map(name => ({ name, totalScore: cards.length })),
+      events: this.events,
+      locale: this.locale,
+      context: context || null,
+      title: typeof __texts === 'object' ? __texts.en.title : null,
+    };
+  }
+}
+module.exports = { Game };
+`;
+
+/** A legacy scorer exporting plain functions and returning a player list. */
+const LEGACY_SCORER = `
+module.exports = {
+  processEvent(event, prevState) {
+    return { events: [...((prevState && prevState.events) || []), event.type] };
+  },
+  processCards(cards, context) {
+    return context.players.map(name => ({ name, totalScore: cards.length }));
+  },
+};
+`;
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bgb-runner-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** Writes a pack with the given scorer.js (and texts.json) and returns its directory. */
+function writePack(scorer, texts) {
+  const packDir = path.join(tmpDir, 'fixture');
+  fs.mkdirSync(packDir);
+  fs.writeFileSync(path.join(packDir, 'game.json'), JSON.stringify({ id: 'fixture', displayName: 'Fixture', minPlayers: 3 }));
+  fs.writeFileSync(path.join(packDir, 'scorer.js'), scorer);
+  if (texts) fs.writeFileSync(path.join(packDir, 'texts.json'), JSON.stringify(texts));
+  return packDir;
+}
+
+const load = (scorer, texts) => loadScorer(writePack(scorer, texts), { build: false });
+
+function box(cardId) {
+  return { cardId, similarity: 0.9, x1: 0, y1: 0, x2: 0.1, y2: 0.1, cx: 0.05, cy: 0.05, w: 0.1, h: 0.1, confidence: 0.9, angle: 0, keypoints: null };
+}
+
+describe('loadScorer', () => {
+  it('injects texts.json as __texts and the path shim', () => {
+    const scorer = load(`
+      const path = require('path');
+      module.exports = { title: () => __texts.en.title, joined: () => path.join('a', 'b') };
+    `, { en: { title: 'Fixture' } });
+    expect(scorer.call(scorer.exports, 'title')).toBe('Fixture');
+    expect(scorer.call(scorer.exports, 'joined')).toBe('a/b');
+    expect(scorer.locale).toBe('de');
+    expect(scorer.game.id).toBe('fixture');
+  });
+
+  it('refuses Node modules', () => {
+    expect(() => load(`require('fs');`)).toThrow("scorer.js uses require('fs'), which is not available in the app runtime");
+  });
+
+  it('has no file access for a texts.json require', () => {
+    expect(() => load(`require('./texts.json');`)).toThrow("Cannot find module './texts.json'");
+  });
+
+  it.each(NODE_ONLY_GLOBALS)('throws when the scorer reads the Node global %s', (name) => {
+    expect(() => load(`${name};`)).toThrow(`scorer.js uses the Node global \`${name}\`, which is not available in the app runtime`);
+  });
+
+  it('reports a Node global the scorer reads inside a try/catch', () => {
+    expect(() => load(`let env; try { env = process.env; } catch (e) { env = {}; }`)).toThrow('the Node global `process`');
+  });
+
+  it('reports a Node global read during a call', () => {
+    const scorer = load(`module.exports = { peek() { try { return typeof Buffer; } catch (e) { return 'none'; } } };`);
+    expect(() => scorer.call(scorer.exports, 'peek')).toThrow('the Node global `Buffer`');
+  });
+
+  it('returns results JSON round-tripped', () => {
+    const scorer = load(`module.exports = { result: () => ({ at: new Date(0), skip: undefined, n: 1 }) };`);
+    expect(scorer.call(scorer.exports, 'result')).toEqual({ at: '1970-01-01T00:00:00.000Z', n: 1 });
+  });
+
+  it('compiles scorer.ts first unless told not to', () => {
+    const packDir = writePack('module.exports = { answer: () => 0 };');
+    fs.writeFileSync(path.join(packDir, 'scorer.ts'), 'export function answer(): number { return 42; }\n');
+    const stale = loadScorer(packDir, { build: false });
+    expect(stale.call(stale.exports, 'answer')).toBe(0);
+    const built = loadScorer(packDir);
+    expect(built.call(built.exports, 'answer')).toBe(42);
+  });
+
+  it('fails without a scorer.js', () => {
+    const packDir = writePack('');
+    fs.rmSync(path.join(packDir, 'scorer.js'));
+    expect(() => loadScorer(packDir, { build: false })).toThrow('no scorer.js');
+  });
+});
+
+describe('parseBoxesInput', () => {
+  it('accepts a plain box array', () => {
+    expect(parseBoxesInput([box('card:1')])).toMatchObject({ events: [], boxes: [box('card:1')] });
+  });
+
+  it('rejects input without boxes or with malformed events', () => {
+    expect(() => parseBoxesInput({})).toThrow('"boxes" array');
+    expect(() => parseBoxesInput({ boxes: [], events: {} })).toThrow('"events" must be an array');
+  });
+});
+
+describe('scoreBoxes', () => {
+  it('drives a Game class with the events first, then the boxes', () => {
+    const packDir = writePack(GAME_SCORER, { en: { title: 'Fixture' } });
+    const state = scoreBoxes(packDir, {
+      players: ['Ann', 'Ben'],
+      additionalInputs: { bonus: 2 },
+      events: [{ type: 'gameStarted', data: {} }],
+      boxes: [box('card:1'), box('card:2')],
+    }, { build: false, lang: 'en' });
+    expect(state.players).toEqual([{ name: 'Ann', totalScore: 2 }, { name: 'Ben', totalScore: 2 }]);
+    expect(state.events).toEqual(['gameStarted']);
+    expect(state.locale).toBe('en');
+    expect(state.context).toEqual({ players: ['Ann', 'Ben'], similarityThreshold: 0.7, locale: 'en', additionalInputs: { bonus: 2 } });
+    expect(state.title).toBe('Fixture');
+  });
+
+  it('defaults to minPlayers players and lets options override the input', () => {
+    const packDir = writePack(GAME_SCORER);
+    expect(scoreBoxes(packDir, [box('card:1')], { build: false }).players.map(p => p.name))
+      .toEqual(['Player 1', 'Player 2', 'Player 3']);
+    const state = scoreBoxes(packDir, { players: ['Ann'], similarityThreshold: 0.5, boxes: [] }, { build: false, players: ['Cy'], similarityThreshold: 0.8 });
+    expect(state.context).toMatchObject({ players: ['Cy'], similarityThreshold: 0.8 });
+  });
+
+  it('drives legacy exports and wraps a player list in a GameState', () => {
+    const packDir = writePack(LEGACY_SCORER);
+    const state = scoreBoxes(packDir, { players: ['Ann'], events: [{ type: 'gameStarted', data: {} }], boxes: [box('card:1')] }, { build: false });
+    expect(state).toEqual({ players: [{ name: 'Ann', totalScore: 1 }] });
+  });
+
+  it('refuses events for a scorer without processEvent', () => {
+    const packDir = writePack(`module.exports = { processCards: () => [] };`);
+    expect(() => scoreBoxes(packDir, { events: [{ type: 'gameStarted', data: {} }], boxes: [] }, { build: false }))
+      .toThrow('scorer has no processEvent, but boxes.json lists events');
+  });
+
+  it('refuses a scorer that exports neither a Game nor processCards', () => {
+    const packDir = writePack(`module.exports = {};`);
+    expect(() => scoreBoxes(packDir, [], { build: false })).toThrow('exports neither a Game class nor processCards');
+  });
+});
+
+describe('replaySession', () => {
+  const recording = (steps, extra = {}) => ({ version: RECORDING_VERSION, game: 'fixture', players: ['Ann', 'Ben'], steps, ...extra });
+
+  it('returns the GameState of every step', () => {
+    const packDir = writePack(GAME_SCORER);
+    const states = replaySession(packDir, recording([
+      { event: { type: 'gameStarted', data: {} } },
+      { cards: [box('card:1')] },
+    ], { similarityThreshold: 0.6 }), { build: false });
+    expect(states).toHaveLength(2);
+    expect(states[0].players).toEqual([{ name: 'Ann', totalScore: 0 }, { name: 'Ben', totalScore: 0 }]);
+    expect(states[1].players[0].totalScore).toBe(1);
+    expect(states[1].events).toEqual(['gameStarted']);
+    expect(states[1].context.similarityThreshold).toBe(0.6);
+  });
+
+  it('names the step that fails', () => {
+    const packDir = writePack(GAME_SCORER);
+    expect(() => replaySession(packDir, recording([{ cards: [] }, { event: { type: 'boom', data: {} } }]), { build: false }))
+      .toThrow('step 1: boom');
+  });
+
+  it('refuses other recording versions, other games and packs without a Game class', () => {
+    const packDir = writePack(GAME_SCORER);
+    expect(() => replaySession(packDir, recording([], { version: RECORDING_VERSION + 1 }), { build: false }))
+      .toThrow(`unsupported recording version ${RECORDING_VERSION + 1}`);
+    expect(() => replaySession(packDir, recording([], { game: 'wizard' }), { build: false }))
+      .toThrow('recording is for "wizard", but the pack is "fixture"');
+    fs.writeFileSync(path.join(packDir, 'scorer.js'), LEGACY_SCORER);
+    expect(() => replaySession(packDir, recording([]), { build: false })).toThrow('does not export a Game class');
+  });
+});
+
+describe('firstDifference', () => {
+  it('returns the path of the first differing value', () => {
+    expect(firstDifference({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBeNull();
+    expect(firstDifference({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] })).toBe('.a[1].b');
+    expect(firstDifference([1], { 0: 1 })).toBe('(root)');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * validatePack() against small fixture packs written to a temp directory:
+ * a pack that passes, and copies of it with one file broken.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodeEmbeddings } = require('../pack-files');
+const { validatePack } = require('../validate');
+
+const DIM = 4;
+
+/** A two-card pack that passes every check with `dim: DIM`. */
+function fixtureFiles() {
+  return {
+    'game.json': JSON.stringify({ id: 'fixture', displayName: 'Fixture', minPlayers: 2, maxPlayers: 4 }),
+    'labels.txt': 'card:01\ncard:02\n',
+    'embeddings.bin': encodeEmbeddings([[1, 0, 0, 0], [0, 1, 0, 0]]),
+    'manifest.yaml': 'card_types:\n  card:\n    target_size:\n    - 64\n    - 90\n',
+    'cards.json': JSON.stringify({ card: { 1: { name: 'One' }, 2: { name: 'Two' } } }),
+    'texts.json': JSON.stringify({ en: { title: 'Fixture' }, de: { title: 'Fixture' } }),
+  };
+}
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bgb-validate-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** Writes the fixture pack with `changes` applied (null deletes a file) and validates it. */
+function validate(changes = {}) {
+  const packDir = path.join(tmpDir, 'fixture');
+  fs.mkdirSync(packDir);
+  for (const [file, content] of Object.entries({ ...fixtureFiles(), ...changes })) {
+    if (content !== null) fs.writeFileSync(path.join(packDir, file), content);
+  }
+  return validatePack(packDir, { dim: DIM });
+}
+
+const messages = (findings, file) => findings.filter(f => f.file === file).map(f => f.message);
+
+describe('validatePack', () => {
+  it('passes the fixture pack', () => {
+    expect(validate()).toEqual({ errors: [], warnings: [] });
+  });
+
+  describe('game.json', () => {
+    it('stops at a game.json that does not parse', () => {
+      const { errors } = validate({ 'game.json': '{ "id": "fixture",' });
+      expect(errors).toHaveLength(1);
+      expect(errors[0].file).toBe('game.json');
+      expect(errors[0].message).toMatch(/^could not parse game\.json/);
+    });
+
+    it('reports missing fields, a bad id and a bad player range', () => {
+      const { errors } = validate({ 'game.json': JSON.stringify({ id: 'Fixture Pack', minPlayers: 5, maxPlayers: 4, cardCopies: 0 }) });
+      expect(messages(errors, 'game.json')).toEqual([
+        'missing required field "displayName"',
+        'id must be lowercase alphanumeric and hyphens only (got "Fixture Pack")',
+        'minPlayers (5) is greater than maxPlayers (4)',
+        'cardCopies must be a positive integer or omitted (got 0)',
+      ]);
+    });
+
+    it('warns when the id does not match the directory', () => {
+      const { errors, warnings } = validate({ 'game.json': JSON.stringify({ id: 'other', displayName: 'Other' }) });
+      expect(errors).toEqual([]);
+      expect(messages(warnings, 'game.json')).toEqual(['id "other" does not match the pack directory "fixture"']);
+    });
+
+    it('reports a custom event that reuses a built-in event type', () => {
+      const game = { id: 'fixture', displayName: 'Fixture', minPlayers: 2, maxPlayers: 4 };
+      const events = [{ id: 'correctBid', label: 'Ansage korrigieren' }, { id: 'thrownIn', label: 'Schmeißen' }];
+      const { errors } = validate({ 'game.json': JSON.stringify({ ...game, liveTracking: { events } }) });
+      expect(messages(errors, 'game.json')).toEqual(['liveTracking.events[0].id "correctBid" is a built-in event']);
+    });
+  });
+
+  describe('labels.txt and embeddings.bin', () => {
+    it('reports more labels than embeddings', () => {
+      const { errors } = validate({ 'labels.txt': 'card:01\ncard:02\ncard:03\n', 'cards.json': JSON.stringify({ card: { 1: {}, 2: {}, 3: {} } }) });
+      expect(messages(errors, 'embeddings.bin')).toEqual(['contains 2 embeddings but labels.txt has 3 labels']);
+    });
+
+    it('reports more embeddings than labels', () => {
+      const { errors } = validate({ 'labels.txt': 'card:01\n' });
+      expect(messages(errors, 'embeddings.bin')).toEqual(['contains 2 embeddings but labels.txt has 1 labels']);
+    });
+
+    it('reports embeddings of another size', () => {
+      const { errors } = validate({ 'embeddings.bin': encodeEmbeddings([[1, 0, 0], [0, 1, 0]]) });
+      expect(messages(errors, 'embeddings.bin')).toEqual(['24 bytes is not a multiple of 16 (4 float32 values per embedding)']);
+    });
+
+    it('reports an empty embeddings.bin', () => {
+      const { errors } = validate({ 'embeddings.bin': Buffer.alloc(0) });
+      expect(messages(errors, 'embeddings.bin')[0]).toMatch(/^is empty/);
+    });
+
+    it('reports a missing embeddings.bin', () => {
+      const { errors } = validate({ 'embeddings.bin': null });
+      expect(messages(errors, 'embeddings.bin')).toEqual(['missing']);
+    });
+
+    it('reports duplicate labels', () => {
+      const { errors } = validate({ 'labels.txt': 'card:01\ncard:01\n' });
+      expect(messages(errors, 'labels.txt')).toEqual(['line 2: duplicate label "card:01" (first on line 1)']);
+    });
+
+    it('reports labels without a kind', () => {
+      const { errors } = validate({ 'labels.txt': 'card:01\n02\n' });
+      expect(messages(errors, 'labels.txt')).toEqual(['line 2: label "02" is not of the form kind:name']);
+    });
+  });
+
+  describe('manifest.yaml', () => {
+    it('requires a manifest', () => {
+      const { errors } = validate({ 'manifest.yaml': null });
+      expect(messages(errors, 'manifest.yaml')).toEqual(['missing — every label kind needs a card type with a target_size']);
+    });
+
+    it('reports label kinds without a card type', () => {
+      const { errors } = validate({ 'manifest.yaml': 'card_types:\n  tile:\n    target_size:\n    - 64\n    - 64\n' });
+      expect(messages(errors, 'manifest.yaml')).toEqual(['no card type "card" (used by 2 labels)']);
+    });
+  });
+
+  describe('cards.json', () => {
+    it('reports a cards.json that does not parse', () => {
+      const { errors } = validate({ 'cards.json': '{ "card": ' });
+      expect(messages(errors, 'cards.json')).toHaveLength(1);
+      expect(messages(errors, 'cards.json')[0]).toMatch(/^could not parse cards\.json/);
+    });
+
+    it('reports labels without an entry', () => {
+      const { errors } = validate({ 'cards.json': JSON.stringify({ card: { 1: {} } }) });
+      expect(messages(errors, 'cards.json')).toEqual(['no entry for label "card:02"']);
+    });
+  });
+
+  describe('texts.json', () => {
+    it('reports a texts.json that does not parse', () => {
+      const { errors } = validate({ 'texts.json': '{ "en": {' });
+      expect(messages(errors, 'texts.json')[0]).toMatch(/^could not parse texts\.json/);
+    });
+
+    it('reports keys a language lacks', () => {
+      const { errors } = validate({ 'texts.json': JSON.stringify({ en: { title: 'Fixture', rules: 'Rules' }, de: { title: 'Fixture' } }) });
+      expect(messages(errors, 'texts.json')).toEqual(['"de" is missing 1 key(s) present in en: rules']);
+    });
+  });
+
+  describe('skipValidation', () => {
+    const skipping = (skipValidation) => JSON.stringify({ id: 'fixture', displayName: 'Fixture', skipValidation });
+
+    it('turns a skipped rule into a warning with its reason', () => {
+      const game = skipping({ 'embeddings-empty': 'no reference cards captured yet' });
+      const { errors, warnings } = validate({ 'game.json': game, 'embeddings.bin': Buffer.alloc(0) });
+      expect(errors).toEqual([]);
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0].file).toBe('embeddings.bin');
+      expect(warnings[0].message).toMatch(/^is empty .* \(skipped: no reference cards captured yet\)$/);
+    });
+
+    it('still reports the other findings of the same file', () => {
+      const game = skipping({ 'embeddings-empty': 'no reference cards captured yet' });
+      const { errors } = validate({ 'game.json': game, 'embeddings.bin': null, 'manifest.yaml': null });
+      expect(messages(errors, 'embeddings.bin')).toEqual(['missing']);
+      expect(messages(errors, 'manifest.yaml')[0]).toMatch(/^missing/);
+    });
+
+    it('warns about a skipped rule the pack no longer breaks', () => {
+      const { errors, warnings } = validate({ 'game.json': skipping({ 'embeddings-empty': 'no reference cards captured yet' }) });
+      expect(errors).toEqual([]);
+      expect(warnings).toEqual([{ file: 'game.json', message: 'skipValidation: "embeddings-empty" is no longer needed — remove it' }]);
+    });
+
+    it('rejects a list of files', () => {
+      expect(messages(validate({ 'game.json': skipping(['embeddings.bin']) }).errors, 'game.json'))
+        .toEqual(['skipValidation must map rule names to the reason for skipping them']);
+    });
+
+    it('rejects unknown rules and rules without a reason', () => {
+      const { errors } = validate({ 'game.json': skipping({ 'manifest.yaml': 'later', 'embeddings-empty': ' ' }), 'embeddings.bin': Buffer.alloc(0) });
+      expect(messages(errors, 'game.json')).toEqual([
+        'skipValidation: "manifest.yaml" is not a rule validate can skip (embeddings-empty)',
+        'skipValidation: "embeddings-empty" needs the reason it is skipped',
+      ]);
+      expect(messages(errors, 'embeddings.bin')[0]).toMatch(/^is empty/);
+    });
+  });
+});
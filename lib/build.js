@@ -0,0 +1,90 @@
+/**
+ * Scorer compilation shared by the bgb commands.
+ *
+ * Uses the same esbuild options as `npm run build` and the release
+ * workflow, so the scorer.js produced here is the bundle the app runs.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/** esbuild options used for every scorer bundle. */
+const SCORER_BUILD_OPTIONS = {
+  bundle: true,
+  platform: 'node',
+  target: 'es2017',
+  format: 'cjs',
+  logLevel: 'silent',
+};
+
+/** `file:line:column: text` of an esbuild message. */
+function formatMessage(message) {
+  const loc = message.location;
+  return loc ? `${loc.file}:${loc.line}:${loc.column}: ${message.text}` : message.text;
+}
+
+/**
+ * Compiles `<packDir>/scorer.ts` to `<packDir>/scorer.js`.
+ *
+ * @returns The path of the written scorer.js, or null when the pack has no
+ *          scorer.ts.
+ * @throws  When esbuild reports errors; the message lists them.
+ */
+function buildScorer(packDir) {
+  const entry = path.join(packDir, 'scorer.ts');
+  if (!fs.existsSync(entry)) return null;
+  const outfile = path.join(packDir, 'scorer.js');
+  const esbuild = require('esbuild');
+  try {
+    esbuild.buildSync({ ...SCORER_BUILD_OPTIONS, entryPoints: [entry], outfile });
+  } catch (err) {
+    const lines = (err.errors || []).map(formatMessage);
+    throw new Error(lines.length > 0 ? lines.join('\n') : err.message);
+  }
+  return outfile;
+}
+
+/**
+ * Rebuilds `<packDir>/scorer.js` whenever a file of the scorer's import graph
+ * changes: scorer.ts and everything it bundles (cards.json, game.json, the
+ * API package), plus texts.json, which the app injects instead of bundling.
+ * esbuild keeps the previous build in memory, so a rebuild only re-reads
+ * what changed. The first build runs right away.
+ *
+ * @param onBuild Called after every build with esbuild's error messages,
+ *                `[{ text, location: { file, line, column, lineText } }]`
+ *                with `file` relative to the pack; empty on success.
+ * @returns A promise of the esbuild context; `dispose()` stops watching.
+ */
+async function watchScorer(packDir, onBuild) {
+  const esbuild = require('esbuild');
+  const entry = path.join(packDir, 'scorer.ts');
+  const textsPath = path.join(packDir, 'texts.json');
+  const packFiles = {
+    name: 'bgb-pack-files',
+    setup(build) {
+      build.onLoad({ filter: /[\\/]scorer\.ts$/ }, (args) => {
+        if (args.path !== entry) return undefined;
+        return {
+          contents: fs.readFileSync(entry, 'utf8'),
+          loader: 'ts',
+          watchFiles: fs.existsSync(textsPath) ? [textsPath] : [],
+        };
+      });
+      build.onEnd(result => onBuild(result.errors));
+    },
+  };
+  const context = await esbuild.context({
+    ...SCORER_BUILD_OPTIONS,
+    absWorkingDir: packDir,
+    entryPoints: [entry],
+    outfile: path.join(packDir, 'scorer.js'),
+    plugins: [packFiles],
+  });
+  await context.watch();
+  return context;
+}
+
+module.exports = { SCORER_BUILD_OPTIONS, formatMessage, buildScorer, watchScorer };
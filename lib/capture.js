@@ -0,0 +1,263 @@
+/**
+ * Capture sessions of `bgb receive-embeddings`.
+ *
+ * The app's capture mode uploads reference vectors as an embeddings.bin and,
+ * separately, a labels.txt for them. Each embeddings.bin upload is a batch
+ * that carries numbered placeholder labels (`<packId>:001`, …) until a
+ * labels.txt with as many lines arrives — before or after it — or until the
+ * labels are assigned on the labelling page.
+ *
+ * A session replaces the pack's references with its latest batch or, with
+ * `merge`, folds every batch into the references the pack already had: a
+ * label captured again gets its new vector in place, a new label is
+ * appended. embeddings.bin and labels.txt are copied to `backups/<time>/`
+ * before every rewrite.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  EMBEDDING_DIM,
+  decodeEmbeddings,
+  encodeEmbeddings,
+  parseLabels,
+  readEmbeddings,
+  readLabels,
+  readManifest,
+  readOptionalJson,
+} = require('./pack-files');
+const { cosineSimilarity } = require('./embeddings');
+
+/** Pack subdirectory of the backups; release zips leave it out (see PACK_EXCLUDES). */
+const BACKUP_DIR = 'backups';
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+/**
+ * Copies the pack's embeddings.bin and labels.txt to
+ * `backups/<ISO time with dashes for colons>/`.
+ * @returns The backup directory, or null when the pack has neither file.
+ */
+function backupReferences(packDir, date = new Date()) {
+  const files = ['embeddings.bin', 'labels.txt'].filter(f => fs.existsSync(path.join(packDir, f)));
+  if (files.length === 0) return null;
+  const dir = path.join(packDir, BACKUP_DIR, date.toISOString().replace(/:/g, '-'));
+  fs.mkdirSync(dir, { recursive: true });
+  for (const f of files) fs.copyFileSync(path.join(packDir, f), path.join(dir, f));
+  return dir;
+}
+
+/**
+ * Folds a batch into a set of references: a label already present gets the
+ * batch's vector in place, any other label is appended, so a label the
+ * batch lists twice keeps its last vector.
+ * @returns `{ rows, labels }`; neither input is changed.
+ */
+function mergeReferences(base, batch) {
+  const rows = [...base.rows];
+  const labels = [...base.labels];
+  batch.labels.forEach((label, i) => {
+    const at = labels.indexOf(label);
+    if (at >= 0) {
+      rows[at] = batch.rows[i];
+    } else {
+      labels.push(label);
+      rows.push(batch.rows[i]);
+    }
+  });
+  return { rows, labels };
+}
+
+/**
+ * The labels a received vector may be given: those of `labels`, a
+ * `<kind>:<name>` for every `ref/<kind>/<name>.<ext>` image, and the cards
+ * of cards.json — `<kind>:<key>` for a file keyed by kind (numbers padded
+ * like the pack's other labels of that kind), `<kind>:<id>` per
+ * manifest.yaml card type for a card list.
+ *
+ * @returns `[{ label, image? }]` sorted by label, `image` being the path below ref/.
+ */
+function labelCandidates(packDir, labels = readLabels(packDir)) {
+  const candidates = new Map();
+  const add = (label, image) => {
+    const known = candidates.get(label);
+    if (!known || (image && !known.image)) candidates.set(label, image ? { label, image } : { label });
+  };
+  for (const label of labels) add(label);
+
+  const refDir = path.join(packDir, 'ref');
+  if (fs.existsSync(refDir)) {
+    for (const kind of fs.readdirSync(refDir, { withFileTypes: true }).filter(e => e.isDirectory())) {
+      for (const file of fs.readdirSync(path.join(refDir, kind.name))) {
+        const ext = path.extname(file).toLowerCase();
+        if (IMAGE_EXTENSIONS.includes(ext)) add(`${kind.name}:${path.basename(file, path.extname(file))}`, `${kind.name}/${file}`);
+      }
+    }
+  }
+
+  let cards = null;
+  try {
+    cards = readOptionalJson(packDir, 'cards.json');
+  } catch {
+    // `bgb validate` reports a broken cards.json; the other candidates still help.
+  }
+  if (cards && Array.isArray(cards.cards)) {
+    const kinds = Object.keys(readManifest(packDir) || {});
+    for (const kind of kinds) for (const card of cards.cards) if (card && card.id) add(`${kind}:${card.id}`);
+  } else if (cards) {
+    for (const [kind, byKey] of Object.entries(cards)) {
+      if (typeof byKey !== 'object' || byKey === null || Array.isArray(byKey)) continue;
+      const numbers = [...candidates.keys()].filter(l => l.startsWith(`${kind}:`)).map(l => l.slice(kind.length + 1)).filter(n => /^\d+$/.test(n));
+      const width = Math.max(1, ...numbers.map(n => n.length));
+      for (const key of Object.keys(byKey)) add(`${kind}:${/^\d+$/.test(key) ? key.padStart(width, '0') : key}`);
+    }
+  }
+  return [...candidates.values()].sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Starts a capture session for a pack.
+ *
+ * @param packDir     Pack directory.
+ * @param opts.packId game.json id, the prefix of placeholder labels.
+ * @param opts.dim    Float32 values per vector (default EMBEDDING_DIM).
+ * @param opts.merge  Merge the batches into the pack's references instead of replacing them.
+ * @returns A session: `{ dim, merge, receiveEmbeddings(buffer), receiveLabels(text),
+ *          receivedRows(), assignLabels(labels), candidates() }`.
+ * @throws  With `merge`, when the pack's embeddings.bin is not one `dim`-value
+ *          vector per labels.txt line.
+ */
+function createCaptureSession(packDir, opts = {}) {
+  const dim = opts.dim ?? EMBEDDING_DIM;
+  const packId = opts.packId;
+  const merge = opts.merge === true;
+  const isPlaceholder = label => label.startsWith(`${packId}:`) && /^\d+$/.test(label.slice(packId.length + 1));
+
+  // The references the pack had before the session: the base of a merge,
+  // and where a received vector's suggested label comes from.
+  const existing = readEmbeddings(packDir, dim);
+  const existingLabels = readLabels(packDir);
+  const whole = existing !== null && existing.byteLength % (dim * 4) === 0 && existing.rows.length === existingLabels.length;
+  if (merge && existing && existing.byteLength > 0 && !whole) {
+    throw new Error(`embeddings.bin (${existing.byteLength} bytes) is not one ${dim}-value vector per labels.txt line — ` +
+      'check --dim, or repair the pack with `bgb embeddings` before merging into it');
+  }
+  const before = whole ? { rows: existing.rows, labels: existingLabels } : { rows: [], labels: [] };
+  const base = merge ? before : { rows: [], labels: [] };
+
+  let batches = [];
+  let pendingLabels = null;
+  let placeholders = merge ? Math.max(0, ...base.labels.filter(isPlaceholder).map(l => parseInt(l.slice(packId.length + 1), 10))) : 0;
+
+  function write() {
+    const { rows, labels } = batches.reduce(mergeReferences, base);
+    const backup = backupReferences(packDir);
+    fs.writeFileSync(path.join(packDir, 'embeddings.bin'), encodeEmbeddings(rows));
+    fs.writeFileSync(path.join(packDir, 'labels.txt'), labels.join('\n') + '\n');
+    return { backup, total: rows.length, placeholders: labels.filter(isPlaceholder).length };
+  }
+
+  /**
+   * Takes an uploaded embeddings.bin as a new batch and rewrites the pack.
+   * @returns `{ count, labelled, unusable, backup, total, placeholders }`:
+   *          `labelled` when a labels.txt sent before it fitted, `unusable`
+   *          the all-zero and NaN rows, `total` the vectors the pack now has.
+   * @throws  When the upload is empty or not whole `dim`-value vectors.
+   */
+  function receiveEmbeddings(buffer) {
+    if (buffer.length === 0) throw new Error('embeddings.bin is empty');
+    if (buffer.length % (dim * 4) !== 0) {
+      throw new Error(`embeddings.bin has ${buffer.length} bytes, which is not a whole number of ${dim}-value float32 vectors (${dim * 4} bytes each)`);
+    }
+    const { rows } = decodeEmbeddings(buffer, dim);
+    if (!merge) {
+      batches = [];
+      placeholders = 0;
+    }
+    const labelled = pendingLabels !== null && pendingLabels.length === rows.length;
+    const labels = labelled
+      ? pendingLabels
+      : rows.map(() => `${packId}:${String(++placeholders).padStart(3, '0')}`);
+    pendingLabels = null;
+    batches.push({ rows, labels });
+    const unusable = rows.filter(row => !row.every(Number.isFinite) || row.every(v => v === 0)).length;
+    return { count: rows.length, labelled, unusable, ...write() };
+  }
+
+  /**
+   * Takes an uploaded labels.txt: it labels the latest batch that still has
+   * placeholders and as many vectors, or else waits for the next embeddings.bin.
+   * @returns `{ count, applied }`, plus write()'s summary when applied.
+   * @throws  When the upload has no labels.
+   */
+  function receiveLabels(text) {
+    const labels = parseLabels(text);
+    if (labels.length === 0) throw new Error('labels.txt is empty');
+    const batch = [...batches].reverse().find(b => b.labels.every(isPlaceholder) && b.rows.length === labels.length);
+    if (!batch) {
+      pendingLabels = labels;
+      return { count: labels.length, applied: false };
+    }
+    batch.labels = labels;
+    return { count: labels.length, applied: true, ...write() };
+  }
+
+  /**
+   * The vectors received in this session, in upload order, for the
+   * labelling page: `[{ label, placeholder, suggestion }]`, `suggestion`
+   * being the pack's earlier reference the vector is most similar to
+   * (`{ label, similarity }`), or null.
+   */
+  function receivedRows() {
+    return batches.flatMap(b => b.rows.map((row, i) => {
+      let suggestion = null;
+      before.rows.forEach((ref, j) => {
+        if (isPlaceholder(before.labels[j])) return;
+        const similarity = cosineSimilarity(row, ref);
+        if (!suggestion || similarity > suggestion.similarity) suggestion = { label: before.labels[j], similarity };
+      });
+      return { label: b.labels[i], placeholder: isPlaceholder(b.labels[i]), suggestion };
+    }));
+  }
+
+  /**
+   * Relabels the received vectors (one label each, in receivedRows() order)
+   * and rewrites the pack.
+   * @throws When the count does not match, a label is empty or has spaces,
+   *         or two vectors are given the same label.
+   */
+  function assignLabels(labels) {
+    const count = batches.reduce((sum, b) => sum + b.rows.length, 0);
+    if (!Array.isArray(labels) || labels.length !== count) throw new Error(`expected ${count} labels`);
+    const bad = labels.find(l => typeof l !== 'string' || !/^\S+$/.test(l));
+    if (bad !== undefined) throw new Error(`invalid label ${JSON.stringify(bad)}`);
+    const duplicate = labels.find((l, i) => labels.indexOf(l) !== i);
+    if (duplicate !== undefined) throw new Error(`duplicate label "${duplicate}"`);
+    let at = 0;
+    for (const b of batches) {
+      b.labels = labels.slice(at, at + b.rows.length);
+      at += b.rows.length;
+    }
+    return write();
+  }
+
+  return {
+    dim,
+    merge,
+    receiveEmbeddings,
+    receiveLabels,
+    receivedRows,
+    assignLabels,
+    candidates: () => labelCandidates(packDir, before.labels.filter(l => !isPlaceholder(l))),
+  };
+}
+
+module.exports = {
+  BACKUP_DIR,
+  backupReferences,
+  mergeReferences,
+  labelCandidates,
+  createCaptureSession,
+};
@@ -0,0 +1,214 @@
+/**
+ * Health of a pack's reference embeddings.
+ *
+ * The app recognises a card by the cosine similarity between what the camera
+ * sees and each reference vector of embeddings.bin, so two references that
+ * point almost the same way are two cards it will mix up at the table.
+ * analyseEmbeddings() pairs embeddings.bin with labels.txt and reports those
+ * pairs together with rows that can never match (all zeros, NaN) and labels
+ * listed twice; diffEmbeddings() compares two captures of the same pack.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { EMBEDDING_DIM, decodeEmbeddings, parseLabels, readEmbeddings, readLabels } = require('./pack-files');
+
+/** Cosine similarity from which two reference cards count as confusable. */
+const CONFUSABLE_SIMILARITY = 0.9;
+
+function vectorNorm(row) {
+  let sum = 0;
+  for (const v of row) sum += v * v;
+  return Math.sqrt(sum);
+}
+
+/** Cosine similarity of two vectors; 0 when either has no length. */
+function cosineSimilarity(a, b) {
+  const norms = vectorNorm(a) * vectorNorm(b);
+  if (!(norms > 0)) return 0;
+  let dot = 0;
+  for (let k = 0; k < a.length; k++) dot += a[k] * b[k];
+  return dot / norms;
+}
+
+/** The label of row `i`, or `#<n>` for a row labels.txt has no line for. */
+function rowLabel(labels, i) {
+  return labels[i] ?? `#${i + 1}`;
+}
+
+/** Rows that can take part in a comparison: finite values and a length. */
+function usableRows(rows) {
+  return rows.map((row, i) => i).filter(i => rows[i].every(Number.isFinite) && vectorNorm(rows[i]) > 0);
+}
+
+/**
+ * Every pair of usable rows with a cosine similarity of at least `threshold`,
+ * most similar first.
+ * @returns `[{ a, b, similarity }]` with row indices `a < b`.
+ */
+function similarPairs(rows, threshold) {
+  const usable = usableRows(rows);
+  const pairs = [];
+  for (const [n, a] of usable.entries()) {
+    for (const b of usable.slice(n + 1)) {
+      const similarity = cosineSimilarity(rows[a], rows[b]);
+      if (similarity >= threshold) pairs.push({ a, b, similarity });
+    }
+  }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+/**
+ * Analyses a set of reference embeddings.
+ *
+ * @param set            `{ byteLength, dim, rows, labels }`: decoded
+ *                       embeddings.bin and the lines of labels.txt.
+ * @param opts.threshold Cosine similarity from which a pair is confusable
+ *                       (default CONFUSABLE_SIMILARITY).
+ * @returns `{ count, dim, partialBytes, labelCount, norms: { min, mean, max },
+ *          zeroRows, nanRows, duplicateLabels: [{ label, rows }],
+ *          confusable: [{ a, b, similarity }], closest }` — rows as labels,
+ *          `closest` being the most similar pair whether confusable or not.
+ */
+function analyseEmbeddingSet(set, opts = {}) {
+  const threshold = opts.threshold ?? CONFUSABLE_SIMILARITY;
+  const { rows, labels } = set;
+  const label = i => rowLabel(labels, i);
+
+  const nanRows = rows.map((row, i) => i).filter(i => !rows[i].every(Number.isFinite));
+  const norms = rows.map(vectorNorm).filter(Number.isFinite);
+  const zeroRows = rows.map((row, i) => i).filter(i => !nanRows.includes(i) && vectorNorm(rows[i]) === 0);
+
+  const seen = new Map();
+  labels.forEach((l, i) => seen.set(l, [...(seen.get(l) ?? []), i]));
+  const duplicateLabels = [...seen].filter(([, at]) => at.length > 1).map(([l, at]) => ({ label: l, rows: at.map(i => i + 1) }));
+
+  const pairs = similarPairs(rows, -1).map(p => ({ a: label(p.a), b: label(p.b), similarity: p.similarity }));
+
+  return {
+    count: rows.length,
+    dim: set.dim,
+    partialBytes: set.byteLength % (set.dim * 4),
+    labelCount: labels.length,
+    norms: norms.length === 0 ? null : {
+      min: Math.min(...norms),
+      mean: norms.reduce((sum, n) => sum + n, 0) / norms.length,
+      max: Math.max(...norms),
+    },
+    zeroRows: zeroRows.map(label),
+    nanRows: nanRows.map(label),
+    duplicateLabels,
+    confusable: pairs.filter(p => p.similarity >= threshold),
+    closest: pairs[0] ?? null,
+  };
+}
+
+/**
+ * What makes an analysed set unusable for the app: a partial vector, a row
+ * count that does not match labels.txt, rows that can never match and
+ * labels listed twice. Confusable pairs are a warning, not an error.
+ *
+ * @param report An analyseEmbeddingSet() result.
+ * @returns One message per problem; empty when the set is usable.
+ */
+function embeddingErrors(report) {
+  const errors = [];
+  if (report.partialBytes) errors.push(`ends in ${report.partialBytes} bytes that are not a whole ${report.dim}-value vector`);
+  if (report.count !== report.labelCount) errors.push(`${report.count} embeddings but labels.txt has ${report.labelCount} labels`);
+  if (report.zeroRows.length > 0) errors.push(`${report.zeroRows.length} all-zero row(s) match no card: ${report.zeroRows.join(', ')}`);
+  if (report.nanRows.length > 0) errors.push(`${report.nanRows.length} row(s) with NaN or infinite values: ${report.nanRows.join(', ')}`);
+  for (const d of report.duplicateLabels) errors.push(`label "${d.label}" is on lines ${d.rows.join(', ')} of labels.txt`);
+  return errors;
+}
+
+/**
+ * Analyses `<packDir>/embeddings.bin` with the pack's labels.txt.
+ *
+ * @param opts.dim       Float32 values per vector (default EMBEDDING_DIM).
+ * @param opts.threshold See analyseEmbeddingSet().
+ * @returns The analysis, or null when the pack has no embeddings.bin.
+ */
+function analyseEmbeddings(packDir, opts = {}) {
+  const set = readEmbeddingSet(packDir, opts);
+  return set && analyseEmbeddingSet(set, opts);
+}
+
+/**
+ * Reads embeddings and their labels from a pack directory, or from a single
+ * .bin file, e.g. an older embeddings.bin taken from git.
+ *
+ * @param where       Pack directory or .bin file.
+ * @param opts.dim    Float32 values per vector (default EMBEDDING_DIM).
+ * @param opts.labels labels.txt to use for a .bin file (default: none, so
+ *                    rows are matched by position).
+ * @returns `{ byteLength, dim, rows, labels }`, or null when there is no file.
+ */
+function readEmbeddingSet(where, opts = {}) {
+  const dim = opts.dim ?? EMBEDDING_DIM;
+  if (fs.existsSync(where) && fs.statSync(where).isDirectory()) {
+    const set = readEmbeddings(where, dim);
+    return set && { ...set, labels: readLabels(where) };
+  }
+  if (!fs.existsSync(where)) return null;
+  const set = decodeEmbeddings(fs.readFileSync(where), dim);
+  const labels = opts.labels ? parseLabels(fs.readFileSync(opts.labels, 'utf8')) : [];
+  return { ...set, labels };
+}
+
+/**
+ * Compares two captures of a pack's embeddings card by card.
+ *
+ * Rows are matched by label; a set without labels is matched by position
+ * against the other set's labels.
+ *
+ * @param before / after `{ rows, labels }` as readEmbeddingSet() returns them.
+ * @param opts.threshold See analyseEmbeddingSet().
+ * @returns `{ added, removed, moved: [{ label, similarity }], newlyConfusable,
+ *          noLongerConfusable: [{ a, b, before, after }] }`. `moved` lists
+ *          every card whose vector changed, least similar to its old vector
+ *          first.
+ */
+function diffEmbeddings(before, after, opts = {}) {
+  const threshold = opts.threshold ?? CONFUSABLE_SIMILARITY;
+  const labelsOf = (set, other) => set.rows.map((row, i) => set.labels[i] ?? other.labels[i] ?? `#${i + 1}`);
+  const vectors = (set, other) => {
+    const map = new Map();
+    labelsOf(set, other).forEach((l, i) => { if (!map.has(l)) map.set(l, set.rows[i]); });
+    return map;
+  };
+  const old = vectors(before, after);
+  const now = vectors(after, before);
+
+  const added = [...now.keys()].filter(l => !old.has(l));
+  const removed = [...old.keys()].filter(l => !now.has(l));
+  const moved = [...now.keys()].filter(l => old.has(l))
+    .map(l => ({ label: l, similarity: cosineSimilarity(old.get(l), now.get(l)) }))
+    .filter(m => m.similarity < 1 - 1e-6)
+    .sort((x, y) => x.similarity - y.similarity);
+
+  const similarityIn = (map, a, b) => (map.has(a) && map.has(b) ? cosineSimilarity(map.get(a), map.get(b)) : null);
+  const confusableIn = (map) => {
+    const labels = [...map.keys()];
+    return similarPairs(labels.map(l => map.get(l)), threshold).map(p => [labels[p.a], labels[p.b]]);
+  };
+  const newlyConfusable = confusableIn(now)
+    .map(([a, b]) => ({ a, b, before: similarityIn(old, a, b), after: similarityIn(now, a, b) }))
+    .filter(p => p.before === null || p.before < threshold);
+  const noLongerConfusable = confusableIn(old)
+    .map(([a, b]) => ({ a, b, before: similarityIn(old, a, b), after: similarityIn(now, a, b) }))
+    .filter(p => p.after !== null && p.after < threshold);
+
+  return { added, removed, moved, newlyConfusable, noLongerConfusable };
+}
+
+module.exports = {
+  CONFUSABLE_SIMILARITY,
+  cosineSimilarity,
+  similarPairs,
+  analyseEmbeddingSet,
+  embeddingErrors,
+  analyseEmbeddings,
+  readEmbeddingSet,
+  diffEmbeddings,
+};
@@ -0,0 +1,153 @@
+/**
+ * texts.json coverage of a pack's scorer.
+ *
+ * checkI18n() collects the keys scorer.ts looks up — the keys of its `t('…')`
+ * calls, and every other `'section.key'` string of a section texts.json has,
+ * such as the `{ key: '…' }` texts it hands to localisedDetail() — and
+ * compares them with every language of texts.json. A key built at runtime,
+ * `t(`suits.${suit}`)`, is known only by its prefix: it marks every key
+ * below the prefix as used, but cannot be reported as missing.
+ *
+ * It also checks each text on its own: a plural may only use CLDR plural
+ * categories and needs `other`, and every language must offer the same
+ * placeholders as the first language of texts.json, the `%s`/`%d` ones in
+ * the same order since the translator fills them by position.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readOptionalJson, PLURAL_CATEGORIES, isPluralText } = require('./pack-files');
+
+/**
+ * texts.json sections a scorer does not look up by key.
+ * `numbers` maps spoken number words to digits for the app's voice input.
+ */
+const UNCHECKED_SECTIONS = ['numbers'];
+
+/**
+ * Key prefixes the API looks up on a pack's behalf. scoreTableau() words
+ * its explanations with `rules.*` keys and rankPlayers() its places with
+ * `ranking.*` keys; each has a default.
+ */
+const API_PREFIXES = [
+  { uses: /\bscoreTableau\b/, prefix: 'rules.' },
+  { uses: /\brankPlayers\b/, prefix: 'ranking.' },
+];
+
+const TRANSLATE_CALL = /\bt\(\s*(['"`])([\w.-]+)\1/g;
+const DOTTED_STRING = /(['"`])([a-z]\w*\.[\w.-]+)\1/g;
+const TEMPLATE_KEY = /\b(?:t\(\s*|key:\s*)`([\w.-]*)\$\{/g;
+
+const NAMED_PLACEHOLDER = /\{(\w+)\}/g;
+const POSITIONAL_PLACEHOLDER = /%\+?[sd]/g;
+
+/**
+ * Finds the texts.json keys a scorer source looks up.
+ * @param sections  Top-level texts.json sections; other dotted strings
+ *                  (`'./cards.json'`) are not keys unless passed to t().
+ * @returns `{ keys, prefixes }`: literal keys and the prefixes of keys built at runtime.
+ */
+function scanScorerKeys(source, sections = []) {
+  const keys = new Set();
+  const prefixes = new Set();
+  for (const m of source.matchAll(TRANSLATE_CALL)) keys.add(m[2]);
+  for (const m of source.matchAll(DOTTED_STRING)) if (sections.includes(m[2].split('.')[0])) keys.add(m[2]);
+  for (const m of source.matchAll(TEMPLATE_KEY)) if (m[1]) prefixes.add(m[1]);
+  for (const { uses, prefix } of API_PREFIXES) if (uses.test(source)) prefixes.add(prefix);
+  return { keys: [...keys].sort(), prefixes: [...prefixes].sort() };
+}
+
+/**
+ * Collects the texts of one language block of texts.json by key, a plural
+ * as one text. An object of strings whose keys are mostly plural categories
+ * is meant as a plural (`numbers` with `one`, `two`, `three`… is not); when
+ * it is not a valid one it is still one text, reported in `invalid`.
+ * UNCHECKED_SECTIONS are left out.
+ *
+ * @returns `{ texts: { key: string | plural }, invalid: ['key: why'] }`.
+ */
+function collectTexts(obj, prefix = '', out = { texts: {}, invalid: [] }) {
+  for (const k of Object.keys(obj)) {
+    if (!prefix && UNCHECKED_SECTIONS.includes(k)) continue;
+    const key = prefix ? `${prefix}.${k}` : k;
+    const value = obj[k];
+    if (typeof value !== 'object' || value === null || Array.isArray(value) || isPluralText(value)) {
+      out.texts[key] = value;
+      continue;
+    }
+    const forms = Object.keys(value);
+    const unknown = forms.filter(f => !PLURAL_CATEGORIES.includes(f));
+    if (unknown.length * 2 <= forms.length && forms.every(f => typeof value[f] === 'string')) {
+      if (unknown.length > 0) out.invalid.push(`${key}: ${unknown.map(f => `"${f}"`).join(', ')} is not a plural category (${PLURAL_CATEGORIES.join(', ')})`);
+      if (!forms.includes('other')) out.invalid.push(`${key}: plural has no "other" form`);
+      out.texts[key] = value;
+      continue;
+    }
+    collectTexts(value, key, out);
+  }
+  return out;
+}
+
+/**
+ * The placeholders of a text, e.g. `%s, %d, {player}`: the positional ones
+ * in order (of the `other` form of a plural), then the named ones of all forms.
+ */
+function placeholdersOf(text) {
+  const forms = typeof text === 'object' && text !== null ? Object.values(text).map(String) : [String(text)];
+  const other = typeof text === 'object' && text !== null ? String(text.other ?? '') : String(text);
+  const named = new Set(forms.flatMap(form => [...form.matchAll(NAMED_PLACEHOLDER)].map(m => `{${m[1]}}`)));
+  return [...(other.match(POSITIONAL_PLACEHOLDER) ?? []), ...[...named].sort()].join(', ');
+}
+
+/**
+ * Compares the keys scorer.ts looks up with each language of texts.json.
+ *
+ * A regional variant (`de-AT` next to `de`) falls back to its language, so
+ * nothing is missing from it.
+ *
+ * @param packDir  Pack directory (holds scorer.ts).
+ * @returns `{ keys, prefixes, languages: [{ lang, missing, unused, invalid }] }`,
+ *          or null when the pack has no texts.json. `invalid` lists broken
+ *          plurals and placeholders that differ from the first language.
+ * @throws  When scorer.ts is missing or texts.json cannot be parsed.
+ */
+function checkI18n(packDir) {
+  const scorerPath = path.join(packDir, 'scorer.ts');
+  if (!fs.existsSync(scorerPath)) throw new Error('no scorer.ts');
+  const texts = readOptionalJson(packDir, 'texts.json');
+  if (!texts) return null;
+
+  const langs = Object.keys(texts);
+  const sections = [...new Set(langs.flatMap(lang => Object.keys(texts[lang] || {})))];
+  const { keys, prefixes } = scanScorerKeys(fs.readFileSync(scorerPath, 'utf8'), sections);
+  const isChecked = key => !UNCHECKED_SECTIONS.some(s => key.startsWith(`${s}.`));
+  const isUsed = key => keys.includes(key) || prefixes.some(p => key.startsWith(p));
+
+  const collected = Object.fromEntries(langs.map(lang => [lang, collectTexts(texts[lang] || {})]));
+  const reference = langs[0];
+  const languages = langs.map(lang => {
+    const { texts: own, invalid } = collected[lang];
+    const ownKeys = Object.keys(own);
+    const base = lang.split('-')[0];
+    const isVariant = base !== lang && langs.includes(base);
+    if (lang !== reference) {
+      const referenceTexts = collected[reference].texts;
+      for (const key of ownKeys.filter(k => k in referenceTexts)) {
+        const mine = placeholdersOf(own[key]);
+        const theirs = placeholdersOf(referenceTexts[key]);
+        if (mine !== theirs) invalid.push(`${key}: placeholders ${mine || 'none'} differ from "${reference}" (${theirs || 'none'})`);
+      }
+    }
+    return {
+      lang,
+      missing: isVariant ? [] : keys.filter(key => isChecked(key) && !ownKeys.includes(key)),
+      unused: ownKeys.filter(key => !isUsed(key)).sort(),
+      invalid,
+    };
+  });
+  return { keys, prefixes, languages };
+}
+
+module.exports = { UNCHECKED_SECTIONS, scanScorerKeys, checkI18n };
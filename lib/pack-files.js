@@ -0,0 +1,240 @@
+/**
+ * Readers for the files that make up a game pack.
+ *
+ * Shared by the bgb CLI commands so that every command interprets
+ * labels.txt, embeddings.bin, manifest.yaml and texts.json the same way
+ * the app does.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Number of float32 values per reference embedding in embeddings.bin.
+ * The file is a flat little-endian float32 array: N × EMBEDDING_DIM values.
+ */
+const EMBEDDING_DIM = 128;
+
+/** Reads and parses game.json. Throws with a readable message on failure. */
+function readGameJson(packDir) {
+  const gameJsonPath = path.join(packDir, 'game.json');
+  try {
+    return JSON.parse(fs.readFileSync(gameJsonPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`could not parse game.json — ${err.message}`);
+  }
+}
+
+/**
+ * Reads a JSON file from the pack directory.
+ * Returns null when the file does not exist; throws when it cannot be parsed.
+ */
+function readOptionalJson(packDir, fileName) {
+  const filePath = path.join(packDir, fileName);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`could not parse ${fileName} — ${err.message}`);
+  }
+}
+
+/** Returns the non-empty, trimmed lines of labels.txt (empty array if missing). */
+function readLabels(packDir) {
+  const labelsPath = path.join(packDir, 'labels.txt');
+  if (!fs.existsSync(labelsPath)) return [];
+  return parseLabels(fs.readFileSync(labelsPath, 'utf8'));
+}
+
+/** Splits labels.txt content into its non-empty, trimmed lines. */
+function parseLabels(text) {
+  return text.split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+/**
+ * Minimal parser for the fixed manifest.yaml shape:
+ *   card_types:
+ *     {kind}:
+ *       target_size:
+ *       - {w}
+ *       - {h}
+ *
+ * Returns `{ kind: [w, h] }`. Kinds without a complete target_size are
+ * still listed, with an empty dimension array.
+ */
+function parseManifestYaml(text) {
+  const result = {};
+  let currentType = null, inSize = false;
+  for (const raw of text.split('\n')) {
+    const line = raw.trimEnd();
+    const indent = line.search(/\S/);
+    if (indent === -1) continue;
+    const content = line.trim();
+    if (indent === 2 && content.endsWith(':')) {
+      currentType = content.slice(0, -1); inSize = false;
+      result[currentType] = [];
+    } else if (indent === 4 && content === 'target_size:') {
+      inSize = true;
+    } else if (inSize && currentType && content.startsWith('- ')) {
+      result[currentType].push(parseInt(content.slice(2), 10));
+    }
+  }
+  return result;
+}
+
+/** Reads manifest.yaml, or returns null when the pack has none. */
+function readManifest(packDir) {
+  const manifestPath = path.join(packDir, 'manifest.yaml');
+  if (!fs.existsSync(manifestPath)) return null;
+  return parseManifestYaml(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Reads embeddings.bin as a list of Float32Array rows.
+ *
+ * @returns `{ byteLength, dim, rows }`, or null when the file is missing.
+ *          `rows` only contains complete vectors; a trailing partial vector
+ *          shows up as `byteLength % (dim * 4) !== 0`.
+ */
+function readEmbeddings(packDir, dim = EMBEDDING_DIM) {
+  const binPath = path.join(packDir, 'embeddings.bin');
+  if (!fs.existsSync(binPath)) return null;
+  return decodeEmbeddings(fs.readFileSync(binPath), dim);
+}
+
+/** Splits the contents of an embeddings.bin file into rows, as readEmbeddings() does. */
+function decodeEmbeddings(buf, dim = EMBEDDING_DIM) {
+  const rowBytes = dim * 4;
+  const count = Math.floor(buf.length / rowBytes);
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const row = new Float32Array(dim);
+    for (let j = 0; j < dim; j++) row[j] = buf.readFloatLE(i * rowBytes + j * 4);
+    rows.push(row);
+  }
+  return { byteLength: buf.length, dim, rows };
+}
+
+/** Joins Float32Array rows into embeddings.bin content (little-endian float32). */
+function encodeEmbeddings(rows) {
+  const dim = rows.length > 0 ? rows[0].length : 0;
+  const buf = Buffer.alloc(rows.length * dim * 4);
+  rows.forEach((row, i) => row.forEach((v, j) => buf.writeFloatLE(v, (i * dim + j) * 4)));
+  return buf;
+}
+
+/**
+ * Flattens one language block of texts.json into `"section.key"` strings,
+ * the way the translator looks them up. Plurals become one string per
+ * category (`"key.one"`, `"key.other"`).
+ */
+function flattenTexts(obj, prefix = '', out = {}) {
+  for (const k of Object.keys(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (typeof obj[k] === 'object' && obj[k] !== null && !Array.isArray(obj[k])) {
+      flattenTexts(obj[k], key, out);
+    } else {
+      out[key] = String(obj[k]);
+    }
+  }
+  return out;
+}
+
+/** CLDR plural categories, as in the API's PLURAL_CATEGORIES. */
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/** True for a texts.json plural: an object of plural categories that has `other`. */
+function isPluralText(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    typeof value.other === 'string' && Object.keys(value).every(k => PLURAL_CATEGORIES.includes(k));
+}
+
+/**
+ * Lists the `"section.key"` keys of one language block of texts.json.
+ * A plural is one key, so languages may use different plural categories.
+ */
+function textKeys(obj, prefix = '', out = []) {
+  for (const k of Object.keys(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (typeof obj[k] === 'object' && obj[k] !== null && !Array.isArray(obj[k]) && !isPluralText(obj[k])) {
+      textKeys(obj[k], key, out);
+    } else {
+      out.push(key);
+    }
+  }
+  return out;
+}
+
+/** Lists the pack directories (those containing a game.json) under a games/ folder. */
+function listPackDirs(gamesDir) {
+  return fs.readdirSync(gamesDir, { withFileTypes: true })
+    .filter(e => e.isDirectory() && fs.existsSync(path.join(gamesDir, e.name, 'game.json')))
+    .map(e => path.join(gamesDir, e.name))
+    .sort();
+}
+
+/** Walks up from `from` to the nearest directory with a `games/` folder; returns that folder, or null. */
+function nearestGamesDir(from) {
+  let dir = path.resolve(from);
+  while (true) {
+    const candidate = path.join(dir, 'games');
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Resolves a pack argument to an absolute pack directory.
+ * Accepts a pack name (e.g. "wizard"), a path (e.g. "games/wizard"), or
+ * nothing (`cwd` itself). Returns null if no game.json is found.
+ */
+function resolvePackDir(packArg, cwd = process.cwd()) {
+  let packDir = cwd;
+  if (packArg) {
+    const gamesDir = nearestGamesDir(cwd);
+    const asGamesSubdir = gamesDir && path.resolve(gamesDir, packArg);
+    packDir = asGamesSubdir && fs.existsSync(path.join(asGamesSubdir, 'game.json')) ? asGamesSubdir : path.resolve(cwd, packArg);
+  }
+  return fs.existsSync(path.join(packDir, 'game.json')) ? packDir : null;
+}
+
+/**
+ * The packs a command that checks packs runs on: the one `packArg` names,
+ * else the one in `cwd`, else every pack under the nearest games/ folder.
+ * @throws When `packArg` names no pack, or there is no games/ folder.
+ */
+function resolvePackDirs(packArg, cwd = process.cwd()) {
+  if (packArg || fs.existsSync(path.join(cwd, 'game.json'))) {
+    const packDir = resolvePackDir(packArg, cwd);
+    if (!packDir) throw new Error(`no game.json found for pack "${packArg || '.'}"`);
+    return [packDir];
+  }
+  const gamesDir = nearestGamesDir(cwd);
+  if (!gamesDir) throw new Error('could not find a games/ directory in any parent of the current working directory.');
+  return listPackDirs(gamesDir);
+}
+
+module.exports = {
+  EMBEDDING_DIM,
+  readGameJson,
+  readOptionalJson,
+  readLabels,
+  parseLabels,
+  parseManifestYaml,
+  readManifest,
+  readEmbeddings,
+  decodeEmbeddings,
+  encodeEmbeddings,
+  flattenTexts,
+  PLURAL_CATEGORIES,
+  isPluralText,
+  textKeys,
+  listPackDirs,
+  nearestGamesDir,
+  resolvePackDir,
+  resolvePackDirs,
+};
@@ -0,0 +1,113 @@
+/**
+ * Pack packaging — the local equivalent of the release workflow.
+ *
+ * packPack() compiles the scorer, zips the pack directory and describes the
+ * archive as a pack-index.json entry (sizeBytes + sha256 checksum), so a
+ * release can be inspected and installed before anything is pushed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildScorer } = require('./build');
+const { createZip } = require('./zip');
+const { readGameJson } = require('./pack-files');
+
+/**
+ * Top-level pack entries that never end up in a release zip.
+ * `ref/` and `backups/` (see lib/capture.js) are git-ignored, so the release
+ * workflow's checkout never has them.
+ */
+const PACK_EXCLUDES = ['ref', 'backups'];
+
+/** Lists the files of a pack as sorted, forward-slash relative paths. */
+function listPackFiles(packDir) {
+  const files = [];
+  (function walk(dir, rel) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+      if (!rel && PACK_EXCLUDES.includes(entry.name)) continue;
+      if (entry.isDirectory()) walk(path.join(dir, entry.name), relPath);
+      else if (entry.isFile()) files.push(relPath);
+    }
+  })(packDir, '');
+  return files.sort();
+}
+
+/** Zips a pack directory the way `cd games/<id> && zip -r <id>.zip .` does. */
+function zipPack(packDir) {
+  const entries = listPackFiles(packDir).map(name => ({
+    name,
+    data: fs.readFileSync(path.join(packDir, ...name.split('/'))),
+  }));
+  return createZip(entries);
+}
+
+/** Returns `sha256:<hex>` for a buffer, the checksum format of pack-index.json. */
+function checksum(buf) {
+  return 'sha256:' + crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+/**
+ * Builds a pack-index.json entry for a zipped pack.
+ *
+ * @param game        Parsed game.json.
+ * @param zip         The archive bytes.
+ * @param opts.downloadUrl  URL the app downloads the zip from.
+ * @param opts.version      Pack version (defaults to 0).
+ * @param opts.description  Store description (defaults to game.json's, if any).
+ */
+function indexEntry(game, zip, opts = {}) {
+  return {
+    id: game.id,
+    displayName: game.displayName,
+    description: opts.description ?? game.description ?? '',
+    version: opts.version ?? 0,
+    downloadUrl: opts.downloadUrl,
+    sizeBytes: zip.length,
+    checksum: checksum(zip),
+  };
+}
+
+/**
+ * Compiles, zips and describes one pack.
+ *
+ * @param packDir        Pack directory (holds game.json).
+ * @param opts.baseUrl   Prefix for the entry's downloadUrl (default: relative `<id>.zip`).
+ * @param opts.template  Existing pack-index entry to inherit description and version from.
+ * @param opts.version   Overrides the inherited version.
+ * @returns `{ id, zip, entry }`.
+ */
+function packPack(packDir, opts = {}) {
+  const game = readGameJson(packDir);
+  buildScorer(packDir);
+  const zip = zipPack(packDir);
+  const fileName = `${game.id}.zip`;
+  const template = opts.template || {};
+  const entry = indexEntry(game, zip, {
+    downloadUrl: opts.baseUrl ? `${opts.baseUrl.replace(/\/$/, '')}/${fileName}` : fileName,
+    version: opts.version ?? template.version,
+    description: template.description,
+  });
+  return { id: game.id, zip, entry };
+}
+
+/**
+ * Merges entries into a pack-index.json file (replacing entries with the
+ * same id, keeping the order of existing ones) and writes it back.
+ */
+function writePackIndex(indexPath, entries) {
+  let index = { version: 1, packs: [] };
+  if (fs.existsSync(indexPath)) index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  for (const entry of entries) {
+    const i = index.packs.findIndex(p => p.id === entry.id);
+    if (i >= 0) index.packs[i] = entry;
+    else index.packs.push(entry);
+  }
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+  return index;
+}
+
+module.exports = { PACK_EXCLUDES, listPackFiles, zipPack, checksum, indexEntry, packPack, writePackIndex };
@@ -0,0 +1,249 @@
+/**
+ * Headless scorer runner.
+ *
+ * Loads a pack's compiled scorer.js the way the app does — a CommonJS shim
+ * with texts.json injected as `__texts` and no Node.js underneath — so a
+ * scorer that passes here behaves the same on the phone. Anything Node-only
+ * the scorer reaches for (`fs`, `process`, `Buffer`, ...) fails loudly
+ * instead of silently working on the desktop. The locale reaches the scorer
+ * through the Game constructor and ScorerContext, as in the app.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { buildScorer } = require('./build');
+const { readGameJson, readOptionalJson } = require('./pack-files');
+
+/** Node globals the app's JavaScript engine does not have. */
+const NODE_ONLY_GLOBALS = ['process', 'Buffer', 'global', 'setImmediate', 'clearImmediate'];
+
+/** The only module the app's require() shim provides. */
+const PATH_SHIM = { join: (...parts) => parts.join('/'), dirname: () => '/' };
+
+/** Milliseconds a single scorer call may take before it is aborted. */
+const CALL_TIMEOUT_MS = 5000;
+
+function nodeOnlyError(what) {
+  return new Error(`scorer.js uses ${what}, which is not available in the app runtime`);
+}
+
+/**
+ * Loads `<packDir>/scorer.js` in a sandbox that mirrors the app runtime.
+ *
+ * @param packDir       Pack directory (holds game.json).
+ * @param opts.lang     Locale the scorer speaks, e.g. `de-AT` (default: de).
+ * @param opts.build    Compile scorer.ts first (default: true).
+ * @returns A scorer handle: `{ game, exports, locale, call(target, method, ...args) }`.
+ *          `call` runs one scorer function inside the sandbox and returns its
+ *          result JSON round-tripped, the way the app receives it.
+ * @throws  When the scorer cannot be built or loaded, or touches a Node-only API.
+ */
+function loadScorer(packDir, opts = {}) {
+  const game = readGameJson(packDir);
+  if (opts.build !== false) buildScorer(packDir);
+  const scorerPath = path.join(packDir, 'scorer.js');
+  if (!fs.existsSync(scorerPath)) throw new Error('no scorer.js — does the pack have a scorer.ts?');
+
+  const texts = readOptionalJson(packDir, 'texts.json');
+  const sandbox = {
+    console,
+    __texts: texts || undefined,
+  };
+  const violations = [];
+  for (const name of NODE_ONLY_GLOBALS) {
+    Object.defineProperty(sandbox, name, {
+      get() {
+        violations.push(`the Node global \`${name}\``);
+        throw nodeOnlyError(`the Node global \`${name}\``);
+      },
+    });
+  }
+  const context = vm.createContext(sandbox);
+
+  const requireShim = (id) => {
+    if (id === 'path') return PATH_SHIM;
+    // texts.json is only required when __texts is missing; the app has no file access.
+    if (id.endsWith('.json')) throw new Error(`Cannot find module '${id}'`);
+    violations.push(`require('${id}')`);
+    throw nodeOnlyError(`require('${id}')`);
+  };
+
+  const mod = { exports: {} };
+  const code = fs.readFileSync(scorerPath, 'utf8');
+  const wrapper = vm.runInContext(
+    `(function (module, exports, require, __dirname, __filename) {${code}\n})`,
+    context,
+    { filename: scorerPath },
+  );
+
+  const check = () => {
+    // A scorer may swallow the error in a try/catch; report it anyway.
+    if (violations.length > 0) throw nodeOnlyError(violations.splice(0).join(', '));
+  };
+
+  wrapper(mod, mod.exports, requireShim, '/', '/scorer.js');
+  check();
+
+  const invoke = vm.runInContext(
+    '(function (target, method, json) { return JSON.stringify(target[method].apply(target, JSON.parse(json))); })',
+    context,
+  );
+  context.__bgbInvoke = invoke;
+  const invokeScript = new vm.Script('__bgbInvoke(__bgbTarget, __bgbMethod, __bgbArgs)', { filename: 'bgb-score' });
+
+  function call(target, method, ...args) {
+    Object.assign(context, { __bgbTarget: target, __bgbMethod: method, __bgbArgs: JSON.stringify(args) });
+    let json;
+    try {
+      json = invokeScript.runInContext(context, { timeout: CALL_TIMEOUT_MS });
+    } catch (err) {
+      if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw new Error(`${method}() did not return within ${CALL_TIMEOUT_MS} ms`);
+      throw err;
+    } finally {
+      check();
+    }
+    return json === undefined ? undefined : JSON.parse(json);
+  }
+
+  return { game, exports: mod.exports, locale: opts.lang || 'de', call };
+}
+
+/**
+ * Normalises a boxes.json document into a run description.
+ *
+ * Accepts either a plain DetectedBox array or
+ * `{ players?, similarityThreshold?, additionalInputs?, seating?, events?, boxes }`,
+ * where `events` are LiveEvents fired before the boxes are scored.
+ */
+function parseBoxesInput(input) {
+  const doc = Array.isArray(input) ? { boxes: input } : (input || {});
+  if (!Array.isArray(doc.boxes)) throw new Error('boxes.json must be an array of boxes or an object with a "boxes" array');
+  if (doc.events !== undefined && !Array.isArray(doc.events)) throw new Error('"events" must be an array of LiveEvents');
+  return {
+    players: doc.players,
+    similarityThreshold: doc.similarityThreshold,
+    additionalInputs: doc.additionalInputs,
+    seating: doc.seating,
+    events: doc.events || [],
+    boxes: doc.boxes,
+  };
+}
+
+/**
+ * Scores a list of boxes with a pack's scorer, as the app would.
+ *
+ * Uses `Game#processCards` / `Game#processEvent` when the scorer exports a
+ * Game class, and the legacy `processCards` / `processEvent` exports
+ * otherwise.
+ *
+ * @param packDir                  Pack directory.
+ * @param input                    boxes.json contents (see parseBoxesInput).
+ * @param opts.players             Player names (overrides the input's; default: minPlayers × "Player N").
+ * @param opts.similarityThreshold ScorerContext.similarityThreshold (default: input's, else 0.7).
+ * @param opts.lang / opts.build   Passed to loadScorer.
+ * @returns The final GameState.
+ */
+function scoreBoxes(packDir, input, opts = {}) {
+  const run = parseBoxesInput(input);
+  const scorer = loadScorer(packDir, opts);
+  const { game } = scorer;
+  const players = opts.players || run.players ||
+    Array.from({ length: game.minPlayers || 2 }, (_, i) => `Player ${i + 1}`);
+  const context = {
+    players,
+    similarityThreshold: opts.similarityThreshold ?? run.similarityThreshold ?? 0.7,
+    locale: scorer.locale,
+  };
+  if (run.additionalInputs) context.additionalInputs = run.additionalInputs;
+  if (run.seating) context.seating = run.seating;
+
+  const { Game } = scorer.exports;
+  if (typeof Game === 'function') {
+    const instance = new Game(players, { locale: scorer.locale });
+    for (const event of run.events) {
+      if (typeof instance.processEvent !== 'function') throw new Error('scorer has no processEvent, but boxes.json lists events');
+      scorer.call(instance, 'processEvent', event);
+    }
+    return scorer.call(instance, 'processCards', run.boxes, context);
+  }
+
+  if (typeof scorer.exports.processCards !== 'function') throw new Error('scorer.js exports neither a Game class nor processCards');
+  let prevState = null;
+  for (const event of run.events) {
+    if (typeof scorer.exports.processEvent !== 'function') throw new Error('scorer has no processEvent, but boxes.json lists events');
+    prevState = scorer.call(scorer.exports, 'processEvent', event, prevState);
+  }
+  const result = scorer.call(scorer.exports, 'processCards', run.boxes, context);
+  return Array.isArray(result) ? { players: result } : result;
+}
+
+/** SessionRecording format version this runner understands (see api/replay.ts). */
+const RECORDING_VERSION = 1;
+
+/**
+ * Replays a SessionRecording against a pack's Game class in the sandbox.
+ *
+ * @param packDir      Pack directory.
+ * @param recording    Parsed recording (`{ version, game, players, similarityThreshold?, steps }`).
+ * @param opts         Passed to loadScorer.
+ * @returns The GameState emitted by each step, in step order.
+ */
+function replaySession(packDir, recording, opts = {}) {
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`unsupported recording version ${recording.version} (expected ${RECORDING_VERSION})`);
+  }
+  if (!Array.isArray(recording.steps)) throw new Error('recording has no "steps" array');
+  const scorer = loadScorer(packDir, opts);
+  if (recording.game && recording.game !== scorer.game.id) {
+    throw new Error(`recording is for "${recording.game}", but the pack is "${scorer.game.id}"`);
+  }
+  const { Game } = scorer.exports;
+  if (typeof Game !== 'function') throw new Error('scorer.js does not export a Game class');
+
+  const instance = new Game(recording.players, { locale: scorer.locale });
+  const context = {
+    players: recording.players,
+    similarityThreshold: recording.similarityThreshold ?? 0.7,
+    locale: scorer.locale,
+  };
+  return recording.steps.map((step, i) => {
+    try {
+      if (step.event) return scorer.call(instance, 'processEvent', step.event);
+      return scorer.call(instance, 'processCards', step.cards, context);
+    } catch (err) {
+      throw new Error(`step ${i}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Finds the first difference between two JSON values.
+ * @returns A path like `[12].actions[0].text`, or null when they are equal.
+ */
+function firstDifference(expected, actual, at = '') {
+  if (expected === actual) return null;
+  if (typeof expected !== 'object' || typeof actual !== 'object' || expected === null || actual === null ||
+      Array.isArray(expected) !== Array.isArray(actual)) {
+    return at || '(root)';
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const key of keys) {
+    const sub = Array.isArray(expected) ? `${at}[${key}]` : `${at}.${key}`;
+    const diff = firstDifference(expected[key], actual[key], sub);
+    if (diff) return diff;
+  }
+  return null;
+}
+
+module.exports = {
+  NODE_ONLY_GLOBALS,
+  RECORDING_VERSION,
+  loadScorer,
+  parseBoxesInput,
+  scoreBoxes,
+  replaySession,
+  firstDifference,
+};
@@ -0,0 +1,546 @@
+/**
+ * Cross-file consistency checks for a game pack.
+ *
+ * validatePack() looks at each pack file on its own (game.json schema) and
+ * at how the files relate to each other: embeddings.bin must hold one vector
+ * per labels.txt line, every label kind needs a manifest.yaml card type and
+ * a cards.json entry, and texts.json must offer the same keys in every
+ * language (a regional variant such as `de-AT` only overrides keys of `de`).
+ * A pack that cannot pass a rule yet, such as a pack whose reference cards
+ * are not captured, names the rule and the reason in game.json
+ * `skipValidation`; the finding is then reported as a warning with that
+ * reason rather than dropped silently.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  EMBEDDING_DIM,
+  readGameJson,
+  readOptionalJson,
+  readLabels,
+  readManifest,
+  textKeys,
+} = require('./pack-files');
+
+/**
+ * texts.json sections that are allowed to differ between languages.
+ * `numbers` maps spoken number words to digits for voice input, so its keys
+ * are the words of each language.
+ */
+const LANGUAGE_SPECIFIC_SECTIONS = ['numbers'];
+
+/** Rules game.json `skipValidation` may turn into warnings, with the finding each one covers. */
+const SKIPPABLE_RULES = {
+  'embeddings-empty': 'embeddings.bin is empty',
+};
+
+const GAME_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/** Fields of `liveTracking.stabiliser` (StabiliserOptions in api/stabiliser.ts). */
+const STABILISER_FIELDS = [
+  'minSimilarity', 'minConfidence', 'overlapIou', 'cardCopies',
+  'minFrames', 'instantSimilarity', 'maxMissedFrames', 'matchDistance',
+];
+
+let builtInEventTypes = null;
+
+/**
+ * LiveEvent types every host knows; custom events must not reuse them.
+ * Read from BUILT_IN_EVENT_TYPES in api/events.ts, compiled once with
+ * esbuild, so the list has a single source.
+ */
+function loadBuiltInEventTypes() {
+  if (!builtInEventTypes) {
+    const esbuild = require('esbuild');
+    const source = fs.readFileSync(path.join(__dirname, '..', 'api', 'events.ts'), 'utf8');
+    const { code } = esbuild.transformSync(source, { loader: 'ts', format: 'cjs' });
+    const events = { exports: {} };
+    new Function('module', 'exports', 'require', code)(events, events.exports, require);
+    builtInEventTypes = events.exports.BUILT_IN_EVENT_TYPES;
+  }
+  return builtInEventTypes;
+}
+
+/** Types of a custom event's fields (EventField in api/types.ts). */
+const EVENT_FIELD_TYPES = ['number', 'toggle', 'choice', 'player', 'card', 'text'];
+
+function isPositiveInt(v) {
+  return Number.isInteger(v) && v > 0;
+}
+
+function isStringArray(v) {
+  return Array.isArray(v) && v.every(s => typeof s === 'string' && s.length > 0);
+}
+
+/**
+ * Validates game.json fields, including the liveTracking block.
+ * Pushes findings into `report`.
+ */
+function checkGameJson(game, packDir, report) {
+  const file = 'game.json';
+
+  for (const field of ['id', 'displayName']) {
+    if (typeof game[field] !== 'string' || !game[field]) {
+      report.error(file, `missing required field "${field}"`);
+    }
+  }
+  if (typeof game.id === 'string' && game.id && !GAME_ID_PATTERN.test(game.id)) {
+    report.error(file, `id must be lowercase alphanumeric and hyphens only (got "${game.id}")`);
+  }
+  const dirName = path.basename(packDir);
+  if (typeof game.id === 'string' && !dirName.startsWith('_') && game.id !== dirName) {
+    report.warning(file, `id "${game.id}" does not match the pack directory "${dirName}"`);
+  }
+
+  for (const field of ['minPlayers', 'maxPlayers']) {
+    if (game[field] !== undefined && !isPositiveInt(game[field])) {
+      report.error(file, `${field} must be a positive integer (got ${JSON.stringify(game[field])})`);
+    }
+  }
+  if (isPositiveInt(game.minPlayers) && isPositiveInt(game.maxPlayers) && game.minPlayers > game.maxPlayers) {
+    report.error(file, `minPlayers (${game.minPlayers}) is greater than maxPlayers (${game.maxPlayers})`);
+  }
+  if (game.cardCopies !== undefined && !isPositiveInt(game.cardCopies)) {
+    report.error(file, `cardCopies must be a positive integer or omitted (got ${JSON.stringify(game.cardCopies)})`);
+  }
+
+  if (game.skipValidation !== undefined) {
+    const skip = game.skipValidation;
+    if (typeof skip !== 'object' || skip === null || Array.isArray(skip)) {
+      report.error(file, 'skipValidation must map rule names to the reason for skipping them');
+    } else {
+      for (const [rule, reason] of Object.entries(skip)) {
+        if (!Object.prototype.hasOwnProperty.call(SKIPPABLE_RULES, rule)) {
+          report.error(file, `skipValidation: "${rule}" is not a rule validate can skip (${Object.keys(SKIPPABLE_RULES).join(', ')})`);
+        } else if (typeof reason !== 'string' || reason.trim() === '') {
+          report.error(file, `skipValidation: "${rule}" needs the reason it is skipped`);
+        }
+      }
+    }
+  }
+
+  const lt = game.liveTracking;
+  if (game.supportsLiveTracking !== undefined && typeof game.supportsLiveTracking !== 'boolean') {
+    report.error(file, 'supportsLiveTracking must be a boolean');
+  }
+  if (game.supportsLiveTracking === true && (typeof lt !== 'object' || lt === null)) {
+    report.error(file, 'supportsLiveTracking is true but the liveTracking block is missing');
+  }
+  if (lt === undefined) return;
+  if (typeof lt !== 'object' || lt === null || Array.isArray(lt)) {
+    report.error(file, 'liveTracking must be an object');
+    return;
+  }
+  if (game.supportsLiveTracking !== true) {
+    report.warning(file, 'liveTracking block is present but supportsLiveTracking is not true');
+  }
+
+  for (const field of ['trumpDetection', 'bidPhase']) {
+    if (lt[field] !== undefined && typeof lt[field] !== 'boolean') {
+      report.error(file, `liveTracking.${field} must be a boolean`);
+    }
+  }
+  if (lt.gamePrefix !== undefined && (typeof lt.gamePrefix !== 'string' || !lt.gamePrefix)) {
+    report.error(file, 'liveTracking.gamePrefix must be a non-empty string');
+  }
+  if (lt.suitSeparator !== undefined && (typeof lt.suitSeparator !== 'string' || !lt.suitSeparator)) {
+    report.error(file, 'liveTracking.suitSeparator must be a non-empty string');
+  }
+  for (const field of ['suitIndex', 'valueIndex']) {
+    if (lt[field] !== undefined && !(Number.isInteger(lt[field]) && lt[field] >= 0)) {
+      report.error(file, `liveTracking.${field} must be a non-negative integer`);
+    }
+  }
+  for (const field of ['totalCards', 'tricksPerRound']) {
+    if (lt[field] !== undefined && !isPositiveInt(lt[field])) {
+      report.error(file, `liveTracking.${field} must be a positive integer`);
+    }
+  }
+
+  if (lt.specialCards !== undefined) {
+    const sc = lt.specialCards;
+    if (typeof sc !== 'object' || sc === null) {
+      report.error(file, 'liveTracking.specialCards must be an object');
+    } else {
+      for (const [key, value] of Object.entries(sc)) {
+        if (!isStringArray(value)) {
+          report.error(file, `liveTracking.specialCards.${key} must be an array of suit names`);
+        }
+      }
+    }
+  }
+
+  if (lt.stabiliser !== undefined) {
+    const st = lt.stabiliser;
+    if (typeof st !== 'object' || st === null || Array.isArray(st)) {
+      report.error(file, 'liveTracking.stabiliser must be an object');
+    } else {
+      for (const [key, value] of Object.entries(st)) {
+        if (!STABILISER_FIELDS.includes(key)) {
+          report.error(file, `liveTracking.stabiliser.${key} is not a stabiliser option (${STABILISER_FIELDS.join(', ')})`);
+        } else if (typeof value !== 'number' || !(value >= 0)) {
+          report.error(file, `liveTracking.stabiliser.${key} must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  if (lt.gameTypes !== undefined && (!isStringArray(lt.gameTypes) || lt.gameTypes.length === 0)) {
+    report.error(file, 'liveTracking.gameTypes must be a non-empty array of strings');
+  }
+
+  if (lt.announcements !== undefined) {
+    if (!Array.isArray(lt.announcements)) {
+      report.error(file, 'liveTracking.announcements must be an array');
+    } else {
+      const seen = new Set();
+      lt.announcements.forEach((a, i) => {
+        const where = `liveTracking.announcements[${i}]`;
+        if (typeof a !== 'object' || a === null) {
+          report.error(file, `${where} must be an object`);
+          return;
+        }
+        if (typeof a.id !== 'string' || !a.id) {
+          report.error(file, `${where}.id must be a non-empty string`);
+        } else if (seen.has(a.id)) {
+          report.error(file, `${where}.id "${a.id}" is declared twice`);
+        } else {
+          seen.add(a.id);
+        }
+        if (!isStringArray(a.triggerWords) || a.triggerWords.length === 0) {
+          report.error(file, `${where}.triggerWords must be a non-empty array of strings`);
+        }
+        if (a.maxTrick !== undefined) {
+          if (!isPositiveInt(a.maxTrick)) {
+            report.error(file, `${where}.maxTrick must be a positive integer`);
+          } else if (isPositiveInt(lt.tricksPerRound) && a.maxTrick > lt.tricksPerRound) {
+            report.error(file, `${where}.maxTrick (${a.maxTrick}) exceeds tricksPerRound (${lt.tricksPerRound})`);
+          }
+        }
+      });
+    }
+  }
+
+  if (lt.variants !== undefined) {
+    if (!Array.isArray(lt.variants)) {
+      report.error(file, 'liveTracking.variants must be an array');
+    } else {
+      const seen = new Set();
+      lt.variants.forEach((v, i) => {
+        const where = `liveTracking.variants[${i}]`;
+        if (typeof v !== 'object' || v === null) {
+          report.error(file, `${where} must be an object`);
+          return;
+        }
+        if (typeof v.id !== 'string' || !v.id) {
+          report.error(file, `${where}.id must be a non-empty string`);
+        } else if (seen.has(v.id)) {
+          report.error(file, `${where}.id "${v.id}" is declared twice`);
+        } else {
+          seen.add(v.id);
+        }
+        if (!Array.isArray(v.options) || v.options.length === 0 ||
+            !v.options.every(o => typeof o === 'string' || typeof o === 'boolean')) {
+          report.error(file, `${where}.options must be a non-empty array of strings or booleans`);
+        }
+      });
+    }
+  }
+
+  if (lt.events !== undefined) {
+    if (!Array.isArray(lt.events)) {
+      report.error(file, 'liveTracking.events must be an array');
+    } else {
+      checkCustomEvents(lt, file, report);
+    }
+  }
+}
+
+/**
+ * Checks `liveTracking.events` (CustomEventDeclaration in api/types.ts): ids,
+ * labels, trigger words (not shared with another event or an announcement)
+ * and fields.
+ */
+function checkCustomEvents(lt, file, report) {
+  const seen = new Set();
+  const triggerWords = new Map();
+  for (const a of Array.isArray(lt.announcements) ? lt.announcements : []) {
+    for (const word of isStringArray(a?.triggerWords) ? a.triggerWords : []) triggerWords.set(word, `announcement "${a.id}"`);
+  }
+  lt.events.forEach((e, i) => {
+    const where = `liveTracking.events[${i}]`;
+    if (typeof e !== 'object' || e === null) {
+      report.error(file, `${where} must be an object`);
+      return;
+    }
+    if (typeof e.id !== 'string' || !e.id) {
+      report.error(file, `${where}.id must be a non-empty string`);
+    } else if (loadBuiltInEventTypes().includes(e.id)) {
+      report.error(file, `${where}.id "${e.id}" is a built-in event`);
+    } else if (seen.has(e.id)) {
+      report.error(file, `${where}.id "${e.id}" is declared twice`);
+    } else {
+      seen.add(e.id);
+    }
+    if (typeof e.label !== 'string' || !e.label) {
+      report.error(file, `${where}.label must be a non-empty string`);
+    }
+    if (e.triggerWords !== undefined) {
+      if (!isStringArray(e.triggerWords) || e.triggerWords.length === 0) {
+        report.error(file, `${where}.triggerWords must be a non-empty array of strings`);
+      } else {
+        for (const word of e.triggerWords) {
+          if (triggerWords.has(word)) report.error(file, `${where}.triggerWords: "${word}" is already a trigger word of ${triggerWords.get(word)}`);
+          else triggerWords.set(word, `event "${e.id}"`);
+        }
+      }
+    }
+    if (e.fields === undefined) return;
+    if (!Array.isArray(e.fields)) {
+      report.error(file, `${where}.fields must be an array`);
+      return;
+    }
+    const fieldIds = new Set();
+    e.fields.forEach((f, j) => {
+      const at = `${where}.fields[${j}]`;
+      if (typeof f !== 'object' || f === null) {
+        report.error(file, `${at} must be an object`);
+        return;
+      }
+      if (typeof f.id !== 'string' || !f.id) {
+        report.error(file, `${at}.id must be a non-empty string`);
+      } else if (fieldIds.has(f.id)) {
+        report.error(file, `${at}.id "${f.id}" is declared twice`);
+      } else {
+        fieldIds.add(f.id);
+      }
+      if (!EVENT_FIELD_TYPES.includes(f.type)) {
+        report.error(file, `${at}.type must be one of ${EVENT_FIELD_TYPES.join(', ')}`);
+      }
+      if (f.type === 'choice' && (!isStringArray(f.options) || f.options.length === 0)) {
+        report.error(file, `${at}.options must be a non-empty array of strings`);
+      }
+      if (f.type === 'number' && typeof f.min === 'number' && typeof f.max === 'number' && f.min > f.max) {
+        report.error(file, `${at}.min (${f.min}) is greater than max (${f.max})`);
+      }
+      if (f.optional !== undefined && typeof f.optional !== 'boolean') {
+        report.error(file, `${at}.optional must be a boolean`);
+      }
+    });
+  });
+}
+
+/** Checks labels.txt on its own: presence, duplicates, `kind:name` shape. */
+function checkLabels(labels, report) {
+  if (labels.length === 0) {
+    report.error('labels.txt', 'missing or empty');
+    return;
+  }
+  const seen = new Map();
+  labels.forEach((label, i) => {
+    if (seen.has(label)) {
+      report.error('labels.txt', `line ${i + 1}: duplicate label "${label}" (first on line ${seen.get(label) + 1})`);
+    } else {
+      seen.set(label, i);
+    }
+    if (label.indexOf(':') <= 0) {
+      report.error('labels.txt', `line ${i + 1}: label "${label}" is not of the form kind:name`);
+    }
+  });
+}
+
+/** Checks that embeddings.bin holds exactly one vector per label. */
+function checkEmbeddings(packDir, labels, dim, report) {
+  const file = 'embeddings.bin';
+  const binPath = path.join(packDir, file);
+  if (!fs.existsSync(binPath)) {
+    report.error(file, 'missing');
+    return;
+  }
+  const byteLength = fs.statSync(binPath).size;
+  const rowBytes = dim * 4;
+  if (byteLength === 0) {
+    report.error(file, 'is empty — capture reference embeddings with `bgb receive-embeddings`', 'embeddings-empty');
+    return;
+  }
+  if (byteLength % rowBytes !== 0) {
+    report.error(file, `${byteLength} bytes is not a multiple of ${rowBytes} (${dim} float32 values per embedding)`);
+    return;
+  }
+  const count = byteLength / rowBytes;
+  if (labels.length > 0 && count !== labels.length) {
+    report.error(file, `contains ${count} embeddings but labels.txt has ${labels.length} labels`);
+  }
+}
+
+/** Checks that every label kind is declared as a card type in manifest.yaml. */
+function checkManifest(packDir, labels, report) {
+  const manifest = readManifest(packDir);
+  if (!manifest) {
+    report.error('manifest.yaml', 'missing — every label kind needs a card type with a target_size');
+    return;
+  }
+  for (const [kind, dims] of Object.entries(manifest)) {
+    if (dims.length !== 2 || dims.some(d => !isPositiveInt(d))) {
+      report.error('manifest.yaml', `card type "${kind}" needs a target_size of two positive integers`);
+    }
+  }
+  const missing = new Map();
+  for (const label of labels) {
+    const kind = label.slice(0, label.indexOf(':'));
+    if (kind && !(kind in manifest)) missing.set(kind, (missing.get(kind) || 0) + 1);
+  }
+  for (const [kind, n] of missing) {
+    report.error('manifest.yaml', `no card type "${kind}" (used by ${n} label${n === 1 ? '' : 's'})`);
+  }
+}
+
+/**
+ * Returns true when cards.json has an entry for the label.
+ *
+ * Two layouts are in use:
+ *   - keyed by kind: `{ region: { "3": {...} } }` — the name (with leading
+ *     zeros stripped for numeric IDs) is the key;
+ *   - a card list: `{ cards: [{ id }] }` — the name is the card ID, or
+ *     `<id>-<suffix>` for cards whose label carries an extra symbol.
+ */
+function cardsJsonHasLabel(cards, label) {
+  const colon = label.indexOf(':');
+  const kind = label.slice(0, colon);
+  const name = label.slice(colon + 1);
+
+  const byKind = cards[kind];
+  if (byKind && typeof byKind === 'object' && !Array.isArray(byKind)) {
+    return name in byKind || (/^\d+$/.test(name) && String(parseInt(name, 10)) in byKind);
+  }
+  if (Array.isArray(cards.cards)) {
+    const dash = name.indexOf('-');
+    const id = dash >= 0 ? name.slice(0, dash) : name;
+    return cards.cards.some(c => c && (c.id === name || c.id === id));
+  }
+  return false;
+}
+
+/** Checks that every label resolves to a cards.json entry, if the pack has one. */
+function checkCardsJson(packDir, labels, report) {
+  let cards;
+  try {
+    cards = readOptionalJson(packDir, 'cards.json');
+  } catch (err) {
+    report.error('cards.json', err.message);
+    return;
+  }
+  if (!cards) return;
+  for (const label of new Set(labels)) {
+    if (label.indexOf(':') <= 0) continue;
+    if (!cardsJsonHasLabel(cards, label)) {
+      report.error('cards.json', `no entry for label "${label}"`);
+    }
+  }
+}
+
+/**
+ * Checks that every language in texts.json has the same set of keys.
+ * A regional variant (`de-AT` next to `de`) falls back to its language, so
+ * it may leave keys out but must not add any.
+ */
+function checkTexts(packDir, report) {
+  let texts;
+  try {
+    texts = readOptionalJson(packDir, 'texts.json');
+  } catch (err) {
+    report.error('texts.json', err.message);
+    return;
+  }
+  if (!texts) return;
+
+  const langs = Object.keys(texts);
+  if (langs.length === 0) {
+    report.error('texts.json', 'contains no languages');
+    return;
+  }
+  const isShared = key => !LANGUAGE_SPECIFIC_SECTIONS.some(s => key.startsWith(`${s}.`));
+  const baseOf = lang => {
+    const base = lang.split('-')[0];
+    return base !== lang && langs.includes(base) ? base : null;
+  };
+  const keysByLang = {};
+  const allKeys = new Set();
+  for (const lang of langs) {
+    keysByLang[lang] = new Set(textKeys(texts[lang] || {}).filter(isShared));
+    if (!baseOf(lang)) for (const k of keysByLang[lang]) allKeys.add(k);
+  }
+  const fullLangs = langs.filter(lang => !baseOf(lang));
+  for (const lang of langs) {
+    const base = baseOf(lang);
+    if (base) {
+      const unknown = [...keysByLang[lang]].filter(k => !keysByLang[base].has(k)).sort();
+      if (unknown.length > 0) {
+        report.error('texts.json', `"${lang}" has ${unknown.length} key(s) that "${base}" lacks: ${unknown.join(', ')}`);
+      }
+      continue;
+    }
+    const missing = [...allKeys].filter(k => !keysByLang[lang].has(k)).sort();
+    if (missing.length > 0) {
+      const others = fullLangs.filter(l => l !== lang).join('/');
+      report.error('texts.json', `"${lang}" is missing ${missing.length} key(s) present in ${others}: ${missing.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Runs every check against a pack directory.
+ *
+ * @param packDir  Absolute path to the pack (the directory holding game.json).
+ * @param opts.dim Embedding dimension (default EMBEDDING_DIM).
+ * @returns        `{ errors, warnings }`, each a list of `{ file, message }`.
+ */
+function validatePack(packDir, opts = {}) {
+  const dim = opts.dim || EMBEDDING_DIM;
+  const errors = [];
+  const warnings = [];
+  let skipped = {};
+  const applied = new Set();
+  const report = {
+    // `rule` names a finding game.json `skipValidation` may turn into a warning.
+    error: (file, message, rule) => {
+      const reason = rule && typeof skipped[rule] === 'string' ? skipped[rule].trim() : '';
+      if (!reason) {
+        errors.push({ file, message });
+        return;
+      }
+      applied.add(rule);
+      warnings.push({ file, message: `${message} (skipped: ${reason})` });
+    },
+    warning: (file, message) => warnings.push({ file, message }),
+  };
+
+  let game;
+  try {
+    game = readGameJson(packDir);
+  } catch (err) {
+    report.error('game.json', err.message);
+    return { errors, warnings };
+  }
+
+  checkGameJson(game, packDir, report);
+  if (game.skipValidation && typeof game.skipValidation === 'object' && !Array.isArray(game.skipValidation)) {
+    skipped = game.skipValidation;
+  }
+  const labels = readLabels(packDir);
+  checkLabels(labels, report);
+  checkEmbeddings(packDir, labels, dim, report);
+  checkManifest(packDir, labels, report);
+  checkCardsJson(packDir, labels, report);
+  checkTexts(packDir, report);
+
+  for (const rule of Object.keys(skipped).filter(r => SKIPPABLE_RULES[r] && !applied.has(r))) {
+    report.warning('game.json', `skipValidation: "${rule}" is no longer needed — remove it`);
+  }
+  return { errors, warnings };
+}
+
+module.exports = { SKIPPABLE_RULES, loadBuiltInEventTypes, validatePack, cardsJsonHasLabel };